@@ -0,0 +1,33 @@
+import { expect } from 'chai';
+import { CALL_API } from 'redux-api-middleware';
+
+import { fetchAuthState } from 'actions/authActions';
+import types from 'constants/ActionTypes';
+import { createApiTest } from 'utils/testUtils';
+
+describe('Actions: authActions', () => {
+  describe('fetchAuthState', () => {
+    createApiTest({
+      name: 'fetchAuthState',
+      action: fetchAuthState,
+      args: [],
+      tests: {
+        method: 'GET',
+        endpoint: '/auth',
+        request: {
+          type: types.API.AUTH_GET_REQUEST,
+        },
+        success: {
+          type: types.API.AUTH_GET_SUCCESS,
+        },
+        error: {
+          type: types.API.AUTH_GET_ERROR,
+        },
+      },
+    });
+
+    it('sends the session cookie', () => {
+      expect(fetchAuthState()[CALL_API].credentials).to.equal('same-origin');
+    });
+  });
+});
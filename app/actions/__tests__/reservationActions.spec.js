@@ -1,4 +1,5 @@
 import { expect } from 'chai';
+import { CALL_API } from 'redux-api-middleware';
 import simple from 'simple-mock';
 
 import * as apiUtils from 'utils/apiUtils';
@@ -28,6 +29,28 @@ describe('Actions: reservationActions', () => {
       });
     });
   });
+  describe('postKioskReservation', () => {
+    const kioskReservation = {
+      begin: '2017-05-10T10:00:00+03:00',
+      end: '2017-05-10T10:30:00+03:00',
+      resource: '1234qwert',
+    };
+
+    it('posts the times to the kiosk url of the server with the session cookie', () => {
+      const action = reservationActions.postKioskReservation(kioskReservation);
+      expect(action[CALL_API].endpoint).to.equal('/kiosk/reservation');
+      expect(action[CALL_API].credentials).to.equal('same-origin');
+      expect(JSON.parse(action[CALL_API].body)).to.deep.equal({
+        begin: kioskReservation.begin,
+        end: kioskReservation.end,
+      });
+    });
+
+    it('does not send an API token', () => {
+      const action = reservationActions.postKioskReservation(kioskReservation);
+      expect(action[CALL_API].headers.Authorization).to.be.undefined;
+    });
+  });
   describe('postReservation', () => {
     it('includes correct track in meta', () => {
       reservationActions.postReservation(reservation);
@@ -0,0 +1,162 @@
+import { expect } from 'chai';
+import simple from 'simple-mock';
+
+import * as reservationActions from 'actions/reservationActions';
+import { submitReservationBatch } from 'actions/reservationBatchActions';
+
+describe('Actions: reservationBatchActions', () => {
+  describe('submitReservationBatch', () => {
+    const newReservations = [
+      { begin: 'b-1', resource: 'r-1' },
+      { begin: 'b-2', resource: 'r-1' },
+      { begin: 'b-3', resource: 'r-1' },
+    ];
+    let dispatch;
+    let failingBegins;
+
+    beforeEach(() => {
+      failingBegins = [];
+      simple.mock(reservationActions, 'deleteReservation').callFn(
+        (reservation, meta) => ({ type: 'DELETE', reservation, meta })
+      );
+      simple.mock(reservationActions, 'postReservation').callFn(
+        reservation => ({ type: 'POST', reservation })
+      );
+      simple.mock(reservationActions, 'putReservation').callFn(
+        reservation => ({ type: 'PUT', reservation })
+      );
+      dispatch = simple.mock().callFn((action) => {
+        if (action.type === 'POST' || action.type === 'PUT') {
+          if (failingBegins.indexOf(action.reservation.begin) !== -1) {
+            return Promise.resolve({ error: true, payload: {} });
+          }
+          const url = action.reservation.url || `url-${action.reservation.begin}`;
+          return Promise.resolve({ payload: { ...action.reservation, url } });
+        }
+        if (action.type === 'DELETE') {
+          return Promise.resolve({ payload: action.reservation });
+        }
+        return action;
+      });
+    });
+
+    afterEach(() => {
+      simple.restore();
+    });
+
+    function getDispatchedActions(type) {
+      return dispatch.calls.map(call => call.arg).filter(action => action.type === type);
+    }
+
+    function getStatusUpdates() {
+      return getDispatchedActions('UPDATE_RESERVATION_BATCH_ITEM').map(action => action.payload);
+    }
+
+    it('starts the batch with the given reservations', () => {
+      submitReservationBatch(newReservations)(dispatch);
+      const startActions = getDispatchedActions('START_RESERVATION_BATCH');
+
+      expect(startActions).to.have.length(1);
+      expect(startActions[0].payload).to.deep.equal({
+        allOrNothing: false,
+        reservations: newReservations,
+      });
+    });
+
+    it('posts new reservations and puts existing ones', () => {
+      const existing = { begin: 'b-4', resource: 'r-1', url: 'url-b-4' };
+      return submitReservationBatch([newReservations[0], existing])(dispatch).then(() => {
+        expect(reservationActions.postReservation.callCount).to.equal(1);
+        expect(reservationActions.postReservation.lastCall.arg).to.deep.equal(newReservations[0]);
+        expect(reservationActions.putReservation.callCount).to.equal(1);
+        expect(reservationActions.putReservation.lastCall.arg).to.deep.equal(existing);
+      });
+    });
+
+    it('resolves with the result of each reservation', () => {
+      failingBegins = ['b-2'];
+      return submitReservationBatch(newReservations)(dispatch).then((results) => {
+        expect(results.map(result => result.status)).to.deep.equal(['saved', 'failed', 'saved']);
+        expect(results[0].reservation.url).to.equal('url-b-1');
+        expect(results[1].reservation).to.deep.equal(newReservations[1]);
+      });
+    });
+
+    it('updates the status of each reservation', () => {
+      failingBegins = ['b-2'];
+      return submitReservationBatch(newReservations, { sequential: true })(dispatch).then(() => {
+        expect(getStatusUpdates()).to.deep.equal([
+          { index: 0, status: 'submitting' },
+          { index: 0, status: 'saved' },
+          { index: 1, status: 'submitting' },
+          { index: 1, status: 'failed' },
+          { index: 2, status: 'submitting' },
+          { index: 2, status: 'saved' },
+        ]);
+      });
+    });
+
+    it('finishes the batch with nothing rolled back or skipped by default', () => {
+      failingBegins = ['b-2'];
+      return submitReservationBatch(newReservations)(dispatch).then(() => {
+        const finishActions = getDispatchedActions('FINISH_RESERVATION_BATCH');
+
+        expect(finishActions).to.have.length(1);
+        expect(finishActions[0].payload).to.deep.equal({ rolledBack: [], skipped: [] });
+        expect(reservationActions.deleteReservation.called).to.be.false;
+      });
+    });
+
+    describe('with allOrNothing', () => {
+      const options = { allOrNothing: true };
+
+      it('stops saving at the first failure', () => {
+        failingBegins = ['b-2'];
+        return submitReservationBatch(newReservations, options)(dispatch).then((results) => {
+          expect(reservationActions.postReservation.callCount).to.equal(2);
+          expect(results[2].status).to.equal('skipped');
+        });
+      });
+
+      it('deletes the reservations saved before the failure', () => {
+        failingBegins = ['b-2'];
+        return submitReservationBatch(newReservations, options)(dispatch).then((results) => {
+          const deleteMock = reservationActions.deleteReservation;
+
+          expect(deleteMock.callCount).to.equal(1);
+          expect(deleteMock.lastCall.args[0].url).to.equal('url-b-1');
+          expect(deleteMock.lastCall.args[1]).to.deep.equal({ isRollback: true });
+          expect(results[0].status).to.equal('rolledBack');
+        });
+      });
+
+      it('does not delete edited reservations', () => {
+        const existing = { begin: 'b-4', resource: 'r-1', url: 'url-b-4' };
+        failingBegins = ['b-2'];
+        const reservations = [existing, newReservations[1]];
+        return submitReservationBatch(reservations, options)(dispatch).then((results) => {
+          expect(reservationActions.deleteReservation.called).to.be.false;
+          expect(results[0].status).to.equal('saved');
+        });
+      });
+
+      it('finishes the batch with the rolled back and skipped reservations', () => {
+        failingBegins = ['b-2'];
+        return submitReservationBatch(newReservations, options)(dispatch).then(() => {
+          const finishAction = getDispatchedActions('FINISH_RESERVATION_BATCH')[0];
+
+          expect(finishAction.payload.rolledBack).to.have.length(1);
+          expect(finishAction.payload.rolledBack[0].url).to.equal('url-b-1');
+          expect(finishAction.payload.skipped).to.deep.equal([newReservations[2]]);
+        });
+      });
+
+      it('does not roll back anything if all reservations are saved', () => (
+        submitReservationBatch(newReservations, options)(dispatch).then((results) => {
+          expect(reservationActions.deleteReservation.called).to.be.false;
+          expect(results.map(result => result.status)).to.deep.equal(['saved', 'saved', 'saved']);
+        })
+      ));
+    });
+  });
+});
@@ -1,6 +1,7 @@
 import { expect } from 'chai';
+import { CALL_API } from 'redux-api-middleware';
 
-import { favoriteResource, unfavoriteResource } from 'actions/resourceActions';
+import { favoriteResource, fetchResource, unfavoriteResource } from 'actions/resourceActions';
 import types from 'constants/ActionTypes';
 import { buildAPIUrl } from 'utils/apiUtils';
 import { createApiTest } from 'utils/testUtils';
@@ -36,6 +37,15 @@ describe('Actions: resourceActions', () => {
     });
   });
 
+  describe('fetchResource', () => {
+    it('marks the request to skip the cache only if asked to', () => {
+      const getRequestMeta = action => action[CALL_API].types[0].meta;
+      expect(getRequestMeta(fetchResource('123')).skipCache).to.be.undefined;
+      const action = fetchResource('123', {}, undefined, { skipCache: true });
+      expect(getRequestMeta(action).skipCache).to.be.true;
+    });
+  });
+
   describe('unfavoriteResource', () => {
     const resourceId = '123';
 
@@ -1,8 +1,15 @@
 import { expect } from 'chai';
 import simple from 'simple-mock';
 
-import { getPiwikActionName, searchResources } from 'actions/searchActions';
+import {
+  fetchSearchSuggestions,
+  getPiwikActionName,
+  searchResources,
+} from 'actions/searchActions';
+import types from 'constants/ActionTypes';
+import constants from 'constants/AppConstants';
 import * as apiUtils from 'utils/apiUtils';
+import { createApiTest } from 'utils/testUtils';
 
 describe('Actions: searchActions', () => {
   let getRequestTypeDescriptorMock;
@@ -48,6 +55,30 @@ describe('Actions: searchActions', () => {
     });
   });
 
+  describe('fetchSearchSuggestions', () => {
+    createApiTest({
+      name: 'fetchSearchSuggestions',
+      action: fetchSearchSuggestions,
+      args: ['room'],
+      tests: {
+        method: 'GET',
+        endpoint: apiUtils.buildAPIUrl(
+          'resource',
+          { pageSize: constants.SEARCH_SUGGESTIONS_PER_TYPE, search: 'room' }
+        ),
+        request: {
+          type: types.API.SEARCH_SUGGESTIONS_GET_REQUEST,
+        },
+        success: {
+          type: types.API.SEARCH_SUGGESTIONS_GET_SUCCESS,
+        },
+        error: {
+          type: types.API.SEARCH_SUGGESTIONS_GET_ERROR,
+        },
+      },
+    });
+  });
+
   describe('searchResources', () => {
     it('includes correct track in meta', () => {
       const params = { search: 'searchText' };
@@ -0,0 +1,30 @@
+import { CALL_API } from 'redux-api-middleware';
+
+import types from 'constants/ActionTypes';
+import {
+  getErrorTypeDescriptor,
+  getRequestTypeDescriptor,
+  getSuccessTypeDescriptor,
+} from 'utils/apiUtils';
+
+// Fetches the auth state from the app server, which refreshes the API token if it is about to
+// expire.
+function fetchAuthState() {
+  return {
+    [CALL_API]: {
+      types: [
+        getRequestTypeDescriptor(types.API.AUTH_GET_REQUEST),
+        getSuccessTypeDescriptor(types.API.AUTH_GET_SUCCESS),
+        getErrorTypeDescriptor(types.API.AUTH_GET_ERROR),
+      ],
+      endpoint: '/auth',
+      method: 'GET',
+      credentials: 'same-origin',
+      headers: { Accept: 'application/json' },
+    },
+  };
+}
+
+export {
+  fetchAuthState,
+};
@@ -17,14 +17,13 @@ function fetchPurposes() {
         getRequestTypeDescriptor(types.API.PURPOSES_GET_REQUEST),
         getSuccessTypeDescriptor(
           types.API.PURPOSES_GET_SUCCESS,
-          { schema: schemas.paginatedPurposesSchema }
+          { paginated: true, schema: schemas.paginatedPurposesSchema }
         ),
         getErrorTypeDescriptor(types.API.PURPOSES_GET_ERROR),
       ],
       endpoint: buildAPIUrl('purpose'),
       method: 'GET',
       headers: getHeadersCreator(),
-      bailout: state => !state.api.shouldFetch.purposes,
     },
   };
 }
@@ -1,8 +1,10 @@
+import pick from 'lodash/pick';
 import pickBy from 'lodash/pickBy';
 import { decamelizeKeys } from 'humps';
 import { CALL_API } from 'redux-api-middleware';
 
 import types from 'constants/ActionTypes';
+import constants from 'constants/AppConstants';
 import schemas from 'store/middleware/Schemas';
 import {
   buildAPIUrl,
@@ -29,7 +31,7 @@ function confirmPreliminaryReservation(reservation) {
   return putReservation(Object.assign({}, reservation, { state: 'confirmed' }));
 }
 
-function deleteReservation(reservation) {
+function deleteReservation(reservation, meta) {
   return {
     [CALL_API]: {
       types: [
@@ -44,6 +46,7 @@ function deleteReservation(reservation) {
           types.API.RESERVATION_DELETE_SUCCESS,
           {
             countable: true,
+            meta,
             payload: () => reservation,
           }
         ),
@@ -64,7 +67,7 @@ function denyPreliminaryReservation(reservation) {
 }
 
 function fetchReservations(params = {}) {
-  const fetchParams = Object.assign({}, params, { pageSize: 100 });
+  const fetchParams = Object.assign({}, params, { pageSize: constants.API_PAGE_SIZE });
 
   return {
     [CALL_API]: {
@@ -72,7 +75,7 @@ function fetchReservations(params = {}) {
         getRequestTypeDescriptor(types.API.RESERVATIONS_GET_REQUEST),
         getSuccessTypeDescriptor(
           types.API.RESERVATIONS_GET_SUCCESS,
-          { schema: schemas.paginatedReservationsSchema }
+          { paginated: true, schema: schemas.paginatedReservationsSchema }
         ),
         getErrorTypeDescriptor(types.API.RESERVATIONS_GET_ERROR),
       ],
@@ -88,6 +91,37 @@ function parseReservationData(reservation) {
   return JSON.stringify(decamelizeKeys(parsed));
 }
 
+// Reservations on a resource display enabled as a kiosk are made by the server with the
+// credentials of the staff user who enabled it, see server/auth/kiosk.js.
+function postKioskReservation(reservation) {
+  return {
+    [CALL_API]: {
+      types: [
+        getRequestTypeDescriptor(
+          types.API.RESERVATION_POST_REQUEST,
+          {
+            countable: true,
+            meta: { track: getTrackingInfo('add', reservation.resource) },
+          }
+        ),
+        getSuccessTypeDescriptor(
+          types.API.RESERVATION_POST_SUCCESS,
+          { countable: true }
+        ),
+        getErrorTypeDescriptor(
+          types.API.RESERVATION_POST_ERROR,
+          { countable: true, meta: { reservation } }
+        ),
+      ],
+      endpoint: constants.KIOSK_RESERVATION_URL,
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: constants.REQUIRED_API_HEADERS,
+      body: JSON.stringify(pick(reservation, ['begin', 'end'])),
+    },
+  };
+}
+
 function postReservation(reservation) {
   const url = buildAPIUrl('reservation');
 
@@ -163,6 +197,7 @@ export {
   deleteReservation,
   denyPreliminaryReservation,
   fetchReservations,
+  postKioskReservation,
   postReservation,
   putReservation,
 };
@@ -0,0 +1,105 @@
+import { createAction } from 'redux-actions';
+
+import { deleteReservation, postReservation, putReservation } from 'actions/reservationActions';
+import types from 'constants/ActionTypes';
+
+const finishReservationBatch = createAction(types.UI.FINISH_RESERVATION_BATCH);
+
+const startReservationBatch = createAction(types.UI.START_RESERVATION_BATCH);
+
+const updateReservationBatchItem = createAction(
+  types.UI.UPDATE_RESERVATION_BATCH_ITEM,
+  (index, status) => ({ index, status })
+);
+
+function submitReservation(dispatch, reservation, index) {
+  dispatch(updateReservationBatchItem(index, 'submitting'));
+  const action = reservation.url ? putReservation(reservation) : postReservation(reservation);
+
+  return dispatch(action).then((resultAction) => {
+    const status = resultAction.error ? 'failed' : 'saved';
+    dispatch(updateReservationBatchItem(index, status));
+    return {
+      index,
+      // The saved reservation is needed for a possible rollback as it has the url.
+      reservation: resultAction.error ? reservation : resultAction.payload,
+      status,
+    };
+  });
+}
+
+function submitInParallel(dispatch, reservations) {
+  return Promise.all(
+    reservations.map((reservation, index) => submitReservation(dispatch, reservation, index))
+  );
+}
+
+function submitSequentially(dispatch, reservations, allOrNothing) {
+  return reservations.reduce(
+    (previous, reservation, index) => previous.then((results) => {
+      if (allOrNothing && results.some(result => result.status === 'failed')) {
+        dispatch(updateReservationBatchItem(index, 'skipped'));
+        return [...results, { index, reservation, status: 'skipped' }];
+      }
+      return submitReservation(dispatch, reservation, index).then(
+        result => [...results, result]
+      );
+    }),
+    Promise.resolve([])
+  );
+}
+
+function rollBack(dispatch, reservations, results) {
+  // Only new reservations can be rolled back, edited ones are left as they are.
+  const rollbacks = results.map((result) => {
+    if (result.status !== 'saved' || reservations[result.index].url) {
+      return result;
+    }
+    return dispatch(deleteReservation(result.reservation, { isRollback: true })).then(
+      (resultAction) => {
+        if (resultAction.error) {
+          return result;
+        }
+        dispatch(updateReservationBatchItem(result.index, 'rolledBack'));
+        return { ...result, status: 'rolledBack' };
+      }
+    );
+  });
+  return Promise.all(rollbacks);
+}
+
+// Saves the given reservations and tracks the progress of each of them. Reservations with an
+// url are updated and the rest are created. With allOrNothing the saving stops at the first
+// failure and the reservations created so far are deleted. Saving is sequential by default
+// only in that mode, as otherwise the reservations do not depend on each other.
+function submitReservationBatch(reservations, options = {}) {
+  const { allOrNothing = false, sequential = allOrNothing } = options;
+
+  return (dispatch) => {
+    dispatch(startReservationBatch({ allOrNothing, reservations }));
+    const submit = sequential ? submitSequentially : submitInParallel;
+
+    return submit(dispatch, reservations, allOrNothing)
+      .then((results) => {
+        const hasFailed = results.some(result => result.status === 'failed');
+        return allOrNothing && hasFailed ? rollBack(dispatch, reservations, results) : results;
+      })
+      .then((results) => {
+        const getReservations = status => results
+          .filter(result => result.status === status)
+          .map(result => result.reservation);
+        dispatch(finishReservationBatch({
+          rolledBack: getReservations('rolledBack'),
+          skipped: getReservations('skipped'),
+        }));
+        return results;
+      });
+  };
+}
+
+export {
+  finishReservationBatch,
+  startReservationBatch,
+  submitReservationBatch,
+  updateReservationBatchItem,
+};
@@ -1,6 +1,7 @@
 import { CALL_API } from 'redux-api-middleware';
 
 import types from 'constants/ActionTypes';
+import constants from 'constants/AppConstants';
 import schemas from 'store/middleware/Schemas';
 import {
   buildAPIUrl,
@@ -19,14 +20,21 @@ function fetchFavoritedResources(timeAsMoment, source) {
   return fetchResources(params, source);
 }
 
-function fetchResource(id, params = {}) {
+// With skipCache the resource is fetched even if a fresh result is cached, see apiCache.
+function fetchResource(id, params = {}, source, { skipCache = false } = {}) {
   return {
     [CALL_API]: {
       types: [
-        getRequestTypeDescriptor(types.API.RESOURCE_GET_REQUEST),
+        getRequestTypeDescriptor(
+          types.API.RESOURCE_GET_REQUEST,
+          skipCache ? { meta: { skipCache } } : {}
+        ),
         getSuccessTypeDescriptor(
           types.API.RESOURCE_GET_SUCCESS,
-          { schema: schemas.resourceSchema }
+          {
+            meta: { source },
+            schema: schemas.resourceSchema,
+          }
         ),
         getErrorTypeDescriptor(types.API.RESOURCE_GET_ERROR),
       ],
@@ -38,7 +46,7 @@ function fetchResource(id, params = {}) {
 }
 
 function fetchResources(params = {}, source) {
-  const fetchParams = Object.assign({}, params, { pageSize: 100 });
+  const fetchParams = Object.assign({}, params, { pageSize: constants.API_PAGE_SIZE });
 
   return {
     [CALL_API]: {
@@ -48,6 +56,7 @@ function fetchResources(params = {}, source) {
           types.API.RESOURCES_GET_SUCCESS,
           {
             meta: { source },
+            paginated: true,
             schema: schemas.paginatedResourcesSchema,
           }
         ),
@@ -2,6 +2,7 @@ import { createAction } from 'redux-actions';
 import { CALL_API } from 'redux-api-middleware';
 
 import types from 'constants/ActionTypes';
+import constants from 'constants/AppConstants';
 import schemas from 'store/middleware/Schemas';
 import {
   buildAPIUrl,
@@ -24,9 +25,29 @@ function getPiwikActionName(searchParams) {
   return '-empty-search-';
 }
 
-function searchResources(filters = {}) {
-  const params = getFetchParamsFromFilters(filters);
-  const fetchParams = Object.assign({}, params, { pageSize: 100 });
+function fetchSearchSuggestions(search) {
+  const fetchParams = { pageSize: constants.SEARCH_SUGGESTIONS_PER_TYPE, search };
+
+  return {
+    [CALL_API]: {
+      types: [
+        getRequestTypeDescriptor(types.API.SEARCH_SUGGESTIONS_GET_REQUEST),
+        getSuccessTypeDescriptor(
+          types.API.SEARCH_SUGGESTIONS_GET_SUCCESS,
+          { schema: schemas.paginatedResourcesSchema }
+        ),
+        getErrorTypeDescriptor(types.API.SEARCH_SUGGESTIONS_GET_ERROR),
+      ],
+      endpoint: buildAPIUrl('resource', fetchParams),
+      method: 'GET',
+      headers: getHeadersCreator(),
+    },
+  };
+}
+
+function searchResources(filters = {}, purposes) {
+  const params = getFetchParamsFromFilters(filters, purposes);
+  const fetchParams = Object.assign({}, params, { pageSize: constants.API_PAGE_SIZE });
   const piwikActionName = getPiwikActionName(fetchParams);
 
   return {
@@ -49,7 +70,7 @@ function searchResources(filters = {}) {
         ),
         getSuccessTypeDescriptor(
           types.API.SEARCH_RESULTS_GET_SUCCESS,
-          { schema: schemas.paginatedResourcesSchema }
+          { paginated: true, schema: schemas.paginatedResourcesSchema }
         ),
         getErrorTypeDescriptor(types.API.SEARCH_RESULTS_GET_ERROR),
       ],
@@ -62,6 +83,7 @@ function searchResources(filters = {}) {
 
 export {
   clearSearchResults,
+  fetchSearchSuggestions,
   getPiwikActionName,
   searchResources,
 };
@@ -13,6 +13,10 @@ const changeAdminReservationFilters = createAction(types.UI.CHANGE_ADMIN_RESERVA
 
 const changeAdminResourcesPageDate = createAction(types.UI.CHANGE_ADMIN_RESOURCES_PAGE_DATE);
 
+const changeAdminResourcesPageGrouping = createAction(
+  types.UI.CHANGE_ADMIN_RESOURCES_PAGE_GROUPING
+);
+
 const changeSearchFilters = createAction(types.UI.CHANGE_SEARCH_FILTERS);
 
 const clearReservations = createAction(types.UI.CLEAR_RESERVATIONS);
@@ -68,6 +72,8 @@ const selectReservationToShow = createAction(
   types.UI.SELECT_RESERVATION_TO_SHOW
 );
 
+const selectTimeSlots = createAction(types.UI.SELECT_TIME_SLOTS);
+
 const showReservationInfoModal = createAction(types.UI.SHOW_RESERVATION_INFO_MODAL);
 
 const startReservationEditInInfoModal = createAction(types.UI.START_RESERVATION_EDIT_IN_INFO_MODAL);
@@ -81,6 +87,7 @@ export {
   cancelReservationEditInInfoModal,
   changeAdminReservationFilters,
   changeAdminResourcesPageDate,
+  changeAdminResourcesPageGrouping,
   changeSearchFilters,
   clearReservations,
   closeConfirmReservationModal,
@@ -95,6 +102,7 @@ export {
   selectReservationToCancel,
   selectReservationToEdit,
   selectReservationToShow,
+  selectTimeSlots,
   showReservationInfoModal,
   startReservationEditInInfoModal,
   toggleTimeSlot,
@@ -1,6 +1,7 @@
 import { CALL_API } from 'redux-api-middleware';
 
 import types from 'constants/ActionTypes';
+import constants from 'constants/AppConstants';
 import schemas from 'store/middleware/Schemas';
 import {
   buildAPIUrl,
@@ -11,7 +12,7 @@ import {
 } from 'utils/apiUtils';
 
 function fetchUnits() {
-  const fetchParams = { pageSize: 100 };
+  const fetchParams = { pageSize: constants.API_PAGE_SIZE };
 
   return {
     [CALL_API]: {
@@ -19,14 +20,13 @@ function fetchUnits() {
         getRequestTypeDescriptor(types.API.UNITS_GET_REQUEST),
         getSuccessTypeDescriptor(
           types.API.UNITS_GET_SUCCESS,
-          { schema: schemas.paginatedUnitsSchema }
+          { paginated: true, schema: schemas.paginatedUnitsSchema }
         ),
         getErrorTypeDescriptor(types.API.UNITS_GET_ERROR),
       ],
       endpoint: buildAPIUrl('unit', fetchParams),
       method: 'GET',
       headers: getHeadersCreator(),
-      bailout: state => !state.api.shouldFetch.units,
     },
   };
 }
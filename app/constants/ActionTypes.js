@@ -44,6 +44,10 @@ export default {
     SEARCH_RESULTS_GET_REQUEST: 'SEARCH_RESULTS_GET_REQUEST',
     SEARCH_RESULTS_GET_SUCCESS: 'SEARCH_RESULTS_GET_SUCCESS',
 
+    SEARCH_SUGGESTIONS_GET_ERROR: 'SEARCH_SUGGESTIONS_GET_ERROR',
+    SEARCH_SUGGESTIONS_GET_REQUEST: 'SEARCH_SUGGESTIONS_GET_REQUEST',
+    SEARCH_SUGGESTIONS_GET_SUCCESS: 'SEARCH_SUGGESTIONS_GET_SUCCESS',
+
     UNITS_GET_ERROR: 'UNITS_GET_ERROR',
     UNITS_GET_REQUEST: 'UNITS_GET_REQUEST',
     UNITS_GET_SUCCESS: 'UNITS_GET_SUCCESS',
@@ -58,20 +62,25 @@ export default {
     CANCEL_RESERVATION_EDIT_IN_INFO_MODAL: 'CANCEL_RESERVATION_EDIT_IN_INFO_MODAL',
     CHANGE_ADMIN_RESERVATIONS_FILTERS: 'CHANGE_ADMIN_RESERVATIONS_FILTERS',
     CHANGE_ADMIN_RESOURCES_PAGE_DATE: 'CHANGE_ADMIN_RESOURCES_PAGE_DATE',
+    CHANGE_ADMIN_RESOURCES_PAGE_GROUPING: 'CHANGE_ADMIN_RESOURCES_PAGE_GROUPING',
     CHANGE_SEARCH_FILTERS: 'CHANGE_SEARCH_FILTERS',
     CLEAR_RESERVATIONS: 'CLEAR_RESERVATIONS',
     CLEAR_SEARCH_RESULTS: 'CLEAR_SEARCH_RESULTS',
     CLOSE_MODAL: 'CLOSE_MODAL',
     FILTER_ADMIN_RESOURCE_TYPE: 'FILTER_ADMIN_RESOURCE_TYPE',
+    FINISH_RESERVATION_BATCH: 'FINISH_RESERVATION_BATCH',
     HIDE_NOTIFICATION: 'HIDE_NOTIFICATION',
     HIDE_RESERVATION_INFO_MODAL: 'HIDE_RESERVATION_INFO_MODAL',
     OPEN_MODAL: 'OPEN_MODAL',
     SELECT_RESERVATION_TO_CANCEL: 'SELECT_RESERVATION_TO_CANCEL',
     SELECT_RESERVATION_TO_EDIT: 'SELECT_RESERVATION_TO_EDIT',
     SELECT_RESERVATION_TO_SHOW: 'SELECT_RESERVATION_TO_SHOW',
+    SELECT_TIME_SLOTS: 'SELECT_TIME_SLOTS',
     SHOW_RESERVATION_INFO_MODAL: 'SHOW_RESERVATION_INFO_MODAL',
+    START_RESERVATION_BATCH: 'START_RESERVATION_BATCH',
     START_RESERVATION_EDIT_IN_INFO_MODAL: 'START_RESERVATION_EDIT_IN_INFO_MODAL',
     TOGGLE_TIME_SLOT: 'TOGGLE_TIME_SLOT',
     UNFILTER_ADMIN_RESOURCE_TYPE: 'UNFILTER_ADMIN_RESOURCE_TYPE',
+    UPDATE_RESERVATION_BATCH_ITEM: 'UPDATE_RESERVATION_BATCH_ITEM',
   },
 };
@@ -1,5 +1,20 @@
 export default {
+  // The endpoints whose cached GET results are cleared when a request changes the data of an
+  // endpoint, the endpoint itself if it is not listed. See store/middleware/apiCache.js.
+  API_CACHE_INVALIDATIONS: {
+    reservation: ['reservation', 'resource'],
+  },
+  // How long the results of GET requests to these endpoints are reused, in milliseconds.
+  API_CACHE_TTLS: {
+    purpose: 60 * 60 * 1000,
+    resource: 60 * 1000,
+    unit: 60 * 60 * 1000,
+  },
+  // Page size of the paginated API requests, the following pages are fetched automatically.
+  API_PAGE_SIZE: 100,
   API_URL: SETTINGS.API_URL,
+  // How long before its expiry the API token is refreshed, in milliseconds.
+  AUTH_REFRESH_MARGIN: 5 * 60 * 1000,
   CUSTOMIZATIONS: {
     'varaamo.espoo.fi': 'ESPOO',
     'varaamotest-espoo.hel.ninja': 'ESPOO',
@@ -7,12 +22,21 @@ export default {
   DATE_FORMAT: 'YYYY-MM-DD',
   DEFAULT_LOCALE: 'fi',
   FEEDBACK_URL: 'http://www.helmet-kirjasto.fi/varaamo-palaute/',
+  // Served by the server, see server/auth/kiosk.js.
+  KIOSK_RESERVATION_URL: '/kiosk/reservation',
+  // The locale chosen by the user is kept in this cookie for a year, so that the server renders
+  // the pages in it.
+  LOCALE_COOKIE: 'locale',
+  LOCALE_COOKIE_MAX_AGE: 365 * 24 * 60 * 60,
   NOTIFICATION_DEFAULTS: {
     message: '',
     type: 'info',
     timeOut: 5000,
     hidden: false,
   },
+  // The source of the resource requests for the availability of recurring reservations, their
+  // data is kept in the recurringReservations state instead of the data state.
+  RECURRING_RESERVATIONS_AVAILABILITY_SOURCE: 'recurringReservations',
   REQUIRED_API_HEADERS: {
     Accept: 'application/json',
     'Accept-Language': 'fi',
@@ -40,13 +64,36 @@ export default {
       labelTextId: 'common.requested',
     },
   },
+  // Served by the server, see server/calendar.js.
+  RESERVATIONS_CALENDAR_URL: '/my-reservations.ics',
+  // Lengths in minutes of the reservations that can be made right away on the resource display
+  // page, and how often in milliseconds the page fetches the reservations of the resource.
+  RESOURCE_DISPLAY_BOOKING_DURATIONS: [30, 60],
+  RESOURCE_DISPLAY_REFRESH_INTERVAL: 60 * 1000,
+  // The search box suggests matches after this many characters, at most PER_TYPE of each type.
+  SEARCH_SUGGESTIONS_MIN_LENGTH: 2,
+  SEARCH_SUGGESTIONS_PER_TYPE: 5,
   SHOW_TEST_SITE_MESSAGE: SETTINGS.SHOW_TEST_SITE_MESSAGE,
   SUPPORTED_LANGUAGES: ['en', 'fi', 'sv'],
   SUPPORTED_SEARCH_FILTERS: {
     date: '',
+    days: '',
+    distance: '',
+    duration: '',
+    endTime: '',
+    equipment: '',
+    freeOfCharge: '',
+    lat: '',
+    lon: '',
+    maxPrice: '',
+    municipality: '',
     people: '',
     purpose: '',
     search: '',
+    sort: '',
+    startTime: '',
+    unit: '',
+    view: '',
   },
   TIME_FORMAT: 'H:mm',
   TRACKING: SETTINGS.TRACKING,
@@ -11,13 +11,17 @@ const messages = {
   sv: svMessages,
 };
 
-function changeLocale(language) {
+// The locale is kept in the locale cookie unless persist is false, like in embedded pages whose
+// language should not change the language of the main site. Other options are ignored as the
+// language nav passes its select event as the second argument.
+function changeLocale(language, { persist } = {}) {
   const locale = language === 'sv' ? 'se' : language;
   moment.locale(`varaamo-${locale}`);
-  return updateIntl({
+  const action = updateIntl({
     locale,
     messages: messages[language],
   });
+  return persist === false ? { ...action, meta: { persist: false } } : action;
 }
 
 export default changeLocale;
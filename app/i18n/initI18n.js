@@ -3,7 +3,6 @@ import 'moment/locale/fi';
 import 'moment/locale/sv';
 import 'moment-timezone';
 
-import get from 'lodash/get';
 import moment from 'moment';
 import { addLocaleData } from 'react-intl';
 import en from 'react-intl/locale-data/en';
@@ -41,9 +40,8 @@ moment.defineLocale('varaamo-se', {
 
 addLocaleData([...en, ...fi, ...se]);
 
-function initI18n() {
-  const persistedData = JSON.parse(localStorage.getItem('redux-localstorage'));
-  const locale = get(persistedData, 'intl.locale', constants.DEFAULT_LOCALE);
+// The server chooses the locale, see server/render.js, and the client uses the same one.
+function initI18n(locale = constants.DEFAULT_LOCALE) {
   moment.locale(`varaamo-${locale}`);
   const initialIntlState = {
     intl: {
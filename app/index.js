@@ -16,7 +16,7 @@ import getRoutes from './routes';
 
 const initialStoreState = createStore(rootReducer, {}).getState();
 const initialServerState = window.INITIAL_STATE;
-const initialIntlState = initI18n();
+const initialIntlState = initI18n(initialServerState.intl.locale);
 const finalState = Immutable(initialStoreState).merge(
   [initialServerState, initialIntlState], { deep: true }
 );
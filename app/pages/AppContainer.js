@@ -1,3 +1,4 @@
+import some from 'lodash/some';
 import React, { Component, PropTypes } from 'react';
 import Grid from 'react-bootstrap/lib/Grid';
 import DocumentTitle from 'react-document-title';
@@ -37,6 +38,19 @@ export class UnconnectedAppContainer extends Component {
   }
 
   render() {
+    // Routes marked as fullscreen, like the door displays of resources, have no navigation.
+    if (some(this.props.routes, 'fullscreen')) {
+      return (
+        <DocumentTitle title="Varaamo">
+          <div className={`app app-fullscreen ${getCustomizationClassName()}`}>
+            <Favicon />
+            <Notifications />
+            {this.props.children}
+          </div>
+        </DocumentTitle>
+      );
+    }
+
     return (
       <DocumentTitle title="Varaamo">
         <div className={`app ${getCustomizationClassName()}`}>
@@ -60,6 +74,7 @@ UnconnectedAppContainer.propTypes = {
   children: PropTypes.node,
   fetchUser: PropTypes.func.isRequired,
   location: PropTypes.object.isRequired,
+  routes: PropTypes.array,
   userId: PropTypes.string,
 };
 
@@ -50,6 +50,21 @@ describe('pages/AppContainer', () => {
     it('renders a Footer component', () => {
       expect(getWrapper().find(Footer)).to.have.length(1);
     });
+
+    describe('when the route is fullscreen', () => {
+      const routes = [{ path: '/' }, { fullscreen: true, path: '/resources/:id/display' }];
+      const fullscreenWrapper = getWrapper({ routes });
+
+      it('renders props.children and Notifications', () => {
+        expect(fullscreenWrapper.find('#child-div')).to.have.length(1);
+        expect(fullscreenWrapper.find(Notifications)).to.have.length(1);
+      });
+
+      it('does not render Navbar or Footer', () => {
+        expect(fullscreenWrapper.find(Navbar)).to.have.length(0);
+        expect(fullscreenWrapper.find(Footer)).to.have.length(0);
+      });
+    });
   });
 
   describe('componentDidMount', () => {
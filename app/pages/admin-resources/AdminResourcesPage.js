@@ -1,36 +1,57 @@
+import upperFirst from 'lodash/upperFirst';
 import moment from 'moment';
 import React, { Component, PropTypes } from 'react';
+import ControlLabel from 'react-bootstrap/lib/ControlLabel';
+import FormControl from 'react-bootstrap/lib/FormControl';
+import FormGroup from 'react-bootstrap/lib/FormGroup';
 import Loader from 'react-loader';
 import { connect } from 'react-redux';
 import { bindActionCreators } from 'redux';
 
+import { addNotification } from 'actions/notificationsActions';
+import { putReservation } from 'actions/reservationActions';
 import { fetchFavoritedResources } from 'actions/resourceActions';
 import {
   changeAdminResourcesPageDate,
+  changeAdminResourcesPageGrouping,
   filterAdminResourceType,
   openConfirmReservationModal,
   unfilterAdminResourceType,
 } from 'actions/uiActions';
+import { fetchUnits } from 'actions/unitActions';
 import { injectT } from 'i18n';
 import PageWrapper from 'pages/PageWrapper';
 import AvailabilityView from 'shared/availability-view';
+import timelineUtils from 'shared/availability-view/TimelineGroups/TimelineGroup/utils';
 import ResourceTypeFilter from 'shared/resource-type-filter';
 import ReservationSuccessModal from 'shared/modals/reservation-success';
 import ReservationConfirmationContainer from 'shared/reservation-confirmation';
 import recurringReservations from 'state/recurringReservations';
+import resourceGroups from 'state/resourceGroups';
+import { getMissingValues } from 'utils/reservationUtils';
 import adminResourcesPageSelector from './adminResourcesPageSelector';
+import ReservationChangeModal from './ReservationChangeModal';
+import ResourceGroupForm from './ResourceGroupForm';
+
+const groupings = ['none', 'unit', 'type', 'custom'];
 
 class UnconnectedAdminResourcesPage extends Component {
   constructor(props) {
     super(props);
-    this.state = { selection: null };
+    this.state = { reservationChange: null, selection: null };
     this.fetchResources = this.fetchResources.bind(this);
+    this.handleResourceGroupDelete = this.handleResourceGroupDelete.bind(this);
+    this.handleResourceGroupSave = this.handleResourceGroupSave.bind(this);
+    this.handleReservationChange = this.handleReservationChange.bind(this);
+    this.handleReservationChangeCancel = this.handleReservationChangeCancel.bind(this);
+    this.handleReservationChangeConfirm = this.handleReservationChangeConfirm.bind(this);
     this.handleSelect = this.handleSelect.bind(this);
   }
 
   componentDidMount() {
     const interval = 10 * 60 * 1000;
     this.fetchResources();
+    this.props.actions.fetchUnits();
     this.updateResourcesTimer = window.setInterval(this.fetchResources, interval);
   }
 
@@ -49,6 +70,47 @@ class UnconnectedAdminResourcesPage extends Component {
     this.props.actions.fetchFavoritedResources(moment(date), 'adminResourcesPage');
   }
 
+  handleResourceGroupDelete(id) {
+    const { actions, userId } = this.props;
+    actions.deleteResourceGroup({ id, userId });
+  }
+
+  handleResourceGroupSave({ name, resources }) {
+    const { actions, userId } = this.props;
+    actions.saveResourceGroup({ name, resources, userId });
+  }
+
+  handleReservationChange(change) {
+    const resource = this.props.resourcesById[change.resourceId];
+    const conflict = timelineUtils.getReservationChangeConflict(
+      change.reservation, change, resource
+    );
+    if (conflict) {
+      this.props.actions.addNotification({
+        messageId: `AdminResourcesPage.reservationChange${upperFirst(conflict)}`,
+        type: 'error',
+        timeOut: 10000,
+      });
+    } else {
+      this.setState({ reservationChange: change });
+    }
+  }
+
+  handleReservationChangeCancel() {
+    this.setState({ reservationChange: null });
+  }
+
+  handleReservationChangeConfirm() {
+    const { begin, end, reservation, resourceId } = this.state.reservationChange;
+    this.props.actions.putReservation(Object.assign(
+      {},
+      reservation,
+      getMissingValues(reservation),
+      { begin, end, resource: resourceId }
+    ));
+    this.setState({ reservationChange: null });
+  }
+
   handleSelect(selection) {
     this.setState({ selection });
     this.props.actions.changeRecurringBaseTime(selection);
@@ -57,10 +119,14 @@ class UnconnectedAdminResourcesPage extends Component {
 
   render() {
     const {
+      actions,
       filteredResourceTypes,
+      groups,
+      grouping,
       isAdmin,
       isFetchingResources,
       resources,
+      resourcesById,
       t,
       resourceTypes,
     } = this.props;
@@ -76,10 +142,34 @@ class UnconnectedAdminResourcesPage extends Component {
                 onUnfilterResourceType={this.props.actions.unfilterAdminResourceType}
                 resourceTypes={resourceTypes}
               />
+              <FormGroup className="resource-grouping" controlId="resource-grouping">
+                <ControlLabel>{t('AdminResourcesPage.groupingLabel')}</ControlLabel>
+                <FormControl
+                  componentClass="select"
+                  name="resource-grouping"
+                  onChange={event => actions.changeAdminResourcesPageGrouping(event.target.value)}
+                  value={grouping}
+                >
+                  {groupings.map(option => (
+                    <option key={option} value={option}>
+                      {t(`AdminResourcesPage.grouping.${option}`)}
+                    </option>
+                  ))}
+                </FormControl>
+              </FormGroup>
+              {grouping === 'custom' && (
+                <ResourceGroupForm
+                  groups={this.props.resourceGroups}
+                  onDelete={this.handleResourceGroupDelete}
+                  onSave={this.handleResourceGroupSave}
+                  resources={resources.map(id => resourcesById[id])}
+                />
+              )}
               <AvailabilityView
                 date={this.props.date}
-                groups={[{ name: '', resources }]}
+                groups={groups}
                 onDateChange={this.props.actions.changeAdminResourcesPageDate}
+                onReservationChange={this.handleReservationChange}
                 onSelect={this.handleSelect}
               />
             </div>
@@ -98,6 +188,12 @@ class UnconnectedAdminResourcesPage extends Component {
               resource: this.state.selection.resourceId,
             }]}
           />}
+        <ReservationChangeModal
+          change={this.state.reservationChange}
+          onCancel={this.handleReservationChangeCancel}
+          onConfirm={this.handleReservationChangeConfirm}
+          resources={resourcesById}
+        />
         <ReservationSuccessModal />
       </PageWrapper>
     );
@@ -108,23 +204,34 @@ UnconnectedAdminResourcesPage.propTypes = {
   actions: PropTypes.object.isRequired,
   date: PropTypes.string.isRequired,
   filteredResourceTypes: PropTypes.arrayOf(PropTypes.string).isRequired,
+  groups: PropTypes.array.isRequired,
+  grouping: PropTypes.string.isRequired,
   isAdmin: PropTypes.bool.isRequired,
   isFetchingResources: PropTypes.bool.isRequired,
   location: PropTypes.object.isRequired,
+  resourceGroups: PropTypes.array.isRequired,
   resources: PropTypes.array.isRequired,
+  resourcesById: PropTypes.object.isRequired,
   t: PropTypes.func.isRequired,
   resourceTypes: PropTypes.array.isRequired,
+  userId: PropTypes.string,
 };
 
 UnconnectedAdminResourcesPage = injectT(UnconnectedAdminResourcesPage);  // eslint-disable-line
 
 function mapDispatchToProps(dispatch) {
   const actionCreators = {
+    addNotification,
     changeAdminResourcesPageDate,
+    changeAdminResourcesPageGrouping,
     changeRecurringBaseTime: recurringReservations.changeBaseTime,
+    deleteResourceGroup: resourceGroups.deleteResourceGroup,
     fetchFavoritedResources,
+    fetchUnits,
     filterAdminResourceType,
     openConfirmReservationModal,
+    putReservation,
+    saveResourceGroup: resourceGroups.saveResourceGroup,
     unfilterAdminResourceType,
   };
 
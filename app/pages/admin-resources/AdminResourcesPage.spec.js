@@ -1,5 +1,7 @@
 import { expect } from 'chai';
+import mockDate from 'mockdate';
 import React from 'react';
+import FormControl from 'react-bootstrap/lib/FormControl';
 import Loader from 'react-loader';
 import simple from 'simple-mock';
 
@@ -8,30 +10,49 @@ import AvailabilityView from 'shared/availability-view';
 import ResourceTypeFilter from 'shared/resource-type-filter';
 import { shallowWithIntl } from 'utils/testUtils';
 import { UnconnectedAdminResourcesPage as AdminResourcesPage } from './AdminResourcesPage';
+import ReservationChangeModal from './ReservationChangeModal';
+import ResourceGroupForm from './ResourceGroupForm';
 
 describe('pages/admin-resources/AdminResourcesPage', () => {
+  const addNotification = simple.stub();
   const changeAdminResourcesPageDate = simple.stub();
+  const changeAdminResourcesPageGrouping = simple.stub();
+  const deleteResourceGroup = simple.stub();
   const fetchFavoritedResources = simple.stub();
+  const fetchUnits = simple.stub();
   const filterAdminResourceType = simple.stub();
   const openConfirmReservationModal = simple.stub();
+  const putReservation = simple.stub();
+  const saveResourceGroup = simple.stub();
   const unfilterAdminResourceType = simple.stub();
 
   const defaultProps = {
     actions: {
+      addNotification,
       changeAdminResourcesPageDate,
+      changeAdminResourcesPageGrouping,
       changeRecurringBaseTime: () => null,
+      deleteResourceGroup,
       fetchFavoritedResources,
+      fetchUnits,
       filterAdminResourceType,
       openConfirmReservationModal,
+      putReservation,
+      saveResourceGroup,
       unfilterAdminResourceType,
     },
     date: '2017-01-10',
     filteredResourceTypes: [],
+    groups: [],
+    grouping: 'none',
     isAdmin: true,
     isFetchingResources: false,
     location: { id: '123' },
+    resourceGroups: [],
     resources: [],
+    resourcesById: {},
     resourceTypes: ['a', 'b', 'c'],
+    userId: 'u-1',
   };
 
   function getWrapper(extraProps = {}) {
@@ -93,16 +114,66 @@ describe('pages/admin-resources/AdminResourcesPage', () => {
       });
 
       it('renders AvailabilityView with correct props', () => {
-        const resources = [{ foo: 'bar' }];
-        const wrapper = getIsAdminWrapper({ resources });
+        const groups = [{ freeHours: 2, name: '', resources: ['r-1'] }];
+        const wrapper = getIsAdminWrapper({ groups });
         const view = wrapper.find(AvailabilityView);
         expect(view).to.have.length(1);
-        expect(view.prop('groups')).to.deep.equal([
-          { name: '', resources },
-        ]);
+        expect(view.prop('groups')).to.equal(groups);
         expect(view.prop('date')).to.deep.equal('2017-01-10');
         expect(view.prop('onDateChange')).to.equal(changeAdminResourcesPageDate);
         expect(view.prop('onSelect')).to.equal(wrapper.instance().handleSelect);
+        expect(view.prop('onReservationChange')).to.equal(
+          wrapper.instance().handleReservationChange
+        );
+      });
+
+      describe('grouping', () => {
+        it('renders a select for the grouping', () => {
+          changeAdminResourcesPageGrouping.reset();
+          const select = getIsAdminWrapper({ grouping: 'unit' }).find(FormControl);
+          expect(select.prop('value')).to.equal('unit');
+          expect(select.find('option').map(option => option.prop('value'))).to.deep.equal(
+            ['none', 'unit', 'type', 'custom']
+          );
+          select.simulate('change', { target: { value: 'custom' } });
+          expect(changeAdminResourcesPageGrouping.lastCall.args).to.deep.equal(['custom']);
+        });
+
+        it('does not render ResourceGroupForm by default', () => {
+          expect(getIsAdminWrapper().find(ResourceGroupForm)).to.have.length(0);
+        });
+
+        it('renders ResourceGroupForm with custom grouping', () => {
+          const resourceGroups = [{ id: 'a', name: 'A', resources: ['r-1'] }];
+          const resourcesById = { 'r-1': { id: 'r-1', name: 'Hall' } };
+          const wrapper = getIsAdminWrapper({
+            grouping: 'custom',
+            resourceGroups,
+            resources: ['r-1'],
+            resourcesById,
+          });
+          const form = wrapper.find(ResourceGroupForm);
+          expect(form).to.have.length(1);
+          expect(form.prop('groups')).to.equal(resourceGroups);
+          expect(form.prop('resources')).to.deep.equal([resourcesById['r-1']]);
+          expect(form.prop('onDelete')).to.equal(wrapper.instance().handleResourceGroupDelete);
+          expect(form.prop('onSave')).to.equal(wrapper.instance().handleResourceGroupSave);
+        });
+      });
+
+      it('renders ReservationChangeModal with correct props', () => {
+        const resourcesById = { 'r-1': { id: 'r-1' } };
+        const wrapper = getIsAdminWrapper({ resourcesById });
+        const reservationChange = { some: 'data' };
+        wrapper.setState({ reservationChange });
+        const modal = wrapper.find(ReservationChangeModal);
+        expect(modal).to.have.length(1);
+        expect(modal.prop('change')).to.equal(reservationChange);
+        expect(modal.prop('resources')).to.equal(resourcesById);
+        expect(modal.prop('onCancel')).to.equal(wrapper.instance().handleReservationChangeCancel);
+        expect(modal.prop('onConfirm')).to.equal(
+          wrapper.instance().handleReservationChangeConfirm
+        );
       });
 
       it('renders ResourceTypeFilter with correct props', () => {
@@ -129,6 +200,7 @@ describe('pages/admin-resources/AdminResourcesPage', () => {
 
       before(() => {
         fetchFavoritedResources.reset();
+        fetchUnits.reset();
         simple.mock(window, 'setInterval').returnWith(timer);
         instance = getWrapper({ isAdmin }).instance();
         instance.componentDidMount();
@@ -142,6 +214,10 @@ describe('pages/admin-resources/AdminResourcesPage', () => {
         expect(fetchFavoritedResources.callCount).to.equal(1);
       });
 
+      it('fetches units', () => {
+        expect(fetchUnits.callCount).to.equal(1);
+      });
+
       it('fetches date\'s resources', () => {
         const args = fetchFavoritedResources.lastCall.args;
         expect(args[0].format('YYYY-MM-DD')).to.equal('2017-01-10');
@@ -231,7 +307,7 @@ describe('pages/admin-resources/AdminResourcesPage', () => {
       const wrapper = getWrapper();
       const selection = { some: 'data' };
       wrapper.instance().handleSelect(selection);
-      expect(wrapper.state()).to.deep.equal({ selection });
+      expect(wrapper.state()).to.deep.equal({ reservationChange: null, selection });
     });
 
     it('calls changeRecurringBaseTime with correct time', () => {
@@ -255,4 +331,118 @@ describe('pages/admin-resources/AdminResourcesPage', () => {
       expect(openConfirmReservationModal.callCount).to.equal(1);
     });
   });
+
+  describe('custom resource groups', () => {
+    it('saves a group of the user', () => {
+      saveResourceGroup.reset();
+      getWrapper().instance().handleResourceGroupSave({ name: 'A', resources: ['r-1'] });
+      expect(saveResourceGroup.lastCall.args).to.deep.equal([
+        { name: 'A', resources: ['r-1'], userId: 'u-1' },
+      ]);
+    });
+
+    it('deletes a group of the user', () => {
+      deleteResourceGroup.reset();
+      getWrapper().instance().handleResourceGroupDelete('a');
+      expect(deleteResourceGroup.lastCall.args).to.deep.equal([{ id: 'a', userId: 'u-1' }]);
+    });
+  });
+
+  describe('handleReservationChange', () => {
+    const reservation = {
+      begin: '2017-01-10T10:00:00+02:00',
+      end: '2017-01-10T11:00:00+02:00',
+      id: 1,
+    };
+    const change = {
+      begin: '2017-01-10T12:00:00+02:00',
+      end: '2017-01-10T13:00:00+02:00',
+      reservation,
+      resourceId: 'r-2',
+    };
+
+    function getResourcesById(extra = {}) {
+      return {
+        'r-2': {
+          id: 'r-2',
+          openingHours: [{
+            opens: '2017-01-10T08:00:00+02:00',
+            closes: '2017-01-10T20:00:00+02:00',
+          }],
+          reservations: [],
+          ...extra,
+        },
+      };
+    }
+
+    before(() => {
+      mockDate.set('2017-01-10T08:00:00+02:00');
+    });
+
+    beforeEach(() => {
+      addNotification.reset();
+    });
+
+    after(() => {
+      mockDate.reset();
+    });
+
+    it('saves a valid change to state for confirmation', () => {
+      const wrapper = getWrapper({ resourcesById: getResourcesById() });
+      wrapper.instance().handleReservationChange(change);
+      expect(wrapper.state('reservationChange')).to.equal(change);
+      expect(addNotification.callCount).to.equal(0);
+    });
+
+    it('shows an error notification on a conflicting change', () => {
+      const other = { begin: change.begin, end: change.end, id: 2 };
+      const wrapper = getWrapper({ resourcesById: getResourcesById({ reservations: [other] }) });
+      wrapper.instance().handleReservationChange(change);
+      expect(wrapper.state('reservationChange')).to.be.null;
+      expect(addNotification.callCount).to.equal(1);
+      expect(addNotification.lastCall.args[0]).to.deep.equal({
+        messageId: 'AdminResourcesPage.reservationChangeReserved',
+        type: 'error',
+        timeOut: 10000,
+      });
+    });
+  });
+
+  describe('handleReservationChangeCancel', () => {
+    it('clears the change', () => {
+      const wrapper = getWrapper();
+      wrapper.setState({ reservationChange: { some: 'data' } });
+      wrapper.instance().handleReservationChangeCancel();
+      expect(wrapper.state('reservationChange')).to.be.null;
+    });
+  });
+
+  describe('handleReservationChangeConfirm', () => {
+    it('puts the changed reservation and clears the change', () => {
+      putReservation.reset();
+      const reservation = {
+        begin: '2017-01-10T10:00:00+02:00',
+        end: '2017-01-10T11:00:00+02:00',
+        resource: 'r-1',
+        url: 'http://api.hel.fi/reservation/1/',
+      };
+      const wrapper = getWrapper();
+      wrapper.setState({
+        reservationChange: {
+          begin: '2017-01-10T12:00:00+02:00',
+          end: '2017-01-10T13:00:00+02:00',
+          reservation,
+          resourceId: 'r-2',
+        },
+      });
+      wrapper.instance().handleReservationChangeConfirm();
+      expect(putReservation.callCount).to.equal(1);
+      const actual = putReservation.lastCall.args[0];
+      expect(actual.begin).to.equal('2017-01-10T12:00:00+02:00');
+      expect(actual.end).to.equal('2017-01-10T13:00:00+02:00');
+      expect(actual.resource).to.equal('r-2');
+      expect(actual.url).to.equal(reservation.url);
+      expect(wrapper.state('reservationChange')).to.be.null;
+    });
+  });
 });
@@ -0,0 +1,58 @@
+import React, { PropTypes } from 'react';
+import Button from 'react-bootstrap/lib/Button';
+
+import { injectT } from 'i18n';
+import ModalWrapper from 'shared/modals/ModalWrapper';
+import TimeRange from 'shared/time-range';
+
+function ReservationChangeModal({ change, onCancel, onConfirm, resources, t }) {
+  const { begin, end, reservation, resourceId } = change || {};
+  const oldResource = reservation && resources[reservation.resource];
+  const newResource = resources[resourceId];
+  return (
+    <ModalWrapper
+      className="reservation-change-modal"
+      onClose={onCancel}
+      show={Boolean(change)}
+      title={t('ReservationChangeModal.title')}
+    >
+      {change && (
+        <dl>
+          <dt>{t('ReservationChangeModal.before')}</dt>
+          <dd className="reservation-change-before">
+            {oldResource && <div>{oldResource.name}</div>}
+            <TimeRange begin={reservation.begin} end={reservation.end} />
+          </dd>
+          <dt>{t('ReservationChangeModal.after')}</dt>
+          <dd className="reservation-change-after">
+            {newResource && <div>{newResource.name}</div>}
+            <TimeRange begin={begin} end={end} />
+          </dd>
+        </dl>
+      )}
+      <div className="modal-controls">
+        <Button bsStyle="default" onClick={onCancel}>
+          {t('common.back')}
+        </Button>
+        <Button bsStyle="primary" onClick={onConfirm}>
+          {t('common.save')}
+        </Button>
+      </div>
+    </ModalWrapper>
+  );
+}
+
+ReservationChangeModal.propTypes = {
+  change: PropTypes.shape({
+    begin: PropTypes.string.isRequired,
+    end: PropTypes.string.isRequired,
+    reservation: PropTypes.object.isRequired,
+    resourceId: PropTypes.string.isRequired,
+  }),
+  onCancel: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  resources: PropTypes.object.isRequired,
+  t: PropTypes.func.isRequired,
+};
+
+export default injectT(ReservationChangeModal);
@@ -0,0 +1,77 @@
+import { expect } from 'chai';
+import React from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import simple from 'simple-mock';
+
+import ModalWrapper from 'shared/modals/ModalWrapper';
+import TimeRange from 'shared/time-range';
+import Reservation from 'utils/fixtures/Reservation';
+import Resource from 'utils/fixtures/Resource';
+import { shallowWithIntl } from 'utils/testUtils';
+import ReservationChangeModal from './ReservationChangeModal';
+
+describe('pages/admin-resources/ReservationChangeModal', () => {
+  const oldResource = Resource.build({ name: 'Old room' });
+  const newResource = Resource.build({ name: 'New room' });
+  const reservation = Reservation.build({
+    begin: '2017-01-10T10:00:00+02:00',
+    end: '2017-01-10T11:00:00+02:00',
+    resource: oldResource.id,
+  });
+  const change = {
+    begin: '2017-01-10T12:00:00+02:00',
+    end: '2017-01-10T13:30:00+02:00',
+    reservation,
+    resourceId: newResource.id,
+  };
+  const defaultProps = {
+    change,
+    onCancel: simple.stub(),
+    onConfirm: simple.stub(),
+    resources: {
+      [oldResource.id]: oldResource,
+      [newResource.id]: newResource,
+    },
+  };
+
+  function getWrapper(extraProps = {}) {
+    return shallowWithIntl(<ReservationChangeModal {...defaultProps} {...extraProps} />);
+  }
+
+  it('renders ModalWrapper with correct props', () => {
+    const modalWrapper = getWrapper().find(ModalWrapper);
+    expect(modalWrapper).to.have.length(1);
+    expect(modalWrapper.prop('show')).to.be.true;
+    expect(modalWrapper.prop('title')).to.equal('ReservationChangeModal.title');
+    expect(modalWrapper.prop('onClose')).to.equal(defaultProps.onCancel);
+  });
+
+  it('is not shown without a change', () => {
+    const wrapper = getWrapper({ change: null });
+    expect(wrapper.find(ModalWrapper).prop('show')).to.be.false;
+    expect(wrapper.find(TimeRange)).to.have.length(0);
+  });
+
+  it('renders the resource and time before the change', () => {
+    const before = getWrapper().find('.reservation-change-before');
+    expect(before.find('div').text()).to.equal('Old room');
+    expect(before.find(TimeRange).prop('begin')).to.equal(reservation.begin);
+    expect(before.find(TimeRange).prop('end')).to.equal(reservation.end);
+  });
+
+  it('renders the resource and time after the change', () => {
+    const after = getWrapper().find('.reservation-change-after');
+    expect(after.find('div').text()).to.equal('New room');
+    expect(after.find(TimeRange).prop('begin')).to.equal(change.begin);
+    expect(after.find(TimeRange).prop('end')).to.equal(change.end);
+  });
+
+  it('renders cancel and save buttons', () => {
+    const buttons = getWrapper().find(Button);
+    expect(buttons).to.have.length(2);
+    expect(buttons.at(0).prop('onClick')).to.equal(defaultProps.onCancel);
+    expect(buttons.at(0).prop('children')).to.equal('common.back');
+    expect(buttons.at(1).prop('onClick')).to.equal(defaultProps.onConfirm);
+    expect(buttons.at(1).prop('children')).to.equal('common.save');
+  });
+});
@@ -0,0 +1,111 @@
+import includes from 'lodash/includes';
+import some from 'lodash/some';
+import React, { Component, PropTypes } from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import Checkbox from 'react-bootstrap/lib/Checkbox';
+import FormControl from 'react-bootstrap/lib/FormControl';
+import Glyphicon from 'react-bootstrap/lib/Glyphicon';
+
+import { injectT } from 'i18n';
+
+// Lists the custom resource groups of the user and lets them define new ones from the resources.
+class ResourceGroupForm extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { name: '', resources: [] };
+    this.handleSave = this.handleSave.bind(this);
+  }
+
+  handleResourceToggle(id) {
+    const resources = this.state.resources;
+    this.setState({
+      resources: includes(resources, id) ?
+        resources.filter(resource => resource !== id) :
+        [...resources, id],
+    });
+  }
+
+  isValid() {
+    const name = this.state.name.trim();
+    return (
+      Boolean(name) &&
+      this.state.resources.length > 0 &&
+      !some(this.props.groups, group => group.name === name)
+    );
+  }
+
+  handleSave(event) {
+    event.preventDefault();
+    if (!this.isValid()) {
+      return;
+    }
+    this.props.onSave({ name: this.state.name.trim(), resources: this.state.resources });
+    this.setState({ name: '', resources: [] });
+  }
+
+  render() {
+    const { groups, onDelete, resources, t } = this.props;
+
+    return (
+      <div className="resource-group-form">
+        {groups.length > 0 && (
+          <ul className="resource-groups">
+            {groups.map(group => (
+              <li key={group.id}>
+                {group.name}
+                <Button
+                  bsStyle="link"
+                  className="delete-resource-group-button"
+                  onClick={() => onDelete(group.id)}
+                  title={t('ResourceGroupForm.delete')}
+                >
+                  <Glyphicon glyph="remove" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form onSubmit={this.handleSave}>
+          <FormControl
+            name="resource-group-name"
+            onChange={event => this.setState({ name: event.target.value })}
+            placeholder={t('ResourceGroupForm.namePlaceholder')}
+            type="text"
+            value={this.state.name}
+          />
+          <div className="resource-group-resources">
+            {resources.map(resource => (
+              <Checkbox
+                checked={includes(this.state.resources, resource.id)}
+                inline
+                key={resource.id}
+                onChange={() => this.handleResourceToggle(resource.id)}
+              >
+                {resource.name}
+              </Checkbox>
+            ))}
+          </div>
+          <Button bsStyle="primary" disabled={!this.isValid()} type="submit">
+            {t('ResourceGroupForm.save')}
+          </Button>
+        </form>
+      </div>
+    );
+  }
+}
+
+ResourceGroupForm.propTypes = {
+  groups: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+  })).isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  resources: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+  })).isRequired,
+  t: PropTypes.func.isRequired,
+};
+
+export default injectT(ResourceGroupForm);
@@ -0,0 +1,72 @@
+import { expect } from 'chai';
+import React from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import Checkbox from 'react-bootstrap/lib/Checkbox';
+import FormControl from 'react-bootstrap/lib/FormControl';
+import simple from 'simple-mock';
+
+import { shallowWithIntl } from 'utils/testUtils';
+import ResourceGroupForm from './ResourceGroupForm';
+
+describe('pages/admin-resources/ResourceGroupForm', () => {
+  const onDelete = simple.stub();
+  const onSave = simple.stub();
+  const preventDefault = () => null;
+  const defaultProps = {
+    groups: [{ id: 'a', name: 'Sports halls east', resources: ['r-1'] }],
+    onDelete,
+    onSave,
+    resources: [{ id: 'r-1', name: 'Hall' }, { id: 'r-2', name: 'Gym' }],
+  };
+
+  function getWrapper(extraProps) {
+    return shallowWithIntl(<ResourceGroupForm {...defaultProps} {...extraProps} />);
+  }
+
+  function fillForm(wrapper, name, resourceIndexes) {
+    wrapper.find(FormControl).filter({ name: 'resource-group-name' })
+      .simulate('change', { target: { value: name } });
+    resourceIndexes.forEach(index => wrapper.find(Checkbox).at(index).simulate('change'));
+  }
+
+  beforeEach(() => {
+    onDelete.reset();
+    onSave.reset();
+  });
+
+  it('renders the groups with delete buttons', () => {
+    const wrapper = getWrapper();
+    expect(wrapper.find('.resource-groups li')).to.have.length(1);
+    wrapper.find('.delete-resource-group-button').simulate('click');
+    expect(onDelete.lastCall.args).to.deep.equal(['a']);
+  });
+
+  it('renders a checkbox for each resource', () => {
+    const checkboxes = getWrapper().find(Checkbox);
+    expect(checkboxes).to.have.length(2);
+    expect(checkboxes.at(1).children().text()).to.equal('Gym');
+  });
+
+  it('disables the save button without a name or resources', () => {
+    const wrapper = getWrapper();
+    const saveButton = () => wrapper.find(Button).filter({ type: 'submit' });
+    expect(saveButton().prop('disabled')).to.be.true;
+    fillForm(wrapper, 'Gyms', []);
+    expect(saveButton().prop('disabled')).to.be.true;
+  });
+
+  it('calls onSave with the name and selected resources', () => {
+    const wrapper = getWrapper();
+    fillForm(wrapper, ' Gyms ', [0, 1, 0]);
+    wrapper.find('form').simulate('submit', { preventDefault });
+    expect(onSave.lastCall.args[0]).to.deep.equal({ name: 'Gyms', resources: ['r-2'] });
+    expect(wrapper.state()).to.deep.equal({ name: '', resources: [] });
+  });
+
+  it('does not call onSave with the name of an existing group', () => {
+    const wrapper = getWrapper();
+    fillForm(wrapper, 'Sports halls east', [1]);
+    wrapper.find('form').simulate('submit', { preventDefault });
+    expect(onSave.callCount).to.equal(0);
+  });
+});
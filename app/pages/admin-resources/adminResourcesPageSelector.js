@@ -1,17 +1,24 @@
+import find from 'lodash/find';
 import includes from 'lodash/includes';
+import some from 'lodash/some';
 import sortBy from 'lodash/sortBy';
+import sumBy from 'lodash/sumBy';
 import uniq from 'lodash/uniq';
 import moment from 'moment';
 import { createSelector, createStructuredSelector } from 'reselect';
 
 import ActionTypes from 'constants/ActionTypes';
+import resourceGroups from 'state/resourceGroups';
 import { isAdminSelector } from 'state/selectors/authSelectors';
-import { resourcesSelector } from 'state/selectors/dataSelectors';
+import { resourcesSelector, unitsSelector } from 'state/selectors/dataSelectors';
 import requestIsActiveSelectorFactory from 'state/selectors/factories/requestIsActiveSelectorFactory';
+import { getFreePeriods } from 'utils/resourceUtils';
 
 const dateSelector = state => state.ui.pages.adminResources.date || moment().format('YYYY-MM-DD');
 const resourceIdsSelector = state => state.ui.pages.adminResources.resourceIds;
 const filteredResourceTypesSelector = state => state.ui.pages.adminResources.filteredResourceTypes;
+const groupingSelector = state => state.ui.pages.adminResources.grouping;
+const userIdSelector = state => state.auth.userId;
 
 const adminResourcesSelector = createSelector(
   resourceIdsSelector,
@@ -37,13 +44,88 @@ const filteredAdminResourcesIdsSelector = createSelector(
   resources => sortBy(resources, 'name').map(res => res.id),
 );
 
+// Returns the hours during the day when the resources are open and not reserved.
+function getFreeHours(resources, date) {
+  const begin = moment(date).startOf('day');
+  const end = moment(date).endOf('day');
+  const minutes = sumBy(resources, resource => sumBy(
+    getFreePeriods(resource, begin, end),
+    period => period.end.diff(period.begin, 'minutes')
+  ));
+  return Math.round((minutes / 60) * 10) / 10;
+}
+
+function groupByName(resourceIds, getName) {
+  const groups = [];
+  resourceIds.forEach((id) => {
+    const name = getName(id) || '';
+    const group = find(groups, { name });
+    if (group) {
+      group.resources.push(id);
+    } else {
+      groups.push({ name, resources: [id] });
+    }
+  });
+  return sortBy(groups, 'name');
+}
+
+// Resources in none of the custom groups are shown last in a group without a name.
+function groupByCustomGroups(resourceIds, customGroups) {
+  const groups = customGroups
+    .map(group => ({
+      name: group.name,
+      resources: resourceIds.filter(id => includes(group.resources, id)),
+    }))
+    .filter(group => group.resources.length);
+  const ungrouped = resourceIds.filter(id => (
+    !some(customGroups, group => includes(group.resources, id))
+  ));
+  return ungrouped.length ? [...groups, { name: '', resources: ungrouped }] : groups;
+}
+
+function groupResources(grouping, resourceIds, resources, units, customGroups) {
+  if (grouping === 'unit') {
+    return groupByName(resourceIds, (id) => {
+      const unit = units[resources[id].unit];
+      return unit ? unit.name : resources[id].unit;
+    });
+  }
+  if (grouping === 'type') {
+    return groupByName(resourceIds, id => resources[id].type.name);
+  }
+  if (grouping === 'custom') {
+    return groupByCustomGroups(resourceIds, customGroups);
+  }
+  return [{ name: '', resources: resourceIds }];
+}
+
+const availabilityGroupsSelector = createSelector(
+  groupingSelector,
+  filteredAdminResourcesIdsSelector,
+  resourcesSelector,
+  unitsSelector,
+  resourceGroups.selectResourceGroups,
+  dateSelector,
+  (grouping, resourceIds, resources, units, customGroups, date) => (
+    groupResources(grouping, resourceIds, resources, units, customGroups).map(group => ({
+      ...group,
+      freeHours: getFreeHours(group.resources.map(id => resources[id]), date),
+    }))
+  )
+);
+
 const adminResourcesPageSelector = createStructuredSelector({
   date: dateSelector,
   filteredResourceTypes: filteredResourceTypesSelector,
+  groups: availabilityGroupsSelector,
+  grouping: groupingSelector,
   isAdmin: isAdminSelector,
   isFetchingResources: requestIsActiveSelectorFactory(ActionTypes.API.RESOURCES_GET_REQUEST),
   resources: filteredAdminResourcesIdsSelector,
+  resourceGroups: resourceGroups.selectResourceGroups,
+  resourcesById: resourcesSelector,
   resourceTypes: adminResourceTypesSelector,
+  userId: userIdSelector,
 });
 
 export default adminResourcesPageSelector;
@@ -22,6 +22,18 @@ describe('pages/admin-resources/adminResourcesPageSelector', () => {
     expect(getSelected().resources).to.exist;
   });
 
+  it('returns resourcesById', () => {
+    expect(getSelected().resourcesById).to.exist;
+  });
+
+  it('returns grouping', () => {
+    expect(getSelected().grouping).to.equal('none');
+  });
+
+  it('returns resourceGroups', () => {
+    expect(getSelected().resourceGroups).to.deep.equal([]);
+  });
+
   it('returns filteredResourceTypes', () => {
     expect(getSelected().filteredResourceTypes).to.exist;
   });
@@ -92,4 +104,95 @@ describe('pages/admin-resources/adminResourcesPageSelector', () => {
     expect(selected.filteredResourceTypes).to.deep.equal(['school']);
     expect(selected.resources).to.deep.equal([3]);
   });
+
+  describe('groups', () => {
+    const resource1 = {
+      id: 'r-1',
+      name: { fi: 'Tatooine' },
+      openingHours: [{
+        opens: '2017-02-01T08:00:00+02:00',
+        closes: '2017-02-01T16:00:00+02:00',
+      }],
+      reservations: [{
+        begin: '2017-02-01T10:00:00+02:00',
+        end: '2017-02-01T12:00:00+02:00',
+      }],
+      type: { name: 'school' },
+      unit: 'u-1',
+    };
+    const resource2 = {
+      id: 'r-2',
+      name: { fi: 'Dantooine' },
+      openingHours: [{
+        opens: '2017-02-01T10:00:00+02:00',
+        closes: '2017-02-01T14:30:00+02:00',
+      }],
+      type: { name: 'library' },
+      unit: 'u-2',
+    };
+    const resource3 = {
+      id: 'r-3',
+      name: { fi: 'Alderaan' },
+      openingHours: [],
+      type: { name: 'school' },
+      unit: 'u-1',
+    };
+
+    function getGroups(grouping, extraState = {}) {
+      return getSelected({
+        'data.resources': {
+          [resource1.id]: resource1,
+          [resource2.id]: resource2,
+          [resource3.id]: resource3,
+        },
+        'data.units': {
+          'u-1': { id: 'u-1', name: { fi: 'Kallio' } },
+          'u-2': { id: 'u-2', name: { fi: 'Arabia' } },
+        },
+        'intl.locale': 'fi',
+        'ui.pages.adminResources': {
+          date: '2017-02-01',
+          grouping,
+          resourceIds: ['r-1', 'r-2', 'r-3'],
+        },
+        ...extraState,
+      }).groups;
+    }
+
+    it('returns all resources in one group without a name by default', () => {
+      expect(getGroups('none')).to.deep.equal([
+        { freeHours: 10.5, name: '', resources: ['r-3', 'r-2', 'r-1'] },
+      ]);
+    });
+
+    it('groups the resources by unit', () => {
+      expect(getGroups('unit')).to.deep.equal([
+        { freeHours: 4.5, name: 'Arabia', resources: ['r-2'] },
+        { freeHours: 6, name: 'Kallio', resources: ['r-3', 'r-1'] },
+      ]);
+    });
+
+    it('groups the resources by resource type', () => {
+      expect(getGroups('type')).to.deep.equal([
+        { freeHours: 4.5, name: 'library', resources: ['r-2'] },
+        { freeHours: 6, name: 'school', resources: ['r-3', 'r-1'] },
+      ]);
+    });
+
+    it('groups the resources by the custom groups of the user', () => {
+      const groups = getGroups('custom', {
+        auth: { userId: 'u-1' },
+        resourceGroups: {
+          'u-1': [
+            { id: 'a', name: 'Empty', resources: ['r-4'] },
+            { id: 'b', name: 'Sports halls east', resources: ['r-1', 'r-2'] },
+          ],
+        },
+      });
+      expect(groups).to.deep.equal([
+        { freeHours: 10.5, name: 'Sports halls east', resources: ['r-2', 'r-1'] },
+        { freeHours: 0, name: '', resources: ['r-3'] },
+      ]);
+    });
+  });
 });
@@ -2,7 +2,9 @@ import React, { PropTypes } from 'react';
 import Grid from 'react-bootstrap/lib/Grid';
 import DocumentTitle from 'react-document-title';
 
+import { fetchPurposes } from 'actions/purposeActions';
 import { injectT } from 'i18n';
+import SavedSearches from 'shared/saved-searches';
 import HomeIntro from './intro';
 import Partners from './partners';
 import PurposeList from './purpose-list';
@@ -13,6 +15,7 @@ function HomePage({ t }) {
       <div className="home-page">
         <HomeIntro />
         <Grid>
+          <SavedSearches />
           <h3 id="purpose-category-header">{t('Home.purposeHeader')}</h3>
           <PurposeList />
           <Partners />
@@ -26,4 +29,8 @@ HomePage.propTypes = {
   t: PropTypes.func.isRequired,
 };
 
-export default injectT(HomePage);
+const TranslatedHomePage = injectT(HomePage);
+
+TranslatedHomePage.fetchData = ({ dispatch }) => dispatch(fetchPurposes());
+
+export default TranslatedHomePage;
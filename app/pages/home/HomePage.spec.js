@@ -1,7 +1,10 @@
 import { expect } from 'chai';
 import React from 'react';
 import DocumentTitle from 'react-document-title';
+import { CALL_API } from 'redux-api-middleware';
+import simple from 'simple-mock';
 
+import SavedSearches from 'shared/saved-searches';
 import { shallowWithIntl } from 'utils/testUtils';
 import HomePage from './HomePage';
 import HomeIntro from './intro';
@@ -22,6 +25,10 @@ describe('pages/about/HomePage', () => {
     expect(getWrapper().find(HomeIntro).length).to.equal(1);
   });
 
+  it('renders the saved searches', () => {
+    expect(getWrapper().find(SavedSearches).length).to.equal(1);
+  });
+
   it('renders header for purpose list', () => {
     const header = getWrapper().find('h3');
     expect(header.length).to.equal(1);
@@ -35,4 +42,14 @@ describe('pages/about/HomePage', () => {
   it('renders Partners component', () => {
     expect(getWrapper().find(Partners).length).to.equal(1);
   });
+
+  describe('fetchData', () => {
+    it('dispatches fetchPurposes', () => {
+      const dispatch = simple.mock();
+      HomePage.fetchData({ dispatch });
+
+      expect(dispatch.callCount).to.equal(1);
+      expect(dispatch.lastCall.args[0][CALL_API].endpoint).to.contain('purpose/');
+    });
+  });
 });
@@ -14,21 +14,26 @@ const images = {
   sports: sportsImage,
 };
 
-function renderPurposeListItem(purpose) {
-  return (
-    <PurposeListItem
-      imageUrl={images[purpose.id] || ''}
-      key={purpose.id}
-      linkUrl={getSearchPageUrl({ purpose: purpose.id })}
-      text={purpose.name}
-    />
-  );
+function getSubPurposeLinks(purposes = []) {
+  return purposes.map(purpose => ({
+    id: purpose.id,
+    linkUrl: getSearchPageUrl({ purpose: purpose.id }),
+    text: purpose.name,
+  }));
 }
 
-function PurposeList({ purposes }) {
+function PurposeList({ purposes, subPurposes }) {
   return (
     <div className="purpose-list">
-      {purposes.map(renderPurposeListItem)}
+      {purposes.map(purpose => (
+        <PurposeListItem
+          imageUrl={images[purpose.id] || ''}
+          key={purpose.id}
+          linkUrl={getSearchPageUrl({ purpose: purpose.id })}
+          subPurposeLinks={getSubPurposeLinks(subPurposes[purpose.id])}
+          text={purpose.name}
+        />
+      ))}
     </div>
   );
 }
@@ -40,6 +45,7 @@ const purposePropType = PropTypes.shape({
 
 PurposeList.propTypes = {
   purposes: PropTypes.arrayOf(purposePropType).isRequired,
+  subPurposes: PropTypes.objectOf(PropTypes.arrayOf(purposePropType)).isRequired,
 };
 
 export default PurposeList;
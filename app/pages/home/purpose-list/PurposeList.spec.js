@@ -8,11 +8,14 @@ import PurposeList from './PurposeList';
 import PurposeListItem from './PurposeListItem';
 
 describe('pages/home/purpose-list/PurposeListItem', () => {
+  const purposes = Immutable([
+    Purpose.build({ parent: null }),
+    Purpose.build({ parent: null }),
+  ]);
+  const subPurpose = Purpose.build({ parent: purposes[0].id });
   const defaultProps = {
-    purposes: Immutable([
-      Purpose.build(),
-      Purpose.build(),
-    ]),
+    purposes,
+    subPurposes: { [purposes[0].id]: [subPurpose] },
   };
 
   function getWrapper(extraProps) {
@@ -35,5 +38,15 @@ describe('pages/home/purpose-list/PurposeListItem', () => {
         expect(actualProps.text).to.equal(purpose.name);
       });
     });
+
+    it('passes links to the sub-purposes of the purpose', () => {
+      const purposeListItems = getWrapper().find(PurposeListItem);
+      const subPurposeLinks = purposeListItems.at(0).prop('subPurposeLinks');
+      expect(subPurposeLinks).to.have.length(1);
+      expect(subPurposeLinks[0].id).to.equal(subPurpose.id);
+      expect(subPurposeLinks[0].linkUrl).to.contain(subPurpose.id);
+      expect(subPurposeLinks[0].text).to.equal(subPurpose.name);
+      expect(purposeListItems.at(1).prop('subPurposeLinks')).to.deep.equal([]);
+    });
   });
 });
@@ -13,11 +13,11 @@ export class UnconnectedPurposeListContainer extends Component {
   }
 
   render() {
-    const { isFetchingPurposes, purposes } = this.props;
+    const { isFetchingPurposes, purposes, subPurposes } = this.props;
 
     return (
       <Loader loaded={!isFetchingPurposes}>
-        <PurposeList purposes={purposes} />
+        <PurposeList purposes={purposes} subPurposes={subPurposes} />
       </Loader>
     );
   }
@@ -27,6 +27,7 @@ UnconnectedPurposeListContainer.propTypes = {
   actions: PropTypes.object.isRequired,
   isFetchingPurposes: PropTypes.bool.isRequired,
   purposes: PropTypes.array.isRequired,
+  subPurposes: PropTypes.object.isRequired,
 };
 
 function mapDispatchToProps(dispatch) {
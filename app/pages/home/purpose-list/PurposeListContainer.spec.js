@@ -19,6 +19,7 @@ describe('pages/home/purpose-list/PurposeListContainer', () => {
       Purpose.build(),
       Purpose.build(),
     ]),
+    subPurposes: {},
   };
 
   function getWrapper(extraProps) {
@@ -47,6 +48,7 @@ describe('pages/home/purpose-list/PurposeListContainer', () => {
       const purposeList = getWrapper().find(PurposeList);
       expect(purposeList).to.have.length(1);
       expect(purposeList.props().purposes).to.deep.equal(defaultProps.purposes);
+      expect(purposeList.props().subPurposes).to.deep.equal(defaultProps.subPurposes);
     });
   });
 
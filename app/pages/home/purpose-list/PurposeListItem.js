@@ -1,13 +1,22 @@
 import React, { PropTypes } from 'react';
 import { Link } from 'react-router';
 
-function PurposeListItem({ imageUrl, linkUrl, text }) {
+function PurposeListItem({ imageUrl, linkUrl, subPurposeLinks, text }) {
   return (
     <div className="purpose-list-item">
       <Link to={linkUrl}>
         <img alt={text} src={imageUrl} />
         <p>{text}</p>
       </Link>
+      {subPurposeLinks.length > 0 && (
+        <ul className="sub-purpose-links">
+          {subPurposeLinks.map(subPurposeLink => (
+            <li key={subPurposeLink.id}>
+              <Link to={subPurposeLink.linkUrl}>{subPurposeLink.text}</Link>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
@@ -15,7 +24,16 @@ function PurposeListItem({ imageUrl, linkUrl, text }) {
 PurposeListItem.propTypes = {
   imageUrl: PropTypes.string.isRequired,
   linkUrl: PropTypes.string.isRequired,
+  subPurposeLinks: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    linkUrl: PropTypes.string.isRequired,
+    text: PropTypes.string.isRequired,
+  })),
   text: PropTypes.string.isRequired,
 };
 
+PurposeListItem.defaultProps = {
+  subPurposeLinks: [],
+};
+
 export default PurposeListItem;
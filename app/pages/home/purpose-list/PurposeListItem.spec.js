@@ -45,4 +45,22 @@ describe('pages/home/purpose-list/PurposeListItem', () => {
     const p = getWrapper().find('p');
     expect(p.text()).to.equal(defaultProps.text);
   });
+
+  describe('sub-purpose links', () => {
+    const subPurposeLinks = [
+      { id: 'sub-1', linkUrl: 'sub/url/1', text: 'Sub-purpose 1' },
+      { id: 'sub-2', linkUrl: 'sub/url/2', text: 'Sub-purpose 2' },
+    ];
+
+    it('are not rendered if there are no sub-purposes', () => {
+      expect(getWrapper().find('.sub-purpose-links')).to.have.length(0);
+    });
+
+    it('are rendered for each sub-purpose', () => {
+      const links = getWrapper({ subPurposeLinks }).find('.sub-purpose-links').find(Link);
+      expect(links).to.have.length(2);
+      expect(links.at(1).prop('to')).to.equal('sub/url/2');
+      expect(links.at(1).children().text()).to.equal('Sub-purpose 2');
+    });
+  });
 });
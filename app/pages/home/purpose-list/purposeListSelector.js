@@ -1,3 +1,5 @@
+import groupBy from 'lodash/groupBy';
+import sortBy from 'lodash/sortBy';
 import values from 'lodash/values';
 import { createSelector, createStructuredSelector } from 'reselect';
 
@@ -11,9 +13,19 @@ const purposeArraySelector = createSelector(
     .filter(purpose => purpose.parent === null)
 );
 
+// The purposes under each purpose by the id of the parent purpose.
+const subPurposesSelector = createSelector(
+  purposesSelector,
+  (purposes) => {
+    const subPurposes = values(purposes).filter(purpose => purpose.parent !== null);
+    return groupBy(sortBy(subPurposes, 'name'), 'parent');
+  }
+);
+
 const purposeListSelector = createStructuredSelector({
   isFetchingPurposes: requestIsActiveSelectorFactory(ActionTypes.API.PURPOSES_GET_REQUEST),
   purposes: purposeArraySelector,
+  subPurposes: subPurposesSelector,
 });
 
 export default purposeListSelector;
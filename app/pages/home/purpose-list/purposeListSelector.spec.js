@@ -45,4 +45,21 @@ describe('pages/home/purpose-list/purposeListSelector', () => {
       expect(selected.purposes).to.deep.equal(expected);
     });
   });
+
+  describe('subPurposes', () => {
+    it('returns the purposes with a parent by parent ordered by name', () => {
+      const purposes = {
+        1: { id: 1, name: 'B', parent: 3 },
+        2: { id: 2, name: 'A', parent: 3 },
+        3: { id: 3, name: 'C', parent: null },
+        4: { id: 4, name: 'D', parent: 1 },
+      };
+      const selected = getSelected({ 'data.purposes': purposes });
+      const expected = {
+        1: [purposes[4]],
+        3: [purposes[2], purposes[1]],
+      };
+      expect(selected.subPurposes).to.deep.equal(expected);
+    });
+  });
 });
@@ -0,0 +1,213 @@
+import isEmpty from 'lodash/isEmpty';
+import sortBy from 'lodash/sortBy';
+import moment from 'moment';
+import React, { Component, PropTypes } from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import Loader from 'react-loader';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+
+import constants from 'constants/AppConstants';
+import { postKioskReservation } from 'actions/reservationActions';
+import { fetchResource } from 'actions/resourceActions';
+import PageWrapper from 'pages/PageWrapper';
+import NotFoundPage from 'pages/not-found/NotFoundPage';
+import TimeRange from 'shared/time-range';
+import { injectT } from 'i18n';
+import { getCurrentReservation } from 'utils/reservationUtils';
+import {
+  getAvailabilityDataForNow,
+  getOpenReservations,
+  getReservationConflict,
+} from 'utils/resourceUtils';
+import resourceDisplayPageSelector from './resourceDisplayPageSelector';
+
+const CLOCK_INTERVAL = 10 * 1000;
+
+function getFetchParams() {
+  const start = moment().startOf('day').format();
+  const end = moment().endOf('day').format();
+  return { start, end };
+}
+
+// Reservations made from the display begin at the start of the current time slot.
+function getBookingBegin(resource, now) {
+  const slotMinutes = moment.duration(resource.slotSize || '00:30:00').asMinutes();
+  const minutes = (now.hours() * 60) + now.minutes();
+  return now.clone().startOf('day').add(minutes - (minutes % slotMinutes), 'minutes');
+}
+
+export function getBookableDurations(resource, now = moment()) {
+  const begin = getBookingBegin(resource, now);
+  return constants.RESOURCE_DISPLAY_BOOKING_DURATIONS.filter((minutes) => {
+    const reservation = {
+      begin: begin.format(),
+      end: begin.clone().add(minutes, 'minutes').format(),
+    };
+    return !getReservationConflict(resource, reservation);
+  });
+}
+
+export function getUpcomingReservations(resource, now = moment()) {
+  const reservations = getOpenReservations(resource).filter(reservation => (
+    moment(reservation.begin).isAfter(now) && moment(reservation.begin).isSame(now, 'day')
+  ));
+  return sortBy(reservations, 'begin');
+}
+
+class UnconnectedResourceDisplayPage extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { now: moment() };
+    this.fetchResource = this.fetchResource.bind(this);
+    this.handleBookNow = this.handleBookNow.bind(this);
+    this.tick = this.tick.bind(this);
+  }
+
+  componentDidMount() {
+    this.fetchResource();
+    this.clockTimer = window.setInterval(this.tick, CLOCK_INTERVAL);
+    this.refreshTimer = window.setInterval(
+      this.fetchResource, constants.RESOURCE_DISPLAY_REFRESH_INTERVAL
+    );
+  }
+
+  componentWillUnmount() {
+    window.clearInterval(this.clockTimer);
+    window.clearInterval(this.refreshTimer);
+  }
+
+  // The refreshes skip the cached resource, which would otherwise be shown until it expires.
+  fetchResource() {
+    const { actions, id } = this.props;
+    actions.fetchResource(id, getFetchParams(), undefined, { skipCache: true });
+  }
+
+  tick() {
+    this.setState({ now: moment() });
+  }
+
+  handleBookNow(minutes) {
+    const { actions, resource } = this.props;
+    const begin = getBookingBegin(resource, moment());
+    actions.postKioskReservation({
+      begin: begin.format(),
+      end: begin.clone().add(minutes, 'minutes').format(),
+      resource: resource.id,
+    });
+  }
+
+  renderReservation(reservation) {
+    return (
+      <li key={reservation.begin}>
+        <TimeRange begin={reservation.begin} beginFormat="H:mm" end={reservation.end} />
+        {reservation.eventSubject &&
+          <span className="resource-display-event-subject">{reservation.eventSubject}</span>
+        }
+      </li>
+    );
+  }
+
+  renderBookingButtons() {
+    const { isKiosk, isMakingReservation, resource, t } = this.props;
+    if (!isKiosk) {
+      return null;
+    }
+    const durations = getBookableDurations(resource, this.state.now);
+    if (!durations.length) {
+      return null;
+    }
+    return (
+      <div className="resource-display-booking">
+        {durations.map(minutes => (
+          <Button
+            bsSize="large"
+            bsStyle="primary"
+            disabled={isMakingReservation}
+            key={minutes}
+            onClick={() => this.handleBookNow(minutes)}
+          >
+            {t('ResourceDisplayPage.bookNow', { minutes })}
+          </Button>
+        ))}
+      </div>
+    );
+  }
+
+  render() {
+    const { isFetchingResource, resource, t, unit } = this.props;
+    const { now } = this.state;
+
+    if (isEmpty(resource) && !isFetchingResource) {
+      return <NotFoundPage />;
+    }
+
+    const availability = getAvailabilityDataForNow(resource);
+    const currentReservation = getCurrentReservation(getOpenReservations(resource));
+    const upcomingReservations = getUpcomingReservations(resource, now);
+
+    return (
+      <PageWrapper className="resource-display-page" fluid title={resource.name || ''}>
+        <Loader loaded={!isEmpty(resource)}>
+          <div className="resource-display-header">
+            <h1>{resource.name}</h1>
+            <div className="resource-display-unit">{unit.name}</div>
+            <div className="resource-display-clock">
+              <time dateTime={now.format()}>{now.format(constants.TIME_FORMAT)}</time>
+              <div className="resource-display-date">{now.format('dddd D.M.YYYY')}</div>
+            </div>
+          </div>
+          <div className={`resource-display-status resource-display-status-${availability.bsStyle}`}>
+            {t(`ResourceAvailability.${availability.status}`, availability.values)}
+          </div>
+          {this.renderBookingButtons()}
+          {currentReservation && (
+            <div className="resource-display-current">
+              <h2>{t('ResourceDisplayPage.currentReservation')}</h2>
+              <ul>{this.renderReservation(currentReservation)}</ul>
+            </div>
+          )}
+          <div className="resource-display-upcoming">
+            <h2>{t('ResourceDisplayPage.upcomingReservations')}</h2>
+            {upcomingReservations.length ?
+              <ul>{upcomingReservations.map(this.renderReservation)}</ul>
+              : <p>{t('ResourceDisplayPage.noUpcomingReservations')}</p>
+            }
+          </div>
+        </Loader>
+      </PageWrapper>
+    );
+  }
+}
+
+UnconnectedResourceDisplayPage.propTypes = {
+  actions: PropTypes.object.isRequired,
+  id: PropTypes.string.isRequired,
+  isFetchingResource: PropTypes.bool.isRequired,
+  isKiosk: PropTypes.bool.isRequired,
+  isMakingReservation: PropTypes.bool.isRequired,
+  resource: PropTypes.object.isRequired,
+  t: PropTypes.func.isRequired,
+  unit: PropTypes.object.isRequired,
+};
+UnconnectedResourceDisplayPage = injectT(UnconnectedResourceDisplayPage);  // eslint-disable-line
+
+function mapDispatchToProps(dispatch) {
+  const actionCreators = {
+    fetchResource,
+    postKioskReservation,
+  };
+
+  return { actions: bindActionCreators(actionCreators, dispatch) };
+}
+
+const ResourceDisplayPage = connect(
+  resourceDisplayPageSelector, mapDispatchToProps
+)(UnconnectedResourceDisplayPage);
+
+ResourceDisplayPage.fetchData = ({ dispatch }, { params }) => (
+  dispatch(fetchResource(params.id, getFetchParams()))
+);
+
+export { UnconnectedResourceDisplayPage };
+export default ResourceDisplayPage;
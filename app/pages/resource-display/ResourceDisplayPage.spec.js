@@ -0,0 +1,148 @@
+import { expect } from 'chai';
+import moment from 'moment';
+import React from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import Immutable from 'seamless-immutable';
+import simple from 'simple-mock';
+
+import PageWrapper from 'pages/PageWrapper';
+import NotFoundPage from 'pages/not-found/NotFoundPage';
+import Resource from 'utils/fixtures/Resource';
+import Unit from 'utils/fixtures/Unit';
+import { shallowWithIntl } from 'utils/testUtils';
+import {
+  getBookableDurations,
+  getUpcomingReservations,
+  UnconnectedResourceDisplayPage as ResourceDisplayPage,
+} from './ResourceDisplayPage';
+
+describe('pages/resource-display/ResourceDisplayPage', () => {
+  const now = moment('2016-10-10T10:10:00+03:00');
+  const openingHours = [{
+    opens: '2016-10-10T08:00:00+03:00',
+    closes: '2016-10-10T20:00:00+03:00',
+  }];
+
+  describe('getBookableDurations', () => {
+    it('returns the durations that can be booked from the start of the current slot', () => {
+      const resource = Resource.build({ openingHours, reservations: [], slotSize: '00:30:00' });
+      expect(getBookableDurations(resource, now)).to.deep.equal([30, 60]);
+    });
+
+    it('does not return durations overlapping the next reservation', () => {
+      const reservations = [{
+        begin: '2016-10-10T10:30:00+03:00',
+        end: '2016-10-10T12:00:00+03:00',
+        state: 'confirmed',
+      }];
+      const resource = Resource.build({ openingHours, reservations, slotSize: '00:30:00' });
+      expect(getBookableDurations(resource, now)).to.deep.equal([30]);
+    });
+
+    it('does not return durations continuing after closing time', () => {
+      const closingOpeningHours = [{ ...openingHours[0], closes: '2016-10-10T10:30:00+03:00' }];
+      const resource = Resource.build({ openingHours: closingOpeningHours, reservations: [] });
+      expect(getBookableDurations(resource, now)).to.deep.equal([30]);
+    });
+  });
+
+  describe('getUpcomingReservations', () => {
+    it('returns the open reservations beginning later today in order', () => {
+      const later = { begin: '2016-10-10T16:00:00+03:00', end: '2016-10-10T17:00:00+03:00' };
+      const next = { begin: '2016-10-10T12:00:00+03:00', end: '2016-10-10T13:00:00+03:00' };
+      const reservations = [
+        later,
+        { begin: '2016-10-10T09:00:00+03:00', end: '2016-10-10T11:00:00+03:00' },
+        { ...next, begin: '2016-10-10T14:00:00+03:00', state: 'cancelled' },
+        { begin: '2016-10-11T12:00:00+03:00', end: '2016-10-11T13:00:00+03:00' },
+        next,
+      ];
+      const resource = Resource.build({ reservations });
+      expect(getUpcomingReservations(resource, now)).to.deep.equal([next, later]);
+    });
+  });
+
+  describe('component', () => {
+    const unit = Unit.build();
+    const resource = Resource.build({ reservations: [], unit: unit.id });
+    const defaultProps = {
+      actions: { fetchResource: () => null, postKioskReservation: simple.stub() },
+      id: resource.id,
+      isFetchingResource: false,
+      isKiosk: false,
+      isMakingReservation: false,
+      resource: Immutable(resource),
+      unit: Immutable(unit),
+    };
+
+    function getWrapper(props) {
+      return shallowWithIntl(<ResourceDisplayPage {...defaultProps} {...props} />);
+    }
+
+    it('renders PageWrapper with correct props', () => {
+      const pageWrapper = getWrapper().find(PageWrapper);
+      expect(pageWrapper).to.have.length(1);
+      expect(pageWrapper.prop('className')).to.equal('resource-display-page');
+      expect(pageWrapper.prop('title')).to.equal(resource.name);
+    });
+
+    it('renders NotFoundPage if the resource is not found', () => {
+      expect(getWrapper({ resource: {} }).find(NotFoundPage)).to.have.length(1);
+    });
+
+    it('renders the availability status of the resource', () => {
+      const status = getWrapper().find('.resource-display-status');
+      expect(status.text()).to.equal('ResourceAvailability.closed');
+    });
+
+    it('renders a message if there are no upcoming reservations', () => {
+      const upcoming = getWrapper().find('.resource-display-upcoming p');
+      expect(upcoming.text()).to.equal('ResourceDisplayPage.noUpcomingReservations');
+    });
+
+    describe('booking buttons', () => {
+      const openResource = Resource.build({
+        openingHours: [{
+          opens: moment().startOf('day').format(),
+          closes: moment().add(2, 'hours').format(),
+        }],
+        reservations: [],
+      });
+
+      it('are not rendered unless the display is a kiosk', () => {
+        expect(getWrapper({ resource: openResource }).find(Button)).to.have.length(0);
+      });
+
+      it('post a kiosk reservation', () => {
+        const postKioskReservation = simple.stub();
+        const actions = { ...defaultProps.actions, postKioskReservation };
+        const buttons = getWrapper({ actions, isKiosk: true, resource: openResource })
+          .find(Button);
+        buttons.at(0).simulate('click');
+
+        expect(postKioskReservation.callCount).to.equal(1);
+        const reservation = postKioskReservation.lastCall.arg;
+        expect(reservation.resource).to.equal(openResource.id);
+        expect(moment(reservation.end).diff(reservation.begin, 'minutes')).to.equal(30);
+      });
+    });
+
+    describe('timers', () => {
+      it('fetch the resource when mounted and clear the intervals when unmounted', () => {
+        const fetchResource = simple.stub();
+        const setIntervalMock = simple.mock(window, 'setInterval').returnWith(1);
+        const clearIntervalMock = simple.mock(window, 'clearInterval');
+        const instance = getWrapper({ actions: { fetchResource } }).instance();
+        instance.componentDidMount();
+        instance.componentWillUnmount();
+        simple.restore();
+
+        expect(fetchResource.callCount).to.equal(1);
+        expect(fetchResource.lastCall.args[0]).to.equal(resource.id);
+        expect(fetchResource.lastCall.args[3]).to.deep.equal({ skipCache: true });
+        expect(setIntervalMock.callCount).to.equal(2);
+        expect(clearIntervalMock.callCount).to.equal(2);
+      });
+    });
+  });
+});
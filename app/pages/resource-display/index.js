@@ -0,0 +1,3 @@
+import ResourceDisplayPage from './ResourceDisplayPage';
+
+export default ResourceDisplayPage;
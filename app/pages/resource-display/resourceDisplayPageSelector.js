@@ -0,0 +1,30 @@
+import { createSelector, createStructuredSelector } from 'reselect';
+
+import ActionTypes from 'constants/ActionTypes';
+import { createResourceSelector, unitsSelector } from 'state/selectors/dataSelectors';
+import requestIsActiveSelectorFactory from 'state/selectors/factories/requestIsActiveSelectorFactory';
+
+const resourceIdSelector = (state, props) => props.params.id;
+const resourceSelector = createResourceSelector(resourceIdSelector);
+const unitSelector = createSelector(
+  resourceSelector,
+  unitsSelector,
+  (resource, units) => units[resource.unit] || {}
+);
+// Reservations can be made on a display enabled as a kiosk for its resource by a staff user.
+const isKioskSelector = createSelector(
+  resourceIdSelector,
+  state => state.auth.kioskResourceId,
+  (id, kioskResourceId) => Boolean(kioskResourceId) && kioskResourceId === id
+);
+
+const resourceDisplayPageSelector = createStructuredSelector({
+  id: resourceIdSelector,
+  isFetchingResource: requestIsActiveSelectorFactory(ActionTypes.API.RESOURCE_GET_REQUEST),
+  isKiosk: isKioskSelector,
+  isMakingReservation: requestIsActiveSelectorFactory(ActionTypes.API.RESERVATION_POST_REQUEST),
+  resource: resourceSelector,
+  unit: unitSelector,
+});
+
+export default resourceDisplayPageSelector;
@@ -0,0 +1,57 @@
+import { expect } from 'chai';
+import keyBy from 'lodash/keyBy';
+import Immutable from 'seamless-immutable';
+
+import Resource from 'utils/fixtures/Resource';
+import Unit from 'utils/fixtures/Unit';
+import resourceDisplayPageSelector from './resourceDisplayPageSelector';
+
+function getState(resources = [], units = [], auth = {}) {
+  return {
+    api: Immutable({
+      activeRequests: [],
+    }),
+    auth: Immutable(auth),
+    data: Immutable({
+      resources: keyBy(resources, 'id'),
+      units: keyBy(units, 'id'),
+    }),
+  };
+}
+
+function getProps(id = 'some-id') {
+  return {
+    params: { id },
+  };
+}
+
+describe('pages/resource-display/resourceDisplayPageSelector', () => {
+  it('returns the id in router.params.id', () => {
+    const selected = resourceDisplayPageSelector(getState(), getProps('r-1'));
+    expect(selected.id).to.equal('r-1');
+  });
+
+  it('returns isFetchingResource and isMakingReservation', () => {
+    const selected = resourceDisplayPageSelector(getState(), getProps());
+    expect(selected.isFetchingResource).to.equal(false);
+    expect(selected.isMakingReservation).to.equal(false);
+  });
+
+  it('returns the resource and its unit', () => {
+    const unit = Unit.build();
+    const resource = Resource.build({ unit: unit.id });
+    const selected = resourceDisplayPageSelector(
+      getState([resource], [unit]), getProps(resource.id)
+    );
+
+    expect(selected.resource).to.deep.equal(resource);
+    expect(selected.unit).to.deep.equal(unit);
+  });
+
+  it('returns isKiosk true only if the display is a kiosk of the resource', () => {
+    const state = getState([], [], { kioskResourceId: 'r-1' });
+    expect(resourceDisplayPageSelector(state, getProps('r-1')).isKiosk).to.be.true;
+    expect(resourceDisplayPageSelector(state, getProps('r-2')).isKiosk).to.be.false;
+    expect(resourceDisplayPageSelector(getState(), getProps('r-1')).isKiosk).to.be.false;
+  });
+});
@@ -0,0 +1,146 @@
+import isEmpty from 'lodash/isEmpty';
+import moment from 'moment';
+import React, { Component, PropTypes } from 'react';
+import Loader from 'react-loader';
+import { connect } from 'react-redux';
+import { browserHistory } from 'react-router';
+import { bindActionCreators } from 'redux';
+
+import { fetchResource } from 'actions/resourceActions';
+import PageWrapper from 'pages/PageWrapper';
+import NotFoundPage from 'pages/not-found/NotFoundPage';
+import SingleAvailabilityView from 'shared/availability-view/SingleAvailabilityView';
+import ResourceCalendar from 'shared/resource-calendar';
+import { changeLocale, injectT } from 'i18n';
+import dateSelector from 'state/selectors/dateSelector';
+import { getResourcePageUrl } from 'utils/resourceUtils';
+import resourceEmbedPageSelector from './resourceEmbedPageSelector';
+
+// The calendar shows the availability of the month of the date.
+function getFetchParams(date) {
+  const start = moment(date).startOf('month').format();
+  const end = moment(date).endOf('month').format();
+  return { start, end };
+}
+
+class UnconnectedResourceEmbedPage extends Component {
+  constructor(props) {
+    super(props);
+    this.handleDateChange = this.handleDateChange.bind(this);
+  }
+
+  componentDidMount() {
+    const { actions, date, id, language } = this.props;
+    // The language is changed only in the browser as the locale of moment is global on the server.
+    // It is not persisted so that the embed does not change the language of the main site.
+    if (language) {
+      actions.changeLocale(language, { persist: false });
+    }
+    actions.fetchResource(id, getFetchParams(date));
+  }
+
+  componentWillUpdate(nextProps) {
+    if (!moment(nextProps.date).isSame(this.props.date, 'month')) {
+      nextProps.actions.fetchResource(nextProps.id, getFetchParams(nextProps.date));
+    }
+  }
+
+  // The calendar gives the new date as a Date and the availability view as a date string.
+  handleDateChange(newDate) {
+    const { location } = this.props;
+    const date = typeof newDate === 'string' ? newDate : newDate.toISOString().substring(0, 10);
+    browserHistory.replace({
+      pathname: location.pathname,
+      query: { ...location.query, date },
+    });
+  }
+
+  render() {
+    const {
+      date,
+      id,
+      isFetchingResource,
+      resource,
+      t,
+      theme,
+    } = this.props;
+
+    if (isEmpty(resource) && !isFetchingResource) {
+      return <NotFoundPage />;
+    }
+
+    const style = {};
+    if (theme.background) {
+      style.backgroundColor = theme.background;
+    }
+    if (theme.color) {
+      style.color = theme.color;
+    }
+
+    return (
+      <PageWrapper className="resource-embed-page" fluid title={resource.name || ''}>
+        <Loader loaded={!isEmpty(resource)}>
+          <div className="resource-embed" style={style}>
+            <h1>{resource.name}</h1>
+            <ResourceCalendar
+              onDateChange={this.handleDateChange}
+              resourceId={id}
+              selectedDate={date}
+            />
+            <SingleAvailabilityView
+              date={date}
+              onDateChange={this.handleDateChange}
+              resource={id}
+            />
+            <a
+              className="resource-embed-link"
+              href={getResourcePageUrl(resource, date)}
+              rel="noopener noreferrer"
+              style={theme.color ? { color: theme.color } : undefined}
+              target="_blank"
+            >
+              {t('ResourceEmbedPage.reserveLink')}
+            </a>
+          </div>
+        </Loader>
+      </PageWrapper>
+    );
+  }
+}
+
+UnconnectedResourceEmbedPage.propTypes = {
+  actions: PropTypes.object.isRequired,
+  date: PropTypes.string.isRequired,
+  id: PropTypes.string.isRequired,
+  isFetchingResource: PropTypes.bool.isRequired,
+  language: PropTypes.string,
+  location: PropTypes.object.isRequired,
+  resource: PropTypes.object.isRequired,
+  t: PropTypes.func.isRequired,
+  theme: PropTypes.shape({
+    background: PropTypes.string,
+    color: PropTypes.string,
+  }).isRequired,
+};
+UnconnectedResourceEmbedPage = injectT(UnconnectedResourceEmbedPage);  // eslint-disable-line
+
+function mapDispatchToProps(dispatch) {
+  const actionCreators = {
+    changeLocale,
+    fetchResource,
+  };
+
+  return { actions: bindActionCreators(actionCreators, dispatch) };
+}
+
+const ResourceEmbedPage = connect(
+  resourceEmbedPageSelector, mapDispatchToProps
+)(UnconnectedResourceEmbedPage);
+
+ResourceEmbedPage.fetchData = ({ dispatch }, { location, params }) => {
+  const date = dateSelector(null, { location });
+  return dispatch(fetchResource(params.id, getFetchParams(date)));
+};
+
+export { UnconnectedResourceEmbedPage };
+export default ResourceEmbedPage;
@@ -0,0 +1,125 @@
+import { expect } from 'chai';
+import React from 'react';
+import { browserHistory } from 'react-router';
+import Immutable from 'seamless-immutable';
+import simple from 'simple-mock';
+
+import PageWrapper from 'pages/PageWrapper';
+import NotFoundPage from 'pages/not-found/NotFoundPage';
+import SingleAvailabilityView from 'shared/availability-view/SingleAvailabilityView';
+import ResourceCalendar from 'shared/resource-calendar';
+import Resource from 'utils/fixtures/Resource';
+import { shallowWithIntl } from 'utils/testUtils';
+import { UnconnectedResourceEmbedPage as ResourceEmbedPage } from './ResourceEmbedPage';
+
+describe('pages/resource-embed/ResourceEmbedPage', () => {
+  const resource = Resource.build();
+  const defaultProps = {
+    actions: { changeLocale: simple.stub(), fetchResource: simple.stub() },
+    date: '2016-10-10',
+    id: resource.id,
+    isFetchingResource: false,
+    language: null,
+    location: { pathname: `/resources/${resource.id}/embed`, query: { lang: 'en' } },
+    resource: Immutable(resource),
+    theme: { background: null, color: null },
+  };
+
+  function getWrapper(props) {
+    return shallowWithIntl(<ResourceEmbedPage {...defaultProps} {...props} />);
+  }
+
+  describe('render', () => {
+    it('renders PageWrapper with correct props', () => {
+      const pageWrapper = getWrapper().find(PageWrapper);
+      expect(pageWrapper).to.have.length(1);
+      expect(pageWrapper.prop('className')).to.equal('resource-embed-page');
+      expect(pageWrapper.prop('title')).to.equal(resource.name);
+    });
+
+    it('renders NotFoundPage if the resource is not found', () => {
+      expect(getWrapper({ resource: {} }).find(NotFoundPage)).to.have.length(1);
+    });
+
+    it('renders ResourceCalendar with correct props', () => {
+      const calendar = getWrapper().find(ResourceCalendar);
+      expect(calendar).to.have.length(1);
+      expect(calendar.prop('resourceId')).to.equal(resource.id);
+      expect(calendar.prop('selectedDate')).to.equal(defaultProps.date);
+    });
+
+    it('renders SingleAvailabilityView without slot selection', () => {
+      const view = getWrapper().find(SingleAvailabilityView);
+      expect(view).to.have.length(1);
+      expect(view.prop('date')).to.equal(defaultProps.date);
+      expect(view.prop('resource')).to.equal(resource.id);
+      expect(view.prop('onReservationSlotClick')).to.be.undefined;
+    });
+
+    it('renders a link to the resource page opening in a new window', () => {
+      const link = getWrapper().find('.resource-embed-link');
+      expect(link.prop('href')).to.equal(`/resources/${resource.id}?date=2016-10-10`);
+      expect(link.prop('target')).to.equal('_blank');
+    });
+
+    it('uses the colors of the theme', () => {
+      const theme = { background: '#000', color: '#fff' };
+      const embed = getWrapper({ theme }).find('.resource-embed');
+      expect(embed.prop('style')).to.deep.equal({ backgroundColor: '#000', color: '#fff' });
+    });
+  });
+
+  describe('componentDidMount', () => {
+    beforeEach(() => {
+      defaultProps.actions.changeLocale.reset();
+      defaultProps.actions.fetchResource.reset();
+    });
+
+    it('fetches the resource for the month of the date', () => {
+      getWrapper().instance().componentDidMount();
+      const fetchResource = defaultProps.actions.fetchResource;
+      expect(fetchResource.callCount).to.equal(1);
+      expect(fetchResource.lastCall.args[0]).to.equal(resource.id);
+      expect(fetchResource.lastCall.args[1].start).to.contain('2016-10-01');
+      expect(fetchResource.lastCall.args[1].end).to.contain('2016-10-31');
+    });
+
+    it('changes the language without persisting it if one is given', () => {
+      getWrapper({ language: 'sv' }).instance().componentDidMount();
+      expect(defaultProps.actions.changeLocale.lastCall.args).to.deep.equal([
+        'sv',
+        { persist: false },
+      ]);
+    });
+
+    it('does not change the language if none is given', () => {
+      getWrapper().instance().componentDidMount();
+      expect(defaultProps.actions.changeLocale.callCount).to.equal(0);
+    });
+  });
+
+  describe('handleDateChange', () => {
+    let replaceMock;
+
+    beforeEach(() => {
+      replaceMock = simple.mock(browserHistory, 'replace');
+    });
+
+    afterEach(() => {
+      simple.restore();
+    });
+
+    it('replaces the date in the url keeping the other parameters', () => {
+      getWrapper().instance().handleDateChange('2016-11-12');
+      expect(replaceMock.lastCall.args[0]).to.deep.equal({
+        pathname: defaultProps.location.pathname,
+        query: { date: '2016-11-12', lang: 'en' },
+      });
+    });
+
+    it('accepts the date as a Date', () => {
+      getWrapper().instance().handleDateChange(new Date('2016-11-12T12:00:00Z'));
+      expect(replaceMock.lastCall.args[0].query.date).to.equal('2016-11-12');
+    });
+  });
+});
@@ -0,0 +1,3 @@
+import ResourceEmbedPage from './ResourceEmbedPage';
+
+export default ResourceEmbedPage;
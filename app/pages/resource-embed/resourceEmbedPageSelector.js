@@ -0,0 +1,44 @@
+import includes from 'lodash/includes';
+import { createSelector, createStructuredSelector } from 'reselect';
+
+import ActionTypes from 'constants/ActionTypes';
+import constants from 'constants/AppConstants';
+import { createResourceSelector } from 'state/selectors/dataSelectors';
+import dateSelector from 'state/selectors/dateSelector';
+import requestIsActiveSelectorFactory from 'state/selectors/factories/requestIsActiveSelectorFactory';
+
+// Only hex colors are accepted so that the query cannot inject other styles to the page.
+const COLOR_REGEX = /^[0-9a-f]{3}([0-9a-f]{3})?$/i;
+
+function getColor(value) {
+  return value && COLOR_REGEX.test(value) ? `#${value}` : null;
+}
+
+const querySelector = (state, props) => props.location.query;
+const resourceIdSelector = (state, props) => props.params.id;
+const resourceSelector = createResourceSelector(resourceIdSelector);
+
+const languageSelector = createSelector(
+  querySelector,
+  query => (includes(constants.SUPPORTED_LANGUAGES, query.lang) ? query.lang : null)
+);
+
+// The embedding site can match the colors of the page with the color and background parameters.
+const themeSelector = createSelector(
+  querySelector,
+  query => ({
+    background: getColor(query.background),
+    color: getColor(query.color),
+  })
+);
+
+const resourceEmbedPageSelector = createStructuredSelector({
+  date: dateSelector,
+  id: resourceIdSelector,
+  isFetchingResource: requestIsActiveSelectorFactory(ActionTypes.API.RESOURCE_GET_REQUEST),
+  language: languageSelector,
+  resource: resourceSelector,
+  theme: themeSelector,
+});
+
+export default resourceEmbedPageSelector;
@@ -0,0 +1,64 @@
+import { expect } from 'chai';
+import keyBy from 'lodash/keyBy';
+import Immutable from 'seamless-immutable';
+
+import Resource from 'utils/fixtures/Resource';
+import resourceEmbedPageSelector from './resourceEmbedPageSelector';
+
+function getState(resources = []) {
+  return {
+    api: Immutable({
+      activeRequests: [],
+    }),
+    data: Immutable({
+      resources: keyBy(resources, 'id'),
+    }),
+  };
+}
+
+function getProps(query = {}, id = 'some-id') {
+  return {
+    location: { query },
+    params: { id },
+  };
+}
+
+describe('pages/resource-embed/resourceEmbedPageSelector', () => {
+  it('returns the date in the query', () => {
+    const selected = resourceEmbedPageSelector(getState(), getProps({ date: '2016-10-10' }));
+    expect(selected.date).to.equal('2016-10-10');
+  });
+
+  it('returns the id and the resource', () => {
+    const resource = Resource.build();
+    const selected = resourceEmbedPageSelector(getState([resource]), getProps({}, resource.id));
+    expect(selected.id).to.equal(resource.id);
+    expect(selected.resource).to.deep.equal(resource);
+  });
+
+  it('returns a supported language in the query', () => {
+    expect(resourceEmbedPageSelector(getState(), getProps({ lang: 'sv' })).language)
+      .to.equal('sv');
+  });
+
+  it('returns null as language if the language is not supported', () => {
+    expect(resourceEmbedPageSelector(getState(), getProps({ lang: 'de' })).language)
+      .to.be.null;
+  });
+
+  it('returns the hex colors in the query as the theme', () => {
+    const props = getProps({ background: 'ffffff', color: '0072C6' });
+    expect(resourceEmbedPageSelector(getState(), props).theme).to.deep.equal({
+      background: '#ffffff',
+      color: '#0072C6',
+    });
+  });
+
+  it('ignores colors that are not hex colors', () => {
+    const props = getProps({ background: 'red;display:none', color: '12' });
+    expect(resourceEmbedPageSelector(getState(), props).theme).to.deep.equal({
+      background: null,
+      color: null,
+    });
+  });
+});
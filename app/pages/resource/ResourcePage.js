@@ -10,11 +10,18 @@ import PageWrapper from 'pages/PageWrapper';
 import NotFoundPage from 'pages/not-found/NotFoundPage';
 import ReservationConfirmation from 'shared/reservation-confirmation';
 import { injectT } from 'i18n';
+import dateSelector from 'state/selectors/dateSelector';
 import ReservationCalendar from './reservation-calendar';
 import ReservationInfo from './reservation-info';
 import ResourceInfo from './resource-info';
 import resourcePageSelector from './resourcePageSelector';
 
+function getFetchParams(date) {
+  const start = moment(date).subtract(2, 'M').startOf('month').format();
+  const end = moment(date).add(2, 'M').endOf('month').format();
+  return { start, end };
+}
+
 class UnconnectedResourcePage extends Component {
   constructor(props) {
     super(props);
@@ -33,10 +40,7 @@ class UnconnectedResourcePage extends Component {
 
   fetchResource(date = this.props.date) {
     const { actions, id } = this.props;
-    const start = moment(date).subtract(2, 'M').startOf('month').format();
-    const end = moment(date).add(2, 'M').endOf('month').format();
-
-    actions.fetchResource(id, { start, end });
+    actions.fetchResource(id, getFetchParams(date));
   }
 
   render() {
@@ -107,5 +111,12 @@ function mapDispatchToProps(dispatch) {
   return { actions: bindActionCreators(actionCreators, dispatch) };
 }
 
+const ResourcePage = connect(resourcePageSelector, mapDispatchToProps)(UnconnectedResourcePage);
+
+ResourcePage.fetchData = ({ dispatch }, { location, params }) => {
+  const date = dateSelector(null, { location });
+  return dispatch(fetchResource(params.id, getFetchParams(date)));
+};
+
 export { UnconnectedResourcePage };
-export default connect(resourcePageSelector, mapDispatchToProps)(UnconnectedResourcePage);
+export default ResourcePage;
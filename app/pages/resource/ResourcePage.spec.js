@@ -1,5 +1,6 @@
 import { expect } from 'chai';
 import React from 'react';
+import { CALL_API } from 'redux-api-middleware';
 import Immutable from 'seamless-immutable';
 import simple from 'simple-mock';
 
@@ -7,7 +8,7 @@ import PageWrapper from 'pages/PageWrapper';
 import Resource from 'utils/fixtures/Resource';
 import Unit from 'utils/fixtures/Unit';
 import { shallowWithIntl } from 'utils/testUtils';
-import { UnconnectedResourcePage as ResourcePage } from './ResourcePage';
+import ConnectedResourcePage, { UnconnectedResourcePage as ResourcePage } from './ResourcePage';
 import ReservationInfo from './reservation-info';
 import ResourceInfo from './resource-info';
 
@@ -156,4 +157,18 @@ describe('pages/resource/ResourcePage', () => {
       expect(actualArgs[1].end).to.contain('2016-01-31');
     });
   });
+
+  describe('fetchData', () => {
+    it('dispatches fetchResource for the resource in params and the date in query', () => {
+      const dispatch = simple.mock();
+      const location = { query: { date: '2015-11-11' } };
+      ConnectedResourcePage.fetchData({ dispatch }, { location, params: { id: 'r-1' } });
+      const endpoint = dispatch.lastCall.args[0][CALL_API].endpoint;
+
+      expect(dispatch.callCount).to.equal(1);
+      expect(endpoint).to.contain('resource/r-1/');
+      expect(endpoint).to.contain('start=2015-09-01');
+      expect(endpoint).to.contain('end=2016-01-31');
+    });
+  });
 });
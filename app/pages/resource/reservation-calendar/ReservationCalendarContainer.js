@@ -1,5 +1,7 @@
 import React, { Component, PropTypes } from 'react';
 import { connect } from 'react-redux';
+import Button from 'react-bootstrap/lib/Button';
+import ButtonGroup from 'react-bootstrap/lib/ButtonGroup';
 import Col from 'react-bootstrap/lib/Col';
 import Row from 'react-bootstrap/lib/Row';
 import { browserHistory } from 'react-router';
@@ -10,6 +12,7 @@ import {
   cancelReservationEdit,
   clearReservations,
   openConfirmReservationModal,
+  selectTimeSlots,
   toggleTimeSlot,
 } from 'actions/uiActions';
 import DateHeader from 'shared/date-header';
@@ -25,7 +28,7 @@ import { addToDate, isPastDate } from 'utils/timeUtils';
 import ReservationCalendarControls from './ReservationCalendarControls';
 import reservationCalendarSelector from './reservationCalendarSelector';
 import ReservingRestrictedText from './ReservingRestrictedText';
-import TimeSlots from './time-slots';
+import TimeSlots, { WeekTimeSlots } from './time-slots';
 
 export class UnconnectedReservationCalendarContainer extends Component {
   constructor(props) {
@@ -34,25 +37,51 @@ export class UnconnectedReservationCalendarContainer extends Component {
     this.increaseDate = this.increaseDate.bind(this);
     this.handleEditCancel = this.handleEditCancel.bind(this);
     this.handleReserveButtonClick = this.handleReserveButtonClick.bind(this);
+    this.handleViewChange = this.handleViewChange.bind(this);
     this.onDateChange = this.onDateChange.bind(this);
   }
 
+  componentDidMount() {
+    this.selectLinkedTimeSlots();
+  }
+
+  componentDidUpdate(prevProps) {
+    const { resource, time, timeEnd } = this.props;
+    if (
+      resource.id !== prevProps.resource.id ||
+      time !== prevProps.time ||
+      timeEnd !== prevProps.timeEnd
+    ) {
+      this.selectLinkedTimeSlots();
+    }
+  }
+
   componentWillUnmount() {
     this.props.actions.clearReservations();
   }
 
   onDateChange(newDate) {
-    const { resource } = this.props;
+    const { resource, view } = this.props;
     const day = newDate.toISOString().substring(0, 10);
-    browserHistory.push(getResourcePageUrl(resource, day));
+    browserHistory.push(getResourcePageUrl(resource, day, undefined, undefined, view));
+  }
+
+  // The arrows of the week view step a week at a time.
+  getDateStep() {
+    return this.props.view === 'week' ? 7 : 1;
   }
 
   decreaseDate() {
-    this.onDateChange(new Date(addToDate(this.props.date, -1)));
+    this.onDateChange(new Date(addToDate(this.props.date, -this.getDateStep())));
   }
 
   increaseDate() {
-    this.onDateChange(new Date(addToDate(this.props.date, 1)));
+    this.onDateChange(new Date(addToDate(this.props.date, this.getDateStep())));
+  }
+
+  handleViewChange(view) {
+    const { date, resource } = this.props;
+    browserHistory.push(getResourcePageUrl(resource, date, undefined, undefined, view));
   }
 
   handleEditCancel() {
@@ -70,6 +99,14 @@ export class UnconnectedReservationCalendarContainer extends Component {
     actions.openConfirmReservationModal();
   }
 
+  // Selects the time given in the url, for example by a link to the next available time.
+  selectLinkedTimeSlots() {
+    const { actions, resource, time, timeEnd } = this.props;
+    if (resource.id && time && timeEnd) {
+      actions.selectTimeSlots({ begin: time, end: timeEnd, minPeriod: resource.minPeriod });
+    }
+  }
+
   renderCalendar() {
     return (
       <ResourceCalendar
@@ -80,7 +117,29 @@ export class UnconnectedReservationCalendarContainer extends Component {
     );
   }
 
-  renderTimeSlots() {
+  renderViewButtons() {
+    const { t, view } = this.props;
+    return (
+      <ButtonGroup className="calendar-view-buttons">
+        <Button
+          active={view !== 'week'}
+          className="day-view-button"
+          onClick={() => this.handleViewChange('day')}
+        >
+          {t('ReservationCalendar.dayView')}
+        </Button>
+        <Button
+          active={view === 'week'}
+          className="week-view-button"
+          onClick={() => this.handleViewChange('week')}
+        >
+          {t('ReservationCalendar.weekView')}
+        </Button>
+      </ButtonGroup>
+    );
+  }
+
+  renderDay() {
     const {
       actions,
       date,
@@ -88,7 +147,6 @@ export class UnconnectedReservationCalendarContainer extends Component {
       isEditing,
       isFetchingResource,
       isLoggedIn,
-      isMakingReservations,
       isStaff,
       resource,
       selected,
@@ -100,7 +158,6 @@ export class UnconnectedReservationCalendarContainer extends Component {
 
     const isOpen = Boolean(timeSlots.length);
     const showTimeSlots = isOpen && !reservingIsRestricted(resource, date);
-    const showControls = !isPastDate(date) && showTimeSlots;
     return (
       <div>
         <DateHeader
@@ -118,6 +175,7 @@ export class UnconnectedReservationCalendarContainer extends Component {
             isLoggedIn={isLoggedIn}
             isStaff={isStaff}
             onClick={actions.toggleTimeSlot}
+            onSelect={actions.selectTimeSlots}
             resource={resource}
             selected={selected}
             slots={timeSlots}
@@ -133,6 +191,78 @@ export class UnconnectedReservationCalendarContainer extends Component {
             reservableDaysInAdvance={resource.reservableDaysInAdvance}
           />
         }
+      </div>
+    );
+  }
+
+  renderWeek() {
+    const {
+      actions,
+      isAdmin,
+      isEditing,
+      isFetchingResource,
+      isLoggedIn,
+      isStaff,
+      resource,
+      selected,
+      time,
+      urlHash,
+      weekTimeSlots,
+    } = this.props;
+
+    return (
+      <div>
+        <DateHeader
+          date={weekTimeSlots[0].date}
+          endDate={weekTimeSlots[weekTimeSlots.length - 1].date}
+          onDecreaseDateButtonClick={this.decreaseDate}
+          onIncreaseDateButtonClick={this.increaseDate}
+          scrollTo={urlHash === '#date-header'}
+        />
+        <WeekTimeSlots
+          addNotification={actions.addNotification}
+          days={weekTimeSlots}
+          isAdmin={isAdmin}
+          isEditing={isEditing}
+          isFetching={isFetchingResource}
+          isLoggedIn={isLoggedIn}
+          isStaff={isStaff}
+          onClick={actions.toggleTimeSlot}
+          onSelect={actions.selectTimeSlots}
+          resource={resource}
+          selected={selected}
+          time={time}
+        />
+      </div>
+    );
+  }
+
+  renderTimeSlots() {
+    const {
+      actions,
+      date,
+      isEditing,
+      isLoggedIn,
+      isMakingReservations,
+      resource,
+      selected,
+      timeSlots,
+      view,
+      weekTimeSlots,
+    } = this.props;
+
+    const isWeekView = view === 'week' && weekTimeSlots.length > 0;
+    // The days of the view that can be reserved.
+    const reservableDays = isWeekView ?
+      weekTimeSlots :
+      [{ date, slots: timeSlots }];
+    const showControls = reservableDays.some(day => (
+      day.slots.length && !isPastDate(day.date) && !reservingIsRestricted(resource, day.date)
+    ));
+    return (
+      <div>
+        {this.renderViewButtons()}
+        {isWeekView ? this.renderWeek() : this.renderDay()}
         {showControls &&
           <ReservationCalendarControls
             addNotification={actions.addNotification}
@@ -197,8 +327,11 @@ UnconnectedReservationCalendarContainer.propTypes = {
   selected: PropTypes.array.isRequired,
   t: PropTypes.func.isRequired,
   time: PropTypes.string,
+  timeEnd: PropTypes.string,
   timeSlots: PropTypes.array.isRequired,
   urlHash: PropTypes.string.isRequired,
+  view: PropTypes.oneOf(['day', 'week']).isRequired,
+  weekTimeSlots: PropTypes.array.isRequired,
 };
 UnconnectedReservationCalendarContainer = injectT(UnconnectedReservationCalendarContainer);  // eslint-disable-line
 
@@ -209,6 +342,7 @@ function mapDispatchToProps(dispatch) {
     changeRecurringBaseTime: recurringReservations.changeBaseTime,
     clearReservations,
     openConfirmReservationModal,
+    selectTimeSlots,
     toggleTimeSlot,
   };
 
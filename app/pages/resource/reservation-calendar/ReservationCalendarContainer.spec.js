@@ -20,8 +20,7 @@ import {
 } from './ReservationCalendarContainer';
 import ReservationCalendarControls from './ReservationCalendarControls';
 import ReservingRestrictedText from './ReservingRestrictedText';
-import TimeSlots from './time-slots';
-
+import TimeSlots, { WeekTimeSlots } from './time-slots';
 
 describe('pages/resource/reservation-calendar/ReservationCalendarContainer', () => {
   const actions = {
@@ -30,6 +29,7 @@ describe('pages/resource/reservation-calendar/ReservationCalendarContainer', ()
     changeRecurringBaseTime: () => null,
     clearReservations: simple.stub(),
     openConfirmReservationModal: simple.stub(),
+    selectTimeSlots: simple.stub(),
     toggleTimeSlot: simple.stub(),
   };
   const resource = Resource.build();
@@ -52,6 +52,8 @@ describe('pages/resource/reservation-calendar/ReservationCalendarContainer', ()
       TimeSlot.build(),
     ],
     urlHash: '',
+    view: 'day',
+    weekTimeSlots: [],
   };
   function getWrapper(props) {
     return shallowWithIntl(<ReservationCalendarContainer {...defaultProps} {...props} />);
@@ -220,6 +222,115 @@ describe('pages/resource/reservation-calendar/ReservationCalendarContainer', ()
     });
   });
 
+  describe('week view', () => {
+    const weekTimeSlots = [
+      { date: '2016-12-12', slots: [TimeSlot.build()] },
+      { date: '2016-12-13', slots: [] },
+      { date: '2016-12-14', slots: [] },
+      { date: '2016-12-15', slots: [] },
+      { date: '2016-12-16', slots: [] },
+      { date: '2016-12-17', slots: [] },
+      { date: '2016-12-18', slots: [] },
+    ];
+    const props = { date: '2016-12-14', view: 'week', weekTimeSlots };
+
+    before(() => {
+      MockDate.set('2016-10-10T06:00:00+03:00');
+    });
+
+    after(() => {
+      MockDate.reset();
+    });
+
+    it('renders WeekTimeSlots with the days of the week instead of TimeSlots', () => {
+      const wrapper = getWrapper(props);
+      const weekSlots = wrapper.find(WeekTimeSlots);
+      expect(weekSlots).to.have.length(1);
+      expect(weekSlots.prop('days')).to.deep.equal(weekTimeSlots);
+      expect(weekSlots.prop('onClick')).to.equal(actions.toggleTimeSlot);
+      expect(weekSlots.prop('onSelect')).to.equal(actions.selectTimeSlots);
+      expect(wrapper.find(TimeSlots)).to.have.length(0);
+    });
+
+    it('renders DateHeader with the period of the week', () => {
+      const dateHeader = getWrapper(props).find(DateHeader);
+      expect(dateHeader.prop('date')).to.equal('2016-12-12');
+      expect(dateHeader.prop('endDate')).to.equal('2016-12-18');
+    });
+
+    it('renders ReservationCalendarControls when some day can be reserved', () => {
+      expect(getWrapper(props).find(ReservationCalendarControls)).to.have.length(1);
+    });
+
+    it('marks the active view button', () => {
+      const wrapper = getWrapper(props);
+      expect(wrapper.find('.week-view-button').prop('active')).to.be.true;
+      expect(wrapper.find('.day-view-button').prop('active')).to.be.false;
+    });
+  });
+
+  describe('changing the date and view', () => {
+    let browserHistoryMock;
+
+    beforeEach(() => {
+      browserHistoryMock = simple.mock(browserHistory, 'push');
+    });
+
+    afterEach(() => {
+      simple.restore();
+    });
+
+    it('handleViewChange keeps the date and changes the view', () => {
+      getWrapper().instance().handleViewChange('week');
+      expect(browserHistoryMock.lastCall.args[0])
+        .to.equal(getResourcePageUrl(resource, '2015-10-11', undefined, undefined, 'week'));
+    });
+
+    it('increaseDate steps a day in the day view', () => {
+      getWrapper().instance().increaseDate();
+      expect(browserHistoryMock.lastCall.args[0])
+        .to.equal(getResourcePageUrl(resource, '2015-10-12'));
+    });
+
+    it('increaseDate and decreaseDate step a week in the week view', () => {
+      const instance = getWrapper({ view: 'week' }).instance();
+      instance.increaseDate();
+      expect(browserHistoryMock.lastCall.args[0])
+        .to.equal(getResourcePageUrl(resource, '2015-10-18', undefined, undefined, 'week'));
+      instance.decreaseDate();
+      expect(browserHistoryMock.lastCall.args[0])
+        .to.equal(getResourcePageUrl(resource, '2015-10-04', undefined, undefined, 'week'));
+    });
+  });
+
+  describe('componentDidMount', () => {
+    const time = '2015-10-11T10:00:00.000Z';
+    const timeEnd = '2015-10-11T11:00:00.000Z';
+
+    beforeEach(() => {
+      actions.selectTimeSlots.reset();
+    });
+
+    it('selects the time slots between time and timeEnd', () => {
+      const instance = getWrapper({ time, timeEnd }).instance();
+      instance.componentDidMount();
+
+      expect(actions.selectTimeSlots.callCount).to.equal(1);
+      expect(actions.selectTimeSlots.lastCall.args[0]).to.deep.equal({
+        begin: time,
+        end: timeEnd,
+        minPeriod: resource.minPeriod,
+      });
+    });
+
+    it('does not select time slots if timeEnd is not given', () => {
+      const instance = getWrapper({ time }).instance();
+      instance.componentDidMount();
+
+      expect(actions.selectTimeSlots.callCount).to.equal(0);
+    });
+  });
+
   describe('componentWillUnmount', () => {
     it('calls clearReservations', () => {
       const instance = getWrapper().instance();
@@ -1,8 +1,11 @@
 import filter from 'lodash/filter';
 import isEmpty from 'lodash/isEmpty';
+import range from 'lodash/range';
+import moment from 'moment';
 import { createSelector, createStructuredSelector } from 'reselect';
 
 import ActionTypes from 'constants/ActionTypes';
+import constants from 'constants/AppConstants';
 import {
   createIsStaffSelector,
   isAdminSelector,
@@ -20,45 +23,65 @@ const resourceSelector = createResourceSelector(resourceIdSelector);
 const selectedSelector = state => state.ui.reservations.selected;
 const toEditSelector = state => state.ui.reservations.toEdit;
 const urlHashSelector = (state, props) => props.location.hash;
+const timeEndSelector = (state, props) => props.location.query.end;
+const viewSelector = (state, props) => (props.location.query.view === 'week' ? 'week' : 'day');
 
 const isEditingSelector = createSelector(
   toEditSelector,
   reservationsToEdit => Boolean(reservationsToEdit.length)
 );
 
-const resourceByDate = createSelector(
-  resourceSelector,
-  dateSelector,
-  (resource, selectedDate) => {
-    if (!isEmpty(resource)) {
-      return {
-        ...resource,
-        availableHours: filter(
-          resource.availableHours,
-          range => range.starts.substring(0, 10) === selectedDate
-        ),
-        openingHours: filter(
-          resource.openingHours,
-          ({ date }) => date === selectedDate
-        ),
-        reservations: filter(
-          resource.reservations,
-          ({ begin }) => begin.substring(0, 10) === selectedDate
-        ),
-      };
-    }
+function getResourceOfDate(resource, date) {
+  if (isEmpty(resource)) {
     return resource;
   }
-);
+  return {
+    ...resource,
+    availableHours: filter(
+      resource.availableHours,
+      hours => hours.starts.substring(0, 10) === date
+    ),
+    openingHours: filter(
+      resource.openingHours,
+      openingHours => openingHours.date === date
+    ),
+    reservations: filter(
+      resource.reservations,
+      ({ begin }) => begin.substring(0, 10) === date
+    ),
+  };
+}
+
+function getTimeSlotsOfDate(resource, date, reservationsToEdit) {
+  const resourceOfDate = getResourceOfDate(resource, date);
+  const { closes, opens } = getOpeningHours(resourceOfDate);
+  const period = resource.minPeriod ? resource.minPeriod : undefined;
+  const reservations = getOpenReservations(resourceOfDate);
+  return getTimeSlots(opens, closes, period, reservations, reservationsToEdit);
+}
 
 const timeSlotsSelector = createSelector(
-  resourceByDate,
+  resourceSelector,
+  dateSelector,
   toEditSelector,
-  (resource, reservationsToEdit) => {
-    const { closes, opens } = getOpeningHours(resource);
-    const period = resource.minPeriod ? resource.minPeriod : undefined;
-    const reservations = getOpenReservations(resource);
-    return getTimeSlots(opens, closes, period, reservations, reservationsToEdit);
+  getTimeSlotsOfDate
+);
+
+// The time slots of each day of the week of the date, from Monday to Sunday, in the week view.
+const weekTimeSlotsSelector = createSelector(
+  resourceSelector,
+  dateSelector,
+  toEditSelector,
+  viewSelector,
+  (resource, date, reservationsToEdit, view) => {
+    if (view !== 'week') {
+      return [];
+    }
+    const monday = moment(date).startOf('isoWeek');
+    return range(7).map((index) => {
+      const day = monday.clone().add(index, 'days').format(constants.DATE_FORMAT);
+      return { date: day, slots: getTimeSlotsOfDate(resource, day, reservationsToEdit) };
+    });
   }
 );
 
@@ -73,8 +96,11 @@ const reservationCalendarSelector = createStructuredSelector({
   resource: resourceSelector,
   selected: selectedSelector,
   time: timeSelector,
+  timeEnd: timeEndSelector,
   timeSlots: timeSlotsSelector,
   urlHash: urlHashSelector,
+  view: viewSelector,
+  weekTimeSlots: weekTimeSlotsSelector,
 });
 
 export default reservationCalendarSelector;
@@ -177,6 +177,35 @@ describe('pages/resource/reservation-calendar/reservationCalendarSelector', () =
     });
   });
 
+  describe('view and weekTimeSlots', () => {
+    function getSelected(view) {
+      const props = getProps(resource.id);
+      props.location.query.view = view;
+      return reservationCalendarSelector(getState(resource), props);
+    }
+
+    it('returns the day view by default', () => {
+      const selected = getSelected();
+      expect(selected.view).to.equal('day');
+      expect(selected.weekTimeSlots).to.deep.equal([]);
+    });
+
+    it('returns the time slots of each day of the week in the week view', () => {
+      const selected = getSelected('week');
+      expect(selected.view).to.equal('week');
+      expect(selected.weekTimeSlots.map(day => day.date)).to.deep.equal([
+        '2015-10-05',
+        '2015-10-06',
+        '2015-10-07',
+        '2015-10-08',
+        '2015-10-09',
+        '2015-10-10',
+        '2015-10-11',
+      ]);
+      expect(selected.weekTimeSlots[5].slots).to.deep.equal(selected.timeSlots);
+    });
+  });
+
   it('returns urlHash', () => {
     const state = getState(resource);
     const props = getProps(resource.id);
@@ -37,6 +37,8 @@ class TimeSlot extends Component {
   constructor(props) {
     super(props);
     this.handleRowClick = this.handleRowClick.bind(this);
+    this.handleRowMouseDown = this.handleRowMouseDown.bind(this);
+    this.handleRowMouseEnter = this.handleRowMouseEnter.bind(this);
     this.renderReservationControls = this.renderReservationControls.bind(this);
   }
 
@@ -65,7 +67,7 @@ class TimeSlot extends Component {
     };
   }
 
-  handleRowClick(disabled) {
+  handleRowClick(disabled, event) {
     const {
       addNotification,
       isLoggedIn,
@@ -81,7 +83,21 @@ class TimeSlot extends Component {
         addNotification(notification);
       }
     } else {
-      onClick(slot.asISOString);
+      onClick(slot.asISOString, event);
+    }
+  }
+
+  handleRowMouseDown(disabled, event) {
+    const { onMouseDown, slot } = this.props;
+    if (!disabled && onMouseDown) {
+      onMouseDown(slot, event);
+    }
+  }
+
+  handleRowMouseEnter() {
+    const { onMouseEnter, slot } = this.props;
+    if (onMouseEnter) {
+      onMouseEnter(slot);
     }
   }
 
@@ -115,6 +131,7 @@ class TimeSlot extends Component {
 
   render() {
     const {
+      compact,
       isAdmin,
       isEditing,
       isLoggedIn,
@@ -138,21 +155,50 @@ class TimeSlot extends Component {
       bsStyle: labelBsStyle,
       messageId: labelMessageId,
     } = getLabelData({ isOwnReservation, isPast, slot });
+    const className = classNames({
+      compact,
+      disabled,
+      'is-admin': isAdmin,
+      editing: slot.editing,
+      past: isPast,
+      'own-reservation': isOwnReservation,
+      'reservation-starting': (isAdmin || isOwnReservation) && slot.reservationStarting,
+      'reservation-ending': (isAdmin || isOwnReservation) && slot.reservationEnding,
+      reserved: slot.reserved,
+      selected,
+    });
+
+    // The compact slots of the week view show the status with the row style and its title.
+    if (compact) {
+      return (
+        <tr // eslint-disable-line jsx-a11y/no-static-element-interactions
+          className={className}
+          onClick={event => this.handleRowClick(disabled, event)}
+          onMouseDown={event => this.handleRowMouseDown(disabled, event)}
+          onMouseEnter={this.handleRowMouseEnter}
+          title={t(labelMessageId)}
+        >
+          <td className="checkbox-cell">
+            <Glyphicon glyph={checked ? 'check' : 'unchecked'} />
+          </td>
+          <td className="time-cell">
+            <time dateTime={slot.asISOString}>
+              {slot.asString}
+            </time>
+            {showReservationControls && (isAdmin || isOwnReservation) &&
+              this.renderReservationControls()
+            }
+          </td>
+        </tr>
+      );
+    }
 
     return (
       <tr // eslint-disable-line jsx-a11y/no-static-element-interactions
-        className={classNames({
-          disabled,
-          'is-admin': isAdmin,
-          editing: slot.editing,
-          past: isPast,
-          'own-reservation': isOwnReservation,
-          'reservation-starting': (isAdmin || isOwnReservation) && slot.reservationStarting,
-          'reservation-ending': (isAdmin || isOwnReservation) && slot.reservationEnding,
-          reserved: slot.reserved,
-          selected,
-        })}
-        onClick={() => this.handleRowClick(disabled)}
+        className={className}
+        onClick={event => this.handleRowClick(disabled, event)}
+        onMouseDown={event => this.handleRowMouseDown(disabled, event)}
+        onMouseEnter={this.handleRowMouseEnter}
       >
         <td className="checkbox-cell">
           <Glyphicon glyph={checked ? 'check' : 'unchecked'} />
@@ -193,11 +239,14 @@ class TimeSlot extends Component {
 
 TimeSlot.propTypes = {
   addNotification: PropTypes.func.isRequired,
+  compact: PropTypes.bool,
   isAdmin: PropTypes.bool.isRequired,
   isEditing: PropTypes.bool.isRequired,
   isLoggedIn: PropTypes.bool.isRequired,
   isStaff: PropTypes.bool.isRequired,
   onClick: PropTypes.func.isRequired,
+  onMouseDown: PropTypes.func,
+  onMouseEnter: PropTypes.func,
   resource: PropTypes.object.isRequired,
   scrollTo: PropTypes.bool,
   selected: PropTypes.bool.isRequired,
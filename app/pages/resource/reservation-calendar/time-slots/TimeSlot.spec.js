@@ -120,6 +120,23 @@ describe('pages/resource/reservation-calendar/time-slots/TimeSlot', () => {
         expect(defaultProps.onClick.callCount).to.equal(1);
       });
 
+      it('pressing the mouse on the table row calls props.onMouseDown with the slot', () => {
+        const onMouseDown = simple.stub();
+        const event = { shiftKey: false };
+        getWrapper({ onMouseDown }).find('tr').props().onMouseDown(event);
+
+        expect(onMouseDown.callCount).to.equal(1);
+        expect(onMouseDown.lastCall.args).to.deep.equal([defaultProps.slot, event]);
+      });
+
+      it('moving the mouse over the table row calls props.onMouseEnter with the slot', () => {
+        const onMouseEnter = simple.stub();
+        getWrapper({ onMouseEnter }).find('tr').props().onMouseEnter();
+
+        expect(onMouseEnter.callCount).to.equal(1);
+        expect(onMouseEnter.lastCall.args).to.deep.equal([defaultProps.slot]);
+      });
+
       describe('table cells', () => {
         const tableCells = wrapper.find('td');
 
@@ -192,6 +209,44 @@ describe('pages/resource/reservation-calendar/time-slots/TimeSlot', () => {
 
         expect(label.props().children).to.equal('TimeSlot.reserved');
       });
+
+      it('pressing the mouse on the table row does not call props.onMouseDown', () => {
+        const onMouseDown = simple.stub();
+        getWrapper({ ...extraProps, onMouseDown }).find('tr').props().onMouseDown({});
+
+        expect(onMouseDown.callCount).to.equal(0);
+      });
+    });
+
+    describe('when compact', () => {
+      const extraProps = {
+        compact: true,
+        slot: Immutable(TimeSlotFixture.build({
+          reserved: true,
+          reservation: Reservation.build(),
+        })),
+      };
+      const wrapper = getWrapper(extraProps);
+
+      it('renders the checkbox and time cells', () => {
+        const row = wrapper.find('tr');
+        expect(row.hasClass('compact')).to.be.true;
+        expect(row.find('td')).to.have.length(2);
+        expect(row.find('time').prop('dateTime')).to.equal(extraProps.slot.asISOString);
+      });
+
+      it('shows the status as the title of the row', () => {
+        expect(wrapper.find(Label)).to.have.length(0);
+        expect(wrapper.find('tr').prop('title')).to.equal('TimeSlot.reserved');
+      });
+
+      it('passes the mouse events of the row for selecting ranges', () => {
+        const onMouseEnter = simple.stub();
+        const slot = Immutable(TimeSlotFixture.build());
+        getWrapper({ compact: true, onMouseEnter, slot }).find('tr').props().onMouseEnter();
+
+        expect(onMouseEnter.lastCall.args).to.deep.equal([slot]);
+      });
     });
   });
 });
@@ -1,4 +1,7 @@
+import findIndex from 'lodash/findIndex';
 import includes from 'lodash/includes';
+import last from 'lodash/last';
+import moment from 'moment';
 import React, { Component, PropTypes } from 'react';
 import Table from 'react-bootstrap/lib/Table';
 import Loader from 'react-loader';
@@ -6,35 +9,187 @@ import Loader from 'react-loader';
 import { injectT } from 'i18n';
 import TimeSlot from './TimeSlot';
 
+const MIN_PERIOD_ERROR = 'TimeSlots.selectionMinPeriodError';
+
+// Returns the id of the message explaining why the slots cannot be selected together, or null.
+export function getSelectionError(resource, slots) {
+  const now = moment();
+  if (slots.some(slot => slot.reserved && !slot.editing)) {
+    return 'TimeSlots.selectionReservedError';
+  }
+  if (slots.some(slot => moment(slot.end) < now && !slot.editing)) {
+    return 'TimeSlots.selectionPastError';
+  }
+  const duration = moment(last(slots).end).diff(slots[0].start);
+  if (resource.maxPeriod && duration > moment.duration(resource.maxPeriod).asMilliseconds()) {
+    return 'TimeSlots.selectionMaxPeriodError';
+  }
+  if (resource.minPeriod && duration < moment.duration(resource.minPeriod).asMilliseconds()) {
+    return MIN_PERIOD_ERROR;
+  }
+  return null;
+}
+
 class TimeSlots extends Component {
   constructor(props) {
     super(props);
+    // The slots where the current drag started and where the mouse is, and whether the mouse has
+    // moved to other slots.
+    this.dragStartIndex = null;
+    this.dragEndIndex = null;
+    this.dragged = false;
+    this.shownError = null;
+    this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handleSlotClick = this.handleSlotClick.bind(this);
+    this.handleSlotMouseDown = this.handleSlotMouseDown.bind(this);
+    this.handleSlotMouseEnter = this.handleSlotMouseEnter.bind(this);
     this.renderTimeSlot = this.renderTimeSlot.bind(this);
   }
 
+  componentDidMount() {
+    // The drag ends also when the mouse is released outside of the time slots.
+    window.addEventListener('mouseup', this.handleMouseUp);
+  }
+
+  componentWillUnmount() {
+    window.removeEventListener('mouseup', this.handleMouseUp);
+  }
+
+  getSelectedIndexes() {
+    const { selected, slots } = this.props;
+    const indexes = [];
+    slots.forEach((slot, index) => {
+      if (includes(selected, slot.asISOString)) {
+        indexes.push(index);
+      }
+    });
+    return indexes;
+  }
+
+  getSlotIndex(asISOString) {
+    return findIndex(this.props.slots, slot => slot.asISOString === asISOString);
+  }
+
+  getRange(fromIndex, toIndex) {
+    return this.props.slots.slice(Math.min(fromIndex, toIndex), Math.max(fromIndex, toIndex) + 1);
+  }
+
+  notifyError(messageId) {
+    const { resource, t } = this.props;
+    if (messageId === this.shownError) {
+      return;
+    }
+    this.shownError = messageId;
+    const maxPeriod = moment.duration(resource.maxPeriod).asHours();
+    const minPeriod = moment.duration(resource.minPeriod).asMinutes();
+    this.props.addNotification({
+      message: t(messageId, { maxPeriod, minPeriod }),
+      type: 'info',
+      timeOut: 10000,
+    });
+  }
+
+  // A dragged range may still grow, so it is checked against the min period only when the drag
+  // ends.
+  selectRange(fromIndex, toIndex, isDragging = false) {
+    const { onSelect, resource } = this.props;
+    const range = this.getRange(fromIndex, toIndex);
+    const error = getSelectionError(resource, range);
+    if (error && !(isDragging && error === MIN_PERIOD_ERROR)) {
+      this.notifyError(error);
+      return;
+    }
+    onSelect({ begin: range[0].start, end: last(range).end, minPeriod: resource.minPeriod });
+  }
+
+  handleMouseUp() {
+    if (this.dragStartIndex !== null && this.dragged) {
+      const range = this.getRange(this.dragStartIndex, this.dragEndIndex);
+      if (getSelectionError(this.props.resource, range) === MIN_PERIOD_ERROR) {
+        this.notifyError(MIN_PERIOD_ERROR);
+      }
+    }
+    this.dragStartIndex = null;
+  }
+
+  handleSlotClick(asISOString, event) {
+    // The click ending a drag has already been handled while dragging.
+    if (this.dragged) {
+      this.dragged = false;
+      return;
+    }
+    this.shownError = null;
+    const { onClick, selected } = this.props;
+    const index = this.getSlotIndex(asISOString);
+    const selectedIndexes = this.getSelectedIndexes();
+    if (!selectedIndexes.length || index === -1) {
+      onClick(asISOString);
+      return;
+    }
+    const first = selectedIndexes[0];
+    const lastSelected = last(selectedIndexes);
+    if (event && event.shiftKey) {
+      this.selectRange(index < first ? lastSelected : first, index);
+      return;
+    }
+    // Slots next to the selection extend it, so the extended selection has to be valid.
+    const isNextToSelection = index === first - 1 || index === lastSelected + 1;
+    if (isNextToSelection && !includes(selected, asISOString)) {
+      const range = this.getRange(Math.min(index, first), Math.max(index, lastSelected));
+      const error = getSelectionError(this.props.resource, range);
+      if (error) {
+        this.notifyError(error);
+        return;
+      }
+    }
+    onClick(asISOString);
+  }
+
+  handleSlotMouseDown(slot, event) {
+    if (event && event.shiftKey) {
+      return;
+    }
+    this.dragStartIndex = this.getSlotIndex(slot.asISOString);
+    this.dragEndIndex = this.dragStartIndex;
+    this.dragged = false;
+    this.shownError = null;
+  }
+
+  handleSlotMouseEnter(slot) {
+    if (this.dragStartIndex === null) {
+      return;
+    }
+    this.dragged = true;
+    this.dragEndIndex = this.getSlotIndex(slot.asISOString);
+    this.selectRange(this.dragStartIndex, this.dragEndIndex, true);
+  }
+
   renderTimeSlot(slot) {
     const {
       addNotification,
+      compact,
       isAdmin,
       isEditing,
       isLoggedIn,
       isStaff,
-      onClick,
       resource,
       selected,
       time,
     } = this.props;
-    const scrollTo = time && time === slot.start;
+    const scrollTo = Boolean(time) && time === slot.start;
 
     return (
       <TimeSlot
         addNotification={addNotification}
+        compact={compact}
         isAdmin={isAdmin}
         isEditing={isEditing}
         isLoggedIn={isLoggedIn}
         isStaff={isStaff}
         key={slot.start}
-        onClick={onClick}
+        onClick={this.handleSlotClick}
+        onMouseDown={this.handleSlotMouseDown}
+        onMouseEnter={this.handleSlotMouseEnter}
         resource={resource}
         scrollTo={scrollTo}
         selected={includes(selected, slot.asISOString)}
@@ -45,12 +200,24 @@ class TimeSlots extends Component {
 
   render() {
     const {
+      compact,
       isAdmin,
       isFetching,
       slots,
       t,
     } = this.props;
 
+    // The compact slots of a day of the week view, which shows the loader and the headers itself.
+    if (compact) {
+      return (
+        <Table className="time-slots compact-time-slots">
+          <tbody>
+            {slots.map(this.renderTimeSlot)}
+          </tbody>
+        </Table>
+      );
+    }
+
     return (
       <Loader loaded={!isFetching}>
         <Table
@@ -80,12 +247,14 @@ class TimeSlots extends Component {
 
 TimeSlots.propTypes = {
   addNotification: PropTypes.func.isRequired,
+  compact: PropTypes.bool,
   isAdmin: PropTypes.bool.isRequired,
   isEditing: PropTypes.bool.isRequired,
   isFetching: PropTypes.bool.isRequired,
   isLoggedIn: PropTypes.bool.isRequired,
   isStaff: PropTypes.bool.isRequired,
   onClick: PropTypes.func.isRequired,
+  onSelect: PropTypes.func.isRequired,
   resource: PropTypes.object.isRequired,
   selected: PropTypes.array.isRequired,
   slots: PropTypes.array.isRequired,
@@ -7,7 +7,7 @@ import simple from 'simple-mock';
 import Resource from 'utils/fixtures/Resource';
 import TimeSlot from 'utils/fixtures/TimeSlot';
 import { shallowWithIntl } from 'utils/testUtils';
-import TimeSlots from './TimeSlots';
+import TimeSlots, { getSelectionError } from './TimeSlots';
 import TimeSlotComponent from './TimeSlot';
 
 describe('pages/resource/reservation-calendar/time-slots/TimeSlots', () => {
@@ -23,6 +23,7 @@ describe('pages/resource/reservation-calendar/time-slots/TimeSlots', () => {
     isLoggedIn: true,
     isStaff: false,
     onClick: simple.stub(),
+    onSelect: simple.stub(),
     resource: Resource.build(),
     selected: [defaultSlots[0].asISOString],
     slots: Immutable(defaultSlots),
@@ -99,6 +100,17 @@ describe('pages/resource/reservation-calendar/time-slots/TimeSlots', () => {
     });
   });
 
+  describe('compact', () => {
+    it('renders only the compact time slots', () => {
+      const wrapper = getWrapper({ compact: true });
+      expect(wrapper.find('thead')).to.have.length(0);
+      expect(wrapper.find(Table).prop('className')).to.contain('compact-time-slots');
+      wrapper.find(TimeSlotComponent).forEach((timeSlot) => {
+        expect(timeSlot.prop('compact')).to.be.true;
+      });
+    });
+  });
+
   describe('rendering individual time slots', () => {
     function getTimeSlotsWrapper(props) {
       return getWrapper(props).find(TimeSlotComponent);
@@ -109,14 +121,15 @@ describe('pages/resource/reservation-calendar/time-slots/TimeSlots', () => {
     });
 
     it('passes correct props to TimeSlots', () => {
-      const timeSlots = getTimeSlotsWrapper();
+      const wrapper = getWrapper();
+      const timeSlots = wrapper.find(TimeSlotComponent);
       timeSlots.forEach((timeSlot, index) => {
         expect(timeSlot.props().addNotification).to.equal(defaultProps.addNotification);
         expect(timeSlot.props().isAdmin).to.equal(defaultProps.isAdmin);
         expect(timeSlot.props().isEditing).to.equal(defaultProps.isEditing);
         expect(timeSlot.props().isLoggedIn).to.equal(defaultProps.isLoggedIn);
         expect(timeSlot.props().isStaff).to.equal(defaultProps.isStaff);
-        expect(timeSlot.props().onClick).to.equal(defaultProps.onClick);
+        expect(timeSlot.props().onClick).to.equal(wrapper.instance().handleSlotClick);
         expect(timeSlot.props().resource).to.equal(defaultProps.resource);
         expect(timeSlot.props().slot).to.deep.equal(defaultProps.slots[index]);
       });
@@ -128,4 +141,168 @@ describe('pages/resource/reservation-calendar/time-slots/TimeSlots', () => {
       expect(timeSlots.at(1).props().selected).to.equal(false);
     });
   });
+
+  describe('getSelectionError', () => {
+    const slots = [
+      TimeSlot.build(),
+      TimeSlot.build(),
+      TimeSlot.build(),
+    ];
+
+    it('returns null if the slots can be selected together', () => {
+      expect(getSelectionError(Resource.build(), slots)).to.equal(null);
+    });
+
+    it('returns the reserved error if some slot is reserved', () => {
+      const reservedSlots = [slots[0], { ...slots[1], reserved: true }];
+      expect(getSelectionError(Resource.build(), reservedSlots))
+        .to.equal('TimeSlots.selectionReservedError');
+    });
+
+    it('does not return the reserved error for the slots of the reservation being edited', () => {
+      const editedSlots = [slots[0], { ...slots[1], editing: true, reserved: true }];
+      expect(getSelectionError(Resource.build(), editedSlots)).to.equal(null);
+    });
+
+    it('returns the max period error if the slots are longer than the max period', () => {
+      const resource = Resource.build({ maxPeriod: '02:00:00' });
+      expect(getSelectionError(resource, slots)).to.equal('TimeSlots.selectionMaxPeriodError');
+    });
+
+    it('returns the min period error if the slots are shorter than the min period', () => {
+      const resource = Resource.build({ minPeriod: '04:00:00' });
+      expect(getSelectionError(resource, slots)).to.equal('TimeSlots.selectionMinPeriodError');
+    });
+  });
+
+  describe('range selection', () => {
+    const slots = [
+      TimeSlot.build(),
+      TimeSlot.build(),
+      TimeSlot.build(),
+      TimeSlot.build(),
+    ];
+    const onClick = simple.stub();
+    const onSelect = simple.stub();
+    const addNotification = simple.stub();
+
+    function getInstance(props) {
+      return getWrapper({
+        addNotification,
+        onClick,
+        onSelect,
+        selected: [],
+        slots: Immutable(slots),
+        ...props,
+      }).instance();
+    }
+
+    beforeEach(() => {
+      addNotification.reset();
+      onClick.reset();
+      onSelect.reset();
+    });
+
+    it('selects the range from the selection to the slot on shift-click', () => {
+      const instance = getInstance({ selected: [slots[0].asISOString] });
+      instance.handleSlotClick(slots[2].asISOString, { shiftKey: true });
+
+      expect(onSelect.callCount).to.equal(1);
+      expect(onSelect.lastCall.args[0]).to.deep.equal({
+        begin: slots[0].start,
+        end: slots[2].end,
+        minPeriod: Resource.build().minPeriod,
+      });
+      expect(onClick.callCount).to.equal(0);
+    });
+
+    it('toggles the slot on click without shift', () => {
+      const instance = getInstance({ selected: [slots[0].asISOString] });
+      instance.handleSlotClick(slots[2].asISOString, {});
+
+      expect(onClick.callCount).to.equal(1);
+      expect(onClick.lastCall.args[0]).to.equal(slots[2].asISOString);
+      expect(onSelect.callCount).to.equal(0);
+    });
+
+    it('selects the dragged range while dragging', () => {
+      const instance = getInstance();
+      instance.handleSlotMouseDown(slots[1], {});
+      instance.handleSlotMouseEnter(slots[3]);
+
+      expect(onSelect.callCount).to.equal(1);
+      expect(onSelect.lastCall.args[0].begin).to.equal(slots[1].start);
+      expect(onSelect.lastCall.args[0].end).to.equal(slots[3].end);
+    });
+
+    it('ignores the click ending a drag', () => {
+      const instance = getInstance();
+      instance.handleSlotMouseDown(slots[1], {});
+      instance.handleSlotMouseEnter(slots[2]);
+      instance.handleMouseUp();
+      instance.handleSlotClick(slots[2].asISOString, {});
+
+      expect(onClick.callCount).to.equal(0);
+    });
+
+    it('does not select anything when the mouse moves without a drag', () => {
+      const instance = getInstance();
+      instance.handleSlotMouseEnter(slots[2]);
+
+      expect(onSelect.callCount).to.equal(0);
+    });
+
+    it('notifies the user instead of selecting a range over reserved slots', () => {
+      const reservedSlots = [slots[0], { ...slots[1], reserved: true }, slots[2]];
+      const instance = getInstance({ slots: Immutable(reservedSlots) });
+      instance.handleSlotMouseDown(reservedSlots[0], {});
+      instance.handleSlotMouseEnter(reservedSlots[2]);
+
+      expect(onSelect.callCount).to.equal(0);
+      expect(addNotification.callCount).to.equal(1);
+      expect(addNotification.lastCall.args[0].message).to.equal('TimeSlots.selectionReservedError');
+    });
+
+    it('notifies the user only once about the same error during a drag', () => {
+      const resource = Resource.build({ maxPeriod: '01:00:00' });
+      const instance = getInstance({ resource });
+      instance.handleSlotMouseDown(slots[0], {});
+      instance.handleSlotMouseEnter(slots[1]);
+      instance.handleSlotMouseEnter(slots[2]);
+
+      expect(addNotification.callCount).to.equal(1);
+    });
+
+    it('checks the min period of a dragged range only when the drag ends', () => {
+      const resource = Resource.build({ minPeriod: '04:00:00' });
+      const instance = getInstance({ resource });
+      instance.handleSlotMouseDown(slots[0], {});
+      instance.handleSlotMouseEnter(slots[1]);
+
+      expect(onSelect.callCount).to.equal(1);
+      expect(addNotification.callCount).to.equal(0);
+
+      instance.handleMouseUp();
+      expect(addNotification.callCount).to.equal(1);
+      expect(addNotification.lastCall.args[0].message).to.equal('TimeSlots.selectionMinPeriodError');
+    });
+
+    it('does not check the min period when the mouse is released without a drag', () => {
+      const resource = Resource.build({ minPeriod: '04:00:00' });
+      const instance = getInstance({ resource });
+      instance.handleSlotMouseDown(slots[0], {});
+      instance.handleMouseUp();
+
+      expect(addNotification.callCount).to.equal(0);
+    });
+
+    it('does not extend the selection past the max period with a click', () => {
+      const resource = Resource.build({ maxPeriod: '01:00:00' });
+      const instance = getInstance({ resource, selected: [slots[0].asISOString] });
+      instance.handleSlotClick(slots[1].asISOString, {});
+
+      expect(onClick.callCount).to.equal(0);
+      expect(addNotification.callCount).to.equal(1);
+    });
+  });
 });
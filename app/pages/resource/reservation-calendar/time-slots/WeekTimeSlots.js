@@ -0,0 +1,89 @@
+import upperFirst from 'lodash/upperFirst';
+import moment from 'moment';
+import React, { PropTypes } from 'react';
+import Loader from 'react-loader';
+
+import { injectT } from 'i18n';
+import { reservingIsRestricted } from 'utils/resourceUtils';
+import TimeSlots from './TimeSlots';
+
+function WeekTimeSlots(props) {
+  const {
+    addNotification,
+    days,
+    isAdmin,
+    isEditing,
+    isFetching,
+    isLoggedIn,
+    isStaff,
+    onClick,
+    onSelect,
+    resource,
+    selected,
+    t,
+    time,
+  } = props;
+
+  function renderDaySlots(day) {
+    if (!day.slots.length) {
+      return <p className="info-text closed-text">{t('WeekTimeSlots.closed')}</p>;
+    }
+    if (reservingIsRestricted(resource, day.date)) {
+      return <p className="info-text restricted-text">{t('WeekTimeSlots.restricted')}</p>;
+    }
+    // The slots of each day are selected the same way as in the day view.
+    return (
+      <TimeSlots
+        addNotification={addNotification}
+        compact
+        isAdmin={isAdmin}
+        isEditing={isEditing}
+        isFetching={isFetching}
+        isLoggedIn={isLoggedIn}
+        isStaff={isStaff}
+        onClick={onClick}
+        onSelect={onSelect}
+        resource={resource}
+        selected={selected}
+        slots={day.slots}
+        time={time}
+      />
+    );
+  }
+
+  return (
+    <Loader loaded={!isFetching}>
+      <div className="week-time-slots">
+        {days.map(day => (
+          <div className="week-time-slots-day" key={day.date}>
+            <h5 className="week-time-slots-header">
+              {upperFirst(moment(day.date).format('dd'))} {moment(day.date).format('l')}
+            </h5>
+            {renderDaySlots(day)}
+          </div>
+        ))}
+      </div>
+    </Loader>
+  );
+}
+
+WeekTimeSlots.propTypes = {
+  addNotification: PropTypes.func.isRequired,
+  days: PropTypes.arrayOf(PropTypes.shape({
+    date: PropTypes.string.isRequired,
+    slots: PropTypes.array.isRequired,
+  })).isRequired,
+  isAdmin: PropTypes.bool.isRequired,
+  isEditing: PropTypes.bool.isRequired,
+  isFetching: PropTypes.bool.isRequired,
+  isLoggedIn: PropTypes.bool.isRequired,
+  isStaff: PropTypes.bool.isRequired,
+  onClick: PropTypes.func.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  resource: PropTypes.object.isRequired,
+  selected: PropTypes.array.isRequired,
+  t: PropTypes.func.isRequired,
+  time: PropTypes.string,
+};
+
+export default injectT(WeekTimeSlots);
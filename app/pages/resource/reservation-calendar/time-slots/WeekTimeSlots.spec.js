@@ -0,0 +1,65 @@
+import { expect } from 'chai';
+import React from 'react';
+import Immutable from 'seamless-immutable';
+import simple from 'simple-mock';
+
+import Resource from 'utils/fixtures/Resource';
+import TimeSlotFixture from 'utils/fixtures/TimeSlot';
+import { shallowWithIntl } from 'utils/testUtils';
+import TimeSlots from './TimeSlots';
+import WeekTimeSlots from './WeekTimeSlots';
+
+describe('pages/resource/reservation-calendar/time-slots/WeekTimeSlots', () => {
+  const mondaySlots = [TimeSlotFixture.build(), TimeSlotFixture.build()];
+  const defaultProps = {
+    addNotification: simple.stub(),
+    days: Immutable([
+      { date: '2015-10-05', slots: mondaySlots },
+      { date: '2015-10-06', slots: [] },
+    ]),
+    isAdmin: false,
+    isEditing: false,
+    isFetching: false,
+    isLoggedIn: true,
+    isStaff: false,
+    onClick: simple.stub(),
+    onSelect: simple.stub(),
+    resource: Resource.build(),
+    selected: [mondaySlots[1].asISOString],
+  };
+
+  function getWrapper(props) {
+    return shallowWithIntl(<WeekTimeSlots {...defaultProps} {...props} />);
+  }
+
+  it('renders a column for each day', () => {
+    expect(getWrapper().find('.week-time-slots-day')).to.have.length(2);
+  });
+
+  it('renders compact time slots of the open days', () => {
+    const timeSlots = getWrapper().find(TimeSlots);
+    expect(timeSlots).to.have.length(1);
+    expect(timeSlots.prop('compact')).to.be.true;
+    expect(timeSlots.prop('slots')).to.deep.equal(mondaySlots);
+    expect(timeSlots.prop('selected')).to.deep.equal(defaultProps.selected);
+  });
+
+  it('selects the slots the same way as the day view', () => {
+    const timeSlots = getWrapper().find(TimeSlots);
+    expect(timeSlots.prop('onClick')).to.equal(defaultProps.onClick);
+    expect(timeSlots.prop('onSelect')).to.equal(defaultProps.onSelect);
+    expect(timeSlots.prop('resource')).to.equal(defaultProps.resource);
+  });
+
+  it('renders a closed text for the closed days', () => {
+    const closedText = getWrapper().find('.closed-text');
+    expect(closedText).to.have.length(1);
+    expect(closedText.text()).to.equal('WeekTimeSlots.closed');
+  });
+
+  it('renders a restricted text for the days that can not be reserved yet', () => {
+    const resource = Resource.build({ reservableBefore: '2015-10-04' });
+    const restrictedText = getWrapper({ resource }).find('.restricted-text');
+    expect(restrictedText).to.have.length(1);
+  });
+});
@@ -1,3 +1,5 @@
 import TimeSlots from './TimeSlots';
+import WeekTimeSlots from './WeekTimeSlots';
 
+export { WeekTimeSlots };
 export default TimeSlots;
@@ -1,20 +1,37 @@
 import isEqual from 'lodash/isEqual';
+import omit from 'lodash/omit';
 import React, { Component, PropTypes } from 'react';
 import { findDOMNode } from 'react-dom';
 import { connect } from 'react-redux';
 import { bindActionCreators } from 'redux';
 
+import { fetchPurposes } from 'actions/purposeActions';
 import { searchResources } from 'actions/searchActions';
 import { changeSearchFilters } from 'actions/uiActions';
 import { fetchUnits } from 'actions/unitActions';
 import PageWrapper from 'pages/PageWrapper';
 import DateHeader from 'shared/date-header';
 import { injectT } from 'i18n';
+import savedSearches from 'state/savedSearches';
+import urlSearchFiltersSelector from 'state/selectors/urlSearchFiltersSelector';
 import { scrollTo } from 'utils/domUtils';
+import { getSearchLocation } from 'utils/searchUtils';
 import SearchControls from './controls';
 import searchPageSelector from './searchPageSelector';
 import SearchResults from './results';
 
+// Filters that only change how the results are shown.
+const resultsViewFilters = ['sort', 'view'];
+
+function hasSearchFilters(filters) {
+  return Boolean(
+    filters.purpose || filters.people || filters.search ||
+    filters.startTime || filters.endTime || filters.duration || filters.days ||
+    filters.equipment || filters.freeOfCharge || filters.maxPrice ||
+    filters.municipality || filters.unit || getSearchLocation(filters)
+  );
+}
+
 class UnconnectedSearchPage extends Component {
   constructor(props) {
     super(props);
@@ -29,32 +46,45 @@ class UnconnectedSearchPage extends Component {
   }
 
   componentWillUpdate(nextProps) {
-    const { filters: currentFilters, actions } = this.props;
-    const { filters: nextFilters } = nextProps;
+    const { filters: currentFilters, actions, purposes: currentPurposes } = this.props;
+    const { filters: nextFilters, purposes: nextPurposes } = nextProps;
     if (nextProps.isLoggedIn !== this.props.isLoggedIn) {
-      this.searchResources(nextFilters);
+      this.searchResources(nextFilters, nextPurposes);
+      return;
+    }
+    // Sub-purposes of the selected purposes are known only after the purposes are fetched.
+    const purposesChanged = !isEqual(Object.keys(currentPurposes), Object.keys(nextPurposes));
+    if (purposesChanged && nextFilters.purpose && isEqual(currentFilters, nextFilters)) {
+      this.searchResources(nextFilters, nextPurposes);
       return;
     }
     if (isEqual(currentFilters, nextFilters)) {
       return;
     }
     actions.changeSearchFilters(nextFilters);
-    this.searchResources(nextFilters);
+    if (!isEqual(omit(currentFilters, resultsViewFilters), omit(nextFilters, resultsViewFilters))) {
+      this.searchResources(nextFilters, nextPurposes);
+    }
   }
 
   scrollToSearchResults() {
     scrollTo(findDOMNode(this.refs.searchResults));
   }
 
-  searchResources(filters) {
-    const { actions, searchDone } = this.props;
-    if (searchDone || filters.purpose || filters.people || filters.search) {
-      actions.searchResources(filters);
+  searchResources(filters, purposes = this.props.purposes) {
+    const { actions, searchDone, userId } = this.props;
+    if (searchDone || hasSearchFilters(filters)) {
+      actions.searchResources(filters, purposes);
+    }
+    if (userId && hasSearchFilters(filters)) {
+      actions.addRecentSearch({ filters, userId });
     }
   }
 
   render() {
     const {
+      availableSlots,
+      distances,
       filters,
       isFetchingSearchResults,
       location,
@@ -75,6 +105,9 @@ class UnconnectedSearchPage extends Component {
         {searchDone && <DateHeader date={filters.date} />}
         {searchDone || isFetchingSearchResults ?
           <SearchResults
+            availableSlots={availableSlots}
+            distances={distances}
+            filters={filters}
             isFetching={isFetchingSearchResults}
             ref="searchResults"
             searchResultIds={searchResultIds}
@@ -88,20 +121,25 @@ class UnconnectedSearchPage extends Component {
 
 UnconnectedSearchPage.propTypes = {
   actions: PropTypes.object.isRequired,
+  availableSlots: PropTypes.object.isRequired,
+  distances: PropTypes.object.isRequired,
   isFetchingSearchResults: PropTypes.bool.isRequired,
   filters: PropTypes.object.isRequired,
   isLoggedIn: PropTypes.bool.isRequired,
   location: PropTypes.object.isRequired,
   params: PropTypes.object.isRequired,
+  purposes: PropTypes.object.isRequired,
   searchDone: PropTypes.bool.isRequired,
   searchResultIds: PropTypes.array.isRequired,
   t: PropTypes.func.isRequired,
+  userId: PropTypes.string,
 };
 
 UnconnectedSearchPage = injectT(UnconnectedSearchPage); // eslint-disable-line
 
 function mapDispatchToProps(dispatch) {
   const actionCreators = {
+    addRecentSearch: savedSearches.addRecentSearch,
     changeSearchFilters,
     fetchUnits,
     searchResources,
@@ -110,5 +148,23 @@ function mapDispatchToProps(dispatch) {
   return { actions: bindActionCreators(actionCreators, dispatch) };
 }
 
+const SearchPage = connect(searchPageSelector, mapDispatchToProps)(UnconnectedSearchPage);
+
+SearchPage.fetchData = ({ dispatch, getState }, { location }) => {
+  const filters = urlSearchFiltersSelector(null, { location });
+  const requests = [dispatch(fetchUnits())];
+  dispatch(changeSearchFilters(filters));
+  if (hasSearchFilters(filters)) {
+    // Searching with a purpose needs the purposes under it in the purpose tree.
+    const search = filters.purpose ?
+      dispatch(fetchPurposes()).then(() => (
+        dispatch(searchResources(filters, getState().data.purposes))
+      )) :
+      dispatch(searchResources(filters));
+    requests.push(search);
+  }
+  return Promise.all(requests);
+};
+
 export { UnconnectedSearchPage };
-export default connect(searchPageSelector, mapDispatchToProps)(UnconnectedSearchPage);
+export default SearchPage;
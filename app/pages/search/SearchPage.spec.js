@@ -1,22 +1,29 @@
 import { expect } from 'chai';
 import React from 'react';
+import { CALL_API } from 'redux-api-middleware';
 import simple from 'simple-mock';
 import Immutable from 'seamless-immutable';
 
+import types from 'constants/ActionTypes';
 import PageWrapper from 'pages/PageWrapper';
 import DateHeader from 'shared/date-header';
 import { shallowWithIntl } from 'utils/testUtils';
-import { UnconnectedSearchPage as SearchPage } from './SearchPage';
+import ConnectedSearchPage, { UnconnectedSearchPage as SearchPage } from './SearchPage';
 import SearchControls from './controls';
 import SearchResults from './results';
 
 describe('pages/search/SearchPage', () => {
   const defaultProps = {
     actions: {
+      addRecentSearch: simple.stub(),
       changeSearchFilters: simple.stub(),
       fetchUnits: simple.stub(),
       searchResources: simple.stub(),
     },
+    availableSlots: {
+      'resource-1': { begin: '2015-10-11T10:00:00Z', end: '2015-10-11T11:00:00Z' },
+    },
+    distances: { 'resource-1': 1200 },
     isLoggedIn: false,
     isFetchingSearchResults: false,
     filters: {
@@ -25,6 +32,7 @@ describe('pages/search/SearchPage', () => {
     },
     location: { query: {} },
     params: {},
+    purposes: {},
     searchDone: true,
     searchResultIds: Immutable(['resource-1', 'resource-2']),
   };
@@ -99,6 +107,9 @@ describe('pages/search/SearchPage', () => {
       it('renders SearchResults with correct props', () => {
         const searchResults = getWrapper(extraProps).find(SearchResults);
 
+        expect(searchResults.props().availableSlots).to.deep.equal(defaultProps.availableSlots);
+        expect(searchResults.props().filters).to.deep.equal(defaultProps.filters);
+        expect(searchResults.props().distances).to.deep.equal(defaultProps.distances);
         expect(searchResults.props().isFetching).to.equal(extraProps.isFetchingSearchResults);
         expect(searchResults.props().searchResultIds).to.deep.equal(defaultProps.searchResultIds);
       });
@@ -165,6 +176,32 @@ describe('pages/search/SearchPage', () => {
     it('fetches units when component mounts', () => {
       expect(defaultProps.actions.fetchUnits.callCount).to.equal(1);
     });
+
+    it('does not add a recent search without a user', () => {
+      expect(defaultProps.actions.addRecentSearch.callCount).to.equal(0);
+    });
+  });
+
+  describe('searchResources', () => {
+    beforeEach(() => {
+      defaultProps.actions.addRecentSearch.reset();
+    });
+
+    it('adds the search to the recent searches of the user', () => {
+      const instance = getWrapper({ userId: 'u-1' }).instance();
+      instance.searchResources({ search: 'room' });
+      expect(defaultProps.actions.addRecentSearch.callCount).to.equal(1);
+      expect(defaultProps.actions.addRecentSearch.lastCall.args[0]).to.deep.equal({
+        filters: { search: 'room' },
+        userId: 'u-1',
+      });
+    });
+
+    it('does not add searches without filters to the recent searches', () => {
+      const instance = getWrapper({ userId: 'u-1' }).instance();
+      instance.searchResources({ date: '2015-10-10' });
+      expect(defaultProps.actions.addRecentSearch.callCount).to.equal(0);
+    });
   });
 
   describe('componentWillUpdate', () => {
@@ -178,6 +215,7 @@ describe('pages/search/SearchPage', () => {
         nextProps = {
           filters: defaultProps.filters,
           isLoggedIn: !defaultProps.isLoggedIn,
+          purposes: defaultProps.purposes,
           url: '/search?search=some-search',
         };
         instance.componentWillUpdate(nextProps);
@@ -202,6 +240,7 @@ describe('pages/search/SearchPage', () => {
         nextProps = {
           filters: { purpose: 'new-purpose' },
           isLoggedIn: defaultProps.isLoggedIn,
+          purposes: defaultProps.purposes,
           url: '/search?purpose=new-purpose',
         };
         instance.componentWillUpdate(nextProps);
@@ -222,6 +261,54 @@ describe('pages/search/SearchPage', () => {
       });
     });
 
+    describe('if purposes were fetched and search filters contain a purpose', () => {
+      const purposes = { 'sub-purpose': { id: 'sub-purpose', parent: 'some-purpose' } };
+
+      before(() => {
+        defaultProps.actions.searchResources.reset();
+        const instance = getWrapper().instance();
+        instance.componentWillUpdate({
+          filters: defaultProps.filters,
+          isLoggedIn: defaultProps.isLoggedIn,
+          purposes,
+        });
+      });
+
+      it('searches resources again with the purposes', () => {
+        expect(defaultProps.actions.searchResources.callCount).to.equal(1);
+        expect(defaultProps.actions.searchResources.lastCall.args).to.deep.equal([
+          defaultProps.filters,
+          purposes,
+        ]);
+      });
+    });
+
+    describe('if only the sort or view of the results changed', () => {
+      let nextProps;
+
+      before(() => {
+        defaultProps.actions.changeSearchFilters.reset();
+        defaultProps.actions.searchResources.reset();
+        const instance = getWrapper().instance();
+        nextProps = {
+          filters: Object.assign({}, defaultProps.filters, { sort: 'name', view: 'list' }),
+          isLoggedIn: defaultProps.isLoggedIn,
+          purposes: defaultProps.purposes,
+        };
+        instance.componentWillUpdate(nextProps);
+      });
+
+      it('updates search filters in state with the new filters', () => {
+        expect(defaultProps.actions.changeSearchFilters.callCount).to.equal(1);
+        expect(defaultProps.actions.changeSearchFilters.lastCall.args[0])
+          .to.deep.equal(nextProps.filters);
+      });
+
+      it('does not do a search', () => {
+        expect(defaultProps.actions.searchResources.callCount).to.equal(0);
+      });
+    });
+
     describe('if search filters did not change', () => {
       let nextProps;
 
@@ -232,6 +319,7 @@ describe('pages/search/SearchPage', () => {
         nextProps = {
           filters: defaultProps.filters,
           isLoggedIn: defaultProps.isLoggedIn,
+          purposes: defaultProps.purposes,
           url: '/search?search=some-search',
         };
         instance.componentWillUpdate(nextProps);
@@ -246,4 +334,42 @@ describe('pages/search/SearchPage', () => {
       });
     });
   });
+
+  describe('fetchData', () => {
+    function callFetchData(query) {
+      const dispatch = simple.mock();
+      ConnectedSearchPage.fetchData({ dispatch }, { location: { query } });
+      return dispatch.calls.map(call => call.args[0]);
+    }
+
+    it('fetches units and updates search filters in state', () => {
+      const actions = callFetchData({ date: '2015-10-10' });
+      const filtersAction = actions.find(action => action.type === types.UI.CHANGE_SEARCH_FILTERS);
+
+      expect(actions).to.have.length(2);
+      expect(actions[0][CALL_API].endpoint).to.contain('unit/');
+      expect(filtersAction.payload.date).to.equal('2015-10-10');
+    });
+
+    it('fetches purposes before searching resources with a purpose', () => {
+      const purposes = { 'sub-purpose': { id: 'sub-purpose', parent: 'some-purpose' } };
+      const dispatch = simple.mock().callFn(action => Promise.resolve(action));
+      const getState = () => ({ data: { purposes } });
+      const location = { query: { purpose: 'some-purpose' } };
+
+      return ConnectedSearchPage.fetchData({ dispatch, getState }, { location }).then(() => {
+        const actions = dispatch.calls.map(call => call.args[0]);
+        expect(actions).to.have.length(4);
+        expect(actions[2][CALL_API].endpoint).to.contain('purpose/');
+        expect(actions[3][CALL_API].endpoint).to.contain('purpose=some-purpose%2Csub-purpose');
+      });
+    });
+
+    it('searches resources if url has search filters', () => {
+      const actions = callFetchData({ search: 'some-search' });
+
+      expect(actions).to.have.length(3);
+      expect(actions[2][CALL_API].endpoint).to.contain('search=some-search');
+    });
+  });
 });
@@ -1,36 +1,100 @@
+import moment from 'moment';
 import React, { Component, PropTypes } from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import Checkbox from 'react-bootstrap/lib/Checkbox';
 import FormControl from 'react-bootstrap/lib/FormControl';
+import Glyphicon from 'react-bootstrap/lib/Glyphicon';
 import Panel from 'react-bootstrap/lib/Panel';
 import Select from 'react-select';
 
 import { injectT } from 'i18n';
+import { getPurposeFilterIds } from 'utils/searchUtils';
+
+const daysOptions = [7, 14, 30];
+const distanceOptions = [1000, 2000, 5000, 10000];
+const durationOptions = [30, 60, 90, 120, 180, 240];
+const timeOptions = Array.from(Array(48), (value, index) => (
+  moment.utc(0).add(index * 30, 'minutes').format('HH:mm')
+));
 
 class AdvancedSearch extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { locationError: false };
+    this.handleLocateClick = this.handleLocateClick.bind(this);
+  }
+
+  handleLocateClick() {
+    const geolocation = typeof navigator !== 'undefined' && navigator.geolocation;
+    if (!geolocation) {
+      this.setState({ locationError: true });
+      return;
+    }
+    geolocation.getCurrentPosition(
+      ({ coords }) => {
+        this.setState({ locationError: false });
+        this.props.onFiltersChange({
+          lat: coords.latitude.toFixed(5),
+          lon: coords.longitude.toFixed(5),
+        });
+      },
+      () => this.setState({ locationError: true })
+    );
+  }
+
+  renderTimeSelect(name, filter) {
+    const { filters, onFiltersChange, t } = this.props;
+    return (
+      <FormControl
+        componentClass="select"
+        name={name}
+        onChange={event => onFiltersChange({ [filter]: event.target.value })}
+        value={filters[filter]}
+      >
+        <option value="">{t('AdvancedSearch.anyTime')}</option>
+        {timeOptions.map(time => <option key={time} value={time}>{time}</option>)}
+      </FormControl>
+    );
+  }
+
   render() {
     const {
+      equipmentOptions,
       isFetchingPurposes,
+      municipalityOptions,
       onFiltersChange,
       filters,
       purposeOptions,
       t,
+      unitOptions,
     } = this.props;
 
-    const purposeSelectValue = purposeOptions.some(option => option.value === filters.purpose) ?
-      filters.purpose :
-      undefined;
+    const purposeSelectValue = getPurposeFilterIds(filters.purpose)
+      .filter(id => purposeOptions.some(option => option.value === id))
+      .join(',');
+    const hasTimeFilters = Boolean(
+      filters.days || filters.duration || filters.endTime || filters.startTime
+    );
+    const hasResourceFilters = Boolean(
+      filters.equipment || filters.freeOfCharge || filters.maxPrice ||
+      filters.municipality || filters.unit || filters.lat || filters.lon
+    );
 
     return (
       <Panel
         collapsible
-        defaultExpanded={Boolean(purposeSelectValue)}
+        defaultExpanded={Boolean(purposeSelectValue) || hasTimeFilters || hasResourceFilters}
         header={t('AdvancedSearch.title')}
       >
         <h4>{t('AdvancedSearch.purposeHeader')}</h4>
         <Select
           clearable
           isLoading={isFetchingPurposes}
+          multi
           name="purpose-filter-select"
-          onChange={option => onFiltersChange({ purpose: option ? option.value : '' })}
+          onChange={options => onFiltersChange({
+            purpose: options.map(option => option.value).join(','),
+          })}
           options={purposeOptions}
           placeholder=" "
           searchable={false}
@@ -44,17 +108,144 @@ class AdvancedSearch extends Component {
           type="number"
           value={filters.people}
         />
+        <h4>{t('AdvancedSearch.equipmentHeader')}</h4>
+        <Select
+          clearable
+          multi
+          name="equipment-filter-select"
+          noResultsText={t('AdvancedSearch.noEquipment')}
+          onChange={options => onFiltersChange({
+            equipment: options.map(option => option.value).join(','),
+          })}
+          options={equipmentOptions}
+          placeholder=" "
+          value={filters.equipment}
+        />
+        <h4>{t('AdvancedSearch.locationHeader')}</h4>
+        <div className="location-filters">
+          <FormControl
+            componentClass="select"
+            name="municipality-filter"
+            onChange={event => onFiltersChange({ municipality: event.target.value })}
+            value={filters.municipality}
+          >
+            <option value="">{t('AdvancedSearch.anyMunicipality')}</option>
+            {municipalityOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </FormControl>
+          <Select
+            clearable
+            name="unit-filter-select"
+            onChange={option => onFiltersChange({ unit: option ? option.value : '' })}
+            options={unitOptions}
+            placeholder={t('AdvancedSearch.anyUnit')}
+            value={filters.unit}
+          />
+        </div>
+        <h4>{t('AdvancedSearch.distanceHeader')}</h4>
+        <div className="distance-filters">
+          <Button className="locate-button" onClick={this.handleLocateClick}>
+            <Glyphicon glyph="screenshot" /> {t('AdvancedSearch.nearMe')}
+          </Button>
+          <FormControl
+            name="lat-filter"
+            onChange={event => onFiltersChange({ lat: event.target.value })}
+            placeholder={t('AdvancedSearch.latitude')}
+            step="any"
+            type="number"
+            value={filters.lat}
+          />
+          <FormControl
+            name="lon-filter"
+            onChange={event => onFiltersChange({ lon: event.target.value })}
+            placeholder={t('AdvancedSearch.longitude')}
+            step="any"
+            type="number"
+            value={filters.lon}
+          />
+          <FormControl
+            componentClass="select"
+            name="distance-filter"
+            onChange={event => onFiltersChange({ distance: event.target.value })}
+            value={filters.distance}
+          >
+            <option value="">{t('AdvancedSearch.anyDistance')}</option>
+            {distanceOptions.map(meters => (
+              <option key={meters} value={meters}>
+                {t('AdvancedSearch.distanceOption', { kilometers: meters / 1000 })}
+              </option>
+            ))}
+          </FormControl>
+        </div>
+        {this.state.locationError &&
+          <p className="location-error">{t('AdvancedSearch.locationError')}</p>
+        }
+        <h4>{t('AdvancedSearch.priceHeader')}</h4>
+        <Checkbox
+          checked={filters.freeOfCharge === 'true'}
+          name="free-of-charge-filter"
+          onChange={event => onFiltersChange({ freeOfCharge: event.target.checked ? 'true' : '' })}
+        >
+          {t('AdvancedSearch.freeOfCharge')}
+        </Checkbox>
+        <FormControl
+          disabled={filters.freeOfCharge === 'true'}
+          min="0"
+          name="max-price-filter"
+          onChange={event => onFiltersChange({ maxPrice: event.target.value })}
+          placeholder={t('AdvancedSearch.maxPricePlaceholder')}
+          type="number"
+          value={filters.maxPrice}
+        />
+        <h4>{t('AdvancedSearch.timeHeader')}</h4>
+        <div className="time-filters">
+          {this.renderTimeSelect('start-time-filter', 'startTime')}
+          <span className="time-filters-separator">-</span>
+          {this.renderTimeSelect('end-time-filter', 'endTime')}
+        </div>
+        <h4>{t('AdvancedSearch.durationHeader')}</h4>
+        <FormControl
+          componentClass="select"
+          name="duration-filter"
+          onChange={event => onFiltersChange({ duration: event.target.value })}
+          value={filters.duration}
+        >
+          <option value="">{t('AdvancedSearch.wholePeriod')}</option>
+          {durationOptions.map(minutes => (
+            <option key={minutes} value={minutes}>
+              {t('AdvancedSearch.durationOption', { hours: minutes / 60 })}
+            </option>
+          ))}
+        </FormControl>
+        <h4>{t('AdvancedSearch.daysHeader')}</h4>
+        <FormControl
+          componentClass="select"
+          name="days-filter"
+          onChange={event => onFiltersChange({ days: event.target.value })}
+          value={filters.days}
+        >
+          <option value="">{t('AdvancedSearch.selectedDateOnly')}</option>
+          {daysOptions.map(days => (
+            <option key={days} value={days}>
+              {t('AdvancedSearch.daysOption', { days })}
+            </option>
+          ))}
+        </FormControl>
       </Panel>
     );
   }
 }
 
 AdvancedSearch.propTypes = {
+  equipmentOptions: PropTypes.array.isRequired,
   isFetchingPurposes: PropTypes.bool.isRequired,
+  municipalityOptions: PropTypes.array.isRequired,
   onFiltersChange: PropTypes.func.isRequired,
   filters: PropTypes.object.isRequired,
   purposeOptions: PropTypes.array.isRequired,
   t: PropTypes.func.isRequired,
+  unitOptions: PropTypes.array.isRequired,
 };
 
 export default injectT(AdvancedSearch);
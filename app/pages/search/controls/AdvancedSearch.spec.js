@@ -1,5 +1,7 @@
 import { expect } from 'chai';
 import React from 'react';
+import Checkbox from 'react-bootstrap/lib/Checkbox';
+import FormControl from 'react-bootstrap/lib/FormControl';
 import Panel from 'react-bootstrap/lib/Panel';
 import Select from 'react-select';
 import Immutable from 'seamless-immutable';
@@ -10,13 +12,22 @@ import AdvancedSearch from './AdvancedSearch';
 
 describe('pages/search/controls/AdvancedSearch', () => {
   const defaultProps = {
+    equipmentOptions: [
+      { value: 'projector', label: 'Projector' },
+      { value: 'whiteboard', label: 'Whiteboard' },
+    ],
     isFetchingPurposes: false,
+    municipalityOptions: [
+      { value: 'espoo', label: 'Espoo' },
+      { value: 'helsinki', label: 'Helsinki' },
+    ],
     onFiltersChange: simple.stub(),
     filters: { purpose: 'filter-1' },
     purposeOptions: Immutable([
       { value: 'filter-1', label: 'Label 1' },
       { value: 'filter-2', label: 'Label 2' },
     ]),
+    unitOptions: [{ value: 'unit-1', label: 'Unit 1' }],
   };
 
   function getWrapper(extraProps) {
@@ -46,10 +57,22 @@ describe('pages/search/controls/AdvancedSearch', () => {
       const panel = getWrapper({ filters }).find(Panel);
       expect(panel.props().defaultExpanded).to.be.true;
     });
+
+    it('is open if filters contain time filters', () => {
+      const filters = { startTime: '17:00' };
+      const panel = getWrapper({ filters }).find(Panel);
+      expect(panel.props().defaultExpanded).to.be.true;
+    });
+
+    it('is open if filters contain equipment, location or price filters', () => {
+      const filters = { maxPrice: '20' };
+      const panel = getWrapper({ filters }).find(Panel);
+      expect(panel.props().defaultExpanded).to.be.true;
+    });
   });
 
   describe('purpose select', () => {
-    const select = getWrapper().find(Select);
+    const select = getWrapper().find(Select).filter({ name: 'purpose-filter-select' });
 
     it('renders a Select component', () => {
       expect(select.length).to.equal(1);
@@ -60,17 +83,30 @@ describe('pages/search/controls/AdvancedSearch', () => {
 
       expect(actualProps.clearable).to.equal(true);
       expect(actualProps.isLoading).to.equal(defaultProps.isFetchingPurposes);
+      expect(actualProps.multi).to.equal(true);
       expect(typeof actualProps.onChange).to.equal('function');
       expect(actualProps.options).to.deep.equal(defaultProps.purposeOptions);
       expect(typeof actualProps.placeholder).to.equal('string');
       expect(actualProps.value).to.equal(defaultProps.filters.purpose);
     });
 
+    it('passes only the valid purposes in filters as the value', () => {
+      const filters = { purpose: 'filter-2,invalid-purpose,filter-1' };
+      const value = getWrapper({ filters })
+        .find(Select)
+        .filter({ name: 'purpose-filter-select' })
+        .prop('value');
+      expect(value).to.equal('filter-2,filter-1');
+    });
+
     describe('onChange', () => {
-      const filterOption = { label: 'Label', value: 'new-value' };
+      const filterOptions = [
+        { label: 'Label', value: 'new-value' },
+        { label: 'Other label', value: 'other-value' },
+      ];
 
       before(() => {
-        select.props().onChange(filterOption);
+        select.props().onChange(filterOptions);
       });
 
       it('calls onFiltersChange ', () => {
@@ -78,10 +114,201 @@ describe('pages/search/controls/AdvancedSearch', () => {
       });
 
       it('calls onFiltersChange with correct arguments', () => {
-        const expected = { purpose: filterOption.value };
+        const expected = { purpose: 'new-value,other-value' };
 
         expect(defaultProps.onFiltersChange.lastCall.args[0]).to.deep.equal(expected);
       });
     });
   });
+
+  describe('time selects', () => {
+    const filters = { endTime: '19:00', startTime: '17:00' };
+
+    function getTimeSelect(name) {
+      return getWrapper({ filters }).find(FormControl).filter({ name });
+    }
+
+    it('render the start and end time with options for every half hour', () => {
+      const startTimeSelect = getTimeSelect('start-time-filter');
+      const endTimeSelect = getTimeSelect('end-time-filter');
+
+      expect(startTimeSelect.prop('value')).to.equal('17:00');
+      expect(endTimeSelect.prop('value')).to.equal('19:00');
+      expect(startTimeSelect.find('option')).to.have.length(49);
+      expect(startTimeSelect.find('option').at(36).prop('value')).to.equal('17:30');
+    });
+
+    it('call onFiltersChange with the selected time', () => {
+      defaultProps.onFiltersChange.reset();
+      getTimeSelect('end-time-filter').simulate('change', { target: { value: '20:00' } });
+
+      expect(defaultProps.onFiltersChange.lastCall.args[0]).to.deep.equal({ endTime: '20:00' });
+    });
+  });
+
+  describe('duration select', () => {
+    function getDurationSelect() {
+      return getWrapper({ filters: { duration: '90' } })
+        .find(FormControl)
+        .filter({ name: 'duration-filter' });
+    }
+
+    it('renders the selected duration', () => {
+      expect(getDurationSelect().prop('value')).to.equal('90');
+    });
+
+    it('calls onFiltersChange with the selected duration', () => {
+      defaultProps.onFiltersChange.reset();
+      getDurationSelect().simulate('change', { target: { value: '60' } });
+
+      expect(defaultProps.onFiltersChange.lastCall.args[0]).to.deep.equal({ duration: '60' });
+    });
+  });
+
+  describe('days select', () => {
+    function getDaysSelect() {
+      return getWrapper({ filters: { days: '14' } })
+        .find(FormControl)
+        .filter({ name: 'days-filter' });
+    }
+
+    it('renders the selected number of days', () => {
+      expect(getDaysSelect().prop('value')).to.equal('14');
+    });
+
+    it('calls onFiltersChange with the selected number of days', () => {
+      defaultProps.onFiltersChange.reset();
+      getDaysSelect().simulate('change', { target: { value: '7' } });
+
+      expect(defaultProps.onFiltersChange.lastCall.args[0]).to.deep.equal({ days: '7' });
+    });
+  });
+
+  describe('equipment select', () => {
+    function getEquipmentSelect(filters = { equipment: 'projector' }) {
+      return getWrapper({ filters }).find(Select).filter({ name: 'equipment-filter-select' });
+    }
+
+    it('renders the equipment options and the selected equipment', () => {
+      const select = getEquipmentSelect();
+      expect(select.prop('multi')).to.be.true;
+      expect(select.prop('options')).to.deep.equal(defaultProps.equipmentOptions);
+      expect(select.prop('value')).to.equal('projector');
+    });
+
+    it('calls onFiltersChange with the selected equipment', () => {
+      defaultProps.onFiltersChange.reset();
+      getEquipmentSelect().prop('onChange')(defaultProps.equipmentOptions);
+
+      expect(defaultProps.onFiltersChange.lastCall.args[0]).to.deep.equal({
+        equipment: 'projector,whiteboard',
+      });
+    });
+  });
+
+  describe('location filters', () => {
+    const filters = { municipality: 'helsinki', unit: 'unit-1' };
+
+    it('renders a municipality select with the municipality options', () => {
+      const select = getWrapper({ filters })
+        .find(FormControl)
+        .filter({ name: 'municipality-filter' });
+      expect(select.prop('value')).to.equal('helsinki');
+      expect(select.find('option')).to.have.length(3);
+    });
+
+    it('renders a unit select with the unit options', () => {
+      const select = getWrapper({ filters }).find(Select).filter({ name: 'unit-filter-select' });
+      expect(select.prop('options')).to.deep.equal(defaultProps.unitOptions);
+      expect(select.prop('value')).to.equal('unit-1');
+    });
+
+    it('calls onFiltersChange with an empty unit when the unit is cleared', () => {
+      defaultProps.onFiltersChange.reset();
+      getWrapper({ filters }).find(Select).filter({ name: 'unit-filter-select' })
+        .prop('onChange')(null);
+
+      expect(defaultProps.onFiltersChange.lastCall.args[0]).to.deep.equal({ unit: '' });
+    });
+  });
+
+  describe('price filters', () => {
+    function getMaxPriceInput(filters) {
+      return getWrapper({ filters }).find(FormControl).filter({ name: 'max-price-filter' });
+    }
+
+    it('renders the free of charge checkbox checked if the filter is set', () => {
+      const checkbox = getWrapper({ filters: { freeOfCharge: 'true' } }).find(Checkbox);
+      expect(checkbox.prop('checked')).to.be.true;
+    });
+
+    it('calls onFiltersChange with the free of charge filter', () => {
+      defaultProps.onFiltersChange.reset();
+      getWrapper().find(Checkbox).simulate('change', { target: { checked: true } });
+
+      expect(defaultProps.onFiltersChange.lastCall.args[0]).to.deep.equal({ freeOfCharge: 'true' });
+    });
+
+    it('disables the maximum price if only free of charge resources are searched for', () => {
+      expect(getMaxPriceInput({ freeOfCharge: 'true' }).prop('disabled')).to.be.true;
+      expect(getMaxPriceInput({ maxPrice: '20' }).prop('disabled')).to.be.false;
+    });
+
+    it('calls onFiltersChange with the maximum price', () => {
+      defaultProps.onFiltersChange.reset();
+      getMaxPriceInput({}).simulate('change', { target: { value: '20' } });
+
+      expect(defaultProps.onFiltersChange.lastCall.args[0]).to.deep.equal({ maxPrice: '20' });
+    });
+  });
+
+  describe('distance filters', () => {
+    function getInput(name, filters = { distance: '2000', lat: '60.17', lon: '24.94' }) {
+      return getWrapper({ filters }).find(FormControl).filter({ name });
+    }
+
+    it('renders the coordinates and the distance of the filters', () => {
+      expect(getInput('lat-filter').prop('value')).to.equal('60.17');
+      expect(getInput('lon-filter').prop('value')).to.equal('24.94');
+      expect(getInput('distance-filter').prop('value')).to.equal('2000');
+      expect(getInput('distance-filter').find('option')).to.have.length(5);
+    });
+
+    it('calls onFiltersChange with manually entered coordinates', () => {
+      defaultProps.onFiltersChange.reset();
+      getInput('lat-filter').simulate('change', { target: { value: '60.2' } });
+
+      expect(defaultProps.onFiltersChange.lastCall.args[0]).to.deep.equal({ lat: '60.2' });
+    });
+
+    describe('locate button', () => {
+      afterEach(() => {
+        delete global.navigator.geolocation;
+      });
+
+      it('calls onFiltersChange with the location of the browser', () => {
+        const coords = { latitude: 60.1234567, longitude: 24.9876543 };
+        global.navigator.geolocation = {
+          getCurrentPosition: simple.mock().callFn(success => success({ coords })),
+        };
+        defaultProps.onFiltersChange.reset();
+        getWrapper().find('.locate-button').simulate('click');
+
+        expect(defaultProps.onFiltersChange.lastCall.args[0]).to.deep.equal({
+          lat: '60.12346',
+          lon: '24.98765',
+        });
+      });
+
+      it('renders an error if the location is not found', () => {
+        global.navigator.geolocation = {
+          getCurrentPosition: simple.mock().callFn((success, error) => error()),
+        };
+        const wrapper = getWrapper();
+        wrapper.find('.locate-button').simulate('click');
+
+        expect(wrapper.find('.location-error')).to.have.length(1);
+      });
+    });
+  });
 });
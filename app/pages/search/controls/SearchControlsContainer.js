@@ -1,3 +1,4 @@
+import debounce from 'lodash/debounce';
 import moment from 'moment';
 import queryString from 'query-string';
 import React, { Component, PropTypes } from 'react';
@@ -11,19 +12,40 @@ import { browserHistory } from 'react-router';
 import { bindActionCreators } from 'redux';
 
 import { fetchPurposes } from 'actions/purposeActions';
+import { fetchSearchSuggestions } from 'actions/searchActions';
 import { changeSearchFilters } from 'actions/uiActions';
 import constants from 'constants/AppConstants';
 import { injectT } from 'i18n';
+import SavedSearches from 'shared/saved-searches';
 import AdvancedSearch from './AdvancedSearch';
+import SearchSuggestions from './SearchSuggestions';
 import searchControlsSelector from './searchControlsSelector';
 
+const keyCodes = {
+  down: 40,
+  enter: 13,
+  escape: 27,
+  up: 38,
+};
+
 class UnconnectedSearchControlsContainer extends Component {
   constructor(props) {
     super(props);
+    this.state = {
+      activeSuggestionIndex: -1,
+      showSuggestions: false,
+    };
+    this.fetchSuggestions = debounce(
+      search => this.props.actions.fetchSearchSuggestions(search),
+      300
+    );
     this.handleDateChange = this.handleDateChange.bind(this);
     this.handleFiltersChange = this.handleFiltersChange.bind(this);
     this.handleSearch = this.handleSearch.bind(this);
+    this.handleSearchChange = this.handleSearchChange.bind(this);
     this.handleSearchInputChange = this.handleSearchInputChange.bind(this);
+    this.handleSuggestionSelect = this.handleSuggestionSelect.bind(this);
+    this.hideSuggestions = this.hideSuggestions.bind(this);
   }
 
   componentDidMount() {
@@ -33,6 +55,10 @@ class UnconnectedSearchControlsContainer extends Component {
     actions.fetchPurposes();
   }
 
+  componentWillUnmount() {
+    this.fetchSuggestions.cancel();
+  }
+
   handleDateChange(date) {
     const dateInCorrectFormat = (
       moment(date, 'L').format(constants.DATE_FORMAT)
@@ -59,34 +85,85 @@ class UnconnectedSearchControlsContainer extends Component {
     }
   }
 
+  handleSearchChange(event) {
+    const search = event.target.value;
+    this.handleFiltersChange({ search });
+    this.setState({ activeSuggestionIndex: -1, showSuggestions: true });
+    if (search.trim().length >= constants.SEARCH_SUGGESTIONS_MIN_LENGTH) {
+      this.fetchSuggestions(search.trim());
+    }
+  }
+
   handleSearchInputChange(event) {
-    const value = event.target.value;
-    this.handleFiltersChange({ search: value });
-    if (event.keyCode === 13) {
-      this.handleSearch();
+    const { suggestions } = this.props;
+    const { activeSuggestionIndex, showSuggestions } = this.state;
+    const suggestionsVisible = showSuggestions && suggestions.length > 0;
+
+    if (suggestionsVisible && event.keyCode === keyCodes.down) {
+      this.setState({
+        activeSuggestionIndex: Math.min(activeSuggestionIndex + 1, suggestions.length - 1),
+      });
+    } else if (suggestionsVisible && event.keyCode === keyCodes.up) {
+      this.setState({ activeSuggestionIndex: Math.max(activeSuggestionIndex - 1, -1) });
+    } else if (event.keyCode === keyCodes.escape) {
+      this.hideSuggestions();
+    } else if (event.keyCode === keyCodes.enter) {
+      if (suggestionsVisible && suggestions[activeSuggestionIndex]) {
+        this.handleSuggestionSelect(suggestions[activeSuggestionIndex]);
+      } else {
+        this.hideSuggestions();
+        this.handleFiltersChange({ search: event.target.value });
+        this.handleSearch();
+      }
     }
   }
 
+  handleSuggestionSelect(suggestion) {
+    this.hideSuggestions();
+    browserHistory.push(suggestion.url);
+  }
+
+  hideSuggestions() {
+    this.fetchSuggestions.cancel();
+    this.setState({ activeSuggestionIndex: -1, showSuggestions: false });
+  }
+
   render() {
     const {
+      equipmentOptions,
       filters,
       isFetchingPurposes,
+      municipalityOptions,
       purposeOptions,
+      suggestions,
       t,
+      unitOptions,
     } = this.props;
+    const { activeSuggestionIndex, showSuggestions } = this.state;
 
     return (
       <div>
         <Row>
           <Col lg={6} md={6}>
-            <FormControl
-              autoFocus={!filters.purpose}
-              onChange={event => this.handleFiltersChange({ search: event.target.value })}
-              onKeyUp={this.handleSearchInputChange}
-              placeholder={t('SearchControls.searchPlaceholder')}
-              type="text"
-              value={filters.search}
-            />
+            <div className="search-box">
+              <FormControl
+                autoComplete="off"
+                autoFocus={!filters.purpose}
+                onBlur={this.hideSuggestions}
+                onChange={this.handleSearchChange}
+                onKeyUp={this.handleSearchInputChange}
+                placeholder={t('SearchControls.searchPlaceholder')}
+                type="text"
+                value={filters.search}
+              />
+              {showSuggestions && (
+                <SearchSuggestions
+                  activeIndex={activeSuggestionIndex}
+                  onSelect={this.handleSuggestionSelect}
+                  suggestions={suggestions}
+                />
+              )}
+            </div>
           </Col>
           <Col lg={6} md={6}>
             <div className="form-group">
@@ -105,10 +182,13 @@ class UnconnectedSearchControlsContainer extends Component {
           </Col>
         </Row>
         <AdvancedSearch
+          equipmentOptions={equipmentOptions}
           filters={filters}
           isFetchingPurposes={isFetchingPurposes}
+          municipalityOptions={municipalityOptions}
           onFiltersChange={this.handleFiltersChange}
           purposeOptions={purposeOptions}
+          unitOptions={unitOptions}
         />
         <Button
           block
@@ -118,6 +198,7 @@ class UnconnectedSearchControlsContainer extends Component {
         >
           {t('SearchControls.search')}
         </Button>
+        <SavedSearches filters={filters} />
       </div>
     );
   }
@@ -125,11 +206,15 @@ class UnconnectedSearchControlsContainer extends Component {
 
 UnconnectedSearchControlsContainer.propTypes = {
   actions: PropTypes.object.isRequired,
+  equipmentOptions: PropTypes.array.isRequired,
   filters: PropTypes.object.isRequired,
   isFetchingPurposes: PropTypes.bool.isRequired,
+  municipalityOptions: PropTypes.array.isRequired,
   purposeOptions: PropTypes.array.isRequired,
   scrollToSearchResults: PropTypes.func.isRequired,
+  suggestions: PropTypes.array.isRequired,
   t: PropTypes.func.isRequired,
+  unitOptions: PropTypes.array.isRequired,
   urlSearchFilters: PropTypes.object.isRequired,
 };
 
@@ -139,6 +224,7 @@ function mapDispatchToProps(dispatch) {
   const actionCreators = {
     changeSearchFilters,
     fetchPurposes,
+    fetchSearchSuggestions,
   };
 
   return { actions: bindActionCreators(actionCreators, dispatch) };
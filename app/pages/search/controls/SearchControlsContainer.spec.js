@@ -8,8 +8,10 @@ import { browserHistory } from 'react-router';
 import Immutable from 'seamless-immutable';
 import simple from 'simple-mock';
 
+import SavedSearches from 'shared/saved-searches';
 import { shallowWithIntl } from 'utils/testUtils';
 import AdvancedSearch from './AdvancedSearch';
+import SearchSuggestions from './SearchSuggestions';
 import {
   UnconnectedSearchControlsContainer as SearchControlsContainer,
 } from './SearchControlsContainer';
@@ -19,8 +21,10 @@ describe('pages/search/controls/SearchControlsContainer', () => {
     actions: {
       changeSearchFilters: () => null,
       fetchPurposes: () => null,
+      fetchSearchSuggestions: () => null,
       searchResources: () => null,
     },
+    equipmentOptions: [{ value: 'projector', label: 'Projector' }],
     isFetchingPurposes: false,
     filters: {
       date: '2015-10-10',
@@ -31,7 +35,13 @@ describe('pages/search/controls/SearchControlsContainer', () => {
       { value: 'filter-1', label: 'Label 1' },
       { value: 'filter-2', label: 'Label 2' },
     ]),
+    municipalityOptions: [{ value: 'helsinki', label: 'Helsinki' }],
     scrollToSearchResults: () => null,
+    suggestions: [
+      { id: 'r-1', label: 'Room 1', type: 'resource', url: '/resources/r-1' },
+      { id: 'u-1', label: 'Unit 1', type: 'unit', url: '/search?unit=u-1' },
+    ],
+    unitOptions: [{ value: 'unit-1', label: 'Unit 1' }],
     urlSearchFilters: {},
   };
 
@@ -45,7 +55,7 @@ describe('pages/search/controls/SearchControlsContainer', () => {
       const formControl = wrapper.find(FormControl);
       expect(formControl).to.have.length(1);
       expect(formControl.prop('autoFocus')).to.equal(false);
-      expect(typeof formControl.prop('onChange')).to.equal('function');
+      expect(formControl.prop('onChange')).to.equal(wrapper.instance().handleSearchChange);
       expect(formControl.prop('onKeyUp')).to.equal(wrapper.instance().handleSearchInputChange);
       expect(formControl.prop('type')).to.equal('text');
       expect(formControl.prop('value')).to.equal(defaultProps.filters.search);
@@ -83,6 +93,16 @@ describe('pages/search/controls/SearchControlsContainer', () => {
     expect(advancedSearch.prop('onFiltersChange')).to.equal(wrapper.instance().handleFiltersChange);
     expect(advancedSearch.prop('purposeOptions')).to.deep.equal(defaultProps.purposeOptions);
     expect(advancedSearch.prop('filters')).to.deep.equal(defaultProps.filters);
+    expect(advancedSearch.prop('equipmentOptions')).to.deep.equal(defaultProps.equipmentOptions);
+    expect(advancedSearch.prop('municipalityOptions'))
+      .to.deep.equal(defaultProps.municipalityOptions);
+    expect(advancedSearch.prop('unitOptions')).to.deep.equal(defaultProps.unitOptions);
+  });
+
+  it('renders SavedSearches with the current filters', () => {
+    const savedSearches = getWrapper().find(SavedSearches);
+    expect(savedSearches).to.have.length(1);
+    expect(savedSearches.prop('filters')).to.deep.equal(defaultProps.filters);
   });
 
   describe('handleFiltersChange', () => {
@@ -118,6 +138,77 @@ describe('pages/search/controls/SearchControlsContainer', () => {
     });
   });
 
+  describe('search suggestions', () => {
+    function keyUp(wrapper, keyCode) {
+      wrapper.instance().handleSearchInputChange({ keyCode, target: { value: 'search-query' } });
+    }
+
+    afterEach(() => {
+      simple.restore();
+    });
+
+    it('are not rendered before the search query changes', () => {
+      expect(getWrapper().find(SearchSuggestions)).to.have.length(0);
+    });
+
+    it('are rendered when the search query changes', () => {
+      const wrapper = getWrapper();
+      wrapper.instance().handleSearchChange({ target: { value: 'ro' } });
+      wrapper.update();
+      const suggestions = wrapper.find(SearchSuggestions);
+      expect(suggestions).to.have.length(1);
+      expect(suggestions.prop('activeIndex')).to.equal(-1);
+      expect(suggestions.prop('suggestions')).to.deep.equal(defaultProps.suggestions);
+    });
+
+    it('are fetched debounced when the search query is long enough', () => {
+      const fetchSearchSuggestions = simple.mock();
+      const actions = { ...defaultProps.actions, fetchSearchSuggestions };
+      const instance = getWrapper({ actions }).instance();
+      simple.mock(instance, 'fetchSuggestions');
+      instance.handleSearchChange({ target: { value: 'r' } });
+      instance.handleSearchChange({ target: { value: 'ro ' } });
+      expect(instance.fetchSuggestions.callCount).to.equal(1);
+      expect(instance.fetchSuggestions.lastCall.args[0]).to.equal('ro');
+    });
+
+    it('are navigated with the arrow keys', () => {
+      const wrapper = getWrapper();
+      wrapper.instance().handleSearchChange({ target: { value: 'ro' } });
+      keyUp(wrapper, 40);
+      keyUp(wrapper, 40);
+      keyUp(wrapper, 40);
+      expect(wrapper.state('activeSuggestionIndex')).to.equal(1);
+      keyUp(wrapper, 38);
+      expect(wrapper.state('activeSuggestionIndex')).to.equal(0);
+    });
+
+    it('opens the active suggestion on enter', () => {
+      const browserHistoryMock = simple.mock(browserHistory, 'push');
+      const wrapper = getWrapper();
+      wrapper.instance().handleSearchChange({ target: { value: 'ro' } });
+      keyUp(wrapper, 40);
+      keyUp(wrapper, 13);
+      expect(browserHistoryMock.lastCall.args[0]).to.equal('/resources/r-1');
+      expect(wrapper.state('showSuggestions')).to.be.false;
+    });
+
+    it('searches on enter without an active suggestion', () => {
+      const browserHistoryMock = simple.mock(browserHistory, 'push');
+      const wrapper = getWrapper();
+      wrapper.instance().handleSearchChange({ target: { value: 'ro' } });
+      keyUp(wrapper, 13);
+      expect(browserHistoryMock.lastCall.args[0]).to.contain('/search?');
+    });
+
+    it('are hidden on escape', () => {
+      const wrapper = getWrapper();
+      wrapper.instance().handleSearchChange({ target: { value: 'ro' } });
+      keyUp(wrapper, 27);
+      expect(wrapper.state('showSuggestions')).to.be.false;
+    });
+  });
+
   describe('componentDidMount', () => {
     it('fetches resources when component mounts', () => {
       const actions = {
@@ -0,0 +1,34 @@
+import classNames from 'classnames';
+import React, { PropTypes } from 'react';
+
+import { injectT } from 'i18n';
+
+function SearchSuggestions({ activeIndex, onSelect, suggestions, t }) {
+  if (!suggestions.length) {
+    return null;
+  }
+  // Suggestions are selected on mouse down, before the search input loses focus and hides them.
+  return (
+    <ul className="search-suggestions">
+      {suggestions.map((suggestion, index) => (
+        <li
+          className={classNames('search-suggestion', { active: index === activeIndex })}
+          key={`${suggestion.type}-${suggestion.id}`}
+          onMouseDown={() => onSelect(suggestion)}
+        >
+          <span className="search-suggestion-type">{t(`SearchSuggestions.${suggestion.type}`)}</span>
+          {suggestion.label}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+SearchSuggestions.propTypes = {
+  activeIndex: PropTypes.number.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  suggestions: PropTypes.array.isRequired,
+  t: PropTypes.func.isRequired,
+};
+
+export default injectT(SearchSuggestions);
@@ -0,0 +1,46 @@
+import { expect } from 'chai';
+import React from 'react';
+import simple from 'simple-mock';
+
+import { shallowWithIntl } from 'utils/testUtils';
+import SearchSuggestions from './SearchSuggestions';
+
+describe('pages/search/controls/SearchSuggestions', () => {
+  const suggestions = [
+    { id: 'r-1', label: 'Meeting room', type: 'resource', url: '/resources/r-1' },
+    { id: 'u-1', label: 'Library', type: 'unit', url: '/search?unit=u-1' },
+  ];
+  const defaultProps = {
+    activeIndex: 1,
+    onSelect: simple.stub(),
+    suggestions,
+  };
+
+  function getWrapper(extraProps) {
+    return shallowWithIntl(<SearchSuggestions {...defaultProps} {...extraProps} />);
+  }
+
+  it('renders nothing without suggestions', () => {
+    expect(getWrapper({ suggestions: [] }).find('ul')).to.have.length(0);
+  });
+
+  it('renders a list item with the type and label of each suggestion', () => {
+    const items = getWrapper().find('li');
+    expect(items).to.have.length(2);
+    expect(items.at(0).find('.search-suggestion-type').text())
+      .to.equal('SearchSuggestions.resource');
+    expect(items.at(0).text()).to.contain('Meeting room');
+  });
+
+  it('marks the active suggestion', () => {
+    const items = getWrapper().find('li');
+    expect(items.at(0).hasClass('active')).to.be.false;
+    expect(items.at(1).hasClass('active')).to.be.true;
+  });
+
+  it('calls onSelect with the suggestion on mouse down', () => {
+    defaultProps.onSelect.reset();
+    getWrapper().find('li').at(1).simulate('mouseDown');
+    expect(defaultProps.onSelect.lastCall.args[0]).to.equal(suggestions[1]);
+  });
+});
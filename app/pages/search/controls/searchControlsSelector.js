@@ -1,30 +1,128 @@
 import sortBy from 'lodash/sortBy';
+import uniq from 'lodash/uniq';
+import uniqBy from 'lodash/uniqBy';
+import upperFirst from 'lodash/upperFirst';
 import values from 'lodash/values';
 import { createSelector, createStructuredSelector } from 'reselect';
 
 import ActionTypes from 'constants/ActionTypes';
-import { purposesSelector } from 'state/selectors/dataSelectors';
+import constants from 'constants/AppConstants';
+import {
+  purposesSelector,
+  resourcesSelector,
+  unitsSelector,
+} from 'state/selectors/dataSelectors';
 import uiSearchFiltersSelector from 'state/selectors/uiSearchFiltersSelector';
 import urlSearchFiltersSelector from 'state/selectors/urlSearchFiltersSelector';
 import requestIsActiveSelectorFactory from 'state/selectors/factories/requestIsActiveSelectorFactory';
+import { getSubPurposes } from 'utils/purposeUtils';
+import { getResourcePageUrl } from 'utils/resourceUtils';
+import { getSearchPageUrl } from 'utils/searchUtils';
+
+const resultIdsSelector = state => state.ui.search.results;
+
+// The equipment of the resources found by the search.
+const equipmentOptionsSelector = createSelector(
+  resultIdsSelector,
+  resourcesSelector,
+  (resultIds, resources) => {
+    const equipment = resultIds
+      .filter(id => resources[id])
+      .reduce((all, id) => [...all, ...(resources[id].equipment || [])], [])
+      .map(item => ({ value: String(item.id), label: item.name }));
+    return sortBy(uniqBy(equipment, 'value'), 'label');
+  }
+);
+
+const municipalityOptionsSelector = createSelector(
+  unitsSelector,
+  (units) => {
+    const municipalities = values(units)
+      .filter(unit => unit.municipality)
+      .map(unit => unit.municipality.toLowerCase());
+    return sortBy(uniq(municipalities)).map(municipality => ({
+      value: municipality,
+      label: upperFirst(municipality),
+    }));
+  }
+);
 
+// The options of the purpose tree, each purpose followed by the purposes under it.
 const purposeOptionsSelector = createSelector(
   purposesSelector,
   (purposes) => {
-    const purposeOptions = values(purposes)
-      .filter(purpose => purpose.parent === null)
-      .map(purpose => ({
-        value: purpose.id,
+    const getOptions = parentId => getSubPurposes(purposes, parentId).reduce(
+      (options, purpose) => [
+        ...options,
+        parentId === null ?
+          { value: purpose.id, label: purpose.name } :
+          { className: 'sub-purpose-option', value: purpose.id, label: purpose.name },
+        ...getOptions(purpose.id),
+      ],
+      []
+    );
+    return getOptions(null);
+  }
+);
+
+// The resources, units and purposes whose name contains the search query, at most
+// SEARCH_SUGGESTIONS_PER_TYPE of each.
+const suggestionsSelector = createSelector(
+  uiSearchFiltersSelector,
+  resourcesSelector,
+  unitsSelector,
+  purposesSelector,
+  (filters, resources, units, purposes) => {
+    const query = (filters.search || '').trim().toLowerCase();
+    if (query.length < constants.SEARCH_SUGGESTIONS_MIN_LENGTH) {
+      return [];
+    }
+    const getMatches = items => sortBy(
+      values(items).filter(item => (
+        item.name && item.name.toLowerCase().indexOf(query) !== -1
+      )),
+      'name'
+    ).slice(0, constants.SEARCH_SUGGESTIONS_PER_TYPE);
+    const { date } = filters;
+    return [
+      ...getMatches(resources).map(resource => ({
+        id: resource.id,
+        label: resource.name,
+        type: 'resource',
+        url: getResourcePageUrl(resource, date),
+      })),
+      ...getMatches(units).map(unit => ({
+        id: unit.id,
+        label: unit.name,
+        type: 'unit',
+        url: getSearchPageUrl({ date, unit: unit.id }),
+      })),
+      ...getMatches(purposes).map(purpose => ({
+        id: purpose.id,
         label: purpose.name,
-      }));
-    return sortBy(purposeOptions, 'label');
+        type: 'purpose',
+        url: getSearchPageUrl({ date, purpose: purpose.id }),
+      })),
+    ];
   }
 );
 
+const unitOptionsSelector = createSelector(
+  unitsSelector,
+  units => sortBy(
+    values(units).map(unit => ({ value: unit.id, label: unit.name })),
+    'label'
+  )
+);
+
 const searchControlsSelector = createStructuredSelector({
+  equipmentOptions: equipmentOptionsSelector,
   isFetchingPurposes: requestIsActiveSelectorFactory(ActionTypes.API.PURPOSES_GET_REQUEST),
   filters: uiSearchFiltersSelector,
+  municipalityOptions: municipalityOptionsSelector,
   purposeOptions: purposeOptionsSelector,
+  suggestions: suggestionsSelector,
+  unitOptions: unitOptionsSelector,
   urlSearchFilters: urlSearchFiltersSelector,
 });
 
@@ -1,7 +1,10 @@
 import { expect } from 'chai';
 import keyBy from 'lodash/keyBy';
 
+import constants from 'constants/AppConstants';
 import Purpose from 'utils/fixtures/Purpose';
+import Resource from 'utils/fixtures/Resource';
+import Unit from 'utils/fixtures/Unit';
 import { getDefaultRouterProps, getState } from 'utils/testUtils';
 import searchControlsSelector from './searchControlsSelector';
 
@@ -46,6 +49,29 @@ describe('state/selectors/searchControlsSelector', () => {
       expect(getPurposeOptions(purposes)).to.have.length(0);
     });
 
+    it('returns the options of sub-purposes after the option of their parent', () => {
+      const parent = Purpose.build({ name: 'B parent', parent: null });
+      const purposes = [
+        Purpose.build({ name: 'A', parent: null }),
+        Purpose.build({ name: 'B child 2', parent: parent.id }),
+        Purpose.build({ name: 'B child 1', parent: parent.id }),
+        parent,
+      ];
+      const labels = getPurposeOptions(purposes).map(option => option.label);
+      expect(labels).to.deep.equal(['A', 'B parent', 'B child 1', 'B child 2']);
+    });
+
+    it('marks the options of sub-purposes with a class name', () => {
+      const parent = Purpose.build({ parent: null });
+      const child = Purpose.build({ parent: parent.id });
+      const options = getPurposeOptions([parent, child]);
+      expect(options[1]).to.deep.equal({
+        className: 'sub-purpose-option',
+        label: child.name,
+        value: child.id,
+      });
+    });
+
     describe('a returned option object', () => {
       const purpose = Purpose.build({ parent: null });
       function getPurposeOption() {
@@ -67,6 +93,98 @@ describe('state/selectors/searchControlsSelector', () => {
     });
   });
 
+  describe('equipmentOptions', () => {
+    it('returns the equipment of the search results ordered by name', () => {
+      const resources = [
+        Resource.build({ equipment: [{ id: 2, name: 'Whiteboard' }, { id: 1, name: 'Projector' }] }),
+        Resource.build({ equipment: [{ id: 1, name: 'Projector' }] }),
+      ];
+      const selected = getSelected({
+        'data.resources': keyBy(resources, 'id'),
+        'ui.search.results': resources.map(resource => resource.id),
+      });
+      expect(selected.equipmentOptions).to.deep.equal([
+        { value: '1', label: 'Projector' },
+        { value: '2', label: 'Whiteboard' },
+      ]);
+    });
+  });
+
+  describe('municipality and unit options', () => {
+    const units = [
+      Unit.build({ municipality: 'helsinki', name: 'B' }),
+      Unit.build({ municipality: 'Espoo', name: 'A' }),
+      Unit.build({ municipality: 'Helsinki', name: 'C' }),
+    ];
+
+    it('returns the municipalities of the units once', () => {
+      const selected = getSelected({ 'data.units': keyBy(units, 'id') });
+      expect(selected.municipalityOptions).to.deep.equal([
+        { value: 'espoo', label: 'Espoo' },
+        { value: 'helsinki', label: 'Helsinki' },
+      ]);
+    });
+
+    it('returns the units ordered by name', () => {
+      const selected = getSelected({ 'data.units': keyBy(units, 'id') });
+      expect(selected.unitOptions.map(option => option.label)).to.deep.equal(['A', 'B', 'C']);
+    });
+  });
+
+  describe('suggestions', () => {
+    const resource = Resource.build({ name: 'Meeting room' });
+    const unit = Unit.build({ name: 'Library with rooms' });
+    const purpose = Purpose.build({ name: 'Room for meetings' });
+
+    function getSuggestions(search, resources = [resource]) {
+      return getSelected({
+        'data.purposes': keyBy([purpose], 'id'),
+        'data.resources': keyBy(resources, 'id'),
+        'data.units': keyBy([unit], 'id'),
+        'ui.search.filters': { date: '2017-05-10', search },
+      }).suggestions;
+    }
+
+    it('returns an empty array if the search query is too short', () => {
+      expect(getSuggestions('r')).to.deep.equal([]);
+    });
+
+    it('returns the resources, units and purposes matching the query', () => {
+      expect(getSuggestions('ROOM')).to.deep.equal([
+        {
+          id: resource.id,
+          label: 'Meeting room',
+          type: 'resource',
+          url: `/resources/${resource.id}?date=2017-05-10`,
+        },
+        {
+          id: unit.id,
+          label: 'Library with rooms',
+          type: 'unit',
+          url: `/search?date=2017-05-10&unit=${unit.id}`,
+        },
+        {
+          id: purpose.id,
+          label: 'Room for meetings',
+          type: 'purpose',
+          url: `/search?date=2017-05-10&purpose=${purpose.id}`,
+        },
+      ]);
+    });
+
+    it('does not return items that do not match the query', () => {
+      expect(getSuggestions('library').map(suggestion => suggestion.type))
+        .to.deep.equal(['unit']);
+    });
+
+    it('returns a limited number of suggestions of each type', () => {
+      const resources = Resource.buildList(10, { name: 'Room' });
+      const resourceSuggestions = getSuggestions('room', resources)
+        .filter(suggestion => suggestion.type === 'resource');
+      expect(resourceSuggestions).to.have.length(constants.SEARCH_SUGGESTIONS_PER_TYPE);
+    });
+  });
+
   it('returns urlSearchFilters', () => {
     expect(getSelected().urlSearchFilters).to.exist;
   });
@@ -0,0 +1,56 @@
+import React, { PropTypes } from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import ButtonGroup from 'react-bootstrap/lib/ButtonGroup';
+import FormControl from 'react-bootstrap/lib/FormControl';
+import Glyphicon from 'react-bootstrap/lib/Glyphicon';
+
+import { injectT } from 'i18n';
+
+const sortOptions = ['name', 'capacity', 'price', 'availability', 'distance'];
+
+function ResultsViewControls({ onChange, sort, t, view }) {
+  return (
+    <div className="results-view-controls">
+      <FormControl
+        componentClass="select"
+        name="sort-select"
+        onChange={event => onChange({ sort: event.target.value })}
+        value={sort}
+      >
+        <option value="">{t('ResultsViewControls.sortDefault')}</option>
+        {sortOptions.map(option => (
+          <option key={option} value={option}>
+            {t(`ResultsViewControls.sort.${option}`)}
+          </option>
+        ))}
+      </FormControl>
+      <ButtonGroup>
+        <Button
+          active={view !== 'list'}
+          className="tiles-view-button"
+          onClick={() => onChange({ view: '' })}
+          title={t('ResultsViewControls.tilesView')}
+        >
+          <Glyphicon glyph="th-large" />
+        </Button>
+        <Button
+          active={view === 'list'}
+          className="list-view-button"
+          onClick={() => onChange({ view: 'list' })}
+          title={t('ResultsViewControls.listView')}
+        >
+          <Glyphicon glyph="th-list" />
+        </Button>
+      </ButtonGroup>
+    </div>
+  );
+}
+
+ResultsViewControls.propTypes = {
+  onChange: PropTypes.func.isRequired,
+  sort: PropTypes.string.isRequired,
+  t: PropTypes.func.isRequired,
+  view: PropTypes.string.isRequired,
+};
+
+export default injectT(ResultsViewControls);
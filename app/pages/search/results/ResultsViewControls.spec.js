@@ -0,0 +1,54 @@
+import { expect } from 'chai';
+import React from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import FormControl from 'react-bootstrap/lib/FormControl';
+import simple from 'simple-mock';
+
+import { shallowWithIntl } from 'utils/testUtils';
+import ResultsViewControls from './ResultsViewControls';
+
+describe('pages/search/results/ResultsViewControls', () => {
+  const defaultProps = {
+    onChange: simple.stub(),
+    sort: 'price',
+    view: '',
+  };
+
+  function getWrapper(extraProps) {
+    return shallowWithIntl(<ResultsViewControls {...defaultProps} {...extraProps} />);
+  }
+
+  describe('sort select', () => {
+    it('renders the sort options and the selected sort', () => {
+      const select = getWrapper().find(FormControl);
+      expect(select.prop('value')).to.equal('price');
+      expect(select.find('option')).to.have.length(6);
+    });
+
+    it('calls onChange with the selected sort', () => {
+      defaultProps.onChange.reset();
+      getWrapper().find(FormControl).simulate('change', { target: { value: 'name' } });
+      expect(defaultProps.onChange.lastCall.args[0]).to.deep.equal({ sort: 'name' });
+    });
+  });
+
+  describe('view buttons', () => {
+    it('marks the tiles view active by default', () => {
+      const buttons = getWrapper().find(Button);
+      expect(buttons.filter('.tiles-view-button').prop('active')).to.be.true;
+      expect(buttons.filter('.list-view-button').prop('active')).to.be.false;
+    });
+
+    it('marks the list view active if it is selected', () => {
+      const buttons = getWrapper({ view: 'list' }).find(Button);
+      expect(buttons.filter('.tiles-view-button').prop('active')).to.be.false;
+      expect(buttons.filter('.list-view-button').prop('active')).to.be.true;
+    });
+
+    it('calls onChange with the clicked view', () => {
+      defaultProps.onChange.reset();
+      getWrapper().find(Button).filter('.list-view-button').simulate('click');
+      expect(defaultProps.onChange.lastCall.args[0]).to.deep.equal({ view: 'list' });
+    });
+  });
+});
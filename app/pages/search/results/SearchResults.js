@@ -1,19 +1,32 @@
 import React, { Component, PropTypes } from 'react';
 import { findDOMNode } from 'react-dom';
 import Loader from 'react-loader';
+import { browserHistory } from 'react-router';
 
 import ResourceList from 'shared/resource-list';
 import { injectT } from 'i18n';
 import { scrollTo } from 'utils/domUtils';
+import { getSearchPageUrl } from 'utils/searchUtils';
 import ResultsCount from './ResultsCount';
+import ResultsViewControls from './ResultsViewControls';
 
 class SearchResults extends Component {
+  constructor(props) {
+    super(props);
+    this.handleViewChange = this.handleViewChange.bind(this);
+  }
+
   componentDidMount() {
     scrollTo(findDOMNode(this));
   }
 
+  // The sort and the view are kept in the url, so that shared links show the same view.
+  handleViewChange(changes) {
+    browserHistory.push(getSearchPageUrl(Object.assign({}, this.props.filters, changes)));
+  }
+
   render() {
-    const { isFetching, searchResultIds, t } = this.props;
+    const { availableSlots, distances, filters, isFetching, searchResultIds, t } = this.props;
 
     return (
       <div id="search-results">
@@ -22,7 +35,17 @@ class SearchResults extends Component {
             emptyMessage={t('SearchResults.emptyMessage')}
             resultIds={searchResultIds}
           />
+          {searchResultIds.length > 0 &&
+            <ResultsViewControls
+              onChange={this.handleViewChange}
+              sort={filters.sort || ''}
+              view={filters.view || ''}
+            />
+          }
           <ResourceList
+            availableSlots={availableSlots}
+            compact={filters.view === 'list'}
+            distances={distances}
             resourceIds={searchResultIds}
           />
         </Loader>
@@ -32,6 +55,9 @@ class SearchResults extends Component {
 }
 
 SearchResults.propTypes = {
+  availableSlots: PropTypes.object,
+  distances: PropTypes.object,
+  filters: PropTypes.object.isRequired,
   isFetching: PropTypes.bool.isRequired,
   searchResultIds: PropTypes.array.isRequired,
   t: PropTypes.func.isRequired,
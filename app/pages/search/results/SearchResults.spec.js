@@ -1,15 +1,20 @@
 import { expect } from 'chai';
 import React from 'react';
 import Loader from 'react-loader';
+import { browserHistory } from 'react-router';
 import Immutable from 'seamless-immutable';
+import simple from 'simple-mock';
 
 import ResourceList from 'shared/resource-list';
 import { shallowWithIntl } from 'utils/testUtils';
 import SearchResults from './SearchResults';
 import ResultsCount from './ResultsCount';
+import ResultsViewControls from './ResultsViewControls';
 
 describe('pages/search/results/SearchResults', () => {
   const defaultProps = {
+    distances: { 'resource-1': 1200 },
+    filters: { date: '2015-10-10', search: 'room', sort: 'name' },
     isFetching: false,
     searchResultIds: Immutable(['resource-1', 'resource-2']),
   };
@@ -40,6 +45,26 @@ describe('pages/search/results/SearchResults', () => {
       const resourceList = getWrapper().find(ResourceList);
       expect(resourceList).to.have.length(1);
       expect(resourceList.props().resourceIds).to.deep.equal(defaultProps.searchResultIds);
+      expect(resourceList.props().compact).to.be.false;
+      expect(resourceList.props().distances).to.deep.equal(defaultProps.distances);
+    });
+
+    it('renders a compact ResourceList if the list view is selected', () => {
+      const filters = Object.assign({}, defaultProps.filters, { view: 'list' });
+      const resourceList = getWrapper({ filters }).find(ResourceList);
+      expect(resourceList.props().compact).to.be.true;
+    });
+
+    it('renders ResultsViewControls with the sort and view of the filters', () => {
+      const controls = getWrapper().find(ResultsViewControls);
+      expect(controls).to.have.length(1);
+      expect(controls.prop('sort')).to.equal('name');
+      expect(controls.prop('view')).to.equal('');
+    });
+
+    it('does not render ResultsViewControls without results', () => {
+      const controls = getWrapper({ searchResultIds: [] }).find(ResultsViewControls);
+      expect(controls).to.have.length(0);
     });
 
     it('renders a ResultsCount component with correct props', () => {
@@ -51,4 +76,18 @@ describe('pages/search/results/SearchResults', () => {
       });
     });
   });
+
+  describe('handleViewChange', () => {
+    after(() => {
+      simple.restore();
+    });
+
+    it('changes the url to have the new sort or view', () => {
+      const push = simple.mock(browserHistory, 'push');
+      getWrapper().instance().handleViewChange({ view: 'list' });
+
+      expect(push.callCount).to.equal(1);
+      expect(push.lastCall.arg).to.equal('/search?date=2015-10-10&search=room&sort=name&view=list');
+    });
+  });
 });
@@ -1,20 +1,131 @@
-import { createStructuredSelector } from 'reselect';
+import sortBy from 'lodash/sortBy';
+import moment from 'moment';
+import { createSelector, createStructuredSelector } from 'reselect';
 
 import ActionTypes from 'constants/ActionTypes';
 import { isLoggedInSelector } from 'state/selectors/authSelectors';
+import {
+  purposesSelector,
+  resourcesSelector,
+  unitsSelector,
+} from 'state/selectors/dataSelectors';
 import urlSearchFiltersSelector from 'state/selectors/urlSearchFiltersSelector';
 import requestIsActiveSelectorFactory from 'state/selectors/factories/requestIsActiveSelectorFactory';
+import { getDistance, getUnitCoordinates } from 'utils/distanceUtils';
+import { getNextAvailableSlot, isAvailableBetween } from 'utils/resourceUtils';
+import {
+  getDateRangeTimeWindows,
+  getSearchLocation,
+  getTimeWindow,
+  resourceMatchesFilters,
+  sortSearchResults,
+} from 'utils/searchUtils';
 
+const userIdSelector = state => state.auth.userId;
 const searchDoneSelector = state => state.ui.search.searchDone;
-const searchResultIdsSelector = state => state.ui.search.results;
+const resultIdsSelector = state => state.ui.search.results;
+
+// The earliest free times of the results by resource id when the next available time is searched
+// for within a number of days.
+const availableSlotsSelector = createSelector(
+  resultIdsSelector,
+  resourcesSelector,
+  urlSearchFiltersSelector,
+  (resultIds, resources, filters) => {
+    const timeWindows = getDateRangeTimeWindows(filters);
+    const availableSlots = {};
+    if (!timeWindows) {
+      return availableSlots;
+    }
+    resultIds.filter(id => resources[id]).forEach((id) => {
+      let slot = null;
+      timeWindows.some(({ begin, duration, end }) => {
+        slot = getNextAvailableSlot(resources[id], begin, end, duration);
+        return Boolean(slot);
+      });
+      if (slot) {
+        availableSlots[id] = { begin: slot.begin.format(), end: slot.end.format() };
+      }
+    });
+    return availableSlots;
+  }
+);
+
+// The distances in meters from the search location to the units of the results by resource id.
+const distancesSelector = createSelector(
+  resultIdsSelector,
+  resourcesSelector,
+  unitsSelector,
+  urlSearchFiltersSelector,
+  (resultIds, resources, units, filters) => {
+    const location = getSearchLocation(filters);
+    const distances = {};
+    if (!location) {
+      return distances;
+    }
+    resultIds.filter(id => resources[id]).forEach((id) => {
+      const coordinates = getUnitCoordinates(units[resources[id].unit]);
+      if (coordinates) {
+        distances[id] = getDistance(location, coordinates);
+      }
+    });
+    return distances;
+  }
+);
+
+// The time, equipment, municipality, price and distance filters are not supported by the API,
+// so the results are checked for them here.
+const filteredResultIdsSelector = createSelector(
+  resultIdsSelector,
+  resourcesSelector,
+  unitsSelector,
+  urlSearchFiltersSelector,
+  availableSlotsSelector,
+  distancesSelector,
+  (allResultIds, resources, units, filters, availableSlots, distances) => {
+    const maxDistance = getSearchLocation(filters) && Number(filters.distance);
+    const resultIds = allResultIds.filter((id) => {
+      const resource = resources[id];
+      return (
+        (!resource || resourceMatchesFilters(resource, units[resource.unit], filters)) &&
+        (!maxDistance || distances[id] <= maxDistance)
+      );
+    });
+    if (filters.days) {
+      const ids = resultIds.filter(id => availableSlots[id]);
+      return sortBy(ids, id => moment(availableSlots[id].begin).valueOf());
+    }
+    const timeWindow = getTimeWindow(filters);
+    if (!timeWindow) {
+      return resultIds;
+    }
+    const { begin, duration, end } = timeWindow;
+    return resultIds.filter(id => (
+      resources[id] && isAvailableBetween(resources[id], begin, end, duration)
+    ));
+  }
+);
+
+const searchResultIdsSelector = createSelector(
+  filteredResultIdsSelector,
+  resourcesSelector,
+  urlSearchFiltersSelector,
+  availableSlotsSelector,
+  distancesSelector,
+  sortSearchResults
+);
 
 const searchPageSelector = createStructuredSelector({
+  availableSlots: availableSlotsSelector,
+  distances: distancesSelector,
   filters: urlSearchFiltersSelector,
   isFetchingSearchResults:
     requestIsActiveSelectorFactory(ActionTypes.API.SEARCH_RESULTS_GET_REQUEST),
   isLoggedIn: isLoggedInSelector,
+  purposes: purposesSelector,
   searchDone: searchDoneSelector,
   searchResultIds: searchResultIdsSelector,
+  userId: userIdSelector,
 });
 
 export default searchPageSelector;
@@ -1,4 +1,5 @@
 import { expect } from 'chai';
+import moment from 'moment';
 
 import { getDefaultRouterProps, getState } from 'utils/testUtils';
 import searchPageSelector from './searchPageSelector';
@@ -6,11 +7,12 @@ import searchPageSelector from './searchPageSelector';
 describe('pages/search/searchPageSelector', () => {
   const searchResultIds = ['resource-1', 'resourece-2'];
 
-  function getSelected() {
-    const state = getState({
+  function getSelected(extraState = {}, query = {}) {
+    const state = getState(Object.assign({
       'ui.search.results': searchResultIds,
-    });
+    }, extraState));
     const props = getDefaultRouterProps();
+    props.location.query = query;
     return searchPageSelector(state, props);
   }
 
@@ -26,11 +28,157 @@ describe('pages/search/searchPageSelector', () => {
     expect(getSelected().isLoggedIn).to.exist;
   });
 
+  it('returns purposes', () => {
+    expect(getSelected().purposes).to.exist;
+  });
+
   it('returns searchDone', () => {
     expect(getSelected().searchDone).to.exist;
   });
 
+  it('returns userId', () => {
+    expect(getSelected({ auth: { userId: 'u-1' } }).userId).to.equal('u-1');
+  });
+
   it('returns searchResultIds', () => {
     expect(getSelected().searchResultIds).to.deep.equal(searchResultIds);
   });
+
+  it('returns only the resources that are free when time filters are used', () => {
+    const date = moment().add(1, 'day').format('YYYY-MM-DD');
+    const openingHours = [{
+      closes: `${date}T20:00:00`,
+      date,
+      opens: `${date}T08:00:00`,
+    }];
+    const resources = {
+      'resource-1': { id: 'resource-1', openingHours, reservations: [] },
+      'resource-2': {
+        id: 'resource-2',
+        openingHours,
+        reservations: [{ begin: `${date}T17:00:00`, end: `${date}T18:00:00` }],
+      },
+    };
+    const selected = getSelected(
+      { 'data.resources': resources, 'ui.search.results': ['resource-1', 'resource-2'] },
+      { date, endTime: '19:00', startTime: '17:00' }
+    );
+    expect(selected.searchResultIds).to.deep.equal(['resource-1']);
+  });
+
+  it('returns only the resources that match the equipment, municipality and price filters', () => {
+    const resources = {
+      'resource-1': {
+        equipment: [{ id: 'projector' }],
+        id: 'resource-1',
+        maxPricePerHour: '15.00',
+        unit: 'unit-1',
+      },
+      'resource-2': { equipment: [], id: 'resource-2', unit: 'unit-1' },
+      'resource-3': {
+        equipment: [{ id: 'projector' }],
+        id: 'resource-3',
+        maxPricePerHour: '25.00',
+        unit: 'unit-1',
+      },
+      'resource-4': { equipment: [{ id: 'projector' }], id: 'resource-4', unit: 'unit-2' },
+    };
+    const units = {
+      'unit-1': { id: 'unit-1', municipality: 'helsinki' },
+      'unit-2': { id: 'unit-2', municipality: 'espoo' },
+    };
+    const selected = getSelected(
+      {
+        'data.resources': resources,
+        'data.units': units,
+        'ui.search.results': Object.keys(resources),
+      },
+      { equipment: 'projector', maxPrice: '20', municipality: 'helsinki' }
+    );
+    expect(selected.searchResultIds).to.deep.equal(['resource-1']);
+  });
+
+  describe('when searching from a location', () => {
+    const resources = {
+      'resource-1': { id: 'resource-1', unit: 'unit-far' },
+      'resource-2': { id: 'resource-2', unit: 'unit-near' },
+      'resource-3': { id: 'resource-3', unit: 'unit-without-location' },
+    };
+    const units = {
+      'unit-far': { id: 'unit-far', location: { coordinates: [24.6559, 60.2055] } },
+      'unit-near': { id: 'unit-near', location: { coordinates: [24.9384, 60.1699] } },
+      'unit-without-location': { id: 'unit-without-location', location: null },
+    };
+
+    function getLocationSelected(query) {
+      return getSelected(
+        {
+          'data.resources': resources,
+          'data.units': units,
+          'ui.search.results': Object.keys(resources),
+        },
+        Object.assign({ lat: '60.1699', lon: '24.9384' }, query)
+      );
+    }
+
+    it('returns the distances to the units of the resources', () => {
+      const distances = getLocationSelected().distances;
+      expect(Object.keys(distances)).to.deep.equal(['resource-1', 'resource-2']);
+      expect(distances['resource-2']).to.equal(0);
+      expect(distances['resource-1']).to.be.within(16000, 16300);
+    });
+
+    it('returns the resources ordered by distance', () => {
+      expect(getLocationSelected().searchResultIds).to.deep.equal([
+        'resource-2', 'resource-1', 'resource-3',
+      ]);
+    });
+
+    it('returns only the resources within the distance filter', () => {
+      const selected = getLocationSelected({ distance: '5000' });
+      expect(selected.searchResultIds).to.deep.equal(['resource-2']);
+    });
+  });
+
+  describe('when the next available time is searched for within days', () => {
+    const date = moment().add(1, 'day').format('YYYY-MM-DD');
+    const nextDate = moment().add(2, 'days').format('YYYY-MM-DD');
+    const openingHours = [
+      { closes: `${date}T20:00:00`, date, opens: `${date}T08:00:00` },
+      { closes: `${nextDate}T20:00:00`, date: nextDate, opens: `${nextDate}T08:00:00` },
+    ];
+    const resources = {
+      'resource-1': {
+        id: 'resource-1',
+        openingHours,
+        reservations: [{ begin: `${date}T08:00:00`, end: `${date}T20:00:00` }],
+      },
+      'resource-2': { id: 'resource-2', openingHours, reservations: [] },
+      'resource-3': { id: 'resource-3', openingHours: [], reservations: [] },
+    };
+
+    function getSelectedWithDays() {
+      return getSelected(
+        {
+          'data.resources': resources,
+          'ui.search.results': ['resource-1', 'resource-2', 'resource-3'],
+        },
+        { date, days: '2', duration: '60' }
+      );
+    }
+
+    it('returns the earliest free times of the resources', () => {
+      const availableSlots = getSelectedWithDays().availableSlots;
+
+      expect(Object.keys(availableSlots)).to.deep.equal(['resource-1', 'resource-2']);
+      expect(availableSlots['resource-1']).to.deep.equal({
+        begin: moment(`${nextDate}T08:00:00`).format(),
+        end: moment(`${nextDate}T09:00:00`).format(),
+      });
+    });
+
+    it('returns the resources with free time ordered by the time', () => {
+      expect(getSelectedWithDays().searchResultIds).to.deep.equal(['resource-2', 'resource-1']);
+    });
+  });
 });
@@ -7,6 +7,7 @@ import { fetchReservations } from 'actions/reservationActions';
 import { fetchResources } from 'actions/resourceActions';
 import { changeAdminReservationFilters } from 'actions/uiActions';
 import { fetchUnits } from 'actions/unitActions';
+import constants from 'constants/AppConstants';
 import ReservationInfoModal from 'shared/modals/reservation-info';
 import PageWrapper from 'pages/PageWrapper';
 import ReservationCancelModal from 'shared/modals/reservation-cancel';
@@ -89,6 +90,11 @@ class UnconnectedUserReservationsPage extends Component {
                 />
               </div>
             )}
+            <p className="calendar-feed-link">
+              <a download href={constants.RESERVATIONS_CALENDAR_URL}>
+                {t('UserReservationsPage.calendarFeedLink')}
+              </a>
+            </p>
             <ReservationCancelModal />
             <ReservationInfoModal />
           </div>
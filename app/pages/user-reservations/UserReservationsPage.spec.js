@@ -2,6 +2,7 @@ import { expect } from 'chai';
 import React from 'react';
 import simple from 'simple-mock';
 
+import constants from 'constants/AppConstants';
 import PageWrapper from 'pages/PageWrapper';
 import { shallowWithIntl } from 'utils/testUtils';
 import { UnconnectedUserReservationsPage as UserReservationsPage } from './UserReservationsPage';
@@ -39,6 +40,13 @@ describe('pages/user-reservations/UserReservationsPage', () => {
       expect(pageWrapper.prop('title')).to.equal('UserReservationsPage.title');
     });
 
+    it('renders a link to the calendar feed of the reservations', () => {
+      const link = getWrapper().find('.calendar-feed-link a');
+      expect(link).to.have.length(1);
+      expect(link.prop('href')).to.equal(constants.RESERVATIONS_CALENDAR_URL);
+      expect(link.text()).to.equal('UserReservationsPage.calendarFeedLink');
+    });
+
     describe('when user is not admin', () => {
       const wrapper = getWrapper({ isAdmin: false });
 
@@ -2,6 +2,8 @@ import isEmpty from 'lodash/isEmpty';
 import React, { Component, PropTypes } from 'react';
 import { Link } from 'react-router';
 
+import AddToCalendarButton from 'shared/add-to-calendar-button';
+import PriceEstimate from 'shared/price-estimate';
 import ReservationAccessCode from 'shared/reservation-access-code';
 import ReservationControls from 'shared/reservation-controls';
 import ReservationStateLabel from 'shared/reservation-state-label';
@@ -51,10 +53,14 @@ class ReservationListItem extends Component {
             <TimeRange begin={reservation.begin} end={reservation.end} />
           </Link>
         </div>
+        {reservation.state !== 'cancelled' &&
+          <PriceEstimate reservations={[reservation]} resource={resource} />
+        }
         <ReservationAccessCode
           reservation={reservation}
           text={t('ReservationListItem.accessCodeText')}
         />
+        <AddToCalendarButton reservations={[reservation]} resource={resource} unit={unit} />
         <ReservationControls
           isAdmin={isAdmin}
           isStaff={isStaff}
@@ -2,6 +2,8 @@ import { expect } from 'chai';
 import React from 'react';
 import Immutable from 'seamless-immutable';
 
+import AddToCalendarButton from 'shared/add-to-calendar-button';
+import PriceEstimate from 'shared/price-estimate';
 import ReservationStateLabel from 'shared/reservation-state-label';
 import TimeRange from 'shared/time-range';
 import Image from 'utils/fixtures/Image';
@@ -86,6 +88,30 @@ describe('pages/user-reservations/reservation-list/ReservationListItem', () => {
       expect(reservationStateLabel.length).to.equal(1);
     });
 
+    it('renders AddToCalendarButton for the reservation', () => {
+      const button = component.find(AddToCalendarButton);
+
+      expect(button).to.have.length(1);
+      expect(button.prop('reservations')).to.deep.equal([props.reservation]);
+      expect(button.prop('resource')).to.equal(props.resource);
+      expect(button.prop('unit')).to.equal(props.unit);
+    });
+
+    it('renders PriceEstimate for the reservation', () => {
+      const estimate = component.find(PriceEstimate);
+
+      expect(estimate).to.have.length(1);
+      expect(estimate.prop('reservations')).to.deep.equal([props.reservation]);
+      expect(estimate.prop('resource')).to.equal(props.resource);
+    });
+
+    it('does not render PriceEstimate for a cancelled reservation', () => {
+      const reservation = Immutable(Reservation.build({ state: 'cancelled' }));
+      const wrapper = shallowWithIntl(<ReservationListItem {...props} reservation={reservation} />);
+
+      expect(wrapper.find(PriceEstimate)).to.have.length(0);
+    });
+
     it('renders ReservationControls component', () => {
       const reservationControls = component.find(ReservationControls);
       expect(reservationControls).to.have.length(1);
@@ -7,18 +7,31 @@ import AdminResourcesPage from 'pages/admin-resources';
 import HomePage from 'pages/home';
 import NotFoundPage from 'pages/not-found';
 import ResourcePage from 'pages/resource';
+import ResourceDisplayPage from 'pages/resource-display';
+import ResourceEmbedPage from 'pages/resource-embed';
 import SearchPage from 'pages/search';
 import UserReservationsPage from 'pages/user-reservations';
+import { canUseDOM } from 'utils/domUtils';
 
 export default (params) => {
   function removeFacebookAppendedHash(nextState, replace, callback) {
-    if (window.location.hash && window.location.hash.indexOf('_=_') !== -1) {
+    if (canUseDOM && window.location.hash && window.location.hash.indexOf('_=_') !== -1) {
       replace(window.location.hash.replace('_=_', ''));
     }
     callback();
   }
 
   function requireAuth(nextState, replace, callback) {
+    if (!canUseDOM) {
+      // On the server the auth state is known before rendering, so the redirect to
+      // the login route can be done right away.
+      if (!params.getState().auth.userId) {
+        replace('/login');
+      }
+      callback();
+      return;
+    }
+
     setTimeout(() => {
       const { auth } = params.getState();
 
@@ -32,7 +45,9 @@ export default (params) => {
   }
 
   function scrollTop(nextState, replace, callback) {
-    window.scrollTo(0, 0);
+    if (canUseDOM) {
+      window.scrollTo(0, 0);
+    }
     callback();
   }
 
@@ -46,6 +61,8 @@ export default (params) => {
       <Route component={AboutPage} onEnter={scrollTop} path="/about" />
       <Redirect from="/resources/:id/reservation" to="/resources/:id" />
       <Route component={ResourcePage} onEnter={scrollTop} path="/resources/:id" />
+      <Route component={ResourceDisplayPage} fullscreen path="/resources/:id/display" />
+      <Route component={ResourceEmbedPage} fullscreen path="/resources/:id/embed" />
       <Route component={SearchPage} path="/search" />
       <Route component={NotFoundPage} path="*" />
     </Route>
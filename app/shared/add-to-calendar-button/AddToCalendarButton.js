@@ -0,0 +1,46 @@
+import React, { PropTypes } from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import Glyphicon from 'react-bootstrap/lib/Glyphicon';
+
+import { injectT } from 'i18n';
+import {
+  getICalendar,
+  getICalendarDataUrl,
+  getICalendarFileName,
+} from 'utils/icalendarUtils';
+
+function AddToCalendarButton({ reservations, resource, t, unit }) {
+  if (!reservations.length) {
+    return <span />;
+  }
+  const icalendar = getICalendar(reservations, {
+    accessCodeText: t('ReservationAccessCode.defaultText'),
+    resources: { [resource.id]: resource },
+    units: unit.id ? { [unit.id]: unit } : {},
+  });
+
+  return (
+    <Button
+      bsSize="small"
+      bsStyle="default"
+      className="add-to-calendar-button"
+      download={getICalendarFileName(reservations[0])}
+      href={getICalendarDataUrl(icalendar)}
+    >
+      <Glyphicon glyph="calendar" /> {t('AddToCalendarButton.label')}
+    </Button>
+  );
+}
+
+AddToCalendarButton.propTypes = {
+  reservations: PropTypes.array.isRequired,
+  resource: PropTypes.object.isRequired,
+  t: PropTypes.func.isRequired,
+  unit: PropTypes.object,
+};
+
+AddToCalendarButton.defaultProps = {
+  unit: {},
+};
+
+export default injectT(AddToCalendarButton);
@@ -0,0 +1,57 @@
+import { expect } from 'chai';
+import React from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import Immutable from 'seamless-immutable';
+
+import Reservation from 'utils/fixtures/Reservation';
+import Resource from 'utils/fixtures/Resource';
+import Unit from 'utils/fixtures/Unit';
+import { getICalendarFileName } from 'utils/icalendarUtils';
+import { shallowWithIntl } from 'utils/testUtils';
+import AddToCalendarButton from './AddToCalendarButton';
+
+describe('shared/add-to-calendar-button/AddToCalendarButton', () => {
+  const unit = Unit.build({ streetAddress: 'Test street 1' });
+  const resource = Resource.build({ unit: unit.id });
+  const reservation = Reservation.build({ accessCode: '1234', resource: resource.id });
+  const defaultProps = {
+    reservations: Immutable([reservation]),
+    resource: Immutable(resource),
+    unit: Immutable(unit),
+  };
+
+  function getWrapper(extraProps) {
+    return shallowWithIntl(<AddToCalendarButton {...defaultProps} {...extraProps} />);
+  }
+
+  it('renders a Button with the add-to-calendar-button class', () => {
+    const button = getWrapper().find(Button);
+    expect(button).to.have.length(1);
+    expect(button.prop('className')).to.equal('add-to-calendar-button');
+  });
+
+  it('renders the label', () => {
+    expect(getWrapper().find(Button).html()).to.contain('AddToCalendarButton.label');
+  });
+
+  it('downloads a file named after the first reservation', () => {
+    const button = getWrapper().find(Button);
+    expect(button.prop('download')).to.equal(getICalendarFileName(reservation));
+  });
+
+  it('links to an iCalendar document of the reservations', () => {
+    const href = getWrapper().find(Button).prop('href');
+    const icalendar = decodeURIComponent(href.split(',').slice(1).join(','));
+
+    expect(href).to.match(/^data:text\/calendar;charset=utf-8,/);
+    expect(icalendar).to.contain(`UID:${reservation.url}`);
+    expect(icalendar).to.contain(`SUMMARY:${resource.name}`);
+    expect(icalendar).to.contain(`LOCATION:${resource.name}\\, ${unit.name}\\, Test street 1`);
+    expect(icalendar).to.contain('DESCRIPTION:ReservationAccessCode.defaultText 1234');
+  });
+
+  it('renders an empty span if there are no reservations', () => {
+    const wrapper = getWrapper({ reservations: [] });
+    expect(wrapper.equals(<span />)).to.be.true;
+  });
+});
@@ -0,0 +1,3 @@
+import AddToCalendarButton from './AddToCalendarButton';
+
+export default AddToCalendarButton;
@@ -1,28 +1,56 @@
+import includes from 'lodash/includes';
 import isEqual from 'lodash/isEqual';
+import moment from 'moment';
 import React, { PropTypes } from 'react';
 
+import { slotSize, slotWidth } from 'shared/availability-view';
 import ReservationInfoModal from 'shared/modals/reservation-info';
 import DateSelector from './DateSelector';
 import TimelineGroups from './TimelineGroups';
+import utils from './TimelineGroups/TimelineGroup/utils';
 import Sidebar from './Sidebar';
 
+function getResourceIdAt(x, y) {
+  let element = document.elementFromPoint(x, y);
+  while (element && element.getAttribute) {
+    const resourceId = element.getAttribute('data-resource-id');
+    if (resourceId) return resourceId;
+    element = element.parentNode;
+  }
+  return null;
+}
+
+function suppressClick(event) {
+  event.preventDefault();
+  event.stopPropagation();
+}
+
 export default class AvailabilityView extends React.Component {
   static propTypes = {
     date: PropTypes.string.isRequired,
     groups: PropTypes.arrayOf(PropTypes.object).isRequired,
     onDateChange: PropTypes.func.isRequired,
+    onReservationChange: PropTypes.func,
     onSelect: PropTypes.func,
   };
 
   constructor(props) {
     super(props);
-    this.state = { hoverSelection: null, selection: null };
+    this.state = { collapsedGroups: [], drag: null, hoverSelection: null, selection: null };
+    this.handleDragEnd = this.handleDragEnd.bind(this);
+    this.handleDragMove = this.handleDragMove.bind(this);
+    this.handleGroupToggle = this.handleGroupToggle.bind(this);
+    this.handleReservationDragStart = this.handleReservationDragStart.bind(this);
     this.handleReservationSlotClick = this.handleReservationSlotClick.bind(this);
     this.handleReservationSlotMouseEnter = this.handleReservationSlotMouseEnter.bind(this);
     this.handleReservationSlotMouseLeave = this.handleReservationSlotMouseLeave.bind(this);
     this.handleSelectionCancel = this.handleSelectionCancel.bind(this);
   }
 
+  componentWillUnmount() {
+    this.removeDragListeners();
+  }
+
   getSelection() {
     const selection = this.state.selection;
     const hover = this.state.hoverSelection;
@@ -32,6 +60,60 @@ export default class AvailabilityView extends React.Component {
     return { ...selection, end: hover.end };
   }
 
+  handleReservationDragStart({ event, mode, reservation, resourceId }) {
+    this.dragStartX = event.clientX;
+    window.addEventListener('mousemove', this.handleDragMove);
+    window.addEventListener('mouseup', this.handleDragEnd);
+    this.setState({
+      drag: {
+        ...utils.getDraggedTimes(reservation, mode, 0),
+        mode,
+        reservation,
+        resourceId,
+        sourceResourceId: resourceId,
+      },
+    });
+  }
+
+  handleDragMove(event) {
+    const drag = this.state.drag;
+    const minutes = Math.round((event.clientX - this.dragStartX) / slotWidth) * slotSize;
+    const { begin, end } = utils.getDraggedTimes(drag.reservation, drag.mode, minutes);
+    const resourceId = (
+      (drag.mode === 'move' && getResourceIdAt(event.clientX, event.clientY)) ||
+      drag.resourceId
+    );
+    if (begin !== drag.begin || end !== drag.end || resourceId !== drag.resourceId) {
+      this.setState({ drag: { ...drag, begin, end, resourceId } });
+    }
+  }
+
+  handleDragEnd() {
+    const { begin, end, reservation, resourceId, sourceResourceId } = this.state.drag;
+    this.removeDragListeners();
+    this.setState({ drag: null });
+    const isChanged = (
+      resourceId !== sourceResourceId ||
+      !moment(begin).isSame(reservation.begin) ||
+      !moment(end).isSame(reservation.end)
+    );
+    if (isChanged) {
+      // The mouse up after a drag ends in a click which should not open the reservation.
+      window.addEventListener('click', suppressClick, true);
+      window.setTimeout(() => window.removeEventListener('click', suppressClick, true), 0);
+      this.props.onReservationChange({ begin, end, reservation, resourceId });
+    }
+  }
+
+  handleGroupToggle(name) {
+    const collapsedGroups = this.state.collapsedGroups;
+    this.setState({
+      collapsedGroups: includes(collapsedGroups, name) ?
+        collapsedGroups.filter(group => group !== name) :
+        [...collapsedGroups, name],
+    });
+  }
+
   handleReservationSlotClick(slot) {
     if (this.state.selection) {
       this.endSelection(slot);
@@ -41,6 +123,9 @@ export default class AvailabilityView extends React.Component {
   }
 
   handleReservationSlotMouseEnter(slot) {
+    if (this.state.drag) {
+      return;
+    }
     const isSlotSelectable = (
       !this.state.selection || (
         this.state.selection.resourceId === slot.resourceId &&
@@ -77,27 +162,41 @@ export default class AvailabilityView extends React.Component {
     this.setState({ selection: null });
   }
 
+  removeDragListeners() {
+    window.removeEventListener('mousemove', this.handleDragMove);
+    window.removeEventListener('mouseup', this.handleDragEnd);
+  }
+
   startSelection(slot) {
     this.setState({ selection: slot });
   }
 
   render() {
+    const { drag } = this.state;
     const selection = this.getSelection();
+    const selectedResourceId = drag ? drag.resourceId : selection && selection.resourceId;
     return (
       <div className="availability-view">
         <div className="left">
           <div className="top-left" />
           <Sidebar
+            collapsedGroups={this.state.collapsedGroups}
             date={this.props.date}
             groups={this.props.groups}
-            selectedResourceId={selection && selection.resourceId}
+            onGroupToggle={this.handleGroupToggle}
+            selectedResourceId={selectedResourceId}
           />
         </div>
         <div className="right">
           <DateSelector onChange={this.props.onDateChange} value={this.props.date} />
           <TimelineGroups
+            collapsedGroups={this.state.collapsedGroups}
             date={this.props.date}
+            drag={drag}
             groups={this.props.groups}
+            onReservationDragStart={
+              this.props.onReservationChange && this.handleReservationDragStart
+            }
             onReservationSlotClick={this.handleReservationSlotClick}
             onReservationSlotMouseEnter={this.handleReservationSlotMouseEnter}
             onReservationSlotMouseLeave={this.handleReservationSlotMouseLeave}
@@ -1,8 +1,10 @@
 import { expect } from 'chai';
 import { shallow } from 'enzyme';
+import moment from 'moment';
 import React from 'react';
 import simple from 'simple-mock';
 
+import { slotWidth } from 'shared/availability-view';
 import DateSelector from './DateSelector';
 import TimelineGroups from './TimelineGroups';
 import AvailabilityView from './AvailabilityView';
@@ -52,7 +54,32 @@ describe('shared/availability-view/AvailabilityView', () => {
 
   it('has correct initial state', () => {
     const wrapper = getWrapper();
-    expect(wrapper.state()).to.deep.equal({ hoverSelection: null, selection: null });
+    expect(wrapper.state()).to.deep.equal({
+      collapsedGroups: [],
+      drag: null,
+      hoverSelection: null,
+      selection: null,
+    });
+  });
+
+  describe('handleGroupToggle', () => {
+    it('is given to Sidebar', () => {
+      const wrapper = getWrapper();
+      const handler = wrapper.instance().handleGroupToggle;
+      expect(wrapper.find(Sidebar).prop('onGroupToggle')).to.equal(handler);
+    });
+
+    it('collapses and expands the group', () => {
+      const wrapper = getWrapper();
+      wrapper.instance().handleGroupToggle('A');
+      wrapper.instance().handleGroupToggle('B');
+      wrapper.update();
+      expect(wrapper.state('collapsedGroups')).to.deep.equal(['A', 'B']);
+      expect(wrapper.find(Sidebar).prop('collapsedGroups')).to.deep.equal(['A', 'B']);
+      expect(wrapper.find(TimelineGroups).prop('collapsedGroups')).to.deep.equal(['A', 'B']);
+      wrapper.instance().handleGroupToggle('A');
+      expect(wrapper.state('collapsedGroups')).to.deep.equal(['B']);
+    });
   });
 
   describe('getSelection', () => {
@@ -216,7 +243,12 @@ describe('shared/availability-view/AvailabilityView', () => {
           resourceId: 'auuexui389aeoord',
         };
         const state = handleReservationSlotClick(selection);
-        expect(state).to.deep.equal({ hoverSelection: null, selection });
+        expect(state).to.deep.equal({
+          collapsedGroups: [],
+          drag: null,
+          hoverSelection: null,
+          selection,
+        });
       });
     });
 
@@ -237,7 +269,12 @@ describe('shared/availability-view/AvailabilityView', () => {
             { resourceId, begin: '2016-01-01T10:00:00Z' },
             { resourceId, begin: '2016-01-01T10:00:00Z', end: '2016-01-01T10:30:00Z' }
           );
-          expect(wrapper.state()).to.deep.equal({ hoverSelection: null, selection: null });
+          expect(wrapper.state()).to.deep.equal({
+            collapsedGroups: [],
+            drag: null,
+            hoverSelection: null,
+            selection: null,
+          });
         });
 
         it('calls props.onSelect', () => {
@@ -261,7 +298,12 @@ describe('shared/availability-view/AvailabilityView', () => {
         function checkInvalid(begin, end) {
           const onSelect = simple.mock();
           const wrapper = doSelect({ onSelect }, begin, end);
-          expect(wrapper.state()).to.deep.equal({ hoverSelection: null, selection: begin });
+          expect(wrapper.state()).to.deep.equal({
+            collapsedGroups: [],
+            drag: null,
+            hoverSelection: null,
+            selection: begin,
+          });
           expect(onSelect.called).to.be.false;
         }
 
@@ -284,4 +326,131 @@ describe('shared/availability-view/AvailabilityView', () => {
       });
     });
   });
+
+  describe('dragging reservations', () => {
+    const reservation = {
+      begin: moment('2016-01-01T10:00:00').format(),
+      end: moment('2016-01-01T11:00:00').format(),
+      id: 12345,
+    };
+
+    function startDrag(wrapper, mode = 'move') {
+      wrapper.instance().handleReservationDragStart({
+        event: { clientX: 100 },
+        mode,
+        reservation,
+        resourceId: 'r1',
+      });
+    }
+
+    beforeEach(() => {
+      simple.mock(window, 'addEventListener');
+      simple.mock(window, 'removeEventListener');
+      simple.mock(window, 'setTimeout');
+      simple.mock(document, 'elementFromPoint').returnWith(null);
+    });
+
+    afterEach(() => {
+      simple.restore();
+    });
+
+    it('is not enabled without onReservationChange', () => {
+      const groups = getWrapper().find(TimelineGroups);
+      expect(groups.prop('onReservationDragStart')).to.be.undefined;
+    });
+
+    it('is enabled with onReservationChange', () => {
+      const wrapper = getWrapper({ onReservationChange: () => null });
+      const handler = wrapper.instance().handleReservationDragStart;
+      expect(wrapper.find(TimelineGroups).prop('onReservationDragStart')).to.equal(handler);
+    });
+
+    it('starts a drag and listens to mouse moves', () => {
+      const wrapper = getWrapper({ onReservationChange: () => null });
+      startDrag(wrapper);
+      wrapper.update();
+      expect(wrapper.state('drag')).to.deep.equal({
+        begin: reservation.begin,
+        end: reservation.end,
+        mode: 'move',
+        reservation,
+        resourceId: 'r1',
+        sourceResourceId: 'r1',
+      });
+      const listeners = window.addEventListener.calls.map(call => call.args[0]);
+      expect(listeners).to.deep.equal(['mousemove', 'mouseup']);
+      expect(wrapper.find(TimelineGroups).prop('drag')).to.equal(wrapper.state('drag'));
+      expect(wrapper.find(Sidebar).prop('selectedResourceId')).to.equal('r1');
+    });
+
+    it('moves the reservation by whole slots', () => {
+      const wrapper = getWrapper({ onReservationChange: () => null });
+      startDrag(wrapper);
+      wrapper.instance().handleDragMove({ clientX: 100 + (slotWidth * 2) + 10, clientY: 0 });
+      expect(wrapper.state('drag').begin).to.equal(moment('2016-01-01T11:00:00').format());
+      expect(wrapper.state('drag').end).to.equal(moment('2016-01-01T12:00:00').format());
+    });
+
+    it('moves the reservation to the resource under the mouse', () => {
+      const row = document.createElement('div');
+      row.setAttribute('data-resource-id', 'r2');
+      const child = document.createElement('div');
+      row.appendChild(child);
+      simple.restore(document, 'elementFromPoint');
+      simple.mock(document, 'elementFromPoint').returnWith(child);
+      const wrapper = getWrapper({ onReservationChange: () => null });
+      startDrag(wrapper);
+      wrapper.instance().handleDragMove({ clientX: 100, clientY: 200 });
+      expect(wrapper.state('drag').resourceId).to.equal('r2');
+    });
+
+    it('does not change the resource when resizing', () => {
+      const row = document.createElement('div');
+      row.setAttribute('data-resource-id', 'r2');
+      simple.restore(document, 'elementFromPoint');
+      simple.mock(document, 'elementFromPoint').returnWith(row);
+      const wrapper = getWrapper({ onReservationChange: () => null });
+      startDrag(wrapper, 'resize-end');
+      wrapper.instance().handleDragMove({ clientX: 100 + slotWidth, clientY: 200 });
+      expect(wrapper.state('drag').resourceId).to.equal('r1');
+      expect(wrapper.state('drag').begin).to.equal(reservation.begin);
+      expect(wrapper.state('drag').end).to.equal(moment('2016-01-01T11:30:00').format());
+    });
+
+    it('calls onReservationChange when the drag ends with a change', () => {
+      const onReservationChange = simple.mock();
+      const wrapper = getWrapper({ onReservationChange });
+      startDrag(wrapper);
+      wrapper.instance().handleDragMove({ clientX: 100 - slotWidth, clientY: 0 });
+      wrapper.instance().handleDragEnd();
+      expect(wrapper.state('drag')).to.be.null;
+      expect(onReservationChange.callCount).to.equal(1);
+      expect(onReservationChange.lastCall.args[0]).to.deep.equal({
+        begin: moment('2016-01-01T09:30:00').format(),
+        end: moment('2016-01-01T10:30:00').format(),
+        reservation,
+        resourceId: 'r1',
+      });
+      const removed = window.removeEventListener.calls.map(call => call.args[0]);
+      expect(removed).to.deep.equal(['mousemove', 'mouseup']);
+    });
+
+    it('does not update hoverSelection during a drag', () => {
+      const wrapper = getWrapper({ onReservationChange: () => null });
+      startDrag(wrapper);
+      const slot = { begin: reservation.end, resourceId: 'r1' };
+      wrapper.instance().handleReservationSlotMouseEnter(slot);
+      expect(wrapper.state('hoverSelection')).to.be.null;
+    });
+
+    it('does not call onReservationChange when nothing changed', () => {
+      const onReservationChange = simple.mock();
+      const wrapper = getWrapper({ onReservationChange });
+      startDrag(wrapper);
+      wrapper.instance().handleDragMove({ clientX: 105, clientY: 0 });
+      wrapper.instance().handleDragEnd();
+      expect(wrapper.state('drag')).to.be.null;
+      expect(onReservationChange.callCount).to.equal(0);
+    });
+  });
 });
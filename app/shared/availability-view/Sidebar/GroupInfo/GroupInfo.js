@@ -1,10 +1,14 @@
 import React, { PropTypes } from 'react';
+import Glyphicon from 'react-bootstrap/lib/Glyphicon';
 
 import ResourceInfoContainer from './ResourceInfo';
 
 GroupInfo.propTypes = {
   date: PropTypes.string.isRequired,
+  freeHours: PropTypes.number,
+  isCollapsed: PropTypes.bool,
   name: PropTypes.string.isRequired,
+  onToggle: PropTypes.func,
   resources: PropTypes.arrayOf(PropTypes.string).isRequired,
   selectedResourceId: PropTypes.string,
 };
@@ -12,8 +16,22 @@ export default function GroupInfo(props) {
   const date = props.date;
   return (
     <div className="group-info" title={props.name}>
-      <div className="group-name"><div className="name">{props.name}</div></div>
-      {props.resources.map(resource =>
+      <div className="group-name">
+        {props.onToggle && (
+          <button
+            className="group-toggle"
+            onClick={() => props.onToggle(props.name)}
+            type="button"
+          >
+            <Glyphicon glyph={props.isCollapsed ? 'chevron-right' : 'chevron-down'} />
+          </button>
+        )}
+        <div className="name">{props.name}</div>
+        {props.freeHours !== undefined && (
+          <div className="free-hours"><Glyphicon glyph="time" /> {props.freeHours} h</div>
+        )}
+      </div>
+      {!props.isCollapsed && props.resources.map(resource =>
         <ResourceInfoContainer
           date={date}
           id={resource}
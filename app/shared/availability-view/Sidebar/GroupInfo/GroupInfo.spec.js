@@ -1,6 +1,7 @@
 import { expect } from 'chai';
 import { shallow } from 'enzyme';
 import React from 'react';
+import simple from 'simple-mock';
 
 import GroupInfo from './GroupInfo';
 import ResourceInfoContainer from './ResourceInfo';
@@ -27,6 +28,29 @@ describe('shared/availability-view/GroupInfo', () => {
     expect(element.text()).to.equal(name);
   });
 
+  it('renders free hours if given', () => {
+    expect(getWrapper().find('.free-hours')).to.have.length(0);
+    const element = getWrapper({ freeHours: 12.5 }).find('.free-hours');
+    expect(element).to.have.length(1);
+    expect(element.text()).to.contain('12.5 h');
+  });
+
+  it('renders a toggle button if onToggle is given', () => {
+    expect(getWrapper().find('.group-toggle')).to.have.length(0);
+    const onToggle = simple.mock();
+    const button = getWrapper({ name: 'Group', onToggle }).find('.group-toggle');
+    expect(button).to.have.length(1);
+    button.simulate('click');
+    expect(onToggle.callCount).to.equal(1);
+    expect(onToggle.lastCall.args).to.deep.equal(['Group']);
+  });
+
+  it('renders no resources if collapsed', () => {
+    const elements = getWrapper({ isCollapsed: true, resources: ['abcd'] })
+      .find(ResourceInfoContainer);
+    expect(elements).to.have.length(0);
+  });
+
   it('renders no resources if none given', () => {
     const elements = getWrapper({ resources: [] }).find(ResourceInfoContainer);
     expect(elements).to.have.length(0);
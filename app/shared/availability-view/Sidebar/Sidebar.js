@@ -1,23 +1,33 @@
+import includes from 'lodash/includes';
 import React, { PropTypes } from 'react';
 
 import GroupInfo from './GroupInfo';
 
 Sidebar.propTypes = {
+  collapsedGroups: PropTypes.arrayOf(PropTypes.string),
   date: PropTypes.string.isRequired,
   groups: PropTypes.arrayOf(
     PropTypes.shape({ name: PropTypes.string.isRequired })
   ).isRequired,
+  onGroupToggle: PropTypes.func,
   selectedResourceId: PropTypes.string,
 };
-export default function Sidebar(props) {
-  const date = props.date;
+export default function Sidebar({
+  collapsedGroups,
+  date,
+  groups,
+  onGroupToggle,
+  selectedResourceId,
+}) {
   return (
     <div className="sidebar">
-      {props.groups.map(group => (
+      {groups.map(group => (
         <GroupInfo
           date={date}
+          isCollapsed={includes(collapsedGroups, group.name)}
           key={group.name}
-          selectedResourceId={props.selectedResourceId}
+          onToggle={onGroupToggle}
+          selectedResourceId={selectedResourceId}
           {...group}
         />
       ))}
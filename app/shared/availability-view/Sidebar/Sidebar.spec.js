@@ -1,6 +1,7 @@
 import { expect } from 'chai';
 import { shallow } from 'enzyme';
 import React from 'react';
+import simple from 'simple-mock';
 
 import GroupInfo from './GroupInfo';
 import Sidebar from './Sidebar';
@@ -39,4 +40,26 @@ describe('shared/availability-view/Sidebar', () => {
     expect(elements.at(1).prop('name')).to.equal(groups[1].name);
     expect(elements.at(1).prop('resources')).to.equal(groups[1].resources);
   });
+
+  it('passes collapsed state and onGroupToggle to groups', () => {
+    const groups = [
+      { name: 'A', resources: [] },
+      { name: 'B', resources: [] },
+    ];
+    const onGroupToggle = () => null;
+    const wrapper = getWrapper({ collapsedGroups: ['B'], groups, onGroupToggle });
+    const elements = wrapper.find(GroupInfo);
+    expect(elements.at(0).prop('isCollapsed')).to.be.false;
+    expect(elements.at(1).prop('isCollapsed')).to.be.true;
+    expect(elements.at(0).prop('onToggle')).to.equal(onGroupToggle);
+  });
+
+  it('renders a toggle which calls onGroupToggle with the group name', () => {
+    const groups = [{ name: 'A', resources: ['a'] }];
+    const onGroupToggle = simple.mock();
+    const group = getWrapper({ groups, onGroupToggle }).find(GroupInfo).shallow();
+    group.find('button.group-toggle').simulate('click');
+    expect(onGroupToggle.callCount).to.equal(1);
+    expect(onGroupToggle.lastCall.args).to.deep.equal(['A']);
+  });
 });
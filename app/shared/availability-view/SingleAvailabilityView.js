@@ -1,4 +1,3 @@
-import dragscroll from 'dragscroll';
 import moment from 'moment';
 import React, { PropTypes } from 'react';
 
@@ -24,7 +23,8 @@ export default class SingleAvailabilityView extends React.Component {
   }
 
   componentDidMount() {
-    dragscroll.reset();
+    // dragscroll uses window as soon as it is loaded, so it can only be loaded in the browser.
+    require('dragscroll').reset(); // eslint-disable-line global-require
   }
 
   scrollToInitial(component) {
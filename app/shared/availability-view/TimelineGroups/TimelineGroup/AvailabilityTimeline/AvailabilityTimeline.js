@@ -1,10 +1,25 @@
+import moment from 'moment';
 import React, { PropTypes } from 'react';
 
+import { slotSize, slotWidth } from 'shared/availability-view';
+import utils from '../utils';
 import Reservation from './Reservation';
 import ReservationSlot from './ReservationSlot';
 
+function isDragInTimeline(drag, id) {
+  return Boolean(drag) && (drag.resourceId === id || drag.sourceResourceId === id);
+}
+
 export default class AvailabilityTimeline extends React.Component {
   static propTypes = {
+    date: PropTypes.string.isRequired,
+    drag: PropTypes.shape({
+      begin: PropTypes.string.isRequired,
+      end: PropTypes.string.isRequired,
+      reservation: PropTypes.object.isRequired,
+      resourceId: PropTypes.string.isRequired,
+      sourceResourceId: PropTypes.string.isRequired,
+    }),
     id: PropTypes.string.isRequired,
     items: PropTypes.arrayOf(
       PropTypes.shape({
@@ -14,6 +29,7 @@ export default class AvailabilityTimeline extends React.Component {
       })
     ).isRequired,
     onReservationClick: PropTypes.func,
+    onReservationDragStart: PropTypes.func,
     onReservationSlotClick: PropTypes.func,
     onReservationSlotMouseEnter: PropTypes.func,
     onReservationSlotMouseLeave: PropTypes.func,
@@ -21,15 +37,53 @@ export default class AvailabilityTimeline extends React.Component {
     selection: PropTypes.object,
   };
 
+  constructor(props) {
+    super(props);
+    this.handleReservationDragStart = this.handleReservationDragStart.bind(this);
+  }
+
   shouldComponentUpdate(nextProps) {
     const isSelected = nextProps.selection && nextProps.selection.resourceId === this.props.id;
     const wasSelected = this.props.selection && this.props.selection.resourceId === this.props.id;
-    return this.props.items !== nextProps.items || isSelected || wasSelected;
+    const isDragged = (
+      nextProps.drag !== this.props.drag && (
+        isDragInTimeline(nextProps.drag, this.props.id) ||
+        isDragInTimeline(this.props.drag, this.props.id)
+      )
+    );
+    return this.props.items !== nextProps.items || isSelected || wasSelected || isDragged;
+  }
+
+  handleReservationDragStart(reservation, mode, event) {
+    this.props.onReservationDragStart({
+      event,
+      mode,
+      reservation,
+      resourceId: this.props.id,
+    });
+  }
+
+  renderDragPreview() {
+    const { begin, end } = this.props.drag;
+    const startTime = moment(begin);
+    const offsetMinutes = startTime.diff(moment(this.props.date).startOf('day'), 'minutes');
+    const style = {
+      left: (offsetMinutes / slotSize) * slotWidth,
+      width: utils.getTimeSlotWidth({ startTime, endTime: moment(end) }),
+    };
+    return (
+      <div className="reservation-drag-preview" style={style}>
+        {startTime.format('HH:mm')} - {moment(end).format('HH:mm')}
+      </div>
+    );
   }
 
   render() {
     const {
+      drag,
+      id,
       onReservationClick,
+      onReservationDragStart,
       onReservationSlotClick,
       onSelectionCancel,
       onReservationSlotMouseEnter,
@@ -37,7 +91,7 @@ export default class AvailabilityTimeline extends React.Component {
       selection,
     } = this.props;
     return (
-      <div className="availability-timeline">
+      <div className="availability-timeline" data-resource-id={id}>
         {this.props.items.map((item) => {
           if (item.type === 'reservation-slot') {
             return (
@@ -56,11 +110,14 @@ export default class AvailabilityTimeline extends React.Component {
           return (
             <Reservation
               {...item.data}
+              isDragged={Boolean(drag) && drag.reservation.id === item.data.id}
               key={item.key}
               onClick={onReservationClick}
+              onDragStart={onReservationDragStart && this.handleReservationDragStart}
             />
           );
         })}
+        {drag && drag.resourceId === id && this.renderDragPreview()}
       </div>
     );
   }
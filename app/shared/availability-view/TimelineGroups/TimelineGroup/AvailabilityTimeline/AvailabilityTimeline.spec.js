@@ -2,6 +2,7 @@ import { expect } from 'chai';
 import { shallow } from 'enzyme';
 import moment from 'moment';
 import React from 'react';
+import simple from 'simple-mock';
 
 import AvailabilityTimeline from './AvailabilityTimeline';
 import Reservation from './Reservation';
@@ -9,6 +10,7 @@ import ReservationSlot from './ReservationSlot';
 
 function getWrapper(props) {
   const defaults = {
+    date: '2016-01-01',
     id: 'resource-id',
     items: [],
   };
@@ -19,6 +21,7 @@ describe('shared/availability-view/AvailabilityTimeline', () => {
   it('renders a div.availability-timeline', () => {
     const wrapper = getWrapper();
     expect(wrapper.is('div.availability-timeline')).to.be.true;
+    expect(wrapper.prop('data-resource-id')).to.equal('resource-id');
   });
 
   it('renders given reservation slot', () => {
@@ -92,4 +95,56 @@ describe('shared/availability-view/AvailabilityTimeline', () => {
     expect(children.at(1).is(Reservation)).to.be.true;
     expect(children.at(2).is(ReservationSlot)).to.be.true;
   });
+
+  describe('dragging', () => {
+    const reservationItem = {
+      key: '1',
+      type: 'reservation',
+      data: { begin: '', end: '', id: 12345, name: '' },
+    };
+    const drag = {
+      begin: moment('2016-01-01T10:00:00').format(),
+      end: moment('2016-01-01T11:30:00').format(),
+      mode: 'move',
+      reservation: { id: 12345 },
+      resourceId: 'resource-id',
+      sourceResourceId: 'other-resource-id',
+    };
+
+    it('does not make reservations draggable without onReservationDragStart', () => {
+      const reservation = getWrapper({ items: [reservationItem] }).find(Reservation);
+      expect(reservation.prop('onDragStart')).to.be.undefined;
+    });
+
+    it('passes reservation drag start with the resource id', () => {
+      const onReservationDragStart = simple.mock();
+      const wrapper = getWrapper({ items: [reservationItem], onReservationDragStart });
+      const event = {};
+      wrapper.find(Reservation).prop('onDragStart')({ id: 12345 }, 'resize-end', event);
+      expect(onReservationDragStart.callCount).to.equal(1);
+      expect(onReservationDragStart.lastCall.args[0]).to.deep.equal({
+        event,
+        mode: 'resize-end',
+        reservation: { id: 12345 },
+        resourceId: 'resource-id',
+      });
+    });
+
+    it('marks the dragged reservation', () => {
+      const reservation = getWrapper({ drag, items: [reservationItem] }).find(Reservation);
+      expect(reservation.prop('isDragged')).to.be.true;
+    });
+
+    it('renders a drag preview in the target timeline', () => {
+      const preview = getWrapper({ drag }).find('.reservation-drag-preview');
+      expect(preview).to.have.length(1);
+      expect(preview.prop('style')).to.deep.equal({ left: 20 * 30, width: 3 * 30 });
+      expect(preview.text()).to.equal('10:00 - 11:30');
+    });
+
+    it('does not render a drag preview in other timelines', () => {
+      const wrapper = getWrapper({ drag: { ...drag, resourceId: 'other-resource-id' } });
+      expect(wrapper.find('.reservation-drag-preview')).to.have.length(0);
+    });
+  });
 });
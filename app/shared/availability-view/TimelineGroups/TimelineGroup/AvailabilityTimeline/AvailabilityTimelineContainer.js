@@ -64,7 +64,9 @@ const actions = {
 const AvailabilityTimelineContainer = connect(selector, actions)(AvailabilityTimeline);
 AvailabilityTimelineContainer.propTypes = {
   date: PropTypes.string.isRequired,
+  drag: PropTypes.object,
   id: PropTypes.string.isRequired,
+  onReservationDragStart: PropTypes.func,
   onReservationSlotClick: PropTypes.func,
   onReservationSlotMouseEnter: PropTypes.func,
   onReservationSlotMouseLeave: PropTypes.func,
@@ -0,0 +1,38 @@
+import React, { PropTypes } from 'react';
+import { findDOMNode } from 'react-dom';
+
+// Calls onDragStart when the mouse is pressed on the child element. The listener is a native one
+// so that it can stop dragscroll of the timeline from scrolling the view during the drag.
+export default class Draggable extends React.Component {
+  static propTypes = {
+    children: PropTypes.element.isRequired,
+    onDragStart: PropTypes.func,
+  };
+
+  constructor(props) {
+    super(props);
+    this.handleMouseDown = this.handleMouseDown.bind(this);
+  }
+
+  componentDidMount() {
+    this.element = findDOMNode(this);
+    this.element.addEventListener('mousedown', this.handleMouseDown);
+  }
+
+  componentWillUnmount() {
+    this.element.removeEventListener('mousedown', this.handleMouseDown);
+  }
+
+  handleMouseDown(event) {
+    if (!this.props.onDragStart || event.button !== 0) {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    this.props.onDragStart(event);
+  }
+
+  render() {
+    return React.Children.only(this.props.children);
+  }
+}
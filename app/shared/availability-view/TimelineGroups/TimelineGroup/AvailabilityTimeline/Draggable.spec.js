@@ -0,0 +1,51 @@
+import { expect } from 'chai';
+import { shallow } from 'enzyme';
+import React from 'react';
+import simple from 'simple-mock';
+
+import Draggable from './Draggable';
+
+function getWrapper(props) {
+  return shallow(<Draggable {...props}><span className="child" /></Draggable>);
+}
+
+function getEvent(button = 0) {
+  return {
+    button,
+    preventDefault: simple.mock(),
+    stopPropagation: simple.mock(),
+  };
+}
+
+describe('shared/availability-view/Draggable', () => {
+  it('renders the child', () => {
+    expect(getWrapper().is('span.child')).to.be.true;
+  });
+
+  describe('handleMouseDown', () => {
+    it('calls onDragStart and stops the event', () => {
+      const onDragStart = simple.mock();
+      const event = getEvent();
+      getWrapper({ onDragStart }).instance().handleMouseDown(event);
+      expect(onDragStart.callCount).to.equal(1);
+      expect(onDragStart.lastCall.args).to.deep.equal([event]);
+      expect(event.preventDefault.callCount).to.equal(1);
+      expect(event.stopPropagation.callCount).to.equal(1);
+    });
+
+    it('does nothing on other than the main button', () => {
+      const onDragStart = simple.mock();
+      const event = getEvent(2);
+      getWrapper({ onDragStart }).instance().handleMouseDown(event);
+      expect(onDragStart.callCount).to.equal(0);
+      expect(event.stopPropagation.callCount).to.equal(0);
+    });
+
+    it('does not stop the event without onDragStart', () => {
+      const event = getEvent();
+      getWrapper().instance().handleMouseDown(event);
+      expect(event.preventDefault.callCount).to.equal(0);
+      expect(event.stopPropagation.callCount).to.equal(0);
+    });
+  });
+});
@@ -7,6 +7,7 @@ import Popover from 'react-bootstrap/lib/Popover';
 
 import ReservationAccessCode from 'shared/reservation-access-code';
 import utils from '../utils';
+import Draggable from './Draggable';
 import Link from './Link';
 
 function getReserverName(reserverName, user) {
@@ -20,8 +21,10 @@ Reservation.propTypes = {
   end: PropTypes.string.isRequired,
   eventSubject: PropTypes.string,
   id: PropTypes.number.isRequired,
+  isDragged: PropTypes.bool,
   numberOfParticipants: PropTypes.number,
   onClick: PropTypes.func,
+  onDragStart: PropTypes.func,
   reserverName: PropTypes.string,
   state: PropTypes.string,
   user: PropTypes.shape({
@@ -30,7 +33,7 @@ Reservation.propTypes = {
   }),
 };
 
-function Reservation({ onClick, ...reservation }) {
+function Reservation({ isDragged, onClick, onDragStart, ...reservation }) {
   const startTime = moment(reservation.begin);
   const endTime = moment(reservation.end);
   const width = utils.getTimeSlotWidth({ startTime, endTime });
@@ -49,26 +52,43 @@ function Reservation({ onClick, ...reservation }) {
       {reservation.comments && <div><Glyphicon glyph="comment" /> {reservation.comments}</div>}
     </Popover>
   );
+  const startDrag = mode => onDragStart && (event => onDragStart(reservation, mode, event));
   return (
     <Link
       className={classnames('reservation-link', { 'with-comments': reservation.comments })}
       onClick={() => onClick && onClick(reservation)}
     >
-      <OverlayTrigger
-        overlay={popover}
-        placement="top"
-        trigger={['hover', 'focus']}
-      >
-        <div
-          className={classnames('reservation', { requested: reservation.state === 'requested' })}
-          style={{ width }}
+      <Draggable onDragStart={startDrag('move')}>
+        <OverlayTrigger
+          overlay={popover}
+          placement="top"
+          trigger={['hover', 'focus']}
         >
-          <div className="names">
-            <div className="event-subject">{reservation.eventSubject}</div>
-            <div className="reserver-name">{reserverName}</div>
+          <div
+            className={classnames('reservation', {
+              draggable: Boolean(onDragStart),
+              dragged: isDragged,
+              requested: reservation.state === 'requested',
+            })}
+            style={{ width }}
+          >
+            {onDragStart && (
+              <Draggable onDragStart={startDrag('resize-begin')}>
+                <span className="reservation-resize-handle reservation-resize-handle-begin" />
+              </Draggable>
+            )}
+            <div className="names">
+              <div className="event-subject">{reservation.eventSubject}</div>
+              <div className="reserver-name">{reserverName}</div>
+            </div>
+            {onDragStart && (
+              <Draggable onDragStart={startDrag('resize-end')}>
+                <span className="reservation-resize-handle reservation-resize-handle-end" />
+              </Draggable>
+            )}
           </div>
-        </div>
-      </OverlayTrigger>
+        </OverlayTrigger>
+      </Draggable>
     </Link>
   );
 }
@@ -6,6 +6,7 @@ import OverlayTrigger from 'react-bootstrap/lib/OverlayTrigger';
 import Popover from 'react-bootstrap/lib/Popover';
 import simple from 'simple-mock';
 
+import Draggable from './Draggable';
 import Reservation from './Reservation';
 import Link from './Link';
 import utils from '../utils';
@@ -116,6 +117,50 @@ describe('shared/availability-view/Reservation', () => {
     expect(element.text()).to.equal(eventSubject);
   });
 
+  describe('dragging', () => {
+    it('renders no resize handles without onDragStart', () => {
+      const wrapper = getOuterWrapper();
+      expect(wrapper.find('.reservation-resize-handle')).to.have.length(0);
+      expect(wrapper.find(Draggable).prop('onDragStart')).to.be.undefined;
+    });
+
+    it('renders resize handles with onDragStart', () => {
+      const wrapper = getOuterWrapper({ onDragStart: () => null });
+      expect(wrapper.find('.reservation-resize-handle-begin')).to.have.length(1);
+      expect(wrapper.find('.reservation-resize-handle-end')).to.have.length(1);
+      expect(wrapper.find('.reservation.draggable')).to.have.length(1);
+    });
+
+    it('calls onDragStart with the reservation and drag mode', () => {
+      const onDragStart = simple.mock();
+      const wrapper = getOuterWrapper({ onDragStart });
+      const event = { clientX: 100 };
+      const draggables = wrapper.find(Draggable);
+      expect(draggables).to.have.length(3);
+      draggables.at(0).prop('onDragStart')(event);
+      draggables.at(1).prop('onDragStart')(event);
+      draggables.at(2).prop('onDragStart')(event);
+      expect(onDragStart.callCount).to.equal(3);
+      expect(onDragStart.calls[0].args).to.deep.equal([
+        {
+          begin: '2016-01-01T10:00:00Z',
+          end: '2016-01-01T12:00:00Z',
+          eventSubject: 'Meeting',
+          id: 12345,
+        },
+        'move',
+        event,
+      ]);
+      expect(onDragStart.calls[1].args[1]).to.equal('resize-begin');
+      expect(onDragStart.calls[2].args[1]).to.equal('resize-end');
+    });
+
+    it('adds class dragged to reservation if isDragged', () => {
+      expect(getWrapper({ isDragged: true }).is('.dragged')).to.be.true;
+      expect(getWrapper().is('.dragged')).to.be.false;
+    });
+  });
+
   describe('reserver name', () => {
     function getReserverName(extra) {
       const wrapper = getWrapper({
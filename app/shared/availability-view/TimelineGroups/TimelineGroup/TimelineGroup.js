@@ -1,12 +1,16 @@
 import classNames from 'classnames';
 import moment from 'moment';
 import React, { PropTypes } from 'react';
-import Sticky from 'react-sticky-el';
 
 import { slotSize, slotWidth } from 'shared/availability-view';
+import { canUseDOM } from 'utils/domUtils';
 import AvailabilityTimelineContainer from './AvailabilityTimeline';
 import utils from './utils';
 
+// react-sticky-el uses document as soon as it is loaded, so on the server the hours are
+// rendered in a plain div.
+const Sticky = canUseDOM ? require('react-sticky-el') : 'div'; // eslint-disable-line global-require
+
 function getHourRanges(date) {
   const ranges = [];
   const current = moment(date);
@@ -26,6 +30,9 @@ export default class TimelineGroup extends React.Component {
   static propTypes = {
     className: PropTypes.string,
     date: PropTypes.string.isRequired,
+    drag: PropTypes.object,
+    isCollapsed: PropTypes.bool,
+    onReservationDragStart: PropTypes.func,
     onReservationSlotClick: PropTypes.func,
     onReservationSlotMouseEnter: PropTypes.func,
     onReservationSlotMouseLeave: PropTypes.func,
@@ -76,6 +83,8 @@ export default class TimelineGroup extends React.Component {
 
   render() {
     const {
+      drag,
+      onReservationDragStart,
       onReservationSlotClick,
       onReservationSlotMouseEnter,
       onReservationSlotMouseLeave,
@@ -109,11 +118,13 @@ export default class TimelineGroup extends React.Component {
             )}
           </div>
         </Sticky>
-        {this.props.resources.map(resource =>
+        {!this.props.isCollapsed && this.props.resources.map(resource =>
           <AvailabilityTimelineContainer
             date={this.props.date}
+            drag={drag}
             id={resource}
             key={resource}
+            onReservationDragStart={onReservationDragStart}
             onReservationSlotClick={onReservationSlotClick}
             onReservationSlotMouseEnter={onReservationSlotMouseEnter}
             onReservationSlotMouseLeave={onReservationSlotMouseLeave}
@@ -96,6 +96,20 @@ describe('shared/availability-view/TimelineGroup', () => {
     expect(elements.at(3).prop('id')).to.equal(resources[3]);
   });
 
+  it('renders no resources if collapsed', () => {
+    const wrapper = getWrapper({ isCollapsed: true, resources: ['1234'] });
+    expect(wrapper.find(AvailabilityTimelineContainer)).to.have.length(0);
+  });
+
+  it('passes drag and onReservationDragStart to resources', () => {
+    const drag = { some: 'data' };
+    const onReservationDragStart = () => null;
+    const wrapper = getWrapper({ drag, onReservationDragStart, resources: ['1234'] });
+    const element = wrapper.find(AvailabilityTimelineContainer);
+    expect(element.prop('drag')).to.equal(drag);
+    expect(element.prop('onReservationDragStart')).to.equal(onReservationDragStart);
+  });
+
   describe('componentDidMount', () => {
     before(() => {
       simple.mock(window, 'setInterval');
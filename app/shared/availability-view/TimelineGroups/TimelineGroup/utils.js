@@ -94,8 +94,47 @@ function addSelectionData(selection, resource, items) {
   });
 }
 
+// Returns the begin and end of the reservation after moving it or one of its edges by the given
+// minutes. A resized reservation is kept at least one slot long.
+function getDraggedTimes({ begin, end }, mode, minutes) {
+  const beginTime = moment(begin);
+  const endTime = moment(end);
+  if (mode !== 'resize-end') beginTime.add(minutes, 'minutes');
+  if (mode !== 'resize-begin') endTime.add(minutes, 'minutes');
+  const shortestBegin = endTime.clone().subtract(slotSize, 'minutes');
+  const shortestEnd = beginTime.clone().add(slotSize, 'minutes');
+  return {
+    begin: (mode === 'resize-begin' ? moment.min(beginTime, shortestBegin) : beginTime).format(),
+    end: (mode === 'resize-end' ? moment.max(endTime, shortestEnd) : endTime).format(),
+  };
+}
+
+function isActiveReservation(reservation) {
+  return reservation.state !== 'cancelled' && reservation.state !== 'denied';
+}
+
+// Returns why the reservation cannot be moved to the given time in the given resource:
+// 'past', 'closed' or 'reserved'. Returns null if the change is possible.
+function getReservationChangeConflict(reservation, { begin, end }, resource) {
+  if (moment(begin).isBefore(moment())) {
+    return 'past';
+  }
+  if (!isInsideOpeningHours({ data: { begin, end } }, resource.openingHours)) {
+    return 'closed';
+  }
+  const overlaps = some(resource.reservations, other => (
+    other.id !== reservation.id &&
+    isActiveReservation(other) &&
+    moment(other.begin).isBefore(end) &&
+    moment(begin).isBefore(other.end)
+  ));
+  return overlaps ? 'reserved' : null;
+}
+
 export default {
   addSelectionData,
+  getDraggedTimes,
+  getReservationChangeConflict,
   getTimelineItems,
   getTimeSlotWidth,
 };
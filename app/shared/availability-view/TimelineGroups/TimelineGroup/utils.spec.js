@@ -348,4 +348,86 @@ describe('shared/availability-view/utils', () => {
       expect(actual).to.deep.equal(expected);
     });
   });
+
+  describe('getDraggedTimes', () => {
+    const reservation = {
+      begin: moment('2016-01-01T10:00:00').format(),
+      end: moment('2016-01-01T11:00:00').format(),
+    };
+
+    function getTimes(mode, minutes) {
+      return utils.getDraggedTimes(reservation, mode, minutes);
+    }
+
+    it('moves both begin and end when moving', () => {
+      expect(getTimes('move', 90)).to.deep.equal({
+        begin: moment('2016-01-01T11:30:00').format(),
+        end: moment('2016-01-01T12:30:00').format(),
+      });
+    });
+
+    it('moves only begin when resizing begin', () => {
+      expect(getTimes('resize-begin', -30)).to.deep.equal({
+        begin: moment('2016-01-01T09:30:00').format(),
+        end: reservation.end,
+      });
+    });
+
+    it('moves only end when resizing end', () => {
+      expect(getTimes('resize-end', 60)).to.deep.equal({
+        begin: reservation.begin,
+        end: moment('2016-01-01T12:00:00').format(),
+      });
+    });
+
+    it('keeps resized reservation at least one slot long', () => {
+      expect(getTimes('resize-begin', 120).begin).to.equal(moment('2016-01-01T10:30:00').format());
+      expect(getTimes('resize-end', -120).end).to.equal(moment('2016-01-01T10:30:00').format());
+    });
+  });
+
+  describe('getReservationChangeConflict', () => {
+    const reservation = { id: 1 };
+    const resource = {
+      openingHours: [{ opens: '2016-01-01T08:00:00Z', closes: '2016-01-01T16:00:00Z' }],
+      reservations: [
+        { begin: '2016-01-01T10:00:00Z', end: '2016-01-01T11:00:00Z', id: 1 },
+        { begin: '2016-01-01T12:00:00Z', end: '2016-01-01T13:00:00Z', id: 2 },
+        { begin: '2016-01-01T14:00:00Z', end: '2016-01-01T15:00:00Z', id: 3, state: 'cancelled' },
+      ],
+    };
+
+    function getConflict(begin, end) {
+      return utils.getReservationChangeConflict(reservation, { begin, end }, resource);
+    }
+
+    before(() => {
+      mockDate.set('2016-01-01T09:00:00Z');
+    });
+
+    after(() => {
+      mockDate.reset();
+    });
+
+    it('returns null if the change is possible', () => {
+      expect(getConflict('2016-01-01T11:00:00Z', '2016-01-01T12:00:00Z')).to.be.null;
+    });
+
+    it('ignores the reservation itself and cancelled reservations', () => {
+      expect(getConflict('2016-01-01T10:30:00Z', '2016-01-01T11:30:00Z')).to.be.null;
+      expect(getConflict('2016-01-01T14:00:00Z', '2016-01-01T15:00:00Z')).to.be.null;
+    });
+
+    it('returns past if the new time begins before now', () => {
+      expect(getConflict('2016-01-01T08:30:00Z', '2016-01-01T09:30:00Z')).to.equal('past');
+    });
+
+    it('returns closed if the new time is outside opening hours', () => {
+      expect(getConflict('2016-01-01T15:30:00Z', '2016-01-01T16:30:00Z')).to.equal('closed');
+    });
+
+    it('returns reserved if the new time overlaps another reservation', () => {
+      expect(getConflict('2016-01-01T12:30:00Z', '2016-01-01T13:30:00Z')).to.equal('reserved');
+    });
+  });
 });
@@ -1,4 +1,4 @@
-import dragscroll from 'dragscroll';
+import includes from 'lodash/includes';
 import throttle from 'lodash/throttle';
 import moment from 'moment';
 import React, { PropTypes } from 'react';
@@ -28,12 +28,15 @@ const scrollStickies = (function () { // eslint-disable-line func-names
 
 export default class TimelineGroups extends React.Component {
   static propTypes = {
+    collapsedGroups: PropTypes.arrayOf(PropTypes.string),
     date: PropTypes.string.isRequired,
+    drag: PropTypes.object,
     groups: PropTypes.arrayOf(
       PropTypes.shape({
         name: PropTypes.string.isRequired,
       })
     ).isRequired,
+    onReservationDragStart: PropTypes.func,
     onReservationSlotClick: PropTypes.func,
     onReservationSlotMouseEnter: PropTypes.func,
     onReservationSlotMouseLeave: PropTypes.func,
@@ -49,8 +52,9 @@ export default class TimelineGroups extends React.Component {
   }
 
   componentDidMount() {
-    dragscroll.reset();
     window.addEventListener('scroll', this.handleScroll);
+    // dragscroll uses window as soon as it is loaded, so it can only be loaded in the browser.
+    require('dragscroll').reset(); // eslint-disable-line global-require
   }
 
   componentWillUnmount() {
@@ -78,7 +82,10 @@ export default class TimelineGroups extends React.Component {
         {this.props.groups.map(group =>
           <TimelineGroup
             date={this.props.date}
+            drag={this.props.drag}
+            isCollapsed={includes(this.props.collapsedGroups, group.name)}
             key={group.name}
+            onReservationDragStart={this.props.onReservationDragStart}
             onReservationSlotClick={this.props.onReservationSlotClick}
             onReservationSlotMouseEnter={this.props.onReservationSlotMouseEnter}
             onReservationSlotMouseLeave={this.props.onReservationSlotMouseLeave}
@@ -64,6 +64,22 @@ describe('shared/availability-view/TimelineGroups', () => {
     expect(group.prop('selection')).to.equal(selection);
   });
 
+  it('passes collapsed state to groups', () => {
+    const groups = [{ name: 'A', resources: [] }, { name: 'B', resources: [] }];
+    const elements = getWrapper({ collapsedGroups: ['A'], groups }).find(TimelineGroup);
+    expect(elements.at(0).prop('isCollapsed')).to.be.true;
+    expect(elements.at(1).prop('isCollapsed')).to.be.false;
+  });
+
+  it('passes drag and onReservationDragStart to groups', () => {
+    const drag = { some: 'data' };
+    const onReservationDragStart = () => null;
+    const groups = [{ name: 'A', resources: [] }];
+    const group = getWrapper({ drag, groups, onReservationDragStart }).find(TimelineGroup);
+    expect(group.prop('drag')).to.equal(drag);
+    expect(group.prop('onReservationDragStart')).to.equal(onReservationDragStart);
+  });
+
   describe('componentDidMount', () => {
     before(() => {
       simple.mock(window, 'addEventListener');
@@ -17,8 +17,11 @@ class DateHeader extends Component {
   }
 
   render() {
-    const { date, onDecreaseDateButtonClick, onIncreaseDateButtonClick } = this.props;
-    const dateString = moment(date).format('dddd, LL');
+    const { date, endDate, onDecreaseDateButtonClick, onIncreaseDateButtonClick } = this.props;
+    // With an end date the header is of the period from date to endDate.
+    const dateString = endDate ?
+      `${moment(date).format('L')} – ${moment(endDate).format('L')}` :
+      moment(date).format('dddd, LL');
 
     return (
       <h3 className="date-header" id="date-header">
@@ -46,6 +49,7 @@ class DateHeader extends Component {
 
 DateHeader.propTypes = {
   date: PropTypes.string.isRequired,
+  endDate: PropTypes.string,
   onDecreaseDateButtonClick: PropTypes.func,
   onIncreaseDateButtonClick: PropTypes.func,
   scrollTo: PropTypes.bool,
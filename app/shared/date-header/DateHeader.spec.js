@@ -33,6 +33,12 @@ describe('shared/date-header/DateHeader', () => {
       expect(header.text()).to.contain(expected);
     });
 
+    it('displays the period from the date to the end date', () => {
+      const header = getWrapper({ endDate: '2015-10-17' }).find('h3');
+      const expected = `${moment('2015-10-11').format('L')} – ${moment('2015-10-17').format('L')}`;
+      expect(header.text()).to.contain(expected);
+    });
+
     describe('decrease date button', () => {
       describe('when onDecreaseDateButtonClick function is given in props', () => {
         const extraProps = {
@@ -2,9 +2,10 @@ import React, { PropTypes } from 'react';
 
 import constants from 'constants/AppConstants';
 import { getCurrentCustomization } from 'utils/customizationUtils';
+import { canUseDOM } from 'utils/domUtils';
 
 function FeedbackLink({ children }) {
-  const refUrl = window.location.href;
+  const refUrl = canUseDOM ? window.location.href : '';
   const href = `${constants.FEEDBACK_URL}?ref=${refUrl}`;
 
   switch (getCurrentCustomization()) {
@@ -1,19 +1,34 @@
 import React, { PropTypes } from 'react';
 import Button from 'react-bootstrap/lib/Button';
+import ProgressBar from 'react-bootstrap/lib/ProgressBar';
 import { FormattedHTMLMessage } from 'react-intl';
 
+import AddToCalendarButton from 'shared/add-to-calendar-button';
 import CompactReservationList from 'shared/compact-reservation-list';
+import PriceEstimate from 'shared/price-estimate';
 import ReservationAccessCode from 'shared/reservation-access-code';
 import { injectT } from 'i18n';
 import ModalWrapper from '../ModalWrapper';
 
+function getModalTitle(reservationsCount, isPreliminaryReservation, t) {
+  if (!reservationsCount) {
+    return t('ReservationSuccessModal.failedReservationsTitle');
+  }
+  if (isPreliminaryReservation) {
+    return t('ReservationSuccessModal.preliminaryReservationTitle');
+  }
+  return t('ReservationSuccessModal.regularReservationTitle');
+}
+
 function ReservationSuccessModal({
+  batchProgress,
   closeReservationSuccessModal,
   failedReservations,
   reservationsToShow,
   resources,
   show,
   t,
+  units,
   user,
 }) {
   const reservation = reservationsToShow.length ? reservationsToShow[0] : {};
@@ -21,33 +36,48 @@ function ReservationSuccessModal({
   const isPreliminaryReservation = reservation.needManualConfirmation;
   const email = isPreliminaryReservation ? reservation.reserverEmailAddress : user.email;
   const resourceName = resource.name;
+  const unit = units[resource.unit] || {};
   const reservationsCount = reservationsToShow.length;
+  const failedReservationsWithReasons = failedReservations.map(failedReservation => (
+    failedReservation.failReasonId ?
+      { ...failedReservation, failReason: t(failedReservation.failReasonId) } :
+      failedReservation
+  ));
 
   return (
     <ModalWrapper
       className="reservation-success-modal"
       onClose={closeReservationSuccessModal}
       show={show}
-      title={
-        isPreliminaryReservation ?
-        t('ReservationSuccessModal.preliminaryReservationTitle') :
-        t('ReservationSuccessModal.regularReservationTitle')
-      }
+      title={getModalTitle(reservationsCount, isPreliminaryReservation, t)}
     >
-      <h5>
-        {isPreliminaryReservation ?
-          t('ReservationSuccessModal.preliminaryReservationLead', { reservationsCount, resourceName }) :
-          t('ReservationSuccessModal.regularReservationLead', { reservationsCount, resourceName })
-        }
-      </h5>
-      <CompactReservationList reservations={reservationsToShow} />
+      {batchProgress.inProgress &&
+        <ProgressBar
+          label={t('ReservationSuccessModal.batchProgress', batchProgress)}
+          max={batchProgress.total}
+          now={batchProgress.done}
+        />
+      }
+      {Boolean(reservationsCount) &&
+        <div>
+          <h5>
+            {isPreliminaryReservation ?
+              t('ReservationSuccessModal.preliminaryReservationLead', { reservationsCount, resourceName }) :
+              t('ReservationSuccessModal.regularReservationLead', { reservationsCount, resourceName })
+            }
+          </h5>
+          <CompactReservationList reservations={reservationsToShow} />
+          <PriceEstimate reservations={reservationsToShow} resource={resource} />
+          <AddToCalendarButton reservations={reservationsToShow} resource={resource} unit={unit} />
+        </div>
+      }
 
       {Boolean(failedReservations.length) &&
         <div>
           <h5>{t('ReservationSuccessModal.failedReservationsHeader')}</h5>
           <CompactReservationList
             className="failed-reservations-list"
-            reservations={failedReservations}
+            reservations={failedReservationsWithReasons}
             subtitle="failReason"
           />
         </div>
@@ -98,12 +128,18 @@ function ReservationSuccessModal({
 }
 
 ReservationSuccessModal.propTypes = {
+  batchProgress: PropTypes.shape({
+    done: PropTypes.number.isRequired,
+    inProgress: PropTypes.bool.isRequired,
+    total: PropTypes.number.isRequired,
+  }).isRequired,
   closeReservationSuccessModal: PropTypes.func.isRequired,
   failedReservations: PropTypes.array.isRequired,
   reservationsToShow: PropTypes.array.isRequired,
   resources: PropTypes.object.isRequired,
   show: PropTypes.bool.isRequired,
   t: PropTypes.func.isRequired,
+  units: PropTypes.object.isRequired,
   user: PropTypes.object.isRequired,
 };
 
@@ -1,27 +1,34 @@
 import { expect } from 'chai';
 import React from 'react';
 import Button from 'react-bootstrap/lib/Button';
+import ProgressBar from 'react-bootstrap/lib/ProgressBar';
 import { FormattedHTMLMessage } from 'react-intl';
 import Immutable from 'seamless-immutable';
 import simple from 'simple-mock';
 
+import AddToCalendarButton from 'shared/add-to-calendar-button';
 import CompactReservationList from 'shared/compact-reservation-list';
+import PriceEstimate from 'shared/price-estimate';
 import ReservationAccessCode from 'shared/reservation-access-code';
 import Reservation from 'utils/fixtures/Reservation';
 import Resource from 'utils/fixtures/Resource';
+import Unit from 'utils/fixtures/Unit';
 import { shallowWithIntl } from 'utils/testUtils';
 import ReservationSuccessModal from './ReservationSuccessModal';
 import ModalWrapper from '../ModalWrapper';
 
 describe('shared/modals/reservation-success/ReservationSuccessModal', () => {
-  const resource = Resource.build();
+  const unit = Unit.build();
+  const resource = Resource.build({ unit: unit.id });
   const reservation = Reservation.build({ resource: resource.id });
   const defaultProps = {
+    batchProgress: { done: 0, inProgress: false, total: 0 },
     closeReservationSuccessModal: simple.stub(),
     failedReservations: [],
     reservationsToShow: Immutable([reservation]),
     resources: Immutable({ [resource.id]: resource }),
     show: true,
+    units: Immutable({ [unit.id]: unit }),
     user: { email: 'han@solo.com' },
   };
 
@@ -210,6 +217,70 @@ describe('shared/modals/reservation-success/ReservationSuccessModal', () => {
       const failedReservations = [];
       expect(getFailedReservationsList(failedReservations)).to.have.length(0);
     });
+
+    it('have their fail reason translated if it is given as a message id', () => {
+      const failedReservations = [
+        Reservation.build({ failReasonId: 'ReservationSuccessModal.rolledBackReason' }),
+      ];
+      const list = getFailedReservationsList(failedReservations);
+
+      expect(list.prop('reservations')[0].failReason).to.equal(
+        'ReservationSuccessModal.rolledBackReason'
+      );
+    });
+
+    it('are shown with a failure title if no reservations were made', () => {
+      const failedReservations = [Reservation.build()];
+      const wrapper = getWrapper({ failedReservations, reservationsToShow: [] });
+
+      expect(wrapper.find(ModalWrapper).prop('title')).to.equal(
+        'ReservationSuccessModal.failedReservationsTitle'
+      );
+      expect(wrapper.find('h5').map(header => header.text())).to.deep.equal([
+        'ReservationSuccessModal.failedReservationsHeader',
+      ]);
+    });
+  });
+
+  describe('batch progress', () => {
+    it('is rendered while reservations are being saved', () => {
+      const batchProgress = { done: 2, inProgress: true, total: 5 };
+      const progressBar = getWrapper({ batchProgress }).find(ProgressBar);
+
+      expect(progressBar).to.have.length(1);
+      expect(progressBar.prop('now')).to.equal(2);
+      expect(progressBar.prop('max')).to.equal(5);
+    });
+
+    it('is not rendered when no reservations are being saved', () => {
+      expect(getWrapper().find(ProgressBar)).to.have.length(0);
+    });
+  });
+
+  describe('add to calendar button', () => {
+    it('is rendered with the reservations, resource and unit', () => {
+      const button = getWrapper().find(AddToCalendarButton);
+
+      expect(button).to.have.length(1);
+      expect(button.prop('reservations')).to.deep.equal(defaultProps.reservationsToShow);
+      expect(button.prop('resource')).to.deep.equal(resource);
+      expect(button.prop('unit')).to.deep.equal(unit);
+    });
+
+    it('is not rendered if no reservations were made', () => {
+      const button = getWrapper({ reservationsToShow: [] }).find(AddToCalendarButton);
+      expect(button).to.have.length(0);
+    });
+  });
+
+  describe('price estimate', () => {
+    it('is rendered with the reservations and resource', () => {
+      const estimate = getWrapper().find(PriceEstimate);
+
+      expect(estimate).to.have.length(1);
+      expect(estimate.prop('reservations')).to.deep.equal(defaultProps.reservationsToShow);
+      expect(estimate.prop('resource')).to.deep.equal(resource);
+    });
   });
 
   describe('access code', () => {
@@ -1,19 +1,30 @@
+import includes from 'lodash/includes';
 import orderBy from 'lodash/orderBy';
-import { createStructuredSelector } from 'reselect';
+import { createSelector, createStructuredSelector } from 'reselect';
 
 import ModalTypes from 'constants/ModalTypes';
 import { currentUserSelector } from 'state/selectors/authSelectors';
-import { resourcesSelector } from 'state/selectors/dataSelectors';
+import { resourcesSelector, unitsSelector } from 'state/selectors/dataSelectors';
 import modalIsOpenSelectorFactory from 'state/selectors/factories/modalIsOpenSelectorFactory';
 
 const toShowSelector = state => orderBy(state.ui.reservations.toShow, 'begin');
 const failedReservationsSelector = state => orderBy(state.ui.reservations.failed, 'begin');
+const batchProgressSelector = createSelector(
+  state => state.ui.reservationBatch,
+  ({ inProgress, items }) => ({
+    done: items.filter(item => !includes(['pending', 'submitting'], item.status)).length,
+    inProgress,
+    total: items.length,
+  })
+);
 
 const reservationSuccessModalSelector = createStructuredSelector({
+  batchProgress: batchProgressSelector,
   failedReservations: failedReservationsSelector,
   reservationsToShow: toShowSelector,
   resources: resourcesSelector,
   show: modalIsOpenSelectorFactory(ModalTypes.RESERVATION_SUCCESS),
+  units: unitsSelector,
   user: currentUserSelector,
 });
 
@@ -96,6 +96,10 @@ describe('shared/modals/reservation-success/reservationSuccessModalSelector', ()
     expect(getSelected().resources).to.exist;
   });
 
+  it('returns units from the state', () => {
+    expect(getSelected().units).to.exist;
+  });
+
   describe('show', () => {
     it('returns true if modals.open contain RESERVATION_SUCCESS', () => {
       const selected = getSelected({
@@ -115,4 +119,20 @@ describe('shared/modals/reservation-success/reservationSuccessModalSelector', ()
   it('returns user', () => {
     expect(getSelected().user).to.exist;
   });
+
+  it('returns the progress of the reservation batch', () => {
+    const selected = getSelected({
+      'ui.reservationBatch': {
+        inProgress: true,
+        items: [
+          { reservation: {}, status: 'saved' },
+          { reservation: {}, status: 'failed' },
+          { reservation: {}, status: 'submitting' },
+          { reservation: {}, status: 'pending' },
+        ],
+      },
+    });
+
+    expect(selected.batchProgress).to.deep.equal({ done: 2, inProgress: true, total: 4 });
+  });
 });
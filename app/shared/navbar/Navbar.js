@@ -10,6 +10,7 @@ import { LinkContainer } from 'react-router-bootstrap';
 
 import Logo from 'shared/logo';
 import { injectT } from 'i18n';
+import { canUseDOM } from 'utils/domUtils';
 import { getSearchPageUrl } from 'utils/searchUtils';
 
 export function handleLoginClick() {
@@ -27,6 +28,7 @@ function Navbar(props) {
     t,
     userName,
   } = props;
+  const logoutHref = canUseDOM ? `/logout?next=${window.location.origin}` : '/logout';
 
   return (
     <RBNavbar inverse>
@@ -65,7 +67,7 @@ function Navbar(props) {
           )}
           {isLoggedIn && (
             <NavDropdown id="user-dropdown" title={userName}>
-              <MenuItem href={`/logout?next=${window.location.origin}`}>
+              <MenuItem href={logoutHref}>
                 {t('Navbar.logout')}
               </MenuItem>
             </NavDropdown>
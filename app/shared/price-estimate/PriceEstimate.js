@@ -0,0 +1,54 @@
+import React, { PropTypes } from 'react';
+
+import TimeRange from 'shared/time-range';
+import { injectT } from 'i18n';
+import { formatPrice, getPriceEstimate } from 'utils/priceUtils';
+
+function PriceEstimate({ reservations, resource, t }) {
+  const estimate = getPriceEstimate(resource, reservations);
+  if (!estimate || !reservations.length) {
+    return <span />;
+  }
+  if (estimate.isFree) {
+    return <p className="price-estimate">{t('PriceEstimate.free')}</p>;
+  }
+
+  return (
+    <div className="price-estimate">
+      {reservations.length > 1 && (
+        <ul className="price-estimate-items">
+          {estimate.items.map(item => (
+            <li key={item.begin}>
+              <TimeRange begin={item.begin} end={item.end} />
+              <span className="price-estimate-item-price">
+                {t('PriceEstimate.hours', { hours: item.hours })}: {formatPrice(item)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="price-estimate-total">
+        <strong>
+          {t('PriceEstimate.total', { hours: estimate.hours, price: formatPrice(estimate) })}
+        </strong>
+      </p>
+      {estimate.min !== estimate.max && (
+        <p className="price-estimate-range-info">{t('PriceEstimate.rangeInfo')}</p>
+      )}
+    </div>
+  );
+}
+
+PriceEstimate.propTypes = {
+  reservations: PropTypes.arrayOf(PropTypes.shape({
+    begin: PropTypes.string.isRequired,
+    end: PropTypes.string.isRequired,
+  })).isRequired,
+  resource: PropTypes.shape({
+    maxPricePerHour: PropTypes.string,
+    minPricePerHour: PropTypes.string,
+  }).isRequired,
+  t: PropTypes.func.isRequired,
+};
+
+export default injectT(PriceEstimate);
@@ -0,0 +1,62 @@
+import { expect } from 'chai';
+import React from 'react';
+import Immutable from 'seamless-immutable';
+
+import TimeRange from 'shared/time-range';
+import Resource from 'utils/fixtures/Resource';
+import { shallowWithIntl } from 'utils/testUtils';
+import PriceEstimate from './PriceEstimate';
+
+describe('shared/price-estimate/PriceEstimate', () => {
+  const reservations = Immutable([
+    { begin: '2016-10-10T10:00:00+03:00', end: '2016-10-10T12:00:00+03:00' },
+    { begin: '2016-10-17T10:00:00+03:00', end: '2016-10-17T11:00:00+03:00' },
+  ]);
+  const defaultProps = {
+    reservations,
+    resource: Immutable(Resource.build({ maxPricePerHour: '10', minPricePerHour: '10' })),
+  };
+
+  function getWrapper(extraProps) {
+    return shallowWithIntl(<PriceEstimate {...defaultProps} {...extraProps} />);
+  }
+
+  it('renders nothing if the resource has no price', () => {
+    const resource = Resource.build({ maxPricePerHour: null, minPricePerHour: null });
+    expect(getWrapper({ resource }).find('.price-estimate')).to.have.length(0);
+  });
+
+  it('renders nothing if there are no reservations', () => {
+    expect(getWrapper({ reservations: [] }).find('.price-estimate')).to.have.length(0);
+  });
+
+  it('renders a free text for free resources', () => {
+    const resource = Resource.build({ maxPricePerHour: '0', minPricePerHour: '0' });
+    const wrapper = getWrapper({ resource });
+    expect(wrapper.find('.price-estimate').text()).to.equal('PriceEstimate.free');
+  });
+
+  it('renders a line item for each reservation', () => {
+    const items = getWrapper().find('.price-estimate-items li');
+    expect(items).to.have.length(2);
+    expect(items.at(0).find(TimeRange).prop('begin')).to.equal(reservations[0].begin);
+    expect(items.at(0).text()).to.contain('20 €');
+    expect(items.at(1).text()).to.contain('10 €');
+  });
+
+  it('does not render line items for a single reservation', () => {
+    const wrapper = getWrapper({ reservations: [reservations[0]] });
+    expect(wrapper.find('.price-estimate-items')).to.have.length(0);
+    expect(wrapper.find('.price-estimate-total')).to.have.length(1);
+  });
+
+  it('renders the total price', () => {
+    expect(getWrapper().find('.price-estimate-total').text()).to.equal('PriceEstimate.total');
+  });
+
+  it('renders an explanation only if the price is a range', () => {
+    const resource = Resource.build({ maxPricePerHour: '20', minPricePerHour: '10' });
+    expect(getWrapper().find('.price-estimate-range-info')).to.have.length(0);
+    expect(getWrapper({ resource }).find('.price-estimate-range-info')).to.have.length(1);
+  });
+});
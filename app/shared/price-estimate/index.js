@@ -0,0 +1,3 @@
+import PriceEstimate from './PriceEstimate';
+
+export default PriceEstimate;
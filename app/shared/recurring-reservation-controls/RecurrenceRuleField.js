@@ -0,0 +1,64 @@
+import React, { Component, PropTypes } from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import ControlLabel from 'react-bootstrap/lib/ControlLabel';
+import FormControl from 'react-bootstrap/lib/FormControl';
+import FormGroup from 'react-bootstrap/lib/FormGroup';
+import HelpBlock from 'react-bootstrap/lib/HelpBlock';
+
+import { injectT } from 'i18n';
+
+class RecurrenceRuleField extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { value: props.rule };
+    this.handleChange = this.handleChange.bind(this);
+    this.handleImport = this.handleImport.bind(this);
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.rule !== this.props.rule) {
+      this.setState({ value: nextProps.rule });
+    }
+  }
+
+  handleChange(event) {
+    this.setState({ value: event.target.value });
+  }
+
+  handleImport() {
+    this.props.onImport(this.state.value);
+  }
+
+  render() {
+    const { hasError, t } = this.props;
+
+    return (
+      <FormGroup
+        className="recurrence-rule-field"
+        controlId="recurrenceRuleGroup"
+        validationState={hasError ? 'error' : null}
+      >
+        <ControlLabel>{t('RecurringReservationControls.ruleLabel')}</ControlLabel>
+        <FormControl
+          componentClass="textarea"
+          onChange={this.handleChange}
+          rows={2}
+          value={this.state.value}
+        />
+        {hasError && <HelpBlock>{t('RecurringReservationControls.ruleError')}</HelpBlock>}
+        <Button bsSize="small" bsStyle="default" onClick={this.handleImport}>
+          {t('RecurringReservationControls.importRule')}
+        </Button>
+      </FormGroup>
+    );
+  }
+}
+
+RecurrenceRuleField.propTypes = {
+  hasError: PropTypes.bool.isRequired,
+  onImport: PropTypes.func.isRequired,
+  rule: PropTypes.string.isRequired,
+  t: PropTypes.func.isRequired,
+};
+
+export default injectT(RecurrenceRuleField);
@@ -0,0 +1,52 @@
+import { expect } from 'chai';
+import React from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import FormControl from 'react-bootstrap/lib/FormControl';
+import FormGroup from 'react-bootstrap/lib/FormGroup';
+import HelpBlock from 'react-bootstrap/lib/HelpBlock';
+import simple from 'simple-mock';
+
+import { shallowWithIntl } from 'utils/testUtils';
+import RecurrenceRuleField from './RecurrenceRuleField';
+
+describe('shared/recurring-reservation-controls/RecurrenceRuleField', () => {
+  const defaultProps = {
+    hasError: false,
+    onImport: () => null,
+    rule: 'RRULE:FREQ=DAILY;COUNT=2',
+  };
+
+  function getWrapper(extraProps) {
+    return shallowWithIntl(<RecurrenceRuleField {...defaultProps} {...extraProps} />);
+  }
+
+  it('renders a textarea with the rule', () => {
+    const control = getWrapper().find(FormControl);
+    expect(control.prop('componentClass')).to.equal('textarea');
+    expect(control.prop('value')).to.equal(defaultProps.rule);
+  });
+
+  it('updates the textarea when the rule changes', () => {
+    const wrapper = getWrapper();
+    wrapper.setProps({ rule: 'RRULE:FREQ=WEEKLY;COUNT=2' });
+    expect(wrapper.find(FormControl).prop('value')).to.equal('RRULE:FREQ=WEEKLY;COUNT=2');
+  });
+
+  it('calls onImport with the edited rule when the button is clicked', () => {
+    const onImport = simple.mock();
+    const wrapper = getWrapper({ onImport });
+    wrapper.find(FormControl).prop('onChange')({ target: { value: 'RRULE:FREQ=MONTHLY' } });
+    wrapper.find(Button).prop('onClick')();
+    expect(onImport.lastCall.args).to.deep.equal(['RRULE:FREQ=MONTHLY']);
+  });
+
+  it('renders an error if hasError is true', () => {
+    const wrapper = getWrapper({ hasError: true });
+    expect(wrapper.find(FormGroup).prop('validationState')).to.equal('error');
+    expect(wrapper.find(HelpBlock)).to.have.length(1);
+  });
+
+  it('does not render an error if hasError is false', () => {
+    expect(getWrapper().find(HelpBlock)).to.have.length(0);
+  });
+});
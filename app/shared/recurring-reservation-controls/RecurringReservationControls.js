@@ -1,4 +1,8 @@
+import includes from 'lodash/includes';
+import moment from 'moment';
 import React, { PropTypes } from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import Checkbox from 'react-bootstrap/lib/Checkbox';
 import Col from 'react-bootstrap/lib/Col';
 import ControlLabel from 'react-bootstrap/lib/ControlLabel';
 import FormGroup from 'react-bootstrap/lib/FormGroup';
@@ -8,25 +12,48 @@ import Select from 'react-select';
 
 import { injectT } from 'i18n';
 import DatePicker from 'shared/date-picker';
+import RecurrenceRuleField from './RecurrenceRuleField';
+
+const intervalLabels = {
+  days: 'RecurringReservationControls.intervalDaysLabel',
+  months: 'RecurringReservationControls.intervalMonthsLabel',
+  weeks: 'RecurringReservationControls.intervalWeeksLabel',
+};
+
+const weekdays = [1, 2, 3, 4, 5, 6, 7];
 
 function createOptionRenderer(t) {
-  return option => t(option.label);
+  return option => t(option.label, option.values);
 }
 
 function createValueRenderer(t) {
-  return option => t(option.label);
+  return option => t(option.label, option.values);
 }
 
 function RecurringReservationControls({
+  addExclusionDate,
+  baseDate,
   changeFrequency,
+  changeInterval,
   changeLastTime,
+  changeMonthlyMode,
   changeNumberOfOccurrences,
+  exclusionDates,
   frequency,
   frequencyOptions,
+  importRule,
+  interval,
   isVisible,
+  monthlyMode,
+  monthlyModeOptions,
   numberOfOccurrences,
   lastTime,
+  removeExclusionDate,
+  rule,
+  ruleError,
+  selectedWeekdays,
   t,
+  toggleWeekday,
 }) {
   if (!isVisible) {
     return <span />;
@@ -83,20 +110,130 @@ function RecurringReservationControls({
           </Col>
         }
       </Row>
+      {frequency !== '' &&
+        <Row>
+          <Col sm={3} xs={12}>
+            <FormGroup controlId="intervalGroup">
+              <ControlLabel>{t(intervalLabels[frequency])}</ControlLabel>
+              <NumericInput
+                className="form-control"
+                min={1}
+                onChange={changeInterval}
+                value={interval}
+              />
+            </FormGroup>
+          </Col>
+          {frequency === 'weeks' &&
+            <Col sm={9} xs={12}>
+              <FormGroup className="recurrence-weekdays">
+                <ControlLabel>{t('RecurringReservationControls.weekdaysLabel')}</ControlLabel>
+                <div>
+                  {weekdays.map(weekday => (
+                    <Checkbox
+                      checked={includes(selectedWeekdays, weekday)}
+                      inline
+                      key={weekday}
+                      onChange={() => toggleWeekday(weekday)}
+                    >
+                      {moment().isoWeekday(weekday).format('dd')}
+                    </Checkbox>
+                  ))}
+                </div>
+              </FormGroup>
+            </Col>
+          }
+          {frequency === 'months' &&
+            <Col sm={9} xs={12}>
+              <div className="recurrence-monthly-mode-control">
+                <label htmlFor="recurrence-monthly-mode-select">
+                  {t('RecurringReservationControls.monthlyModeLabel')}
+                </label>
+                <Select
+                  className="recurrence-monthly-mode-select"
+                  clearable={false}
+                  inputProps={{ id: 'recurrence-monthly-mode-select' }}
+                  name="recurrence-monthly-mode-select"
+                  onChange={changeMonthlyMode}
+                  optionRenderer={createOptionRenderer(t)}
+                  options={monthlyModeOptions}
+                  searchable={false}
+                  value={monthlyMode}
+                  valueRenderer={createValueRenderer(t)}
+                />
+              </div>
+            </Col>
+          }
+        </Row>
+      }
+      {frequency !== '' &&
+        <Row>
+          <Col sm={5} xs={12}>
+            <FormGroup controlId="exclusionDateGroup">
+              <ControlLabel>
+                {t('RecurringReservationControls.addExclusionDateLabel')}
+              </ControlLabel>
+              <DatePicker
+                dateFormat="D.M.YYYY"
+                formControl
+                onChange={addExclusionDate}
+                value={baseDate}
+              />
+            </FormGroup>
+          </Col>
+          <Col sm={7} xs={12}>
+            {exclusionDates.length > 0 &&
+              <div className="recurrence-exclusion-dates">
+                <ControlLabel>
+                  {t('RecurringReservationControls.exclusionDatesLabel')}
+                </ControlLabel>
+                <ul className="list-unstyled">
+                  {exclusionDates.map(date => (
+                    <li key={date}>
+                      {moment(date).format('D.M.YYYY')}
+                      <Button
+                        bsSize="xsmall"
+                        bsStyle="link"
+                        onClick={() => removeExclusionDate(date)}
+                      >
+                        {t('RecurringReservationControls.removeExclusionDate')}
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            }
+          </Col>
+        </Row>
+      }
+      <RecurrenceRuleField hasError={ruleError} onImport={importRule} rule={rule} />
     </div>
   );
 }
 
 RecurringReservationControls.propTypes = {
+  addExclusionDate: PropTypes.func.isRequired,
+  baseDate: PropTypes.string,
   changeFrequency: PropTypes.func.isRequired,
+  changeInterval: PropTypes.func.isRequired,
   changeLastTime: PropTypes.func.isRequired,
+  changeMonthlyMode: PropTypes.func.isRequired,
   changeNumberOfOccurrences: PropTypes.func.isRequired,
+  exclusionDates: PropTypes.array.isRequired,
   frequency: PropTypes.string.isRequired,
   frequencyOptions: PropTypes.array.isRequired,
+  importRule: PropTypes.func.isRequired,
+  interval: PropTypes.number.isRequired,
   isVisible: PropTypes.bool.isRequired,
+  monthlyMode: PropTypes.string.isRequired,
+  monthlyModeOptions: PropTypes.array.isRequired,
   numberOfOccurrences: PropTypes.number.isRequired,
   lastTime: PropTypes.string,
+  removeExclusionDate: PropTypes.func.isRequired,
+  rule: PropTypes.string.isRequired,
+  ruleError: PropTypes.bool.isRequired,
+  selectedWeekdays: PropTypes.array.isRequired,
   t: PropTypes.func.isRequired,
+  toggleWeekday: PropTypes.func.isRequired,
 };
 
 export default injectT(RecurringReservationControls);
@@ -1,23 +1,40 @@
 import { expect } from 'chai';
 import React from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import Checkbox from 'react-bootstrap/lib/Checkbox';
 import NumericInput from 'react-numeric-input';
 import Select from 'react-select';
 import simple from 'simple-mock';
 
 import DatePicker from 'shared/date-picker';
 import { shallowWithIntl } from 'utils/testUtils';
+import RecurrenceRuleField from './RecurrenceRuleField';
 import RecurringReservationControls from './RecurringReservationControls';
 
 function getWrapper(props) {
   const defaults = {
+    addExclusionDate: () => null,
+    baseDate: '2017-04-18',
     changeFrequency: () => null,
+    changeInterval: () => null,
+    changeMonthlyMode: () => null,
     changeNumberOfOccurrences: () => null,
     changeLastTime: () => null,
+    exclusionDates: [],
     frequency: 'days',
     frequencyOptions: [{ label: '', value: '' }],
+    importRule: () => null,
+    interval: 1,
     isVisible: true,
-    lastTime: null,
+    lastTime: '2017-04-25',
+    monthlyMode: 'dayOfMonth',
+    monthlyModeOptions: [{ label: '', value: 'dayOfMonth' }],
     numberOfOccurrences: 1,
+    removeExclusionDate: () => null,
+    rule: '',
+    ruleError: false,
+    selectedWeekdays: [],
+    toggleWeekday: () => null,
   };
   return shallowWithIntl(<RecurringReservationControls {...defaults} {...props} />);
 }
@@ -35,7 +52,7 @@ describe('shared/RecurringReservationControls/RecurringReservationControls', ()
       frequencyOptions: [{ label: '', value: '' }],
       lastTime: '2017-04-09',
     };
-    const select = getWrapper(props).find(Select);
+    const select = getWrapper(props).find(Select).at(0);
     expect(select).to.have.length(1);
     expect(select.prop('onChange')).to.equal(props.changeFrequency);
     expect(select.prop('options')).to.equal(props.frequencyOptions);
@@ -48,7 +65,7 @@ describe('shared/RecurringReservationControls/RecurringReservationControls', ()
       lastTime: '2017-04-09',
       numberOfOccurrences: 12,
     };
-    const control = getWrapper(props).find(NumericInput);
+    const control = getWrapper(props).find(NumericInput).at(0);
     expect(control).to.have.length(1);
     expect(control.prop('min')).to.equal(1);
     expect(control.prop('value')).to.equal(props.numberOfOccurrences);
@@ -61,7 +78,7 @@ describe('shared/RecurringReservationControls/RecurringReservationControls', ()
       numberOfOccurrences: 12,
       changeLastTime: simple.mock(),
     };
-    const control = getWrapper(props).find(DatePicker);
+    const control = getWrapper(props).find(DatePicker).at(0);
     expect(control).to.have.length(1);
     expect(control.prop('dateFormat')).to.equal('D.M.YYYY');
     expect(control.prop('formControl')).to.be.true;
@@ -69,17 +86,104 @@ describe('shared/RecurringReservationControls/RecurringReservationControls', ()
     expect(control.prop('value')).to.equal(props.lastTime);
   });
 
+  it('renders NumericInput to change interval', () => {
+    const props = {
+      changeInterval: () => null,
+      interval: 2,
+    };
+    const control = getWrapper(props).find(NumericInput).at(1);
+    expect(control.prop('min')).to.equal(1);
+    expect(control.prop('value')).to.equal(props.interval);
+    expect(control.prop('onChange')).to.equal(props.changeInterval);
+  });
+
+  describe('weekday checkboxes', () => {
+    it('are rendered for every weekday if frequency is weeks', () => {
+      const checkboxes = getWrapper({ frequency: 'weeks' }).find(Checkbox);
+      expect(checkboxes).to.have.length(7);
+    });
+
+    it('are checked for selected weekdays', () => {
+      const checkboxes = getWrapper({ frequency: 'weeks', selectedWeekdays: [2, 4] }).find(Checkbox);
+      expect(checkboxes.map(checkbox => checkbox.prop('checked'))).to.deep.equal(
+        [false, true, false, true, false, false, false]
+      );
+    });
+
+    it('toggle the weekday on change', () => {
+      const toggleWeekday = simple.mock();
+      const checkbox = getWrapper({ frequency: 'weeks', toggleWeekday }).find(Checkbox).at(1);
+      checkbox.prop('onChange')();
+      expect(toggleWeekday.lastCall.args).to.deep.equal([2]);
+    });
+
+    it('are not rendered if frequency is not weeks', () => {
+      expect(getWrapper({ frequency: 'days' }).find(Checkbox)).to.have.length(0);
+    });
+  });
+
+  describe('monthly mode Select', () => {
+    it('is rendered with correct props if frequency is months', () => {
+      const props = {
+        changeMonthlyMode: () => null,
+        frequency: 'months',
+        monthlyMode: 'weekdayOfMonth',
+        monthlyModeOptions: [{ label: '', value: 'weekdayOfMonth' }],
+      };
+      const select = getWrapper(props).find(Select).at(1);
+      expect(select).to.have.length(1);
+      expect(select.prop('onChange')).to.equal(props.changeMonthlyMode);
+      expect(select.prop('options')).to.equal(props.monthlyModeOptions);
+      expect(select.prop('value')).to.equal(props.monthlyMode);
+    });
+
+    it('is not rendered if frequency is not months', () => {
+      expect(getWrapper({ frequency: 'weeks' }).find(Select)).to.have.length(1);
+    });
+  });
+
+  describe('exclusion dates', () => {
+    it('renders DatePicker to add exclusion dates', () => {
+      const props = { addExclusionDate: () => null, baseDate: '2017-04-18' };
+      const control = getWrapper(props).find(DatePicker).at(1);
+      expect(control.prop('onChange')).to.equal(props.addExclusionDate);
+      expect(control.prop('value')).to.equal(props.baseDate);
+    });
+
+    it('renders a remove button for each exclusion date', () => {
+      const removeExclusionDate = simple.mock();
+      const exclusionDates = ['2017-04-20', '2017-04-27'];
+      const buttons = getWrapper({ exclusionDates, removeExclusionDate }).find(Button);
+      expect(buttons).to.have.length(2);
+      buttons.at(1).prop('onClick')();
+      expect(removeExclusionDate.lastCall.args).to.deep.equal(['2017-04-27']);
+    });
+  });
+
+  it('renders RecurrenceRuleField with correct props', () => {
+    const props = {
+      importRule: () => null,
+      rule: 'RRULE:FREQ=DAILY;COUNT=2',
+      ruleError: true,
+    };
+    const field = getWrapper(props).find(RecurrenceRuleField);
+    expect(field).to.have.length(1);
+    expect(field.prop('hasError')).to.equal(props.ruleError);
+    expect(field.prop('onImport')).to.equal(props.importRule);
+    expect(field.prop('rule')).to.equal(props.rule);
+  });
+
   describe('without set frecuency', () => {
     let wrapper;
     before(() => {
       wrapper = getWrapper({ frequency: '' });
     });
 
-    it('does not render numbrerOfOcurrences NumericInput', () => {
+    it('does not render NumericInputs', () => {
       expect(wrapper.find(NumericInput)).to.have.length(0);
     });
 
-    it('does not render DatePicker', () => {
+    it('does not render DatePickers', () => {
       expect(wrapper.find(DatePicker)).to.have.length(0);
     });
   });
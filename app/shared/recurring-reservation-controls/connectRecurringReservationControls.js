@@ -1,7 +1,9 @@
+import moment from 'moment';
 import { connect } from 'react-redux';
 import { createSelector, createStructuredSelector } from 'reselect';
 
 import recurringReservations from 'state/recurringReservations';
+import { getWeekdayOrdinal } from 'utils/recurrenceUtils';
 
 function selectFrequencyOptions() {
   return [
@@ -17,18 +19,65 @@ const isVisibleSelector = createSelector(
   baseTime => Boolean(baseTime),
 );
 
+const baseDateSelector = createSelector(
+  recurringReservations.selectBaseTime,
+  baseTime => (baseTime ? moment(baseTime.begin).format('YYYY-MM-DD') : null),
+);
+
+const monthlyModeOptionsSelector = createSelector(
+  recurringReservations.selectBaseTime,
+  (baseTime) => {
+    if (!baseTime) {
+      return [];
+    }
+    const begin = moment(baseTime.begin);
+    const values = {
+      day: begin.date(),
+      ordinal: getWeekdayOrdinal(begin),
+      weekday: begin.format('dddd'),
+    };
+    return [
+      { label: 'RecurringReservationControls.monthlyModeDayOfMonth', value: 'dayOfMonth', values },
+      {
+        label: 'RecurringReservationControls.monthlyModeWeekdayOfMonth',
+        value: 'weekdayOfMonth',
+        values,
+      },
+      {
+        label: 'RecurringReservationControls.monthlyModeLastWeekdayOfMonth',
+        value: 'lastWeekdayOfMonth',
+        values,
+      },
+    ];
+  }
+);
+
 export const selector = createStructuredSelector({
+  baseDate: baseDateSelector,
+  exclusionDates: recurringReservations.selectExclusionDates,
   frequency: recurringReservations.selectFrequency,
   frequencyOptions: selectFrequencyOptions,
+  interval: recurringReservations.selectInterval,
   isVisible: isVisibleSelector,
   lastTime: recurringReservations.selectLastTime,
+  monthlyMode: recurringReservations.selectMonthlyMode,
+  monthlyModeOptions: monthlyModeOptionsSelector,
   numberOfOccurrences: recurringReservations.selectNumberOfOccurrences,
+  rule: recurringReservations.selectRule,
+  ruleError: recurringReservations.selectRuleError,
+  selectedWeekdays: recurringReservations.selectWeekdays,
 });
 
 const actions = {
+  addExclusionDate: recurringReservations.addExclusionDate,
   changeFrequency: recurringReservations.changeFrequency,
+  changeInterval: recurringReservations.changeInterval,
   changeLastTime: recurringReservations.changeLastTime,
+  changeMonthlyMode: recurringReservations.changeMonthlyMode,
   changeNumberOfOccurrences: recurringReservations.changeNumberOfOccurrences,
+  importRule: recurringReservations.importRule,
+  removeExclusionDate: recurringReservations.removeExclusionDate,
+  toggleWeekday: recurringReservations.toggleWeekday,
 };
 
 export function mergeProps(stateProps, dispatchProps) {
@@ -36,6 +85,7 @@ export function mergeProps(stateProps, dispatchProps) {
     ...stateProps,
     ...dispatchProps,
     changeFrequency: ({ value }) => dispatchProps.changeFrequency(value),
+    changeMonthlyMode: ({ value }) => dispatchProps.changeMonthlyMode(value),
   };
 }
 
@@ -1,4 +1,5 @@
 import { expect } from 'chai';
+import moment from 'moment';
 
 import { getState } from 'utils/testUtils';
 import { selector } from './connectRecurringReservationControls';
@@ -48,6 +49,39 @@ describe('shared/recurring-reservation-controls/connectRecurringReservationContr
       });
     });
 
+    describe('monthlyModeOptions', () => {
+      it('returns options with the day and weekday of baseTime', () => {
+        const baseTime = { begin: '2017-04-18T12:00:00.000Z', end: '2017-04-18T13:00:00.000Z' };
+        const state = getState({
+          recurringReservations: { baseTime },
+        });
+        const options = getSelected(state).monthlyModeOptions;
+        expect(options.map(option => option.value)).to.deep.equal(
+          ['dayOfMonth', 'weekdayOfMonth', 'lastWeekdayOfMonth']
+        );
+        expect(options[0].values).to.deep.equal({
+          day: 18,
+          ordinal: 3,
+          weekday: moment(baseTime.begin).format('dddd'),
+        });
+      });
+
+      it('returns an empty array if baseTime is not set', () => {
+        const state = getState({
+          recurringReservations: { baseTime: null },
+        });
+        expect(getSelected(state).monthlyModeOptions).to.deep.equal([]);
+      });
+    });
+
+    it('returns rule in RRULE format', () => {
+      const baseTime = { begin: '2017-04-18T12:00:00.000Z', end: '2017-04-18T13:00:00.000Z' };
+      const state = getState({
+        recurringReservations: { baseTime, frequency: 'days', numberOfOccurrences: 2 },
+      });
+      expect(getSelected(state).rule).to.equal('RRULE:FREQ=DAILY;COUNT=3');
+    });
+
     it('returns numberOfOccurrences from state', () => {
       const numberOfOccurrences = 12;
       const state = getState({
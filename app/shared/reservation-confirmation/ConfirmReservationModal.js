@@ -1,20 +1,25 @@
 import pick from 'lodash/pick';
 import camelCase from 'lodash/camelCase';
 import React, { Component, PropTypes } from 'react';
+import Checkbox from 'react-bootstrap/lib/Checkbox';
 import Modal from 'react-bootstrap/lib/Modal';
 
 import CompactReservationList from 'shared/compact-reservation-list';
+import PriceEstimate from 'shared/price-estimate';
 import RecurringReservationControls from 'shared/recurring-reservation-controls';
 import { injectT } from 'i18n';
 import { isStaffEvent } from 'utils/reservationUtils';
 import { getTermsAndConditions } from 'utils/resourceUtils';
+import RecurringReservationConflicts from './RecurringReservationConflicts';
 import ReservationForm from './ReservationForm';
 
 class ConfirmReservationModal extends Component {
   constructor(props) {
     super(props);
+    this.state = { allOrNothing: false };
     this.getFormFields = this.getFormFields.bind(this);
     this.getFormInitialValues = this.getFormInitialValues.bind(this);
+    this.handleAllOrNothingChange = this.handleAllOrNothingChange.bind(this);
     this.onConfirm = this.onConfirm.bind(this);
     this.renderIntroTexts = this.renderIntroTexts.bind(this);
   }
@@ -22,7 +27,7 @@ class ConfirmReservationModal extends Component {
   onConfirm(values) {
     const { onClose, onConfirm } = this.props;
     onClose();
-    onConfirm(values);
+    onConfirm(values, { allOrNothing: this.state.allOrNothing });
   }
 
   getFormFields(termsAndConditions) {
@@ -92,14 +97,21 @@ class ConfirmReservationModal extends Component {
     return requiredFormFields;
   }
 
+  handleAllOrNothingChange(event) {
+    this.setState({ allOrNothing: event.target.checked });
+  }
+
   renderIntroTexts() {
     const {
       isAdmin,
       isEditing,
       isPreliminaryReservation,
       onRemoveReservation,
+      onShiftReservation,
+      recurringConflicts,
       recurringReservations,
       reservationsToEdit,
+      resource,
       selectedReservations,
       t,
     } = this.props;
@@ -118,6 +130,7 @@ class ConfirmReservationModal extends Component {
             {t('ConfirmReservationModal.afterText')}
           </p>
           <CompactReservationList reservations={selectedReservations} />
+          <PriceEstimate reservations={selectedReservations} resource={resource} />
         </div>
       );
     }
@@ -136,6 +149,24 @@ class ConfirmReservationModal extends Component {
           removableReservations={recurringReservations}
           reservations={selectedReservations}
         />
+        <RecurringReservationConflicts
+          conflicts={recurringConflicts}
+          onRemoveReservation={onRemoveReservation}
+          onShiftReservation={onShiftReservation}
+        />
+        <PriceEstimate
+          reservations={[...selectedReservations, ...recurringReservations]}
+          resource={resource}
+        />
+        {reservationsCount > 1 && (
+          <Checkbox
+            checked={this.state.allOrNothing}
+            className="all-or-nothing-checkbox"
+            onChange={this.handleAllOrNothingChange}
+          >
+            {t('ConfirmReservationModal.allOrNothingLabel')}
+          </Checkbox>
+        )}
         {isPreliminaryReservation && (
           <div>
             <p>{t('ConfirmReservationModal.priceInfo')}</p>
@@ -202,6 +233,8 @@ ConfirmReservationModal.propTypes = {
   onClose: PropTypes.func.isRequired,
   onConfirm: PropTypes.func.isRequired,
   onRemoveReservation: PropTypes.func.isRequired,
+  onShiftReservation: PropTypes.func.isRequired,
+  recurringConflicts: PropTypes.array.isRequired,
   recurringReservations: PropTypes.array.isRequired,
   reservationsToEdit: PropTypes.array.isRequired,
   resource: PropTypes.object.isRequired,
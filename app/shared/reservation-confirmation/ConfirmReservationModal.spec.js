@@ -1,16 +1,19 @@
 import { expect } from 'chai';
 import forEach from 'lodash/forEach';
 import React from 'react';
+import Checkbox from 'react-bootstrap/lib/Checkbox';
 import Modal from 'react-bootstrap/lib/Modal';
 import Immutable from 'seamless-immutable';
 import simple from 'simple-mock';
 
 import CompactReservationList from 'shared/compact-reservation-list';
+import PriceEstimate from 'shared/price-estimate';
 import RecurringReservationControls from 'shared/recurring-reservation-controls';
 import Reservation from 'utils/fixtures/Reservation';
 import Resource from 'utils/fixtures/Resource';
 import { shallowWithIntl } from 'utils/testUtils';
 import ConfirmReservationModal from './ConfirmReservationModal';
+import RecurringReservationConflicts from './RecurringReservationConflicts';
 import ReservationForm from './ReservationForm';
 
 describe('shared/reservation-confirmation/ConfirmReservationModal', () => {
@@ -23,6 +26,8 @@ describe('shared/reservation-confirmation/ConfirmReservationModal', () => {
     onClose: simple.stub(),
     onConfirm: simple.stub(),
     onRemoveReservation: simple.stub(),
+    onShiftReservation: simple.stub(),
+    recurringConflicts: [],
     recurringReservations: [],
     reservationsToEdit: Immutable([]),
     resource: Resource.build(),
@@ -121,6 +126,40 @@ describe('shared/reservation-confirmation/ConfirmReservationModal', () => {
             getModalBodyWrapper({ ...props, isAdmin: false }).find(RecurringReservationControls)
           ).to.have.length(0);
         });
+
+        it('renders RecurringReservationConflicts with correct props', () => {
+          const recurringConflicts = [
+            { reason: 'reserved', reservation: Reservation.build(), shiftedReservation: null },
+          ];
+          const conflicts = getModalBodyWrapper({ ...props, recurringConflicts })
+            .find(RecurringReservationConflicts);
+          expect(conflicts).to.have.length(1);
+          expect(conflicts.prop('conflicts')).to.equal(recurringConflicts);
+          expect(conflicts.prop('onRemoveReservation')).to.equal(defaultProps.onRemoveReservation);
+          expect(conflicts.prop('onShiftReservation')).to.equal(defaultProps.onShiftReservation);
+        });
+
+        it('renders PriceEstimate for the selected and recurring reservations', () => {
+          const recurringReservations = [Reservation.build()];
+          const estimate = getModalBodyWrapper({ ...props, recurringReservations })
+            .find(PriceEstimate);
+          expect(estimate).to.have.length(1);
+          expect(estimate.prop('reservations')).to.deep.equal(
+            [...defaultProps.selectedReservations, ...recurringReservations]
+          );
+          expect(estimate.prop('resource')).to.equal(defaultProps.resource);
+        });
+
+        it('renders all-or-nothing checkbox if making several reservations', () => {
+          expect(getModalBodyWrapper(props).find(Checkbox)).to.have.length(1);
+        });
+
+        it('does not render all-or-nothing checkbox if making one reservation', () => {
+          const selectedReservations = Immutable([Reservation.build()]);
+          expect(
+            getModalBodyWrapper({ ...props, selectedReservations }).find(Checkbox)
+          ).to.have.length(0);
+        });
       });
 
       describe('when editing reservation', () => {
@@ -141,13 +180,45 @@ describe('shared/reservation-confirmation/ConfirmReservationModal', () => {
           expect(list.prop('reservations')).to.deep.equal(defaultProps.selectedReservations);
         });
 
+        it('renders PriceEstimate for the selected reservations', () => {
+          const estimate = getModalBodyWrapper(props).find(PriceEstimate);
+          expect(estimate).to.have.length(1);
+          expect(estimate.prop('reservations')).to.deep.equal(defaultProps.selectedReservations);
+        });
+
         it('does not render RecurringReservationControls', () => {
           expect(getModalBodyWrapper(props).find(RecurringReservationControls)).to.have.length(0);
         });
+
+        it('does not render all-or-nothing checkbox', () => {
+          expect(getModalBodyWrapper(props).find(Checkbox)).to.have.length(0);
+        });
       });
     });
   });
 
+  describe('onConfirm', () => {
+    const values = { eventSubject: 'Meeting' };
+
+    it('closes the modal and calls onConfirm with values and allOrNothing false by default', () => {
+      const onClose = simple.mock();
+      const onConfirm = simple.mock();
+      getWrapper({ onClose, onConfirm }).find(ReservationForm).prop('onConfirm')(values);
+
+      expect(onClose.callCount).to.equal(1);
+      expect(onConfirm.lastCall.args).to.deep.equal([values, { allOrNothing: false }]);
+    });
+
+    it('passes allOrNothing true if the checkbox is checked', () => {
+      const onConfirm = simple.mock();
+      const wrapper = getWrapper({ onConfirm });
+      wrapper.find(Checkbox).prop('onChange')({ target: { checked: true } });
+      wrapper.find(ReservationForm).prop('onConfirm')(values);
+
+      expect(onConfirm.lastCall.args).to.deep.equal([values, { allOrNothing: true }]);
+    });
+  });
+
   describe('ReservationForm fields', () => {
     function getFormFields(props) {
       return getWrapper(props).find(ReservationForm).props().fields;
@@ -0,0 +1,74 @@
+import moment from 'moment';
+import React, { PropTypes } from 'react';
+import Alert from 'react-bootstrap/lib/Alert';
+import Button from 'react-bootstrap/lib/Button';
+
+import constants from 'constants/AppConstants';
+import { injectT } from 'i18n';
+import TimeRange from 'shared/time-range';
+
+function RecurringReservationConflicts({ conflicts, onRemoveReservation, onShiftReservation, t }) {
+  if (!conflicts.length) {
+    return <span />;
+  }
+  const removeAll = () => conflicts.forEach(
+    conflict => onRemoveReservation(conflict.reservation.begin)
+  );
+
+  return (
+    <Alert bsStyle="warning" className="recurring-reservation-conflicts">
+      <p>
+        <strong>
+          {t('RecurringReservationConflicts.title', { count: conflicts.length })}
+        </strong>
+      </p>
+      <ul className="list-unstyled">
+        {conflicts.map(({ reason, reservation, shiftedReservation }) => (
+          <li key={reservation.begin}>
+            <TimeRange begin={reservation.begin} end={reservation.end} />
+            {': '}
+            {t(`RecurringReservationConflicts.${reason}`)}
+            <Button
+              bsSize="xsmall"
+              bsStyle="link"
+              className="remove-conflict-button"
+              onClick={() => onRemoveReservation(reservation.begin)}
+            >
+              {t('RecurringReservationConflicts.remove')}
+            </Button>
+            {shiftedReservation &&
+              <Button
+                bsSize="xsmall"
+                bsStyle="link"
+                className="shift-conflict-button"
+                onClick={() => onShiftReservation(reservation.begin, shiftedReservation)}
+              >
+                {t('RecurringReservationConflicts.shift', {
+                  time: moment(shiftedReservation.begin).format(constants.TIME_FORMAT),
+                })}
+              </Button>
+            }
+          </li>
+        ))}
+      </ul>
+      {conflicts.length > 1 &&
+        <Button bsSize="small" className="remove-all-conflicts-button" onClick={removeAll}>
+          {t('RecurringReservationConflicts.removeAll')}
+        </Button>
+      }
+    </Alert>
+  );
+}
+
+RecurringReservationConflicts.propTypes = {
+  conflicts: PropTypes.arrayOf(PropTypes.shape({
+    reason: PropTypes.string.isRequired,
+    reservation: PropTypes.object.isRequired,
+    shiftedReservation: PropTypes.object,
+  })).isRequired,
+  onRemoveReservation: PropTypes.func.isRequired,
+  onShiftReservation: PropTypes.func.isRequired,
+  t: PropTypes.func.isRequired,
+};
+
+export default injectT(RecurringReservationConflicts);
@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+import React from 'react';
+import Alert from 'react-bootstrap/lib/Alert';
+import simple from 'simple-mock';
+
+import TimeRange from 'shared/time-range';
+import { shallowWithIntl } from 'utils/testUtils';
+import RecurringReservationConflicts from './RecurringReservationConflicts';
+
+describe('shared/reservation-confirmation/RecurringReservationConflicts', () => {
+  const reservation1 = {
+    begin: '2017-04-19T12:00:00.000Z',
+    end: '2017-04-19T13:00:00.000Z',
+  };
+  const reservation2 = {
+    begin: '2017-04-20T12:00:00.000Z',
+    end: '2017-04-20T13:00:00.000Z',
+  };
+  const shiftedReservation = {
+    begin: '2017-04-19T13:00:00.000Z',
+    end: '2017-04-19T14:00:00.000Z',
+  };
+  const conflicts = [
+    { reason: 'reserved', reservation: reservation1, shiftedReservation },
+    { reason: 'closed', reservation: reservation2, shiftedReservation: null },
+  ];
+
+  function getWrapper(props) {
+    const defaults = {
+      conflicts,
+      onRemoveReservation: () => null,
+      onShiftReservation: () => null,
+    };
+    return shallowWithIntl(<RecurringReservationConflicts {...defaults} {...props} />);
+  }
+
+  it('renders an empty span if there are no conflicts', () => {
+    expect(getWrapper({ conflicts: [] }).equals(<span />)).to.be.true;
+  });
+
+  it('renders a warning with each conflicting reservation', () => {
+    const wrapper = getWrapper();
+    expect(wrapper.find(Alert).prop('bsStyle')).to.equal('warning');
+    expect(wrapper.find(TimeRange).map(timeRange => timeRange.prop('begin'))).to.deep.equal([
+      reservation1.begin,
+      reservation2.begin,
+    ]);
+    expect(wrapper.find('li').at(1).text()).to.contain('RecurringReservationConflicts.closed');
+  });
+
+  it('removes the reservation when its remove button is clicked', () => {
+    const onRemoveReservation = simple.mock();
+    getWrapper({ onRemoveReservation }).find('.remove-conflict-button').at(1).simulate('click');
+    expect(onRemoveReservation.lastCall.args).to.deep.equal([reservation2.begin]);
+  });
+
+  it('renders shift button only for reservations that can be shifted', () => {
+    expect(getWrapper().find('.shift-conflict-button')).to.have.length(1);
+  });
+
+  it('shifts the reservation when its shift button is clicked', () => {
+    const onShiftReservation = simple.mock();
+    getWrapper({ onShiftReservation }).find('.shift-conflict-button').simulate('click');
+    expect(onShiftReservation.lastCall.args).to.deep.equal([
+      reservation1.begin,
+      shiftedReservation,
+    ]);
+  });
+
+  it('removes all conflicting reservations when remove all button is clicked', () => {
+    const onRemoveReservation = simple.mock();
+    getWrapper({ onRemoveReservation }).find('.remove-all-conflicts-button').simulate('click');
+    expect(onRemoveReservation.calls.map(call => call.arg)).to.deep.equal([
+      reservation1.begin,
+      reservation2.begin,
+    ]);
+  });
+
+  it('does not render remove all button for a single conflict', () => {
+    const wrapper = getWrapper({ conflicts: [conflicts[0]] });
+    expect(wrapper.find('.remove-all-conflicts-button')).to.have.length(0);
+  });
+});
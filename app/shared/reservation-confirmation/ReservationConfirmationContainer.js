@@ -1,10 +1,10 @@
 import forEach from 'lodash/forEach';
-import tail from 'lodash/tail';
 import React, { Component, PropTypes } from 'react';
 import { connect } from 'react-redux';
 import { bindActionCreators } from 'redux';
 
-import { deleteReservation, postReservation, putReservation } from 'actions/reservationActions';
+import { deleteReservation } from 'actions/reservationActions';
+import { submitReservationBatch } from 'actions/reservationBatchActions';
 import { closeConfirmReservationModal, openConfirmReservationModal } from 'actions/uiActions';
 import recurringReservationsConnector from 'state/recurringReservations';
 import ConfirmReservationModal from './ConfirmReservationModal';
@@ -13,10 +13,41 @@ import reservationConfirmationSelector from './reservationConfirmationSelector';
 export class UnconnectedReservationConfirmationContainer extends Component {
   constructor(props) {
     super(props);
+    this.fetchRecurringAvailability = this.fetchRecurringAvailability.bind(this);
     this.handleEdit = this.handleEdit.bind(this);
     this.handleReservation = this.handleReservation.bind(this);
   }
 
+  componentDidMount() {
+    this.fetchRecurringAvailability();
+  }
+
+  componentDidUpdate() {
+    this.fetchRecurringAvailability();
+  }
+
+  fetchRecurringAvailability() {
+    const {
+      actions,
+      confirmReservationModalIsOpen,
+      recurringAvailabilityIsMissing,
+      recurringReservations,
+      resource,
+    } = this.props;
+
+    if (!confirmReservationModalIsOpen || !recurringAvailabilityIsMissing) {
+      return;
+    }
+    // Each range is requested only once so that a failed request is not repeated on every update.
+    const first = recurringReservations[0];
+    const last = recurringReservations[recurringReservations.length - 1];
+    const request = `${resource.id}/${first.begin}/${last.end}`;
+    if (request !== this.availabilityRequest) {
+      this.availabilityRequest = request;
+      actions.fetchRecurringAvailability(resource.id, recurringReservations);
+    }
+  }
+
   handleEdit(values = {}) {
     const {
       actions,
@@ -25,27 +56,16 @@ export class UnconnectedReservationConfirmationContainer extends Component {
     } = this.props;
 
     if (selectedReservations.length) {
-      // Edit the first selected reservation.
-      actions.putReservation(Object.assign(
-        {},
-        selectedReservations[0],
-        values,
-        { url: reservationsToEdit[0].url }
-      ));
-
-      // Add new reservations if needed.
-      // FIXME: This is very hacky and not bulletproof but use cases where user splits
-      // one reservation into multiple reservations should be pretty rare.
-      // Try to use something sequential in the future.
-      // Use timeout to allow the PUT request to go through first and possibly free previously
-      // reserved time slots.
-      setTimeout(() => {
-        forEach(tail(selectedReservations), (reservation) => {
-          actions.postReservation(
-            Object.assign({}, reservation, values)
-          );
-        });
-      }, 800);
+      // Edit the first selected reservation and add new reservations if needed. The edit is
+      // saved first as it can free previously reserved time slots for the new reservations.
+      const [editedReservation, ...newReservations] = selectedReservations;
+      actions.submitReservationBatch(
+        [
+          { ...editedReservation, ...values, url: reservationsToEdit[0].url },
+          ...newReservations.map(reservation => ({ ...reservation, ...values })),
+        ],
+        { sequential: true }
+      );
     } else {
       // Delete the edited reservation if no time slots were selected.
       forEach(reservationsToEdit, (reservation) => {
@@ -54,16 +74,17 @@ export class UnconnectedReservationConfirmationContainer extends Component {
     }
   }
 
-  handleReservation(values = {}) {
+  handleReservation(values = {}, options = {}) {
     const { actions, recurringReservations, resource, selectedReservations } = this.props;
-
-    [...selectedReservations, ...recurringReservations].forEach((reservation) => {
-      actions.postReservation({
+    const reservations = [...selectedReservations, ...recurringReservations].map(
+      reservation => ({
         ...reservation,
         ...values,
         resource: resource.id,
-      });
-    });
+      })
+    );
+
+    actions.submitReservationBatch(reservations, { allOrNothing: options.allOrNothing });
   }
 
   render() {
@@ -72,6 +93,7 @@ export class UnconnectedReservationConfirmationContainer extends Component {
       confirmReservationModalIsOpen,
       isMakingReservations,
       isStaff,
+      recurringConflicts,
       recurringReservations,
       reservationsToEdit,
       resource,
@@ -92,6 +114,8 @@ export class UnconnectedReservationConfirmationContainer extends Component {
         onClose={actions.closeConfirmReservationModal}
         onConfirm={isEditing ? this.handleEdit : this.handleReservation}
         onRemoveReservation={actions.removeReservation}
+        onShiftReservation={actions.shiftReservation}
+        recurringConflicts={recurringConflicts}
         recurringReservations={recurringReservations}
         reservationsToEdit={reservationsToEdit}
         resource={resource}
@@ -111,6 +135,8 @@ UnconnectedReservationConfirmationContainer.propTypes = {
   params: PropTypes.shape({ // eslint-disable-line react/no-unused-prop-types
     id: PropTypes.string.isRequired,
   }).isRequired,
+  recurringAvailabilityIsMissing: PropTypes.bool.isRequired,
+  recurringConflicts: PropTypes.array.isRequired,
   recurringReservations: PropTypes.array.isRequired,
   reservationsToEdit: PropTypes.array.isRequired,
   resource: PropTypes.object.isRequired,
@@ -122,10 +148,11 @@ function mapDispatchToProps(dispatch) {
   const actionCreators = {
     closeConfirmReservationModal,
     deleteReservation,
+    fetchRecurringAvailability: recurringReservationsConnector.fetchAvailability,
     openConfirmReservationModal,
-    postReservation,
-    putReservation,
     removeReservation: recurringReservationsConnector.removeReservation,
+    shiftReservation: recurringReservationsConnector.shiftReservation,
+    submitReservationBatch,
   };
 
   return { actions: bindActionCreators(actionCreators, dispatch) };
@@ -17,15 +17,18 @@ describe('pages/resource/reservation-calendar/ReservationConfirmationContainer',
     actions: {
       closeConfirmReservationModal: simple.stub(),
       deleteReservation: simple.stub(),
+      fetchRecurringAvailability: simple.stub(),
       openConfirmReservationModal: simple.stub(),
-      postReservation: simple.stub(),
-      putReservation: simple.stub(),
       removeReservation: simple.stub(),
+      shiftReservation: simple.stub(),
+      submitReservationBatch: simple.stub(),
     },
     confirmReservationModalIsOpen: false,
     isMakingReservations: false,
     isStaff: false,
     params: { id: resource.id },
+    recurringAvailabilityIsMissing: false,
+    recurringConflicts: [],
     recurringReservations: [Reservation.build()],
     reservationsToEdit: [],
     resource: Immutable(resource),
@@ -60,6 +63,8 @@ describe('pages/resource/reservation-calendar/ReservationConfirmationContainer',
         expect(actualProps.onClose).to.equal(defaultProps.actions.closeConfirmReservationModal);
         expect(actualProps.onConfirm).to.equal(wrapper.instance().handleReservation);
         expect(actualProps.onRemoveReservation).to.equal(defaultProps.actions.removeReservation);
+        expect(actualProps.onShiftReservation).to.equal(defaultProps.actions.shiftReservation);
+        expect(actualProps.recurringConflicts).to.deep.equal(defaultProps.recurringConflicts);
         expect(actualProps.recurringReservations).to.deep.equal(defaultProps.recurringReservations);
         expect(actualProps.reservationsToEdit).to.deep.equal(defaultProps.reservationsToEdit);
         expect(actualProps.selectedReservations).to.deep.equal(defaultProps.selectedReservations);
@@ -68,6 +73,50 @@ describe('pages/resource/reservation-calendar/ReservationConfirmationContainer',
     });
   });
 
+  describe('fetchRecurringAvailability', () => {
+    const fetchRecurringAvailability = defaultProps.actions.fetchRecurringAvailability;
+    const props = {
+      confirmReservationModalIsOpen: true,
+      recurringAvailabilityIsMissing: true,
+    };
+
+    beforeEach(() => {
+      fetchRecurringAvailability.reset();
+    });
+
+    it('fetches availability for recurring reservations if it is missing', () => {
+      getWrapper(props).instance().fetchRecurringAvailability();
+
+      expect(fetchRecurringAvailability.callCount).to.equal(1);
+      expect(fetchRecurringAvailability.lastCall.args).to.deep.equal([
+        resource.id,
+        defaultProps.recurringReservations,
+      ]);
+    });
+
+    it('fetches the same availability only once', () => {
+      const instance = getWrapper(props).instance();
+      instance.fetchRecurringAvailability();
+      instance.fetchRecurringAvailability();
+
+      expect(fetchRecurringAvailability.callCount).to.equal(1);
+    });
+
+    it('does not fetch availability if it is not missing', () => {
+      getWrapper({ ...props, recurringAvailabilityIsMissing: false })
+        .instance().fetchRecurringAvailability();
+
+      expect(fetchRecurringAvailability.callCount).to.equal(0);
+    });
+
+    it('does not fetch availability if the modal is closed', () => {
+      getWrapper({ ...props, confirmReservationModalIsOpen: false })
+        .instance().fetchRecurringAvailability();
+
+      expect(fetchRecurringAvailability.callCount).to.equal(0);
+    });
+  });
+
   describe('handleEdit', () => {
     describe('if no reservations are selected', () => {
       const extraProps = {
@@ -94,31 +143,41 @@ describe('pages/resource/reservation-calendar/ReservationConfirmationContainer',
         ],
         reservationsToEdit: [Reservation.build()],
       };
-      const instance = getWrapper(extraProps).instance();
-      instance.handleEdit();
+      const values = { comments: 'Some comment' };
+
+      before(() => {
+        defaultProps.actions.submitReservationBatch.reset();
+        getWrapper(extraProps).instance().handleEdit(values);
+      });
+
+      it('submits the reservations sequentially in a batch', () => {
+        const actualArgs = defaultProps.actions.submitReservationBatch.lastCall.args;
+
+        expect(defaultProps.actions.submitReservationBatch.callCount).to.equal(1);
+        expect(actualArgs[0]).to.have.length(extraProps.selectedReservations.length);
+        expect(actualArgs[1]).to.deep.equal({ sequential: true });
+      });
 
       it('edits the first selected reservation', () => {
-        const actualArgs = defaultProps.actions.putReservation.lastCall.args;
+        const actualReservation = defaultProps.actions.submitReservationBatch.lastCall.args[0][0];
         const expectedReservation = Object.assign(
           {},
           extraProps.selectedReservations[0],
+          values,
           { url: extraProps.reservationsToEdit[0].url }
         );
 
-        expect(defaultProps.actions.putReservation.callCount).to.equal(1);
-        expect(actualArgs[0]).to.deep.equal(expectedReservation);
+        expect(actualReservation).to.deep.equal(expectedReservation);
       });
 
-      it('adds new reservations for the rest of the selected reservations', (done) => {
-        const expectedCallCount = extraProps.selectedReservations.length - 1;
+      it('adds new reservations for the rest of the selected reservations', () => {
+        const actualReservations = defaultProps.actions.submitReservationBatch.lastCall.args[0];
 
-        setTimeout(() => {
-          expect(defaultProps.actions.postReservation.callCount).to.equal(expectedCallCount);
-          defaultProps.actions.postReservation.calls.forEach((call, index) => {
-            expect(call.args[0]).to.deep.equal(extraProps.selectedReservations[index + 1]);
-          });
-          done();
-        }, 800);
+        actualReservations.slice(1).forEach((reservation, index) => {
+          expect(reservation).to.deep.equal(
+            Object.assign({}, extraProps.selectedReservations[index + 1], values)
+          );
+        });
       });
     });
   });
@@ -134,30 +193,33 @@ describe('pages/resource/reservation-calendar/ReservationConfirmationContainer',
     const reservavations = [...selectedReservations, ...recurringReservations];
     const instance = getWrapper({ recurringReservations, selectedReservations }).instance();
 
-    before(() => {
-      defaultProps.actions.postReservation.reset();
+    beforeEach(() => {
+      defaultProps.actions.submitReservationBatch.reset();
     });
 
-    it('calls postReservation for each selected and recurring reservation', () => {
+    it('submits each selected and recurring reservation in a batch', () => {
       instance.handleReservation();
-      expect(defaultProps.actions.postReservation.callCount)
-        .to.equal(reservavations.length);
-    });
-
-    it('calls postReservation with correct arguments', () => {
-      instance.handleReservation();
-      const actualArgs = defaultProps.actions.postReservation.lastCall.args;
-      const expected = recurringReservations[0];
+      const actualArgs = defaultProps.actions.submitReservationBatch.lastCall.args;
 
-      expect(actualArgs[0]).to.deep.equal(expected);
+      expect(defaultProps.actions.submitReservationBatch.callCount).to.equal(1);
+      expect(actualArgs[0]).to.deep.equal(reservavations);
     });
 
-    it('adds given values to the reservation', () => {
+    it('adds given values to the reservations', () => {
       const values = { comments: 'Some random comment' };
       instance.handleReservation(values);
-      const actualArgs = defaultProps.actions.postReservation.lastCall.args;
+      const actualReservations = defaultProps.actions.submitReservationBatch.lastCall.args[0];
+
+      actualReservations.forEach((reservation) => {
+        expect(reservation.comments).to.equal(values.comments);
+      });
+    });
+
+    it('passes the allOrNothing option to the batch', () => {
+      instance.handleReservation({}, { allOrNothing: true });
+      const actualArgs = defaultProps.actions.submitReservationBatch.lastCall.args;
 
-      expect(actualArgs[0].comments).to.equal(values.comments);
+      expect(actualArgs[1]).to.deep.equal({ allOrNothing: true });
     });
   });
 });
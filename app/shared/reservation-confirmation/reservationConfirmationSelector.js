@@ -1,7 +1,10 @@
+import some from 'lodash/some';
+import moment from 'moment';
 import { formValueSelector } from 'redux-form';
 import { createSelector, createStructuredSelector } from 'reselect';
 
 import ActionTypes from 'constants/ActionTypes';
+import constants from 'constants/AppConstants';
 import FormTypes from 'constants/FormTypes';
 import ModalTypes from 'constants/ModalTypes';
 import recurringReservations from 'state/recurringReservations';
@@ -10,6 +13,7 @@ import { createResourceSelector } from 'state/selectors/dataSelectors';
 import selectedReservationsFromStateSelector from 'state/selectors/selectedReservationsSelector';
 import modalIsOpenSelectorFactory from 'state/selectors/factories/modalIsOpenSelectorFactory';
 import requestIsActiveSelectorFactory from 'state/selectors/factories/requestIsActiveSelectorFactory';
+import { getReservationConflict, getShiftedReservation } from 'utils/resourceUtils';
 
 const resourceIdSelector = (state, props) => props.params.id;
 const resourceSelector = createResourceSelector(resourceIdSelector);
@@ -23,10 +27,64 @@ const selectedReservationsSelector = createSelector(
   (fromProps, fromState) => fromProps || fromState
 );
 
+function isAvailabilityFetched(resource, reservation) {
+  const date = moment(reservation.begin).format(constants.DATE_FORMAT);
+  return some(resource.openingHours, openingHours => openingHours.date === date);
+}
+
+// The resource with the opening hours and reservations fetched for recurring reservations.
+const recurringResourceSelector = createSelector(
+  resourceSelector,
+  recurringReservations.selectAvailability,
+  (resource, availability) => {
+    if (!availability || availability.resourceId !== resource.id) {
+      return null;
+    }
+    return {
+      ...resource,
+      openingHours: availability.openingHours,
+      reservations: availability.reservations,
+    };
+  }
+);
+
+const recurringAvailabilityIsMissingSelector = createSelector(
+  recurringResourceSelector,
+  recurringReservations.selectReservations,
+  (resource, reservations) => reservations.length > 0 && (
+    !resource || some(reservations, reservation => !isAvailabilityFetched(resource, reservation))
+  )
+);
+
+const recurringConflictsSelector = createSelector(
+  recurringResourceSelector,
+  recurringReservations.selectReservations,
+  (resource, reservations) => {
+    if (!resource) {
+      return [];
+    }
+    return reservations
+      .filter(reservation => isAvailabilityFetched(resource, reservation))
+      .map(reservation => ({
+        reason: getReservationConflict(resource, reservation),
+        reservation,
+      }))
+      .filter(conflict => conflict.reason)
+      .map(conflict => ({
+        ...conflict,
+        shiftedReservation: conflict.reason === 'reservingRestricted' ?
+          null :
+          getShiftedReservation(resource, conflict.reservation),
+      }));
+  }
+);
+
 const reservationConfirmationSelector = createStructuredSelector({
   confirmReservationModalIsOpen: modalIsOpenSelectorFactory(ModalTypes.RESERVATION_CONFIRM),
   isMakingReservations: requestIsActiveSelectorFactory(ActionTypes.API.RESERVATION_POST_REQUEST),
   isStaff: createIsStaffSelector(resourceSelector),
+  recurringAvailabilityIsMissing: recurringAvailabilityIsMissingSelector,
+  recurringConflicts: recurringConflictsSelector,
   recurringReservations: recurringReservations.selectReservations,
   reservationsToEdit: toEditSelector,
   resource: resourceSelector,
@@ -60,4 +60,69 @@ describe('shared/reservation-confirmation/reservationConfirmationSelector', () =
   it('returns staffEventSelected from state', () => {
     expect(getSelected().staffEventSelected).to.be.true;
   });
+
+  describe('recurring reservation availability', () => {
+    const reservation = {
+      begin: '2017-04-19T09:00:00+03:00',
+      end: '2017-04-19T10:00:00+03:00',
+    };
+    const availability = {
+      openingHours: [{
+        closes: '2017-04-19T18:00:00+03:00',
+        date: '2017-04-19',
+        opens: '2017-04-19T08:00:00+03:00',
+      }],
+      reservations: [{ begin: '2017-04-19T09:30:00+03:00', end: '2017-04-19T10:30:00+03:00' }],
+      resourceId: resource.id,
+    };
+
+    function getRecurringSelected(recurringState) {
+      const state = getState({
+        'data.resources': { [resource.id]: resource },
+        recurringReservations: recurringState,
+      });
+      return reservationConfirmationSelector(state, { params: { id: resource.id } });
+    }
+
+    it('is missing if it has not been fetched', () => {
+      const selected = getRecurringSelected({ availability: null, reservations: [reservation] });
+      expect(selected.recurringAvailabilityIsMissing).to.be.true;
+      expect(selected.recurringConflicts).to.deep.equal([]);
+    });
+
+    it('is missing if it has been fetched for another resource', () => {
+      const selected = getRecurringSelected({
+        availability: { ...availability, resourceId: 'other-resource' },
+        reservations: [reservation],
+      });
+      expect(selected.recurringAvailabilityIsMissing).to.be.true;
+    });
+
+    it('is missing if it does not cover the days of all reservations', () => {
+      const otherDay = {
+        begin: '2017-04-20T09:00:00+03:00',
+        end: '2017-04-20T10:00:00+03:00',
+      };
+      const selected = getRecurringSelected({
+        availability,
+        reservations: [reservation, otherDay],
+      });
+      expect(selected.recurringAvailabilityIsMissing).to.be.true;
+      expect(selected.recurringConflicts).to.have.length(1);
+    });
+
+    it('is not missing if there are no recurring reservations', () => {
+      const selected = getRecurringSelected({ availability: null, reservations: [] });
+      expect(selected.recurringAvailabilityIsMissing).to.be.false;
+    });
+
+    it('returns conflicts with their reasons and shifted reservations', () => {
+      const selected = getRecurringSelected({ availability, reservations: [reservation] });
+      expect(selected.recurringAvailabilityIsMissing).to.be.false;
+      expect(selected.recurringConflicts).to.have.length(1);
+      expect(selected.recurringConflicts[0].reason).to.equal('reserved');
+      expect(selected.recurringConflicts[0].reservation).to.deep.equal(reservation);
+      expect(selected.recurringConflicts[0].shiftedReservation).to.exist;
+    });
+  });
 });
@@ -2,14 +2,27 @@ import moment from 'moment';
 import React, { PropTypes } from 'react';
 import Label from 'react-bootstrap/lib/Label';
 
+import constants from 'constants/AppConstants';
 import { injectT } from 'i18n';
 import { getAvailabilityDataForNow, getAvailabilityDataForWholeDay } from 'utils/resourceUtils';
 
-function ResourceAvailability({ date, resource, t }) {
+function ResourceAvailability({ availableSlot, date, resource, t }) {
   let status;
   let bsStyle;
   let values;
 
+  if (availableSlot) {
+    const begin = moment(availableSlot.begin);
+    return (
+      <Label bsStyle="success" className="resource-availability">
+        {t('ResourceAvailability.availableSlot', {
+          date: begin.format('dd D.M.'),
+          time: begin.format(constants.TIME_FORMAT),
+        })}
+      </Label>
+    );
+  }
+
   const now = moment();
   if (moment(date).isBefore(now, 'day')) {
     return <span />;
@@ -37,6 +50,9 @@ function ResourceAvailability({ date, resource, t }) {
 }
 
 ResourceAvailability.propTypes = {
+  availableSlot: PropTypes.shape({
+    begin: PropTypes.string.isRequired,
+  }),
   date: PropTypes.string.isRequired,
   resource: PropTypes.object.isRequired,
   t: PropTypes.func.isRequired,
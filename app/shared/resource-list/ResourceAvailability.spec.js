@@ -93,4 +93,14 @@ describe('shared/resource-list/ResourceAvailability', () => {
       simple.restore();
     });
   });
+
+  describe('if an available slot is given in props', () => {
+    it('renders the time of the slot in a success Label', () => {
+      const availableSlot = { begin: '2016-10-12T10:00:00Z', end: '2016-10-12T11:00:00Z' };
+      const label = getWrapper({ availableSlot }).find(Label);
+
+      expect(label.prop('bsStyle')).to.equal('success');
+      expect(label.prop('children')).to.equal('ResourceAvailability.availableSlot');
+    });
+  });
 });
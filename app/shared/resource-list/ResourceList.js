@@ -2,23 +2,36 @@ import React, { PropTypes } from 'react';
 
 import ResourceListItem from './ResourceListItemContainer';
 
-function renderResourceListItem(resourceId) {
-  return <ResourceListItem key={resourceId} resourceId={resourceId} />;
-}
-
-function ResourceList({ emptyMessage, resourceIds }) {
+function ResourceList({
+  availableSlots = {},
+  compact = false,
+  distances = {},
+  emptyMessage,
+  resourceIds,
+}) {
   if (!resourceIds.length) {
     return emptyMessage ? <p>{emptyMessage}</p> : <div />;
   }
 
   return (
-    <ul className="resource-list">
-      {resourceIds.map(renderResourceListItem)}
+    <ul className={compact ? 'resource-list compact' : 'resource-list'}>
+      {resourceIds.map(resourceId => (
+        <ResourceListItem
+          availableSlot={availableSlots[resourceId]}
+          compact={compact}
+          distance={distances[resourceId]}
+          key={resourceId}
+          resourceId={resourceId}
+        />
+      ))}
     </ul>
   );
 }
 
 ResourceList.propTypes = {
+  availableSlots: PropTypes.object,
+  compact: PropTypes.bool,
+  distances: PropTypes.object,
   emptyMessage: PropTypes.string,
   resourceIds: PropTypes.array.isRequired,
 };
@@ -49,6 +49,28 @@ describe('shared/resource-list/ResourceList', () => {
           expect(resourceListItem.props().resourceId).to.equal(defaultProps.resourceIds[index]);
         });
       });
+
+      it('passes the available slots of the resources to ResourceListItem', () => {
+        const availableSlot = { begin: '2015-10-11T10:00:00Z', end: '2015-10-11T11:00:00Z' };
+        const items = getWrapper({ availableSlots: { 'resource-2': availableSlot } })
+          .find(ResourceListItem);
+
+        expect(items.at(0).props().availableSlot).to.be.undefined;
+        expect(items.at(1).props().availableSlot).to.deep.equal(availableSlot);
+      });
+    });
+
+    it('passes the distances of the resources to ResourceListItem', () => {
+      const items = getWrapper({ distances: { 'resource-1': 1200 } }).find(ResourceListItem);
+
+      expect(items.at(0).props().distance).to.equal(1200);
+      expect(items.at(1).props().distance).to.be.undefined;
+    });
+
+    it('renders a compact list if compact is true', () => {
+      const list = getWrapper({ compact: true }).find('ul');
+      expect(list.prop('className')).to.equal('resource-list compact');
+      expect(list.find(ResourceListItem).at(0).prop('compact')).to.be.true;
     });
   });
 
@@ -1,35 +1,82 @@
 import React, { Component, PropTypes } from 'react';
+import Glyphicon from 'react-bootstrap/lib/Glyphicon';
 import { Link } from 'react-router';
 
 import BackgroundImage from 'shared/background-image';
 import ResourceIcons from 'shared/resource-icons';
+import { formatDistance } from 'utils/distanceUtils';
 import { getMainImage } from 'utils/imageUtils';
 import { getResourcePageUrl } from 'utils/resourceUtils';
 import ReserveButton from './ReserveButton';
 import ResourceAvailability from './ResourceAvailability';
 
 class ResourceListItem extends Component {
+  renderUnitName() {
+    const { distance, unit } = this.props;
+    return (
+      <div className="unit-name">
+        {unit.name}
+        {distance !== undefined &&
+          <span className="resource-distance">
+            <Glyphicon glyph="map-marker" /> {formatDistance(distance)}
+          </span>
+        }
+      </div>
+    );
+  }
+
   render() {
-    const { isLoggedIn, resource, unit } = this.props;
+    const { availableSlot, compact, isLoggedIn, resource } = this.props;
     const date = this.context.location.query.date;
+    const resourcePageUrl = availableSlot ?
+      getResourcePageUrl(resource, availableSlot.begin, availableSlot.begin, availableSlot.end) :
+      getResourcePageUrl(resource, date);
+
+    if (compact) {
+      return (
+        <li className="resource-list-item">
+          <div className="content">
+            <div className="name">
+              <Link to={resourcePageUrl}>
+                <h4>{resource.name}</h4>
+              </Link>
+              {this.renderUnitName()}
+            </div>
+            <ResourceIcons resource={resource} />
+            <ResourceAvailability
+              availableSlot={availableSlot}
+              date={date}
+              resource={resource}
+            />
+            <div className="controls">
+              <ReserveButton date={date} isLoggedIn={isLoggedIn} resource={resource} />
+            </div>
+          </div>
+        </li>
+      );
+    }
 
     return (
       <li className="resource-list-item">
-        <Link to={getResourcePageUrl(resource, date)}>
+        <Link to={resourcePageUrl}>
           <BackgroundImage
             height={420}
             image={getMainImage(resource.images)}
             width={700}
           >
-            <ResourceAvailability date={date} resource={resource} />
+            <ResourceAvailability
+              availableSlot={availableSlot}
+              date={date}
+              resource={resource}
+            />
           </BackgroundImage>
         </Link>
         <div className="content">
           <ResourceIcons resource={resource} />
-          <Link to={getResourcePageUrl(resource, date)}>
+          <Link to={resourcePageUrl}>
             <h4>{resource.name}</h4>
           </Link>
-          <div className="unit-name">{unit.name}</div>
+          {this.renderUnitName()}
           <div className="controls">
             <ReserveButton date={date} isLoggedIn={isLoggedIn} resource={resource} />
           </div>
@@ -40,6 +87,12 @@ class ResourceListItem extends Component {
 }
 
 ResourceListItem.propTypes = {
+  availableSlot: PropTypes.shape({
+    begin: PropTypes.string.isRequired,
+    end: PropTypes.string.isRequired,
+  }),
+  compact: PropTypes.bool,
+  distance: PropTypes.number,
   isLoggedIn: PropTypes.bool.isRequired,
   resource: PropTypes.object.isRequired,
   unit: PropTypes.object.isRequired,
@@ -11,6 +11,7 @@ import Resource from 'utils/fixtures/Resource';
 import Unit from 'utils/fixtures/Unit';
 import { getResourcePageUrl } from 'utils/resourceUtils';
 import ReserveButton from './ReserveButton';
+import ResourceAvailability from './ResourceAvailability';
 import ResourceListItem from './ResourceListItem';
 
 describe('shared/resource-list/ResourceListItem', () => {
@@ -73,6 +74,12 @@ describe('shared/resource-list/ResourceListItem', () => {
     expect(unitName.text()).to.contain(expected);
   });
 
+  it('renders the distance to the unit if it is given', () => {
+    expect(getWrapper().find('.resource-distance')).to.have.length(0);
+    const distance = getWrapper({ distance: 1234 }).find('.resource-distance');
+    expect(distance.text()).to.contain('1.2 km');
+  });
+
   it('renders a ReserveButton with correct props', () => {
     const reserveButton = getWrapper().find(ReserveButton);
 
@@ -81,4 +88,41 @@ describe('shared/resource-list/ResourceListItem', () => {
     expect(reserveButton.props().isLoggedIn).to.equal(defaultProps.isLoggedIn);
     expect(reserveButton.props().resource).to.equal(defaultProps.resource);
   });
+
+  it('links to the available slot if it is given', () => {
+    const availableSlot = { begin: '2015-10-12T10:00:00+03:00', end: '2015-10-12T11:00:00+03:00' };
+    const links = getWrapper({ availableSlot }).find(Link);
+    const expectedUrl = getResourcePageUrl(
+      defaultProps.resource, availableSlot.begin, availableSlot.begin, availableSlot.end
+    );
+
+    expect(links.at(0).props().to).to.equal(expectedUrl);
+    expect(links.at(1).props().to).to.equal(expectedUrl);
+  });
+
+  describe('when compact', () => {
+    function getCompactWrapper() {
+      return getWrapper({ compact: true });
+    }
+
+    it('does not render the image', () => {
+      expect(getCompactWrapper().find(BackgroundImage)).to.have.length(0);
+    });
+
+    it('renders the name, unit, icons and availability of the resource', () => {
+      const wrapper = getCompactWrapper();
+      expect(wrapper.find('h4').html()).to.contain(defaultProps.resource.name);
+      expect(wrapper.find('.unit-name').text()).to.contain(defaultProps.unit.name);
+      expect(wrapper.find(ResourceIcons)).to.have.length(1);
+      expect(wrapper.find(ResourceAvailability)).to.have.length(1);
+    });
+
+    it('renders a link to the resource page and a ReserveButton', () => {
+      const wrapper = getCompactWrapper();
+      expect(wrapper.find(Link).prop('to')).to.equal(
+        getResourcePageUrl(defaultProps.resource, date)
+      );
+      expect(wrapper.find(ReserveButton)).to.have.length(1);
+    });
+  });
 });
@@ -0,0 +1,62 @@
+import React, { Component, PropTypes } from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import FormControl from 'react-bootstrap/lib/FormControl';
+
+import { injectT } from 'i18n';
+import { dateRules } from 'state/savedSearches';
+
+class SaveSearchForm extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { dateRule: '', name: '' };
+    this.handleSave = this.handleSave.bind(this);
+  }
+
+  handleSave(event) {
+    event.preventDefault();
+    const { dateRule, name } = this.state;
+    if (!name.trim()) {
+      return;
+    }
+    this.props.onSave({ dateRule, name: name.trim() });
+    this.setState({ dateRule: '', name: '' });
+  }
+
+  render() {
+    const { t } = this.props;
+    const { dateRule, name } = this.state;
+
+    return (
+      <form className="save-search-form" onSubmit={this.handleSave}>
+        <FormControl
+          name="saved-search-name"
+          onChange={event => this.setState({ name: event.target.value })}
+          placeholder={t('SaveSearchForm.namePlaceholder')}
+          type="text"
+          value={name}
+        />
+        <FormControl
+          componentClass="select"
+          name="saved-search-date-rule"
+          onChange={event => this.setState({ dateRule: event.target.value })}
+          value={dateRule}
+        >
+          <option value="">{t('SaveSearchForm.selectedDate')}</option>
+          {dateRules.map(rule => (
+            <option key={rule} value={rule}>{t(`SavedSearches.dateRule.${rule}`)}</option>
+          ))}
+        </FormControl>
+        <Button bsStyle="primary" disabled={!name.trim()} type="submit">
+          {t('SaveSearchForm.save')}
+        </Button>
+      </form>
+    );
+  }
+}
+
+SaveSearchForm.propTypes = {
+  onSave: PropTypes.func.isRequired,
+  t: PropTypes.func.isRequired,
+};
+
+export default injectT(SaveSearchForm);
@@ -0,0 +1,47 @@
+import { expect } from 'chai';
+import React from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import FormControl from 'react-bootstrap/lib/FormControl';
+import simple from 'simple-mock';
+
+import { dateRules } from 'state/savedSearches';
+import { shallowWithIntl } from 'utils/testUtils';
+import SaveSearchForm from './SaveSearchForm';
+
+describe('shared/saved-searches/SaveSearchForm', () => {
+  const onSave = simple.stub();
+  const preventDefault = () => null;
+
+  function getWrapper() {
+    return shallowWithIntl(<SaveSearchForm onSave={onSave} />);
+  }
+
+  beforeEach(() => {
+    onSave.reset();
+  });
+
+  it('renders an option for each date rule and the selected date', () => {
+    const select = getWrapper().find(FormControl).filter({ name: 'saved-search-date-rule' });
+    expect(select.find('option')).to.have.length(dateRules.length + 1);
+  });
+
+  it('disables the save button without a name', () => {
+    expect(getWrapper().find(Button).prop('disabled')).to.be.true;
+  });
+
+  it('calls onSave with the name and date rule', () => {
+    const wrapper = getWrapper();
+    wrapper.find(FormControl).filter({ name: 'saved-search-name' })
+      .simulate('change', { target: { value: ' Weekly meeting ' } });
+    wrapper.find(FormControl).filter({ name: 'saved-search-date-rule' })
+      .simulate('change', { target: { value: 'monday' } });
+    wrapper.find('form').simulate('submit', { preventDefault });
+    expect(onSave.lastCall.args[0]).to.deep.equal({ dateRule: 'monday', name: 'Weekly meeting' });
+    expect(wrapper.state()).to.deep.equal({ dateRule: '', name: '' });
+  });
+
+  it('does not call onSave without a name', () => {
+    getWrapper().find('form').simulate('submit', { preventDefault });
+    expect(onSave.callCount).to.equal(0);
+  });
+});
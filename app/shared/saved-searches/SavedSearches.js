@@ -0,0 +1,66 @@
+import moment from 'moment';
+import React, { PropTypes } from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import Glyphicon from 'react-bootstrap/lib/Glyphicon';
+import { Link } from 'react-router';
+
+import { injectT } from 'i18n';
+
+function SavedSearches({ onDelete, recentSearches, savedSearches, t }) {
+  if (!recentSearches.length && !savedSearches.length) {
+    return null;
+  }
+  return (
+    <div className="saved-searches">
+      {savedSearches.length > 0 && (
+        <div className="saved-searches-list">
+          <h4>{t('SavedSearches.savedHeader')}</h4>
+          <ul>
+            {savedSearches.map(search => (
+              <li key={search.id}>
+                <Link to={search.url}>{search.name}</Link>
+                {search.dateRule && (
+                  <span className="saved-search-date-rule">
+                    {t(`SavedSearches.dateRule.${search.dateRule}`)}
+                  </span>
+                )}
+                <Button
+                  bsStyle="link"
+                  className="delete-saved-search-button"
+                  onClick={() => onDelete(search.id)}
+                  title={t('SavedSearches.delete')}
+                >
+                  <Glyphicon glyph="remove" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {recentSearches.length > 0 && (
+        <div className="recent-searches-list">
+          <h4>{t('SavedSearches.recentHeader')}</h4>
+          <ul>
+            {recentSearches.map(search => (
+              <li key={search.url}>
+                <Link to={search.url}>{search.label || t('SavedSearches.allResources')}</Link>
+                {search.date && (
+                  <span className="recent-search-date">{moment(search.date).format('L')}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+SavedSearches.propTypes = {
+  onDelete: PropTypes.func.isRequired,
+  recentSearches: PropTypes.array.isRequired,
+  savedSearches: PropTypes.array.isRequired,
+  t: PropTypes.func.isRequired,
+};
+
+export default injectT(SavedSearches);
@@ -0,0 +1,52 @@
+import { expect } from 'chai';
+import React from 'react';
+import Button from 'react-bootstrap/lib/Button';
+import { Link } from 'react-router';
+import simple from 'simple-mock';
+
+import { shallowWithIntl } from 'utils/testUtils';
+import SavedSearches from './SavedSearches';
+
+describe('shared/saved-searches/SavedSearches', () => {
+  const defaultProps = {
+    onDelete: simple.stub(),
+    recentSearches: [
+      { date: '2017-05-10', label: 'room', url: '/search?date=2017-05-10&search=room' },
+      { date: '', label: '', url: '/search?people=5' },
+    ],
+    savedSearches: [
+      { dateRule: 'monday', id: 'a', name: 'Weekly meeting', url: '/search?purpose=meeting' },
+    ],
+  };
+
+  function getWrapper(extraProps) {
+    return shallowWithIntl(<SavedSearches {...defaultProps} {...extraProps} />);
+  }
+
+  it('renders nothing without searches', () => {
+    const wrapper = getWrapper({ recentSearches: [], savedSearches: [] });
+    expect(wrapper.find('.saved-searches')).to.have.length(0);
+  });
+
+  it('renders links to the saved searches with their date rules', () => {
+    const list = getWrapper().find('.saved-searches-list');
+    const link = list.find(Link);
+    expect(link).to.have.length(1);
+    expect(link.prop('to')).to.equal('/search?purpose=meeting');
+    expect(link.prop('children')).to.equal('Weekly meeting');
+    expect(list.find('.saved-search-date-rule').text()).to.equal('SavedSearches.dateRule.monday');
+  });
+
+  it('calls onDelete with the id of the deleted saved search', () => {
+    defaultProps.onDelete.reset();
+    getWrapper().find(Button).simulate('click');
+    expect(defaultProps.onDelete.lastCall.args[0]).to.equal('a');
+  });
+
+  it('renders links to the recent searches', () => {
+    const links = getWrapper().find('.recent-searches-list').find(Link);
+    expect(links).to.have.length(2);
+    expect(links.at(0).prop('children')).to.equal('room');
+    expect(links.at(1).prop('children')).to.equal('SavedSearches.allResources');
+  });
+});
@@ -0,0 +1,67 @@
+import React, { Component, PropTypes } from 'react';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+
+import savedSearches from 'state/savedSearches';
+import SavedSearches from './SavedSearches';
+import SaveSearchForm from './SaveSearchForm';
+import savedSearchesSelector from './savedSearchesSelector';
+
+// Shows the saved and recent searches of the current user. With filters the current search can
+// be saved too.
+export class UnconnectedSavedSearchesContainer extends Component {
+  constructor(props) {
+    super(props);
+    this.handleDelete = this.handleDelete.bind(this);
+    this.handleSave = this.handleSave.bind(this);
+  }
+
+  handleDelete(id) {
+    const { actions, userId } = this.props;
+    actions.deleteSavedSearch({ id, userId });
+  }
+
+  handleSave({ dateRule, name }) {
+    const { actions, filters, userId } = this.props;
+    actions.saveSearch({ dateRule, filters, name, userId });
+  }
+
+  render() {
+    const { filters, isLoggedIn, recentSearches, savedSearches: searches } = this.props;
+    if (!isLoggedIn) {
+      return null;
+    }
+    return (
+      <div className="saved-searches-container">
+        <SavedSearches
+          onDelete={this.handleDelete}
+          recentSearches={recentSearches}
+          savedSearches={searches}
+        />
+        {filters && <SaveSearchForm onSave={this.handleSave} />}
+      </div>
+    );
+  }
+}
+
+UnconnectedSavedSearchesContainer.propTypes = {
+  actions: PropTypes.object.isRequired,
+  filters: PropTypes.object,
+  isLoggedIn: PropTypes.bool.isRequired,
+  recentSearches: PropTypes.array.isRequired,
+  savedSearches: PropTypes.array.isRequired,
+  userId: PropTypes.string,
+};
+
+function mapDispatchToProps(dispatch) {
+  const actionCreators = {
+    deleteSavedSearch: savedSearches.deleteSavedSearch,
+    saveSearch: savedSearches.saveSearch,
+  };
+
+  return { actions: bindActionCreators(actionCreators, dispatch) };
+}
+
+export default connect(savedSearchesSelector, mapDispatchToProps)(
+  UnconnectedSavedSearchesContainer
+);
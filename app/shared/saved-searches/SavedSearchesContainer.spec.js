@@ -0,0 +1,62 @@
+import { expect } from 'chai';
+import { shallow } from 'enzyme';
+import React from 'react';
+import simple from 'simple-mock';
+
+import SavedSearches from './SavedSearches';
+import { UnconnectedSavedSearchesContainer } from './SavedSearchesContainer';
+import SaveSearchForm from './SaveSearchForm';
+
+describe('shared/saved-searches/SavedSearchesContainer', () => {
+  const defaultProps = {
+    actions: {
+      deleteSavedSearch: simple.mock(),
+      saveSearch: simple.mock(),
+    },
+    filters: { people: '5', search: 'room' },
+    isLoggedIn: true,
+    recentSearches: [{ date: '', label: 'room', url: '/search?search=room' }],
+    savedSearches: [{ dateRule: '', id: 'a', name: 'Rooms', url: '/search?search=room' }],
+    userId: 'u-1',
+  };
+
+  function getWrapper(props) {
+    return shallow(<UnconnectedSavedSearchesContainer {...defaultProps} {...props} />);
+  }
+
+  it('renders nothing when the user is not logged in', () => {
+    expect(getWrapper({ isLoggedIn: false }).type()).to.equal(null);
+  });
+
+  it('renders SavedSearches with the searches of the user', () => {
+    const wrapper = getWrapper();
+    const savedSearches = wrapper.find(SavedSearches);
+    expect(savedSearches).to.have.length(1);
+    expect(savedSearches.prop('onDelete')).to.equal(wrapper.instance().handleDelete);
+    expect(savedSearches.prop('recentSearches')).to.deep.equal(defaultProps.recentSearches);
+    expect(savedSearches.prop('savedSearches')).to.deep.equal(defaultProps.savedSearches);
+  });
+
+  it('renders SaveSearchForm only with filters', () => {
+    expect(getWrapper().find(SaveSearchForm)).to.have.length(1);
+    expect(getWrapper({ filters: undefined }).find(SaveSearchForm)).to.have.length(0);
+  });
+
+  it('handleDelete deletes the saved search of the user', () => {
+    getWrapper().instance().handleDelete('a');
+    expect(defaultProps.actions.deleteSavedSearch.lastCall.args[0]).to.deep.equal({
+      id: 'a',
+      userId: 'u-1',
+    });
+  });
+
+  it('handleSave saves the current filters of the user', () => {
+    getWrapper().instance().handleSave({ dateRule: 'monday', name: 'Weekly' });
+    expect(defaultProps.actions.saveSearch.lastCall.args[0]).to.deep.equal({
+      dateRule: 'monday',
+      filters: defaultProps.filters,
+      name: 'Weekly',
+      userId: 'u-1',
+    });
+  });
+});
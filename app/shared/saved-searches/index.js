@@ -0,0 +1,3 @@
+import SavedSearchesContainer from './SavedSearchesContainer';
+
+export default SavedSearchesContainer;
@@ -0,0 +1,45 @@
+import { createSelector, createStructuredSelector } from 'reselect';
+
+import { isLoggedInSelector } from 'state/selectors/authSelectors';
+import { purposesSelector } from 'state/selectors/dataSelectors';
+import savedSearches, { getSavedSearchFilters } from 'state/savedSearches';
+import { getPurposeFilterIds, getSearchPageUrl } from 'utils/searchUtils';
+
+const userIdSelector = state => state.auth.userId;
+
+// Recent searches are labeled with their search query and the names of their purposes.
+const recentSearchesSelector = createSelector(
+  savedSearches.selectRecentSearches,
+  purposesSelector,
+  (recentSearches, purposes) => recentSearches.map(({ filters }) => {
+    const purposeNames = getPurposeFilterIds(filters.purpose)
+      .filter(id => purposes[id])
+      .map(id => purposes[id].name);
+    return {
+      date: filters.date || '',
+      label: [filters.search, ...purposeNames].filter(part => part).join(', '),
+      url: getSearchPageUrl(filters),
+    };
+  })
+);
+
+// The urls of saved searches are made when they are shown, so that their date rules give dates
+// relative to the current day.
+const savedSearchesSelector = createSelector(
+  savedSearches.selectSavedSearches,
+  searches => searches.map(search => ({
+    dateRule: search.dateRule,
+    id: search.id,
+    name: search.name,
+    url: getSearchPageUrl(getSavedSearchFilters(search)),
+  }))
+);
+
+const savedSearchesContainerSelector = createStructuredSelector({
+  isLoggedIn: isLoggedInSelector,
+  recentSearches: recentSearchesSelector,
+  savedSearches: savedSearchesSelector,
+  userId: userIdSelector,
+});
+
+export default savedSearchesContainerSelector;
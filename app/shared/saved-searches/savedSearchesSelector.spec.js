@@ -0,0 +1,57 @@
+import { expect } from 'chai';
+import MockDate from 'mockdate';
+
+import { getState } from 'utils/testUtils';
+import savedSearchesSelector from './savedSearchesSelector';
+
+describe('shared/saved-searches/savedSearchesSelector', () => {
+  const purpose = { id: 'meeting', name: { fi: 'Kokous' }, parent: null };
+  const userSearches = {
+    recent: [
+      { filters: { date: '2017-05-10', purpose: 'meeting,unknown', search: 'room' } },
+    ],
+    saved: [
+      { dateRule: 'tomorrow', filters: { people: '5' }, id: 'a', name: 'Team' },
+    ],
+  };
+
+  function getSelected() {
+    const state = getState({
+      auth: { token: 'token', userId: 'u-1' },
+      'data.purposes': { meeting: purpose },
+      savedSearches: { 'u-1': userSearches },
+    });
+    return savedSearchesSelector(state);
+  }
+
+  before(() => {
+    MockDate.set('2017-05-10T10:00:00Z');
+  });
+
+  after(() => {
+    MockDate.reset();
+  });
+
+  it('returns isLoggedIn and userId', () => {
+    const selected = getSelected();
+    expect(selected.isLoggedIn).to.be.true;
+    expect(selected.userId).to.equal('u-1');
+  });
+
+  it('returns the recent searches labeled with the query and purposes', () => {
+    expect(getSelected().recentSearches).to.deep.equal([{
+      date: '2017-05-10',
+      label: 'room, Kokous',
+      url: '/search?date=2017-05-10&purpose=meeting%2Cunknown&search=room',
+    }]);
+  });
+
+  it('returns the saved searches with the dates of their date rules', () => {
+    expect(getSelected().savedSearches).to.deep.equal([{
+      dateRule: 'tomorrow',
+      id: 'a',
+      name: 'Team',
+      url: '/search?date=2017-05-11&people=5',
+    }]);
+  });
+});
@@ -1,105 +1,175 @@
 import filter from 'lodash/filter';
+import includes from 'lodash/includes';
+import last from 'lodash/last';
+import uniq from 'lodash/uniq';
+import without from 'lodash/without';
 import moment from 'moment';
 import { createAction, handleActions } from 'redux-actions';
 
+import { fetchResource } from 'actions/resourceActions';
 import actionTypes from 'constants/ActionTypes';
+import constants from 'constants/AppConstants';
 import modalTypes from 'constants/ModalTypes';
+import { formatRRule, getRecurrenceDates, parseRRule } from 'utils/recurrenceUtils';
+
+const availabilitySource = constants.RECURRING_RESERVATIONS_AVAILABILITY_SOURCE;
 
 // actions
 // -------
 
+// Fetches the opening hours and reservations of the days of the given reservations.
+function fetchAvailability(resourceId, reservations) {
+  const begins = reservations.map(reservation => moment(reservation.begin));
+  const ends = reservations.map(reservation => moment(reservation.end));
+  const params = {
+    end: moment.max(ends).endOf('day').format(),
+    start: moment.min(begins).startOf('day').format(),
+  };
+  return fetchResource(resourceId, params, availabilitySource);
+}
+
 const actions = {
+  fetchAvailability,
+  addExclusionDate: createAction('app/recurringReservations/ADD_EXCLUSION_DATE'),
   changeBaseTime: createAction('app/recurringReservations/CHANGE_BASE_TIME'),
   changeFrequency: createAction('app/recurringReservations/CHANGE_FREQUENCY'),
+  changeInterval: createAction('app/recurringReservations/CHANGE_INTERVAL'),
   changeLastTime: createAction('app/recurringReservations/CHANGE_LAST_TIME'),
+  changeMonthlyMode: createAction('app/recurringReservations/CHANGE_MONTHLY_MODE'),
   changeNumberOfOccurrences: createAction('app/recurringReservations/CHANGE_NUMBER_OF_OCCURRENCES'),
+  importRule: createAction('app/recurringReservations/IMPORT_RULE'),
+  removeExclusionDate: createAction('app/recurringReservations/REMOVE_EXCLUSION_DATE'),
   removeReservation: createAction('app/recurringReservations/REMOVE_RESERVATION'),
+  shiftReservation: createAction(
+    'app/recurringReservations/SHIFT_RESERVATION',
+    (begin, reservation) => ({ begin, reservation })
+  ),
+  toggleWeekday: createAction('app/recurringReservations/TOGGLE_WEEKDAY'),
 };
 
 // reducer
 // -------
 
 const initialState = {
+  availability: null,
   baseTime: null,
+  exclusionDates: [],
   frequency: '',
+  interval: 1,
   lastTime: null,
+  monthlyMode: 'dayOfMonth',
   numberOfOccurrences: 1,
   reservations: [],
+  ruleError: false,
+  weekdays: [],
 };
 
-export function populateReservations({ baseTime, frequency, numberOfOccurrences }) {
-  const reservations = [];
+function getMaxDate(baseTime) {
+  return moment(baseTime.begin).startOf('day').add(2, 'years');
+}
+
+// Excluded dates count as occurrences like EXDATE does in RFC 5545, they are just not reserved.
+export function populateReservations({
+  baseTime,
+  exclusionDates = [],
+  frequency,
+  interval,
+  monthlyMode,
+  numberOfOccurrences,
+  weekdays,
+}) {
   if (!baseTime || !frequency) {
-    return reservations;
+    return [];
   }
+  const rule = { frequency, interval, monthlyMode, weekdays };
+  const baseDate = moment(baseTime.begin).startOf('day');
+  const dates = getRecurrenceDates(rule, baseDate, {
+    count: numberOfOccurrences,
+    until: getMaxDate(baseTime),
+  });
   const begin = moment(baseTime.begin);
   const end = moment(baseTime.end);
-  for (let i = 1; i <= numberOfOccurrences; i += 1) {
-    reservations.push({
-      begin: begin.clone().add(i, frequency).toISOString(),
-      end: end.clone().add(i, frequency).toISOString(),
+  return dates
+    .filter(date => !includes(exclusionDates, date.format('YYYY-MM-DD')))
+    .map((date) => {
+      const days = date.diff(baseDate, 'days');
+      return {
+        begin: begin.clone().add(days, 'days').toISOString(),
+        end: end.clone().add(days, 'days').toISOString(),
+      };
     });
-  }
-  return reservations;
-}
-
-function setOccurrences(state, numberOfOccurrences) {
-  return {
-    ...state,
-    numberOfOccurrences,
-    lastTime: (
-        moment(state.baseTime.begin)
-        .add(numberOfOccurrences, state.frequency)
-        .format('YYYY-MM-DD')
-    ),
-  };
 }
 
-function limitDateState(state) {
-  const start = moment(state.baseTime.begin).startOf('day');
-  const end = moment(state.lastTime).startOf('day');
-  const duration = moment.duration(end.diff(start));
-  const twoYearsDuration = moment.duration(2, 'years');
-
-  if (duration > twoYearsDuration) {
-    const numberOfOccurrences = parseInt(twoYearsDuration.as(state.frequency), 10);
-    return setOccurrences(state, numberOfOccurrences);
-  }
-  return state;
+function getOccurrenceDates(state, options) {
+  const baseDate = moment(state.baseTime.begin).startOf('day');
+  return getRecurrenceDates(state, baseDate, options);
 }
 
 function adjustState(state, changeLastTime = false) {
   if (!state.baseTime || !state.frequency || (!state.lastTime && !state.numberOfOccurrences)) {
     return { ...state, reservations: [] };
   }
-  let numberOfOccurrences = 1;
+  const maxDate = getMaxDate(state.baseTime);
+  let numberOfOccurrences = state.numberOfOccurrences;
   if (changeLastTime) {
-    const start = moment(state.baseTime.begin).startOf('day');
-    const end = moment(state.lastTime).startOf('day');
-    const duration = moment.duration(end.diff(start));
-    if (duration > 0) {
-      numberOfOccurrences = parseInt(duration.as(state.frequency), 10);
-    }
-  } else {
-    numberOfOccurrences = state.numberOfOccurrences;
+    const until = moment.min(moment(state.lastTime), maxDate);
+    numberOfOccurrences = Math.max(getOccurrenceDates(state, { until }).length, 1);
   }
-  const newState = limitDateState(setOccurrences(state, numberOfOccurrences));
+  const dates = getOccurrenceDates(state, { count: numberOfOccurrences, until: maxDate });
+  const newState = {
+    ...state,
+    lastTime: dates.length ? last(dates).format('YYYY-MM-DD') : state.lastTime,
+    numberOfOccurrences: dates.length || numberOfOccurrences,
+  };
   return { ...newState, reservations: populateReservations(newState) };
 }
 
+function importRule(state, text) {
+  const rule = parseRRule(text);
+  if (!rule) {
+    return { ...state, ruleError: true };
+  }
+  // Rules without COUNT or UNTIL keep the current number of occurrences.
+  return adjustState({ ...state, ...rule, ruleError: false }, Boolean(rule.lastTime));
+}
+
 const recurringReservationsReducer = handleActions({
+  [actions.addExclusionDate]: (state, action) => adjustState({
+    ...state, exclusionDates: uniq([...state.exclusionDates, action.payload]).sort(),
+  }),
   [actions.changeBaseTime]: (state, action) => adjustState({
     ...state, baseTime: action.payload,
   }),
   [actions.changeFrequency]: (state, action) => adjustState({
     ...state, frequency: action.payload,
   }),
+  [actions.changeInterval]: (state, action) => adjustState({
+    ...state, interval: Math.max(parseInt(action.payload, 10) || 1, 1),
+  }),
   [actions.changeLastTime]: (state, action) => adjustState({
     ...state, lastTime: action.payload,
   }, true),
+  [actions.changeMonthlyMode]: (state, action) => adjustState({
+    ...state, monthlyMode: action.payload,
+  }),
   [actions.changeNumberOfOccurrences]: (state, action) => adjustState({
     ...state, numberOfOccurrences: parseInt(action.payload, 10),
   }),
+  [actions.importRule]: (state, action) => importRule(state, action.payload),
+  [actionTypes.API.RESOURCE_GET_SUCCESS]: (state, action) => {
+    if (!action.meta || action.meta.source !== availabilitySource) {
+      return state;
+    }
+    const resource = action.payload.entities.resources[action.payload.result];
+    return {
+      ...state,
+      availability: {
+        openingHours: resource.openingHours || [],
+        reservations: resource.reservations || [],
+        resourceId: resource.id,
+      },
+    };
+  },
   [actionTypes.UI.CLOSE_MODAL]: (state, action) => {
     const modalType = action.payload;
     if (
@@ -110,10 +180,25 @@ const recurringReservationsReducer = handleActions({
     }
     return state;
   },
+  [actions.removeExclusionDate]: (state, action) => adjustState({
+    ...state, exclusionDates: without(state.exclusionDates, action.payload),
+  }),
   [actions.removeReservation]: (state, action) => ({
     ...state,
     reservations: filter(state.reservations, reservation => reservation.begin !== action.payload),
   }),
+  [actions.shiftReservation]: (state, action) => ({
+    ...state,
+    reservations: state.reservations.map(reservation => (
+      reservation.begin === action.payload.begin ? action.payload.reservation : reservation
+    )),
+  }),
+  [actions.toggleWeekday]: (state, action) => adjustState({
+    ...state,
+    weekdays: includes(state.weekdays, action.payload) ?
+      without(state.weekdays, action.payload) :
+      [...state.weekdays, action.payload].sort(),
+  }),
 }, initialState);
 
 // selectors
@@ -123,21 +208,43 @@ const selectors = {
   select(state) {
     return state.recurringReservations;
   },
+  selectAvailability(state) {
+    return state.recurringReservations.availability;
+  },
   selectBaseTime(state) {
     return state.recurringReservations.baseTime;
   },
+  selectExclusionDates(state) {
+    return state.recurringReservations.exclusionDates;
+  },
   selectFrequency(state) {
     return state.recurringReservations.frequency;
   },
+  selectInterval(state) {
+    return state.recurringReservations.interval;
+  },
   selectLastTime(state) {
     return state.recurringReservations.lastTime;
   },
+  selectMonthlyMode(state) {
+    return state.recurringReservations.monthlyMode;
+  },
   selectNumberOfOccurrences(state) {
     return state.recurringReservations.numberOfOccurrences;
   },
   selectReservations(state) {
     return state.recurringReservations.reservations;
   },
+  selectRule(state) {
+    const { baseTime, ...rule } = state.recurringReservations;
+    return formatRRule(rule, baseTime);
+  },
+  selectRuleError(state) {
+    return state.recurringReservations.ruleError;
+  },
+  selectWeekdays(state) {
+    return state.recurringReservations.weekdays;
+  },
 };
 
 export default {
@@ -1,21 +1,35 @@
 import { expect } from 'chai';
+import moment from 'moment';
+import { CALL_API } from 'redux-api-middleware';
 
 import {
   closeConfirmReservationModal,
   closeReservationCommentModal,
   closeReservationSuccessModal,
 } from 'actions/uiActions';
+import { buildAPIUrl } from 'utils/apiUtils';
 import recurringReservations, { populateReservations } from './recurringReservations';
 
 describe('state/recurringReservations', () => {
   describe('reducer', () => {
     const reducer = recurringReservations.reducer;
     const initialState = {
+      availability: null,
       baseTime: null,
+      exclusionDates: [],
       frequency: '',
+      interval: 1,
       lastTime: null,
+      monthlyMode: 'dayOfMonth',
       numberOfOccurrences: 1,
       reservations: [],
+      ruleError: false,
+      weekdays: [],
+    };
+
+    const tuesdayBaseTime = {
+      begin: '2017-04-18T15:00:00.000Z',
+      end: '2017-04-18T16:00:00.000Z',
     };
 
     it('returns correct initial state', () => {
@@ -86,6 +100,177 @@ describe('state/recurringReservations', () => {
       });
     });
 
+    describe('changeInterval', () => {
+      const changeInterval = recurringReservations.changeInterval;
+
+      it('changes interval and updates reservations', () => {
+        const state = { ...initialState, baseTime: tuesdayBaseTime, frequency: 'days', numberOfOccurrences: 2 };
+        const actual = reducer(state, changeInterval(3));
+        expect(actual.interval).to.equal(3);
+        expect(actual.reservations.map(reservation => reservation.begin)).to.deep.equal([
+          '2017-04-21T15:00:00.000Z',
+          '2017-04-24T15:00:00.000Z',
+        ]);
+        expect(actual.lastTime).to.equal('2017-04-24');
+      });
+
+      it('does not allow intervals smaller than 1', () => {
+        const state = { ...initialState, baseTime: tuesdayBaseTime, frequency: 'days' };
+        expect(reducer(state, changeInterval(0)).interval).to.equal(1);
+        expect(reducer(state, changeInterval('')).interval).to.equal(1);
+      });
+    });
+
+    describe('toggleWeekday', () => {
+      const toggleWeekday = recurringReservations.toggleWeekday;
+
+      it('adds weekday to weekdays if it is not selected', () => {
+        const state = { ...initialState, baseTime: tuesdayBaseTime, frequency: 'weeks', weekdays: [4] };
+        const actual = reducer(state, toggleWeekday(2));
+        expect(actual.weekdays).to.deep.equal([2, 4]);
+      });
+
+      it('removes weekday from weekdays if it is selected', () => {
+        const state = { ...initialState, baseTime: tuesdayBaseTime, frequency: 'weeks', weekdays: [2, 4] };
+        const actual = reducer(state, toggleWeekday(2));
+        expect(actual.weekdays).to.deep.equal([4]);
+      });
+
+      it('updates reservations', () => {
+        const state = { ...initialState, baseTime: tuesdayBaseTime, frequency: 'weeks', numberOfOccurrences: 2 };
+        const actual = reducer(state, toggleWeekday(4));
+        expect(actual.reservations.map(reservation => reservation.begin)).to.deep.equal([
+          '2017-04-20T15:00:00.000Z',
+          '2017-04-27T15:00:00.000Z',
+        ]);
+      });
+    });
+
+    describe('changeMonthlyMode', () => {
+      const changeMonthlyMode = recurringReservations.changeMonthlyMode;
+
+      it('changes monthlyMode and updates reservations', () => {
+        const state = { ...initialState, baseTime: tuesdayBaseTime, frequency: 'months' };
+        const actual = reducer(state, changeMonthlyMode('weekdayOfMonth'));
+        expect(actual.monthlyMode).to.equal('weekdayOfMonth');
+        expect(actual.reservations).to.deep.equal([{
+          begin: '2017-05-16T15:00:00.000Z',
+          end: '2017-05-16T16:00:00.000Z',
+        }]);
+      });
+    });
+
+    describe('exclusion dates', () => {
+      const addExclusionDate = recurringReservations.addExclusionDate;
+      const removeExclusionDate = recurringReservations.removeExclusionDate;
+      const state = { ...initialState, baseTime: tuesdayBaseTime, frequency: 'days', numberOfOccurrences: 3 };
+
+      it('addExclusionDate removes reservations on that date', () => {
+        const actual = reducer(state, addExclusionDate('2017-04-20'));
+        expect(actual.exclusionDates).to.deep.equal(['2017-04-20']);
+        expect(actual.reservations.map(reservation => reservation.begin)).to.deep.equal([
+          '2017-04-19T15:00:00.000Z',
+          '2017-04-21T15:00:00.000Z',
+        ]);
+        expect(actual.numberOfOccurrences).to.equal(3);
+      });
+
+      it('addExclusionDate does not add the same date twice', () => {
+        const actual = reducer(
+          { ...state, exclusionDates: ['2017-04-20'] }, addExclusionDate('2017-04-20')
+        );
+        expect(actual.exclusionDates).to.deep.equal(['2017-04-20']);
+      });
+
+      it('removeExclusionDate restores reservations on that date', () => {
+        const excludedState = reducer(state, addExclusionDate('2017-04-20'));
+        const actual = reducer(excludedState, removeExclusionDate('2017-04-20'));
+        expect(actual.exclusionDates).to.deep.equal([]);
+        expect(actual.reservations).to.have.length(3);
+      });
+    });
+
+    describe('importRule', () => {
+      const importRule = recurringReservations.importRule;
+
+      it('sets the rule and updates reservations', () => {
+        const state = { ...initialState, baseTime: tuesdayBaseTime };
+        const rule = 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;COUNT=4\nEXDATE:20170502';
+        const actual = reducer(state, importRule(rule));
+        expect(actual.frequency).to.equal('weeks');
+        expect(actual.interval).to.equal(2);
+        expect(actual.weekdays).to.deep.equal([2, 4]);
+        expect(actual.numberOfOccurrences).to.equal(3);
+        expect(actual.reservations.map(reservation => reservation.begin)).to.deep.equal([
+          '2017-04-20T15:00:00.000Z',
+          '2017-05-04T15:00:00.000Z',
+        ]);
+        expect(actual.ruleError).to.be.false;
+      });
+
+      it('uses UNTIL to calculate numberOfOccurrences', () => {
+        const state = { ...initialState, baseTime: tuesdayBaseTime };
+        const actual = reducer(state, importRule('RRULE:FREQ=DAILY;UNTIL=20170422'));
+        expect(actual.numberOfOccurrences).to.equal(4);
+        expect(actual.lastTime).to.equal('2017-04-22');
+      });
+
+      it('sets ruleError and keeps the rule if the rule is not supported', () => {
+        const state = { ...initialState, baseTime: tuesdayBaseTime, frequency: 'days' };
+        const actual = reducer(state, importRule('RRULE:FREQ=YEARLY'));
+        expect(actual.frequency).to.equal('days');
+        expect(actual.ruleError).to.be.true;
+      });
+    });
+
+    describe('API.RESOURCE_GET_SUCCESS', () => {
+      const resource = {
+        id: 'r-1',
+        openingHours: [{ date: '2017-04-19' }],
+        reservations: [{ begin: '2017-04-19T10:00:00.000Z' }],
+      };
+      const payload = { entities: { resources: { [resource.id]: resource } }, result: resource.id };
+
+      it('sets availability if resource was fetched for recurring reservations', () => {
+        const actual = reducer(initialState, {
+          type: 'RESOURCE_GET_SUCCESS',
+          payload,
+          meta: { source: 'recurringReservations' },
+        });
+        expect(actual.availability).to.deep.equal({
+          openingHours: resource.openingHours,
+          reservations: resource.reservations,
+          resourceId: resource.id,
+        });
+      });
+
+      it('does not change state if resource was fetched for something else', () => {
+        const actual = reducer(initialState, {
+          type: 'RESOURCE_GET_SUCCESS',
+          payload,
+          meta: {},
+        });
+        expect(actual).to.equal(initialState);
+      });
+    });
+
+    describe('shiftReservation', () => {
+      const shiftReservation = recurringReservations.shiftReservation;
+
+      it('replaces the reservation with the given begin with the shifted one', () => {
+        const reservations = [
+          { begin: '2017-04-19T15:00:00.000Z', end: '2017-04-19T16:00:00.000Z' },
+          { begin: '2017-04-20T15:00:00.000Z', end: '2017-04-20T16:00:00.000Z' },
+        ];
+        const shifted = { begin: '2017-04-20T16:00:00.000Z', end: '2017-04-20T17:00:00.000Z' };
+        const actual = reducer(
+          { ...initialState, reservations },
+          shiftReservation('2017-04-20T15:00:00.000Z', shifted)
+        );
+        expect(actual.reservations).to.deep.equal([reservations[0], shifted]);
+      });
+    });
+
     describe('changeNumberOfOccurrences', () => {
       const changeNumberOfOccurrences = recurringReservations.changeNumberOfOccurrences;
 
@@ -386,6 +571,24 @@ describe('state/recurringReservations', () => {
     });
   });
 
+  describe('fetchAvailability', () => {
+    it('fetches the resource for the days of the reservations', () => {
+      const reservations = [
+        { begin: '2017-04-19T15:00:00.000Z', end: '2017-04-19T16:00:00.000Z' },
+        { begin: '2017-05-19T15:00:00.000Z', end: '2017-05-19T16:00:00.000Z' },
+      ];
+      const action = recurringReservations.fetchAvailability('r-1', reservations);
+      const callAPI = action[CALL_API];
+      const start = moment(reservations[0].begin).startOf('day').format();
+      const end = moment(reservations[1].end).endOf('day').format();
+
+      expect(callAPI.endpoint).to.equal(buildAPIUrl('resource/r-1', { end, start }));
+      expect(callAPI.types[1].meta({ [CALL_API]: callAPI }).source).to.equal(
+        'recurringReservations'
+      );
+    });
+  });
+
   describe('selectors', () => {
     describe('select', () => {
       it('returns whole recurringReservations state', () => {
@@ -429,6 +632,25 @@ describe('state/recurringReservations', () => {
       });
     });
 
+    describe('selectRule', () => {
+      it('returns the rule of recurringReservations in RRULE format', () => {
+        const state = {
+          recurringReservations: {
+            baseTime: { begin: '2017-04-18T15:00:00.000Z', end: '2017-04-18T16:00:00.000Z' },
+            exclusionDates: [],
+            frequency: 'weeks',
+            interval: 1,
+            monthlyMode: 'dayOfMonth',
+            numberOfOccurrences: 2,
+            weekdays: [2, 4],
+          },
+        };
+        expect(recurringReservations.selectRule(state)).to.equal(
+          'RRULE:FREQ=WEEKLY;BYDAY=TU,TH;COUNT=3'
+        );
+      });
+    });
+
     describe('selectReservations', () => {
       it('returns recurringReservations.reservations', () => {
         const state = {
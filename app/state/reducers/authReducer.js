@@ -3,6 +3,8 @@ import Immutable from 'seamless-immutable';
 import types from 'constants/ActionTypes';
 
 const initialState = Immutable({
+  expiresAt: null,
+  kioskResourceId: null,
   token: null,
   userId: null,
 });
@@ -17,7 +19,8 @@ function authReducer(state = initialState, action) {
     case types.API.RESERVATION_DELETE_ERROR:
     case types.API.RESERVATION_PUT_ERROR:
     case types.API.RESERVATION_POST_ERROR: {
-      if (action.payload.status === 401) {
+      // Requests marked with authRetry are made again with a refreshed token.
+      if (action.payload.status === 401 && !(action.meta && action.meta.authRetry)) {
         return initialState;
       }
       return state;
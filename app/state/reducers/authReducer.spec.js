@@ -16,9 +16,48 @@ describe('state/reducers/authReducer', () => {
     it('userId is null', () => {
       expect(initialState.userId).to.equal(null);
     });
+
+    it('expiresAt is null', () => {
+      expect(initialState.expiresAt).to.equal(null);
+    });
+
+    it('kioskResourceId is null', () => {
+      expect(initialState.kioskResourceId).to.equal(null);
+    });
   });
 
   describe('handling actions', () => {
+    describe('API.AUTH_GET_SUCCESS', () => {
+      const authGetSuccess = createAction(types.API.AUTH_GET_SUCCESS);
+
+      it('sets the auth state from the payload', () => {
+        const auth = { expiresAt: '2017-04-19T10:00:00.000Z', token: 'new-token', userId: 'u-1' };
+        const initialState = Immutable({ expiresAt: null, token: 'mock-token', userId: 'u-1' });
+        const nextState = authReducer(initialState, authGetSuccess({ auth }));
+
+        expect(nextState).to.deep.equal({ ...auth, kioskResourceId: null });
+      });
+
+      it('sets the resource of a kiosk', () => {
+        const nextState = authReducer(undefined, authGetSuccess({ auth: { kioskResourceId: 'r-1' } }));
+
+        expect(nextState.kioskResourceId).to.equal('r-1');
+        expect(nextState.token).to.equal(null);
+      });
+
+      it('resets the state if the user is no longer logged in', () => {
+        const initialState = Immutable({ expiresAt: null, token: 'mock-token', userId: 'u-1' });
+        const nextState = authReducer(initialState, authGetSuccess({}));
+
+        expect(nextState).to.deep.equal({
+          expiresAt: null,
+          kioskResourceId: null,
+          token: null,
+          userId: null,
+        });
+      });
+    });
+
     describe('API.RESERVATION_DELETE_ERROR', () => {
       const reservationDeleteError = createAction(types.API.RESERVATION_DELETE_ERROR);
 
@@ -27,6 +66,8 @@ describe('state/reducers/authReducer', () => {
         const initialState = Immutable({ token: 'mock-token', userId: 'u-1' });
         const nextState = authReducer(initialState, action);
         const expectedState = Immutable({
+          expiresAt: null,
+          kioskResourceId: null,
           token: null,
           userId: null,
         });
@@ -52,6 +93,8 @@ describe('state/reducers/authReducer', () => {
         const initialState = Immutable({ token: 'mock-token', userId: 'u-1' });
         const nextState = authReducer(initialState, action);
         const expectedState = Immutable({
+          expiresAt: null,
+          kioskResourceId: null,
           token: null,
           userId: null,
         });
@@ -77,6 +120,8 @@ describe('state/reducers/authReducer', () => {
         const initialState = Immutable({ token: 'mock-token', userId: 'u-1' });
         const nextState = authReducer(initialState, action);
         const expectedState = Immutable({
+          expiresAt: null,
+          kioskResourceId: null,
           token: null,
           userId: null,
         });
@@ -84,6 +129,14 @@ describe('state/reducers/authReducer', () => {
         expect(nextState).to.deep.equal(expectedState);
       });
 
+      it('does not affect state if the request is made again with a refreshed token', () => {
+        const action = { ...reservationPutError({ status: 401 }), meta: { authRetry: true } };
+        const initialState = Immutable({ token: 'mock-token', userId: 'u-1' });
+        const nextState = authReducer(initialState, action);
+
+        expect(nextState).to.equal(initialState);
+      });
+
       it('does not affect state if error status is not 401', () => {
         const action = reservationPutError({ status: 403 });
         const initialState = Immutable({ token: 'mock-token', userId: 'u-1' });
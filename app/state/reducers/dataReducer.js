@@ -1,8 +1,10 @@
 import reject from 'lodash/reject';
 import mapValues from 'lodash/mapValues';
+import some from 'lodash/some';
 import Immutable from 'seamless-immutable';
 
 import types from 'constants/ActionTypes';
+import constants from 'constants/AppConstants';
 
 const initialState = Immutable({
   reservations: {},
@@ -34,6 +36,22 @@ function handleReservation(state, reservation) {
     };
   }
 
+  // A reservation moved to another resource is no longer in the reservations of the old one.
+  const previousResourceIds = Object.keys(state.resources).filter(id => (
+    id !== reservation.resource &&
+    some(state.resources[id].reservations, current => current.url === reservation.url)
+  ));
+  previousResourceIds.forEach((id) => {
+    entities.resources = Object.assign({}, entities.resources, {
+      [id]: {
+        reservations: reject(
+          state.resources[id].reservations,
+          current => current.url === reservation.url
+        ),
+      },
+    });
+  });
+
   return handleData(state, entities);
 }
 
@@ -41,15 +59,25 @@ function dataReducer(state = initialState, action) {
   let reservation;
   switch (action.type) {
 
+    case types.API.RESOURCE_GET_SUCCESS: {
+      // Availability for recurring reservations covers other dates than the resource page and
+      // is kept in the recurringReservations state instead.
+      const source = action.meta && action.meta.source;
+      if (source === constants.RECURRING_RESERVATIONS_AVAILABILITY_SOURCE) {
+        return state;
+      }
+      return handleData(state, action.payload.entities);
+    }
+
     case types.API.PURPOSES_GET_SUCCESS:
     case types.API.RESERVATIONS_GET_SUCCESS:
-    case types.API.RESOURCE_GET_SUCCESS:
     case types.API.SEARCH_RESULTS_GET_SUCCESS:
     case types.API.UNITS_GET_SUCCESS: {
       return handleData(state, action.payload.entities);
     }
 
-    case types.API.RESOURCES_GET_SUCCESS: {
+    case types.API.RESOURCES_GET_SUCCESS:
+    case types.API.SEARCH_SUGGESTIONS_GET_SUCCESS: {
       const resources = mapValues(action.payload.entities.resources, (resource) => {
         if (!resource.reservations) {
           delete resource.reservations; // eslint-disable-line
@@ -266,6 +266,35 @@ describe('state/reducers/dataReducer', () => {
 
           expect(expectedValue).to.deep.equal(actualvalue);
         });
+
+        it('removes a moved reservation from the reservations of the old resource', () => {
+          const oldResource = Resource.build();
+          const newResource = Resource.build();
+          const otherReservation = Reservation.build({ resource: oldResource.id });
+          const oldReservation = Reservation.build({ resource: oldResource.id });
+          oldResource.reservations = [otherReservation, oldReservation];
+
+          const initialState = Immutable({
+            reservations: {},
+            resources: {
+              [oldResource.id]: oldResource,
+              [newResource.id]: newResource,
+            },
+          });
+          const updatedReservation = Reservation.build({
+            resource: newResource.id,
+            url: oldReservation.url,
+          });
+          const action = putReservationSuccess(updatedReservation);
+          const nextState = dataReducer(initialState, action);
+
+          expect(nextState.resources[oldResource.id].reservations).to.deep.equal(
+            Immutable([otherReservation])
+          );
+          expect(nextState.resources[newResource.id].reservations).to.deep.equal(
+            Immutable([updatedReservation])
+          );
+        });
       });
     });
 
@@ -323,6 +352,31 @@ describe('state/reducers/dataReducer', () => {
       });
     });
 
+    describe('API.RESOURCE_GET_SUCCESS', () => {
+      const resourceGetSuccess = createAction(
+        types.API.RESOURCE_GET_SUCCESS,
+        resource => ({ entities: { resources: { [resource.id]: resource } } }),
+        (resource, source) => ({ source })
+      );
+
+      it('adds resource to state', () => {
+        const resource = Resource.build();
+        const initialState = Immutable({ resources: {} });
+        const nextState = dataReducer(initialState, resourceGetSuccess(resource));
+
+        expect(nextState.resources).to.deep.equal({ [resource.id]: resource });
+      });
+
+      it('does not change state if resource is fetched for recurring reservations', () => {
+        const resource = Resource.build();
+        const initialState = Immutable({ resources: {} });
+        const action = resourceGetSuccess(resource, 'recurringReservations');
+        const nextState = dataReducer(initialState, action);
+
+        expect(nextState).to.equal(initialState);
+      });
+    });
+
     describe('API.RESOURCES_GET_SUCCESS', () => {
       const resourcesGetSuccess = createAction(
         types.API.RESOURCES_GET_SUCCESS,
@@ -381,6 +435,27 @@ describe('state/reducers/dataReducer', () => {
       });
     });
 
+    describe('API.SEARCH_SUGGESTIONS_GET_SUCCESS', () => {
+      const searchSuggestionsGetSuccess = createAction(
+        types.API.SEARCH_SUGGESTIONS_GET_SUCCESS,
+        resource => ({ entities: { resources: { [resource.id]: resource } } })
+      );
+
+      it('keeps the reservations of the resources already in state', () => {
+        const originalResource = Resource.build({ reservations: [{ foo: 'bar' }] });
+        const suggestedResource = { id: originalResource.id, name: 'Room' };
+        const initialState = Immutable({
+          resources: { [originalResource.id]: originalResource },
+        });
+        const action = searchSuggestionsGetSuccess(suggestedResource);
+        const nextState = dataReducer(initialState, action);
+        const actualResource = nextState.resources[originalResource.id];
+
+        expect(actualResource.reservations).to.deep.equal(originalResource.reservations);
+        expect(actualResource.name).to.equal('Room');
+      });
+    });
+
     describe('API.USER_GET_SUCCESS', () => {
       const userGetSuccess = createAction(types.API.USER_GET_SUCCESS);
 
@@ -70,6 +70,9 @@ function notificationsReducer(state = initialState, action) {
     // Success messages
 
     case types.API.RESERVATION_DELETE_SUCCESS: {
+      if (action.meta && action.meta.isRollback) {
+        return state;
+      }
       const notification = {
         messageId: 'Notifications.reservationDeleteSuccessMessage',
         type: 'success',
@@ -87,9 +90,28 @@ function notificationsReducer(state = initialState, action) {
 
     // Error messages
 
+    case types.API.PURPOSES_GET_SUCCESS:
+    case types.API.RESERVATIONS_GET_SUCCESS:
+    case types.API.RESOURCES_GET_SUCCESS:
+    case types.API.SEARCH_RESULTS_GET_SUCCESS:
+    case types.API.UNITS_GET_SUCCESS: {
+      if (!action.payload || !action.payload.incomplete) {
+        return state;
+      }
+      const notification = {
+        messageId: 'Notifications.incompleteResultsMessage',
+        type: 'error',
+        timeOut: 10000,
+      };
+      return addNotification(state, notification);
+    }
+
     case types.API.RESERVATION_DELETE_ERROR:
     case types.API.RESERVATION_POST_ERROR:
     case types.API.RESERVATION_PUT_ERROR: {
+      if (action.meta && action.meta.authRetry) {
+        return state;
+      }
       return addNotification(state, getErrorNotification(action.payload));
     }
 
@@ -8,6 +8,7 @@ import types from 'constants/ActionTypes';
 const initialState = Immutable({
   date: undefined,
   filteredResourceTypes: [],
+  grouping: 'none',
   resourceIds: [],
 });
 
@@ -17,6 +18,10 @@ function adminResourcesPageReducer(state = initialState, action) {
       return state.merge({ date: action.payload || undefined });
     }
 
+    case types.UI.CHANGE_ADMIN_RESOURCES_PAGE_GROUPING: {
+      return state.merge({ grouping: action.payload });
+    }
+
     case types.UI.FILTER_ADMIN_RESOURCE_TYPE: {
       return state.merge({
         filteredResourceTypes: uniq([...state.filteredResourceTypes, action.payload]),
@@ -4,6 +4,7 @@ import Immutable from 'seamless-immutable';
 
 import {
   changeAdminResourcesPageDate,
+  changeAdminResourcesPageGrouping,
   filterAdminResourceType,
   unfilterAdminResourceType,
 } from 'actions/uiActions';
@@ -22,9 +23,21 @@ describe('state/reducers/ui/adminResourcesPageReducer', () => {
     it('date is undefined', () => {
       expect(initialState.date).to.be.undefined;
     });
+
+    it('grouping is none', () => {
+      expect(initialState.grouping).to.equal('none');
+    });
   });
 
   describe('handling actions', () => {
+    describe('UI.CHANGE_ADMIN_RESOURCES_PAGE_GROUPING', () => {
+      it('updates grouping from payload', () => {
+        const action = changeAdminResourcesPageGrouping('unit');
+        const state = adminResourcesPageReducer(undefined, action);
+        expect(state.grouping).to.equal('unit');
+      });
+    });
+
     describe('UI.CHANGE_ADMIN_RESOURCES_PAGE_DATE', () => {
       it('updates date from payload', () => {
         const date = '2017-01-20';
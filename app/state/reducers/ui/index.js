@@ -2,6 +2,7 @@ import { combineReducers } from 'redux';
 
 import adminResourcesPageReducer from './adminResourcesPageReducer';
 import modalsReducer from './modalsReducer';
+import reservationBatchReducer from './reservationBatchReducer';
 import reservationInfoModalReducer from './reservationInfoModalReducer';
 import reservationsReducer from './reservationsReducer';
 import searchReducer from './searchReducer';
@@ -9,6 +10,7 @@ import searchReducer from './searchReducer';
 const uiReducers = combineReducers({
   modals: modalsReducer,
   pages: combineReducers({ adminResources: adminResourcesPageReducer }),
+  reservationBatch: reservationBatchReducer,
   reservationInfoModal: reservationInfoModalReducer,
   reservations: reservationsReducer,
   search: searchReducer,
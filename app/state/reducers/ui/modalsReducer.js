@@ -19,6 +19,16 @@ function modalsReducer(state = initialState, action) {
       return state.merge({ open: [...state.open, modal] });
     }
 
+    case types.UI.FINISH_RESERVATION_BATCH: {
+      // Show what happened to the reservations that were not saved, even if none were saved.
+      const { rolledBack, skipped } = action.payload;
+      modal = ModalTypes.RESERVATION_SUCCESS;
+      if ((rolledBack.length || skipped.length) && !includes(state.open, modal)) {
+        return state.merge({ open: [...state.open, modal] });
+      }
+      return state;
+    }
+
     case types.UI.CLOSE_MODAL: {
       modal = action.payload;
 
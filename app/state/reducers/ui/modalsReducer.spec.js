@@ -29,6 +29,34 @@ describe('state/reducers/ui/modalsReducer', () => {
       });
     });
 
+    describe('UI.FINISH_RESERVATION_BATCH', () => {
+      const finishReservationBatch = createAction(types.UI.FINISH_RESERVATION_BATCH);
+
+      it('adds ModalTypes.RESERVATION_SUCCESS to open if reservations were not saved', () => {
+        const initialState = Immutable({ open: [] });
+        const action = finishReservationBatch({ rolledBack: [{}], skipped: [] });
+        const nextState = modalsReducer(initialState, action);
+
+        expect(nextState.open).to.deep.equal([ModalTypes.RESERVATION_SUCCESS]);
+      });
+
+      it('does not add the modal twice', () => {
+        const initialState = Immutable({ open: [ModalTypes.RESERVATION_SUCCESS] });
+        const action = finishReservationBatch({ rolledBack: [], skipped: [{}] });
+        const nextState = modalsReducer(initialState, action);
+
+        expect(nextState.open).to.deep.equal([ModalTypes.RESERVATION_SUCCESS]);
+      });
+
+      it('does not change open if nothing was rolled back or skipped', () => {
+        const initialState = Immutable({ open: [] });
+        const action = finishReservationBatch({ rolledBack: [], skipped: [] });
+        const nextState = modalsReducer(initialState, action);
+
+        expect(nextState.open).to.deep.equal([]);
+      });
+    });
+
     describe('UI.CLOSE_MODAL', () => {
       const closeModal = createAction(types.UI.CLOSE_MODAL);
 
@@ -0,0 +1,41 @@
+import Immutable from 'seamless-immutable';
+
+import types from 'constants/ActionTypes';
+
+const initialState = Immutable({
+  allOrNothing: false,
+  inProgress: false,
+  items: [],
+});
+
+function reservationBatchReducer(state = initialState, action) {
+  switch (action.type) {
+
+    case types.UI.START_RESERVATION_BATCH: {
+      const { allOrNothing, reservations } = action.payload;
+      return Immutable({
+        allOrNothing,
+        inProgress: true,
+        items: reservations.map(reservation => ({ reservation, status: 'pending' })),
+      });
+    }
+
+    case types.UI.UPDATE_RESERVATION_BATCH_ITEM: {
+      const { index, status } = action.payload;
+      if (!state.items[index]) {
+        return state;
+      }
+      return state.setIn(['items', index, 'status'], status);
+    }
+
+    case types.UI.FINISH_RESERVATION_BATCH: {
+      return state.merge({ inProgress: false });
+    }
+
+    default: {
+      return state;
+    }
+  }
+}
+
+export default reservationBatchReducer;
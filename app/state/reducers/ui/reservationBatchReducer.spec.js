@@ -0,0 +1,84 @@
+import { expect } from 'chai';
+import Immutable from 'seamless-immutable';
+
+import reducer from './reservationBatchReducer';
+
+describe('state/reducers/ui/reservationBatchReducer', () => {
+  const initialState = Immutable({
+    allOrNothing: false,
+    inProgress: false,
+    items: [],
+  });
+
+  it('returns correct initial state', () => {
+    const actual = reducer(undefined, { type: 'NOOP' });
+    expect(actual).to.deep.equal(initialState);
+  });
+
+  describe('START_RESERVATION_BATCH', () => {
+    const reservations = [{ begin: 'b-1' }, { begin: 'b-2' }];
+    const action = {
+      type: 'START_RESERVATION_BATCH',
+      payload: { allOrNothing: true, reservations },
+    };
+
+    it('replaces the previous batch with the given reservations', () => {
+      const state = Immutable({
+        allOrNothing: false,
+        inProgress: false,
+        items: [{ reservation: { begin: 'old' }, status: 'saved' }],
+      });
+      const actual = reducer(state, action);
+
+      expect(actual).to.deep.equal({
+        allOrNothing: true,
+        inProgress: true,
+        items: [
+          { reservation: reservations[0], status: 'pending' },
+          { reservation: reservations[1], status: 'pending' },
+        ],
+      });
+    });
+  });
+
+  describe('UPDATE_RESERVATION_BATCH_ITEM', () => {
+    const state = Immutable({
+      allOrNothing: false,
+      inProgress: true,
+      items: [
+        { reservation: { begin: 'b-1' }, status: 'pending' },
+        { reservation: { begin: 'b-2' }, status: 'pending' },
+      ],
+    });
+
+    it('sets the status of the item in the given index', () => {
+      const actual = reducer(state, {
+        type: 'UPDATE_RESERVATION_BATCH_ITEM',
+        payload: { index: 1, status: 'saved' },
+      });
+
+      expect(actual.items[0].status).to.equal('pending');
+      expect(actual.items[1].status).to.equal('saved');
+    });
+
+    it('does not change state if there is no item in the given index', () => {
+      const actual = reducer(state, {
+        type: 'UPDATE_RESERVATION_BATCH_ITEM',
+        payload: { index: 2, status: 'saved' },
+      });
+
+      expect(actual).to.equal(state);
+    });
+  });
+
+  describe('FINISH_RESERVATION_BATCH', () => {
+    it('sets inProgress to false', () => {
+      const actual = reducer(Immutable({ inProgress: true, items: [] }), {
+        type: 'FINISH_RESERVATION_BATCH',
+        payload: { rolledBack: [], skipped: [] },
+      });
+
+      expect(actual.inProgress).to.be.false;
+    });
+  });
+});
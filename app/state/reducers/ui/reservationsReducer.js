@@ -1,5 +1,7 @@
 import includes from 'lodash/includes';
-import without from 'lodash/without';
+import last from 'lodash/last';
+import sortBy from 'lodash/sortBy';
+import moment from 'moment';
 import Immutable from 'seamless-immutable';
 
 import types from 'constants/ActionTypes';
@@ -29,6 +31,31 @@ function selectReservationToEdit(state, action) {
   });
 }
 
+function selectTimeSlots(state, action) {
+  const { begin, end, minPeriod } = action.payload;
+  const selected = getTimeSlots(begin, end, minPeriod || undefined).map(slot => slot.asISOString);
+
+  return state.merge({ selected });
+}
+
+// Keeps the selection contiguous: a slot next to the selection extends it and other slots start a
+// new selection. Deselecting a slot in the middle of the selection deselects the slots after it.
+function toggleTimeSlot(state, slot) {
+  const selected = sortBy(state.selected, current => moment(current.split('/')[0]).valueOf());
+  const index = selected.indexOf(slot);
+  if (index !== -1) {
+    return state.merge({ selected: index === 0 ? selected.slice(1) : selected.slice(0, index) });
+  }
+  const [begin, end] = slot.split('/');
+  if (selected.length && moment(end).isSame(selected[0].split('/')[0])) {
+    return state.merge({ selected: [slot, ...selected] });
+  }
+  if (selected.length && moment(begin).isSame(last(selected).split('/')[1])) {
+    return state.merge({ selected: [...selected, slot] });
+  }
+  return state.merge({ selected: [slot] });
+}
+
 function parseError(error) {
   if (error.response && error.response.non_field_errors && error.response.non_field_errors.length) {
     return error.response.non_field_errors.join('. ').replace('[\'', '').replace('\']', '');
@@ -50,6 +77,9 @@ function reservationsReducer(state = initialState, action) {
     }
 
     case types.API.RESERVATION_POST_ERROR: {
+      if (action.meta.authRetry) {
+        return state;
+      }
       const reservation = action.meta.reservation;
       const failReason = parseError(action.payload);
       return state.merge({
@@ -81,6 +111,25 @@ function reservationsReducer(state = initialState, action) {
       return initialState;
     }
 
+    case types.UI.FINISH_RESERVATION_BATCH: {
+      const { rolledBack, skipped } = action.payload;
+      const rolledBackUrls = rolledBack.map(reservation => reservation.url);
+      return state.merge({
+        failed: [
+          ...state.failed,
+          ...rolledBack.map(reservation => ({
+            ...reservation,
+            failReasonId: 'ReservationSuccessModal.rolledBackReason',
+          })),
+          ...skipped.map(reservation => ({
+            ...reservation,
+            failReasonId: 'ReservationSuccessModal.skippedReason',
+          })),
+        ],
+        toShow: state.toShow.filter(reservation => !includes(rolledBackUrls, reservation.url)),
+      });
+    }
+
     case types.UI.CLOSE_MODAL: {
       const modal = action.payload;
       if (modal === ModalTypes.RESERVATION_CANCEL) {
@@ -107,12 +156,12 @@ function reservationsReducer(state = initialState, action) {
       return state.merge({ toShow: [...state.toShow, action.payload] });
     }
 
+    case types.UI.SELECT_TIME_SLOTS: {
+      return selectTimeSlots(state, action);
+    }
+
     case types.UI.TOGGLE_TIME_SLOT: {
-      const slot = action.payload;
-      if (includes(state.selected, slot)) {
-        return state.merge({ selected: without(state.selected, slot) });
-      }
-      return state.merge({ selected: [...state.selected, slot] });
+      return toggleTimeSlot(state, action.payload);
     }
 
     default: {
@@ -12,6 +12,7 @@ import {
   selectReservationToCancel,
   selectReservationToEdit,
   selectReservationToShow,
+  selectTimeSlots,
   toggleTimeSlot,
 } from 'actions/uiActions';
 import types from 'constants/ActionTypes';
@@ -145,6 +146,20 @@ describe('state/reducers/ui/reservationsReducer', () => {
 
         expect(nextState.failed).to.deep.equal(expected);
       });
+
+      it('does not add the reservation if it is sent again with a refreshed token', () => {
+        const initialState = Immutable({
+          failed: [],
+        });
+        const reservation = Reservation.build();
+        const action = postReservationError(reservation);
+        const nextState = reservationsReducer(
+          initialState,
+          { ...action, meta: { ...action.meta, authRetry: true } }
+        );
+
+        expect(nextState.failed).to.deep.equal([]);
+      });
     });
 
     describe('API.RESERVATION_PUT_SUCCESS', () => {
@@ -251,6 +266,33 @@ describe('state/reducers/ui/reservationsReducer', () => {
       });
     });
 
+    describe('UI.FINISH_RESERVATION_BATCH', () => {
+      const finishReservationBatch = createAction(types.UI.FINISH_RESERVATION_BATCH);
+
+      it('adds rolled back and skipped reservations to failed with a fail reason', () => {
+        const rolledBack = Reservation.build();
+        const skipped = Reservation.build();
+        const initialState = Immutable({ failed: [], toShow: [] });
+        const action = finishReservationBatch({ rolledBack: [rolledBack], skipped: [skipped] });
+        const nextState = reservationsReducer(initialState, action);
+
+        expect(nextState.failed).to.deep.equal([
+          { ...rolledBack, failReasonId: 'ReservationSuccessModal.rolledBackReason' },
+          { ...skipped, failReasonId: 'ReservationSuccessModal.skippedReason' },
+        ]);
+      });
+
+      it('removes rolled back reservations from toShow', () => {
+        const rolledBack = Reservation.build();
+        const saved = Reservation.build();
+        const initialState = Immutable({ failed: [], toShow: [rolledBack, saved] });
+        const action = finishReservationBatch({ rolledBack: [rolledBack], skipped: [] });
+        const nextState = reservationsReducer(initialState, action);
+
+        expect(nextState.toShow).to.deep.equal([saved]);
+      });
+    });
+
     describe('UI.CLOSE_MODAL', () => {
       describe('if closed modal is RESERVATION_CANCEL modal', () => {
         it('clears toCancel array', () => {
@@ -405,6 +447,26 @@ describe('state/reducers/ui/reservationsReducer', () => {
       });
     });
 
+    describe('UI.SELECT_TIME_SLOTS', () => {
+      it('selects the time slots between begin and end', () => {
+        const initialState = Immutable({
+          selected: ['2015-10-10T10:00:00.000Z/2015-10-10T10:30:00.000Z'],
+        });
+        const action = selectTimeSlots({
+          begin: '2015-10-11T10:00:00.000Z',
+          end: '2015-10-11T11:00:00.000Z',
+          minPeriod: '00:30:00',
+        });
+        const nextState = reservationsReducer(initialState, action);
+        const expected = Immutable([
+          '2015-10-11T10:00:00.000Z/2015-10-11T10:30:00.000Z',
+          '2015-10-11T10:30:00.000Z/2015-10-11T11:00:00.000Z',
+        ]);
+
+        expect(nextState.selected).to.deep.equal(expected);
+      });
+    });
+
     describe('UI.TOGGLE_TIME_SLOT', () => {
       describe('if slot is not already selected', () => {
         it('adds the given slot to selected', () => {
@@ -419,14 +481,32 @@ describe('state/reducers/ui/reservationsReducer', () => {
           expect(nextState.selected).to.deep.equal(expected);
         });
 
-        it('does not affect other selected slots ', () => {
+        it('adds the slot to the selection if it is next to the selected slots', () => {
+          const initialState = Immutable({
+            selected: [
+              '2015-10-11T10:00:00Z/2015-10-11T11:00:00Z',
+              '2015-10-11T11:00:00Z/2015-10-11T12:00:00Z',
+            ],
+          });
+          const before = '2015-10-11T09:00:00Z/2015-10-11T10:00:00Z';
+          const after = '2015-10-11T12:00:00Z/2015-10-11T13:00:00Z';
+          const nextState = reservationsReducer(
+            reservationsReducer(initialState, toggleTimeSlot(after)),
+            toggleTimeSlot(before)
+          );
+          const expected = Immutable([before, ...initialState.selected, after]);
+
+          expect(nextState.selected).to.deep.equal(expected);
+        });
+
+        it('starts a new selection if the slot is not next to the selected slots', () => {
           const initialState = Immutable({
             selected: ['2015-12-12T10:00:00Z/2015-12-12T11:00:00Z'],
           });
           const slot = '2015-10-11T10:00:00Z/2015-10-11T11:00:00Z';
           const action = toggleTimeSlot(slot);
           const nextState = reservationsReducer(initialState, action);
-          const expected = Immutable([...initialState.selected, slot]);
+          const expected = Immutable([slot]);
 
           expect(nextState.selected).to.deep.equal(expected);
         });
@@ -445,6 +525,18 @@ describe('state/reducers/ui/reservationsReducer', () => {
           expect(nextState.selected).to.deep.equal(expected);
         });
 
+        it('deselects the slots after a slot in the middle of the selection', () => {
+          const selected = [
+            '2015-10-11T10:00:00Z/2015-10-11T11:00:00Z',
+            '2015-10-11T11:00:00Z/2015-10-11T12:00:00Z',
+            '2015-10-11T12:00:00Z/2015-10-11T13:00:00Z',
+          ];
+          const action = toggleTimeSlot(selected[1]);
+          const nextState = reservationsReducer(Immutable({ selected }), action);
+
+          expect(nextState.selected).to.deep.equal(Immutable([selected[0]]));
+        });
+
         it('does not affect other selected slots ', () => {
           const slot = '2015-10-11T10:00:00Z/2015-10-11T11:00:00Z';
           const action = toggleTimeSlot(slot);
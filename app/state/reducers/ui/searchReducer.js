@@ -6,9 +6,23 @@ import { pickSupportedFilters } from 'utils/searchUtils';
 const initialState = Immutable({
   filters: {
     date: '',
+    days: '',
+    distance: '',
+    duration: '',
+    endTime: '',
+    equipment: '',
+    freeOfCharge: '',
+    lat: '',
+    lon: '',
+    maxPrice: '',
+    municipality: '',
     people: '',
     purpose: '',
     search: '',
+    sort: '',
+    startTime: '',
+    unit: '',
+    view: '',
   },
   results: [],
   searchDone: false,
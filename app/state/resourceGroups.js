@@ -0,0 +1,67 @@
+import { createAction } from 'redux-actions';
+
+import {
+  createUserItemId,
+  getUserState,
+  handleUserStateActions,
+  setUserState,
+} from 'utils/userStateUtils';
+
+// actions
+// -------
+
+const actions = {
+  deleteResourceGroup: createAction('app/resourceGroups/DELETE_RESOURCE_GROUP'),
+  saveResourceGroup: createAction(
+    'app/resourceGroups/SAVE_RESOURCE_GROUP',
+    ({ name, resources, userId }) => ({
+      group: {
+        id: createUserItemId(),
+        name,
+        resources,
+      },
+      userId,
+    })
+  ),
+};
+
+// reducer
+// -------
+
+// The custom resource groups of each user by user id, persisted to localStorage. A group is a
+// named list of resource ids which staff use to group the resources in the availability view.
+const emptyUserGroups = [];
+
+function getUserGroups(state, userId) {
+  return getUserState(state, userId, emptyUserGroups);
+}
+
+const resourceGroupsReducer = handleUserStateActions('resourceGroups', {
+  [actions.deleteResourceGroup]: (state, action) => {
+    const { id, userId } = action.payload;
+    return setUserState(
+      state,
+      userId,
+      getUserGroups(state, userId).filter(group => group.id !== id)
+    );
+  },
+  [actions.saveResourceGroup]: (state, action) => {
+    const { group, userId } = action.payload;
+    return setUserState(state, userId, [...getUserGroups(state, userId), group]);
+  },
+});
+
+// selectors
+// ---------
+
+const selectors = {
+  selectResourceGroups(state) {
+    return getUserGroups(state.resourceGroups, state.auth.userId);
+  },
+};
+
+export default {
+  ...actions,
+  reducer: resourceGroupsReducer,
+  ...selectors,
+};
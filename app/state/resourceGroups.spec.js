@@ -0,0 +1,92 @@
+import { expect } from 'chai';
+import MockDate from 'mockdate';
+import { actionTypes as persistActionTypes } from 'redux-localstorage';
+
+import resourceGroups from './resourceGroups';
+
+describe('state/resourceGroups', () => {
+  const reducer = resourceGroups.reducer;
+  const userId = 'u-1';
+
+  describe('reducer', () => {
+    it('returns correct initial state', () => {
+      expect(reducer(undefined, { type: 'NOOP' })).to.deep.equal({});
+    });
+
+    describe('saveResourceGroup and deleteResourceGroup', () => {
+      before(() => {
+        MockDate.set('2017-05-10T10:00:00Z');
+      });
+
+      after(() => {
+        MockDate.reset();
+      });
+
+      it('saves a named group of resources of the user', () => {
+        const action = resourceGroups.saveResourceGroup({
+          name: 'Sports halls east',
+          resources: ['r-1', 'r-2'],
+          userId,
+        });
+        const actual = reducer({ other: [{ id: 'a' }] }, action);
+        expect(actual[userId]).to.deep.equal([{
+          id: Date.now().toString(36),
+          name: 'Sports halls east',
+          resources: ['r-1', 'r-2'],
+        }]);
+        expect(actual.other).to.deep.equal([{ id: 'a' }]);
+      });
+
+      it('adds the group after the existing groups', () => {
+        const state = { [userId]: [{ id: 'a' }] };
+        const action = resourceGroups.saveResourceGroup({ name: 'B', resources: [], userId });
+        expect(reducer(state, action)[userId]).to.have.length(2);
+        expect(reducer(state, action)[userId][1].name).to.equal('B');
+      });
+
+      it('deletes a group of the user', () => {
+        const state = { [userId]: [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }] };
+        const actual = reducer(state, resourceGroups.deleteResourceGroup({ id: 'a', userId }));
+        expect(actual[userId]).to.deep.equal([{ id: 'b', name: 'B' }]);
+      });
+
+      it('does not save groups without a user', () => {
+        const action = resourceGroups.saveResourceGroup({ name: 'A', resources: [], userId: null });
+        expect(reducer({}, action)).to.deep.equal({});
+      });
+    });
+
+    describe('persisted state', () => {
+      it('restores the persisted groups', () => {
+        const persisted = { [userId]: [{ id: 'a' }] };
+        const action = {
+          type: persistActionTypes.INIT,
+          payload: { intl: { locale: 'en' }, resourceGroups: persisted },
+        };
+        expect(reducer({}, action)).to.deep.equal(persisted);
+      });
+
+      it('keeps the state if nothing is persisted', () => {
+        const state = { [userId]: [] };
+        expect(reducer(state, { type: persistActionTypes.INIT, payload: null })).to.equal(state);
+      });
+    });
+  });
+
+  describe('selectors', () => {
+    const groups = [{ id: 'a', name: 'A', resources: [] }];
+    const state = {
+      auth: { userId },
+      resourceGroups: { [userId]: groups },
+    };
+
+    it('selectResourceGroups returns the groups of the current user', () => {
+      expect(resourceGroups.selectResourceGroups(state)).to.equal(groups);
+    });
+
+    it('returns an empty array for users without groups', () => {
+      const otherState = { ...state, auth: { userId: 'u-2' } };
+      expect(resourceGroups.selectResourceGroups(otherState)).to.deep.equal([]);
+    });
+  });
+});
@@ -8,6 +8,8 @@ import dataReducer from './reducers/dataReducer';
 import notificationsReducer from './reducers/notificationsReducer';
 import uiReducers from './reducers/ui';
 import recurringReservations from './recurringReservations';
+import resourceGroups from './resourceGroups';
+import savedSearches from './savedSearches';
 
 export default combineReducers({
   api: apiReducers,
@@ -17,5 +19,7 @@ export default combineReducers({
   intl: intlReducer,
   notifications: notificationsReducer,
   recurringReservations: recurringReservations.reducer,
+  resourceGroups: resourceGroups.reducer,
+  savedSearches: savedSearches.reducer,
   ui: uiReducers,
 });
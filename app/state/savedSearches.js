@@ -0,0 +1,126 @@
+import isEqual from 'lodash/isEqual';
+import pickBy from 'lodash/pickBy';
+import moment from 'moment';
+import { createAction } from 'redux-actions';
+
+import constants from 'constants/AppConstants';
+import {
+  createUserItemId,
+  getUserState,
+  handleUserStateActions,
+  setUserState,
+} from 'utils/userStateUtils';
+
+// The dates of saved searches can be relative to the day the search is used, the weekdays
+// meaning the next such day from today on. Without a date rule the saved date is used.
+export const dateRules = [
+  'today', 'tomorrow', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+];
+
+const maxRecentSearches = 5;
+
+export function getDateOfRule(dateRule, now = moment()) {
+  const today = moment(now).startOf('day');
+  if (dateRule === 'tomorrow') {
+    return today.add(1, 'day').format(constants.DATE_FORMAT);
+  }
+  const weekday = dateRules.indexOf(dateRule) - 1;
+  if (weekday > 0) {
+    const daysUntil = ((weekday - today.isoWeekday()) + 7) % 7;
+    return today.add(daysUntil, 'days').format(constants.DATE_FORMAT);
+  }
+  return today.format(constants.DATE_FORMAT);
+}
+
+export function getSavedSearchFilters({ dateRule, filters }, now) {
+  if (!dateRule) {
+    return filters;
+  }
+  return { ...filters, date: getDateOfRule(dateRule, now) };
+}
+
+// Empty filters and the filters that only change how the results are shown are not stored.
+function getStoredFilters(filters) {
+  const stored = pickBy(filters, value => value !== '' && value !== null && value !== undefined);
+  delete stored.sort;
+  delete stored.view;
+  return stored;
+}
+
+// actions
+// -------
+
+const actions = {
+  addRecentSearch: createAction(
+    'app/savedSearches/ADD_RECENT_SEARCH',
+    ({ filters, userId }) => ({ filters: getStoredFilters(filters), userId })
+  ),
+  deleteSavedSearch: createAction('app/savedSearches/DELETE_SAVED_SEARCH'),
+  saveSearch: createAction(
+    'app/savedSearches/SAVE_SEARCH',
+    ({ dateRule, filters, name, userId }) => ({
+      search: {
+        dateRule: dateRule || '',
+        filters: getStoredFilters(filters),
+        id: createUserItemId(),
+        name,
+      },
+      userId,
+    })
+  ),
+};
+
+// reducer
+// -------
+
+// The searches of each user by user id, persisted to localStorage.
+const emptyUserSearches = { recent: [], saved: [] };
+
+function getUserSearches(state, userId) {
+  return getUserState(state, userId, emptyUserSearches);
+}
+
+function updateUserSearches(state, userId, changes) {
+  return setUserState(state, userId, { ...getUserSearches(state, userId), ...changes });
+}
+
+const savedSearchesReducer = handleUserStateActions('savedSearches', {
+  [actions.addRecentSearch]: (state, action) => {
+    const { filters, userId } = action.payload;
+    const recent = getUserSearches(state, userId).recent
+      .filter(search => !isEqual(search.filters, filters));
+    return updateUserSearches(state, userId, {
+      recent: [{ filters }, ...recent].slice(0, maxRecentSearches),
+    });
+  },
+  [actions.deleteSavedSearch]: (state, action) => {
+    const { id, userId } = action.payload;
+    return updateUserSearches(state, userId, {
+      saved: getUserSearches(state, userId).saved.filter(search => search.id !== id),
+    });
+  },
+  [actions.saveSearch]: (state, action) => {
+    const { search, userId } = action.payload;
+    return updateUserSearches(state, userId, {
+      saved: [...getUserSearches(state, userId).saved, search],
+    });
+  },
+});
+
+// selectors
+// ---------
+
+const selectors = {
+  selectRecentSearches(state) {
+    return getUserSearches(state.savedSearches, state.auth.userId).recent;
+  },
+  selectSavedSearches(state) {
+    return getUserSearches(state.savedSearches, state.auth.userId).saved;
+  },
+};
+
+export default {
+  ...actions,
+  reducer: savedSearchesReducer,
+  ...selectors,
+};
@@ -0,0 +1,174 @@
+import { expect } from 'chai';
+import MockDate from 'mockdate';
+import moment from 'moment';
+import { actionTypes as persistActionTypes } from 'redux-localstorage';
+
+import savedSearches, { getDateOfRule, getSavedSearchFilters } from './savedSearches';
+
+describe('state/savedSearches', () => {
+  const reducer = savedSearches.reducer;
+  const userId = 'u-1';
+
+  describe('reducer', () => {
+    it('returns correct initial state', () => {
+      expect(reducer(undefined, { type: 'NOOP' })).to.deep.equal({});
+    });
+
+    describe('addRecentSearch', () => {
+      function addRecentSearch(state, filters, id = userId) {
+        return reducer(state, savedSearches.addRecentSearch({ filters, userId: id }));
+      }
+
+      it('adds the non-empty filters of the search as the first recent search of the user', () => {
+        const state = addRecentSearch({}, { date: '2017-05-10', people: '', search: 'room' });
+        const actual = addRecentSearch(state, { search: 'hall', sort: 'name', view: 'list' });
+        expect(actual).to.deep.equal({
+          [userId]: {
+            recent: [
+              { filters: { search: 'hall' } },
+              { filters: { date: '2017-05-10', search: 'room' } },
+            ],
+            saved: [],
+          },
+        });
+      });
+
+      it('moves an identical search first instead of adding it again', () => {
+        const state = addRecentSearch(addRecentSearch({}, { search: 'a' }), { search: 'b' });
+        const actual = addRecentSearch(state, { search: 'a' });
+        expect(actual[userId].recent).to.deep.equal([
+          { filters: { search: 'a' } },
+          { filters: { search: 'b' } },
+        ]);
+      });
+
+      it('keeps at most five recent searches', () => {
+        const state = ['a', 'b', 'c', 'd', 'e', 'f'].reduce(
+          (current, search) => addRecentSearch(current, { search }),
+          {}
+        );
+        expect(state[userId].recent).to.have.length(5);
+        expect(state[userId].recent[0].filters.search).to.equal('f');
+      });
+
+      it('does not add searches without a user', () => {
+        expect(addRecentSearch({}, { search: 'a' }, null)).to.deep.equal({});
+      });
+    });
+
+    describe('saveSearch and deleteSavedSearch', () => {
+      before(() => {
+        MockDate.set('2017-05-10T10:00:00Z');
+      });
+
+      after(() => {
+        MockDate.reset();
+      });
+
+      it('saves a named search of the user', () => {
+        const action = savedSearches.saveSearch({
+          dateRule: 'monday',
+          filters: { people: '5', purpose: 'meeting', search: '' },
+          name: 'Weekly meeting',
+          userId,
+        });
+        const actual = reducer({ other: { recent: [], saved: [] } }, action);
+        expect(actual[userId].saved).to.deep.equal([{
+          dateRule: 'monday',
+          filters: { people: '5', purpose: 'meeting' },
+          id: Date.now().toString(36),
+          name: 'Weekly meeting',
+        }]);
+        expect(actual.other).to.deep.equal({ recent: [], saved: [] });
+      });
+
+      it('deletes a saved search of the user', () => {
+        const state = {
+          [userId]: {
+            recent: [],
+            saved: [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }],
+          },
+        };
+        const actual = reducer(state, savedSearches.deleteSavedSearch({ id: 'a', userId }));
+        expect(actual[userId].saved).to.deep.equal([{ id: 'b', name: 'B' }]);
+      });
+    });
+
+    describe('persisted state', () => {
+      it('restores the persisted searches', () => {
+        const persisted = { [userId]: { recent: [], saved: [{ id: 'a' }] } };
+        const action = {
+          type: persistActionTypes.INIT,
+          payload: { intl: { locale: 'en' }, savedSearches: persisted },
+        };
+        expect(reducer({}, action)).to.deep.equal(persisted);
+      });
+
+      it('keeps the state if nothing is persisted', () => {
+        const state = { [userId]: { recent: [], saved: [] } };
+        expect(reducer(state, { type: persistActionTypes.INIT, payload: null }))
+          .to.equal(state);
+      });
+    });
+  });
+
+  describe('selectors', () => {
+    const userSearches = {
+      recent: [{ filters: { search: 'a' } }],
+      saved: [{ id: 'b' }],
+    };
+    const state = {
+      auth: { userId },
+      savedSearches: { [userId]: userSearches },
+    };
+
+    it('selectRecentSearches returns the recent searches of the current user', () => {
+      expect(savedSearches.selectRecentSearches(state)).to.equal(userSearches.recent);
+    });
+
+    it('selectSavedSearches returns the saved searches of the current user', () => {
+      expect(savedSearches.selectSavedSearches(state)).to.equal(userSearches.saved);
+    });
+
+    it('return empty arrays for users without searches', () => {
+      const otherState = { ...state, auth: { userId: 'u-2' } };
+      expect(savedSearches.selectRecentSearches(otherState)).to.deep.equal([]);
+      expect(savedSearches.selectSavedSearches(otherState)).to.deep.equal([]);
+    });
+  });
+
+  describe('getDateOfRule', () => {
+    // A Wednesday.
+    const now = moment('2017-05-10T10:00:00');
+
+    it('returns the date of today and tomorrow', () => {
+      expect(getDateOfRule('today', now)).to.equal('2017-05-10');
+      expect(getDateOfRule('tomorrow', now)).to.equal('2017-05-11');
+    });
+
+    it('returns the date of the next given weekday', () => {
+      expect(getDateOfRule('monday', now)).to.equal('2017-05-15');
+      expect(getDateOfRule('friday', now)).to.equal('2017-05-12');
+    });
+
+    it('returns today for the weekday of today', () => {
+      expect(getDateOfRule('wednesday', now)).to.equal('2017-05-10');
+    });
+  });
+
+  describe('getSavedSearchFilters', () => {
+    const now = moment('2017-05-10T10:00:00');
+    const filters = { date: '2017-01-01', search: 'room' };
+
+    it('returns the saved filters without a date rule', () => {
+      expect(getSavedSearchFilters({ dateRule: '', filters }, now)).to.equal(filters);
+    });
+
+    it('returns the filters with the date of the date rule', () => {
+      expect(getSavedSearchFilters({ dateRule: 'tomorrow', filters }, now)).to.deep.equal({
+        date: '2017-05-11',
+        search: 'room',
+      });
+    });
+  });
+});
@@ -9,9 +9,23 @@ function getState(date = '2015-10-10') {
       search: {
         filters: {
           date,
+          days: '',
+          distance: '',
+          duration: '',
+          endTime: '',
+          equipment: '',
+          freeOfCharge: '',
+          lat: '',
+          lon: '',
+          maxPrice: '',
+          municipality: '',
           people: '',
           purpose: 'some-purpose',
           search: '',
+          sort: '',
+          startTime: '',
+          unit: '',
+          view: '',
         },
       },
     },
@@ -8,9 +8,23 @@ function getProps(date = '2015-10-10') {
     location: {
       query: {
         date,
+        days: '',
+        distance: '',
+        duration: '',
+        endTime: '',
+        equipment: '',
+        freeOfCharge: '',
+        lat: '',
+        lon: '',
+        maxPrice: '',
+        municipality: '',
         people: '',
         purpose: 'some-purpose',
         search: '',
+        sort: '',
+        startTime: '',
+        unit: '',
+        view: '',
       },
     },
   };
@@ -37,4 +51,19 @@ describe('Selector: urlSearchFiltersSelector', () => {
 
     expect(actual).to.deep.equal(expected);
   });
+
+  it('returns repeated purpose parameters as a comma separated list', () => {
+    const props = getProps();
+    props.location.query.purpose = ['purpose-1', 'purpose-2'];
+    const actual = urlSearchFiltersSelector({}, props);
+
+    expect(actual.purpose).to.equal('purpose-1,purpose-2');
+  });
+
+  it('returns an empty purpose filter if purpose is not in the url', () => {
+    const props = { location: { query: { date: '2015-10-10' } } };
+    const actual = urlSearchFiltersSelector({}, props);
+
+    expect(actual.purpose).to.equal('');
+  });
 });
@@ -12,7 +12,11 @@ const urlSearchFiltersSelector = createSelector(
       {},
       constants.SUPPORTED_SEARCH_FILTERS,
       filters,
-      { date: getDateString(filters.date) }
+      {
+        date: getDateString(filters.date),
+        // Purposes can be given either as a comma separated list or as repeated parameters.
+        purpose: [].concat(filters.purpose || []).join(','),
+      }
     );
 
     return urlSearchFilters;
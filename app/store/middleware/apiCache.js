@@ -0,0 +1,128 @@
+import { CALL_API } from 'redux-api-middleware';
+
+import constants from 'constants/AppConstants';
+
+// Returns the first part of the endpoint path, for example "resource", or null if the endpoint
+// is not an API url.
+export function getEndpointName(endpoint) {
+  const prefix = `${constants.API_URL}/`;
+  if (typeof endpoint !== 'string' || endpoint.indexOf(prefix) !== 0) {
+    return null;
+  }
+  return endpoint.slice(prefix.length).split(/[/?]/)[0];
+}
+
+// Creates the action of a type descriptor of the API call the same way redux-api-middleware
+// does, with the given payload instead of one made from a response.
+function createTypeAction(action, typeDescriptor, state, payload, error) {
+  const descriptor = typeof typeDescriptor === 'string' ? { type: typeDescriptor } : typeDescriptor;
+  const meta = typeof descriptor.meta === 'function' ?
+    descriptor.meta(action, state) :
+    descriptor.meta;
+  const typeAction = { type: descriptor.type };
+  if (payload !== undefined) {
+    typeAction.payload = payload;
+  }
+  if (meta !== undefined) {
+    typeAction.meta = meta;
+  }
+  if (error) {
+    typeAction.error = true;
+  }
+  return typeAction;
+}
+
+// GET requests with skipCache in the meta of their request type are always made, for example to
+// refresh a view periodically. Their results are still cached for the other requests.
+function isCacheSkipped(action) {
+  const requestType = action[CALL_API].types[0];
+  return Boolean(requestType && requestType.meta && requestType.meta.skipCache);
+}
+
+// Dispatches the request and result actions of the API call from a result of an identical call.
+function replay(action, result, { dispatch, getState }) {
+  const [requestType, successType, failureType] = action[CALL_API].types;
+  dispatch(createTypeAction(action, requestType, getState()));
+  const resultType = result.error ? failureType : successType;
+  return dispatch(createTypeAction(action, resultType, getState(), result.payload, result.error));
+}
+
+// Caches the results of GET requests to the endpoints in API_CACHE_TTLS for their TTL and makes
+// simultaneous identical GET requests only once. Other successful requests clear the cached
+// results of the endpoints they change, see API_CACHE_INVALIDATIONS. Expired results are removed
+// when they are found and whenever a new result is cached.
+const apiCache = (store) => {
+  let cache = {};
+  let pendingRequests = {};
+  let cachedToken = null;
+
+  function pruneExpired() {
+    const now = Date.now();
+    Object.keys(cache).forEach((endpoint) => {
+      if (cache[endpoint].expiresAt <= now) {
+        delete cache[endpoint];
+      }
+    });
+  }
+
+  function invalidate(endpointName) {
+    const invalidatedNames = constants.API_CACHE_INVALIDATIONS[endpointName] || [endpointName];
+    Object.keys(cache).forEach((endpoint) => {
+      if (!endpointName || invalidatedNames.indexOf(getEndpointName(endpoint)) !== -1) {
+        delete cache[endpoint];
+      }
+    });
+  }
+
+  return next => (action) => {
+    if (!action || !action[CALL_API]) {
+      return next(action);
+    }
+    // The results depend on the user, for example whether a resource is a favorite.
+    const { token } = store.getState().auth;
+    if (token !== cachedToken) {
+      cache = {};
+      pendingRequests = {};
+      cachedToken = token;
+    }
+    const { endpoint, method } = action[CALL_API];
+    const endpointName = getEndpointName(endpoint);
+
+    if (method !== 'GET') {
+      return Promise.resolve(next(action)).then((result) => {
+        if (result && !result.error) {
+          invalidate(endpointName);
+        }
+        return result;
+      });
+    }
+
+    const cached = cache[endpoint];
+    if (cached && cached.expiresAt > Date.now() && !isCacheSkipped(action)) {
+      return Promise.resolve(replay(action, cached.result, store));
+    }
+    if (cached) {
+      delete cache[endpoint];
+    }
+    if (pendingRequests[endpoint]) {
+      return pendingRequests[endpoint].then(result => replay(action, result, store));
+    }
+
+    const request = Promise.resolve(next(action)).then((result) => {
+      if (pendingRequests[endpoint] === request) {
+        delete pendingRequests[endpoint];
+      }
+      const ttl = constants.API_CACHE_TTLS[endpointName];
+      const isComplete = result && !result.error && !(result.payload && result.payload.incomplete);
+      if (ttl && isComplete) {
+        pruneExpired();
+        cache[endpoint] = { expiresAt: Date.now() + ttl, result };
+      }
+      return result;
+    });
+    pendingRequests[endpoint] = request;
+    return request;
+  };
+};
+
+export default apiCache;
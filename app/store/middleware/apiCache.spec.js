@@ -0,0 +1,190 @@
+import { expect } from 'chai';
+import { CALL_API } from 'redux-api-middleware';
+import simple from 'simple-mock';
+
+import constants from 'constants/AppConstants';
+import apiCacheMiddleware, { getEndpointName } from './apiCache';
+
+describe('store/middleware/apiCache', () => {
+  const resourcesEndpoint = `${constants.API_URL}/resource/?search=room`;
+  const successAction = { type: 'SOME_SUCCESS', payload: { some: 'data' }, meta: { source: 'a' } };
+  let auth;
+  let dispatch;
+  let next;
+
+  function getApiAction(endpoint, method = 'GET', source = 'a') {
+    return {
+      [CALL_API]: {
+        endpoint,
+        method,
+        types: [
+          { type: 'SOME_REQUEST', meta: () => ({ source }) },
+          { type: 'SOME_SUCCESS', meta: () => ({ source }) },
+          'SOME_ERROR',
+        ],
+      },
+    };
+  }
+
+  function createMiddleware() {
+    const store = { dispatch, getState: () => ({ auth }) };
+    return apiCacheMiddleware(store)(next);
+  }
+
+  beforeEach(() => {
+    auth = { token: 'mock-token' };
+    dispatch = simple.mock().callFn(action => action);
+    next = simple.mock().resolveWith(successAction);
+  });
+
+  describe('getEndpointName', () => {
+    it('returns the first part of the path of an API endpoint', () => {
+      expect(getEndpointName(`${constants.API_URL}/resource/r-1/?start=x`)).to.equal('resource');
+      expect(getEndpointName(`${constants.API_URL}/unit/`)).to.equal('unit');
+    });
+
+    it('returns null for other urls', () => {
+      expect(getEndpointName('/auth')).to.equal(null);
+    });
+  });
+
+  it('passes actions that are not API calls to next', () => {
+    const action = { type: 'SOME_ACTION' };
+    createMiddleware()(action);
+
+    expect(next.callCount).to.equal(1);
+    expect(next.lastCall.arg).to.equal(action);
+  });
+
+  it('makes a simultaneous identical GET request only once', () => {
+    const handleAction = createMiddleware();
+    return Promise.all([
+      handleAction(getApiAction(resourcesEndpoint)),
+      handleAction(getApiAction(resourcesEndpoint, 'GET', 'b')),
+    ]).then(([first, second]) => {
+      expect(next.callCount).to.equal(1);
+      expect(first).to.equal(successAction);
+      expect(second).to.deep.equal({
+        type: 'SOME_SUCCESS',
+        payload: successAction.payload,
+        meta: { source: 'b' },
+      });
+    });
+  });
+
+  it('dispatches the request and success actions of a deduplicated request', () => {
+    const handleAction = createMiddleware();
+    handleAction(getApiAction(resourcesEndpoint));
+    return handleAction(getApiAction(resourcesEndpoint, 'GET', 'b')).then(() => {
+      expect(dispatch.callCount).to.equal(2);
+      expect(dispatch.calls[0].arg).to.deep.equal({
+        type: 'SOME_REQUEST',
+        meta: { source: 'b' },
+      });
+      expect(dispatch.calls[1].arg.type).to.equal('SOME_SUCCESS');
+    });
+  });
+
+  it('reuses the result of a GET request while it is fresh', () => {
+    const handleAction = createMiddleware();
+    return handleAction(getApiAction(resourcesEndpoint))
+      .then(() => handleAction(getApiAction(resourcesEndpoint)))
+      .then((result) => {
+        expect(next.callCount).to.equal(1);
+        expect(result.payload).to.equal(successAction.payload);
+      });
+  });
+
+  it('makes a GET request with skipCache in its meta even if the result is fresh', () => {
+    const handleAction = createMiddleware();
+    const skippingAction = getApiAction(resourcesEndpoint);
+    skippingAction[CALL_API].types[0] = { type: 'SOME_REQUEST', meta: { skipCache: true } };
+    return handleAction(getApiAction(resourcesEndpoint))
+      .then(() => handleAction(skippingAction))
+      .then(() => handleAction(getApiAction(resourcesEndpoint)))
+      .then(() => {
+        expect(next.callCount).to.equal(2);
+        expect(next.lastCall.arg).to.equal(skippingAction);
+      });
+  });
+
+  it('does not reuse the result after its TTL', () => {
+    const handleAction = createMiddleware();
+    let now = Date.now();
+    simple.mock(Date, 'now').callFn(() => now);
+    return handleAction(getApiAction(resourcesEndpoint))
+      .then(() => {
+        now += constants.API_CACHE_TTLS.resource + 1;
+        return handleAction(getApiAction(resourcesEndpoint));
+      })
+      .then(() => {
+        simple.restore();
+        expect(next.callCount).to.equal(2);
+      });
+  });
+
+  it('does not cache the results of endpoints without a TTL', () => {
+    const handleAction = createMiddleware();
+    const endpoint = `${constants.API_URL}/reservation/`;
+    return handleAction(getApiAction(endpoint))
+      .then(() => handleAction(getApiAction(endpoint)))
+      .then(() => {
+        expect(next.callCount).to.equal(2);
+      });
+  });
+
+  it('does not cache failed requests', () => {
+    next = simple.mock().resolveWith({ type: 'SOME_ERROR', error: true });
+    const handleAction = createMiddleware();
+    return handleAction(getApiAction(resourcesEndpoint))
+      .then(() => handleAction(getApiAction(resourcesEndpoint)))
+      .then(() => {
+        expect(next.callCount).to.equal(2);
+      });
+  });
+
+  it('does not cache incomplete results', () => {
+    next = simple.mock().resolveWith({ ...successAction, payload: { incomplete: true } });
+    const handleAction = createMiddleware();
+    return handleAction(getApiAction(resourcesEndpoint))
+      .then(() => handleAction(getApiAction(resourcesEndpoint)))
+      .then(() => {
+        expect(next.callCount).to.equal(2);
+      });
+  });
+
+  it('clears the cached resources after a reservation is made', () => {
+    const handleAction = createMiddleware();
+    const reservationAction = getApiAction(`${constants.API_URL}/reservation/`, 'POST');
+    return handleAction(getApiAction(resourcesEndpoint))
+      .then(() => handleAction(reservationAction))
+      .then(() => handleAction(getApiAction(resourcesEndpoint)))
+      .then(() => {
+        expect(next.callCount).to.equal(3);
+      });
+  });
+
+  it('keeps the cached units after a reservation is made', () => {
+    const handleAction = createMiddleware();
+    const unitsEndpoint = `${constants.API_URL}/unit/`;
+    const reservationAction = getApiAction(`${constants.API_URL}/reservation/1/`, 'DELETE');
+    return handleAction(getApiAction(unitsEndpoint))
+      .then(() => handleAction(reservationAction))
+      .then(() => handleAction(getApiAction(unitsEndpoint)))
+      .then(() => {
+        expect(next.callCount).to.equal(2);
+      });
+  });
+
+  it('clears the cache when the user changes', () => {
+    const handleAction = createMiddleware();
+    return handleAction(getApiAction(resourcesEndpoint))
+      .then(() => {
+        auth = { token: null };
+        return handleAction(getApiAction(resourcesEndpoint));
+      })
+      .then(() => {
+        expect(next.callCount).to.equal(2);
+      });
+  });
+});
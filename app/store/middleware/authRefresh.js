@@ -0,0 +1,78 @@
+import { CALL_API } from 'redux-api-middleware';
+
+import { fetchAuthState } from 'actions/authActions';
+import types from 'constants/ActionTypes';
+import constants from 'constants/AppConstants';
+
+function isAuthAction(action) {
+  const requestType = action[CALL_API].types[0];
+  return (requestType.type || requestType) === types.API.AUTH_GET_REQUEST;
+}
+
+function isExpiring(expiresAt) {
+  if (!expiresAt) {
+    return false;
+  }
+  return new Date(expiresAt).getTime() - constants.AUTH_REFRESH_MARGIN < Date.now();
+}
+
+// Marks a 401 failure with authRetry in its meta so that reducers can ignore it, as the request
+// is made again after the auth state has been refreshed.
+export function markUnauthorizedFailure(action) {
+  const callAPI = action[CALL_API];
+  const [requestType, successType, failureType] = callAPI.types;
+  const failureDescriptor = typeof failureType === 'string' ? { type: failureType } : failureType;
+  const getMeta = (...args) => {
+    const meta = typeof failureDescriptor.meta === 'function' ?
+      failureDescriptor.meta(...args) :
+      failureDescriptor.meta;
+    const response = args[2];
+    return response && response.status === 401 ? { ...meta, authRetry: true } : meta;
+  };
+
+  return {
+    ...action,
+    [CALL_API]: {
+      ...callAPI,
+      types: [requestType, successType, { ...failureDescriptor, meta: getMeta }],
+    },
+  };
+}
+
+// Refreshes the auth state before API requests when the token is about to expire, and makes a
+// request again once if it failed because the token was no longer accepted.
+const authRefresh = ({ dispatch, getState }) => {
+  let refreshRequest = null;
+
+  function refresh() {
+    if (!refreshRequest) {
+      refreshRequest = dispatch(fetchAuthState()).then((result) => {
+        refreshRequest = null;
+        return result;
+      });
+    }
+    return refreshRequest;
+  }
+
+  return next => (action) => {
+    if (!action || !action[CALL_API] || isAuthAction(action)) {
+      return next(action);
+    }
+    const { expiresAt, token } = getState().auth;
+    if (!token) {
+      return next(action);
+    }
+    const beforeRequest = isExpiring(expiresAt) ? refresh() : Promise.resolve();
+
+    return beforeRequest
+      .then(() => next(markUnauthorizedFailure(action)))
+      .then((result) => {
+        if (!result || !result.meta || !result.meta.authRetry) {
+          return result;
+        }
+        return refresh().then(() => next(action));
+      });
+  };
+};
+
+export default authRefresh;
@@ -0,0 +1,120 @@
+import { expect } from 'chai';
+import { CALL_API } from 'redux-api-middleware';
+import simple from 'simple-mock';
+
+import types from 'constants/ActionTypes';
+import authRefreshMiddleware, { markUnauthorizedFailure } from './authRefresh';
+
+describe('store/middleware/authRefresh', () => {
+  const failureMeta = { API_ACTION: { apiRequestFinish: true } };
+  const apiAction = {
+    [CALL_API]: {
+      endpoint: 'some/endpoint',
+      types: [
+        { type: 'SOME_REQUEST' },
+        { type: 'SOME_SUCCESS' },
+        { type: 'SOME_ERROR', meta: () => failureMeta },
+      ],
+    },
+  };
+  const successAction = { type: 'SOME_SUCCESS' };
+  const retryFailureAction = { type: 'SOME_ERROR', error: true, meta: { authRetry: true } };
+  let auth;
+  let dispatch;
+  let next;
+
+  function callMiddleware(...actions) {
+    const store = { dispatch, getState: () => ({ auth }) };
+    const handleAction = authRefreshMiddleware(store)(next);
+    const results = actions.map(handleAction);
+    return results.length > 1 ? Promise.all(results) : results[0];
+  }
+
+  beforeEach(() => {
+    auth = { expiresAt: null, token: 'mock-token', userId: 'u-1' };
+    dispatch = simple.mock().resolveWith({ type: types.API.AUTH_GET_SUCCESS });
+    next = simple.mock().resolveWith(successAction);
+  });
+
+  it('passes actions that are not API calls to next', () => {
+    const action = { type: 'SOME_ACTION' };
+    callMiddleware(action);
+
+    expect(next.callCount).to.equal(1);
+    expect(next.lastCall.arg).to.equal(action);
+  });
+
+  it('passes API calls as they are to next if the user is not logged in', () => {
+    auth = { expiresAt: null, token: null, userId: null };
+    callMiddleware(apiAction);
+
+    expect(next.lastCall.arg).to.equal(apiAction);
+    expect(dispatch.callCount).to.equal(0);
+  });
+
+  it('makes the request without refreshing if the token is not about to expire', () => {
+    auth.expiresAt = new Date(Date.now() + (60 * 60 * 1000)).toISOString();
+    return callMiddleware(apiAction).then((result) => {
+      expect(dispatch.callCount).to.equal(0);
+      expect(next.callCount).to.equal(1);
+      expect(result).to.equal(successAction);
+    });
+  });
+
+  it('refreshes the auth state before the request if the token is about to expire', () => {
+    auth.expiresAt = new Date(Date.now() + (60 * 1000)).toISOString();
+    return callMiddleware(apiAction).then(() => {
+      expect(dispatch.callCount).to.equal(1);
+      expect(dispatch.lastCall.arg[CALL_API].endpoint).to.equal('/auth');
+      expect(next.callCount).to.equal(1);
+    });
+  });
+
+  it('refreshes the auth state only once for simultaneous requests', () => {
+    auth.expiresAt = new Date(Date.now() - 1000).toISOString();
+    return callMiddleware(apiAction, apiAction).then(() => {
+      expect(dispatch.callCount).to.equal(1);
+      expect(next.callCount).to.equal(2);
+    });
+  });
+
+  it('does not refresh before the auth request itself', () => {
+    auth.expiresAt = new Date(Date.now() - 1000).toISOString();
+    const authAction = {
+      [CALL_API]: { types: [{ type: types.API.AUTH_GET_REQUEST }] },
+    };
+    callMiddleware(authAction);
+
+    expect(dispatch.callCount).to.equal(0);
+    expect(next.lastCall.arg).to.equal(authAction);
+  });
+
+  it('refreshes the auth state and makes the request again if it was unauthorized', () => {
+    next = simple.mock();
+    next.resolveWith(retryFailureAction).resolveWith(successAction);
+    return callMiddleware(apiAction).then((result) => {
+      expect(dispatch.callCount).to.equal(1);
+      expect(next.callCount).to.equal(2);
+      expect(next.lastCall.arg).to.equal(apiAction);
+      expect(result).to.equal(successAction);
+    });
+  });
+
+  describe('markUnauthorizedFailure', () => {
+    const failureType = markUnauthorizedFailure(apiAction)[CALL_API].types[2];
+
+    it('keeps the failure type', () => {
+      expect(failureType.type).to.equal('SOME_ERROR');
+    });
+
+    it('adds authRetry to the meta of 401 failures', () => {
+      const meta = failureType.meta(apiAction, {}, { status: 401 });
+      expect(meta).to.deep.equal({ ...failureMeta, authRetry: true });
+    });
+
+    it('keeps the meta of other failures', () => {
+      const meta = failureType.meta(apiAction, {}, { status: 400 });
+      expect(meta).to.deep.equal(failureMeta);
+    });
+  });
+});
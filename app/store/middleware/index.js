@@ -3,14 +3,20 @@ import { apiMiddleware } from 'redux-api-middleware';
 import createLogger from 'redux-logger';
 import thunk from 'redux-thunk';
 
+import apiCache from './apiCache';
+import authRefresh from './authRefresh';
+import localeCookie from './localeCookie';
 import persistState from './persistState';
 import tracking from './tracking';
 
 const isDevelopment = process.env.NODE_ENV !== 'production';
 const storeEnhancers = [
   applyMiddleware(thunk),
+  applyMiddleware(apiCache),
+  applyMiddleware(authRefresh),
   applyMiddleware(apiMiddleware),
   applyMiddleware(tracking),
+  applyMiddleware(localeCookie),
   persistState,
 ];
 
@@ -0,0 +1,16 @@
+import { UPDATE } from 'react-intl-redux';
+
+import constants from 'constants/AppConstants';
+
+const localeCookie = () => next => (action) => {
+  const isPersisted = !action.meta || action.meta.persist !== false;
+  if (action.type === UPDATE && action.payload.locale && isPersisted) {
+    const { LOCALE_COOKIE, LOCALE_COOKIE_MAX_AGE } = constants;
+    document.cookie = (
+      `${LOCALE_COOKIE}=${action.payload.locale}; max-age=${LOCALE_COOKIE_MAX_AGE}; path=/`
+    );
+  }
+  return next(action);
+};
+
+export default localeCookie;
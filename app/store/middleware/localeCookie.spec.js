@@ -0,0 +1,38 @@
+import { expect } from 'chai';
+import { updateIntl } from 'react-intl-redux';
+import simple from 'simple-mock';
+
+import { changeLocale } from 'i18n';
+import localeCookieMiddleware from './localeCookie';
+
+describe('store/middleware/localeCookie', () => {
+  let next;
+
+  beforeEach(() => {
+    next = simple.mock();
+    document.cookie = 'locale=; max-age=0; path=/';
+  });
+
+  it('keeps a changed locale in the locale cookie', () => {
+    const action = updateIntl({ locale: 'en', messages: {} });
+    localeCookieMiddleware()(next)(action);
+
+    expect(document.cookie).to.contain('locale=en');
+    expect(next.lastCall.arg).to.equal(action);
+  });
+
+  it('does not set the cookie if the locale is not persisted', () => {
+    const action = changeLocale('en', { persist: false });
+    localeCookieMiddleware()(next)(action);
+
+    expect(document.cookie).to.not.contain('locale=');
+    expect(next.lastCall.arg).to.equal(action);
+  });
+
+  it('does not set the cookie for other actions', () => {
+    localeCookieMiddleware()(next)({ type: 'SOME_ACTION' });
+
+    expect(document.cookie).to.not.contain('locale=');
+    expect(next.callCount).to.equal(1);
+  });
+});
@@ -4,7 +4,7 @@ import adapter from 'redux-localstorage/lib/adapters/localStorage';
 import filter from 'redux-localstorage-filter';
 
 const storage = compose(
-  filter('intl.locale')
+  filter(['resourceGroups', 'savedSearches'])
 )(adapter(window.localStorage));
 
 export default persistState(storage);
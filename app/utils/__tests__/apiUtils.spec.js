@@ -1,10 +1,12 @@
 import { expect } from 'chai';
 import { CALL_API } from 'redux-api-middleware';
+import simple from 'simple-mock';
 
 import constants from 'constants/AppConstants';
 import {
   buildAPIUrl,
   createTransformFunction,
+  fetchFollowingPages,
   getErrorTypeDescriptor,
   getHeadersCreator,
   getRequestTypeDescriptor,
@@ -87,6 +89,67 @@ describe('Utils: apiUtils', () => {
     });
   });
 
+  describe('fetchFollowingPages', () => {
+    const headers = { Authorization: 'JWT mock-token' };
+    const firstPage = { count: 3, next: 'page-2', results: [{ id: 1 }] };
+    const pages = {
+      'page-2': { count: 3, next: 'page-3', results: [{ id: 2 }] },
+      'page-3': { count: 3, next: null, results: [{ id: 3 }] },
+    };
+
+    function mockFetch(failingUrl) {
+      simple.mock(global, 'fetch').callFn(url => Promise.resolve({
+        json: () => Promise.resolve(pages[url]),
+        ok: url !== failingUrl,
+        status: url !== failingUrl ? 200 : 500,
+      }));
+    }
+
+    afterEach(() => {
+      simple.restore();
+    });
+
+    it('returns the response as it is if there are no following pages', () => {
+      mockFetch();
+      const json = { count: 1, next: null, results: [{ id: 1 }] };
+      return fetchFollowingPages(json, headers).then((result) => {
+        expect(result).to.equal(json);
+        expect(global.fetch.callCount).to.equal(0);
+      });
+    });
+
+    it('fetches the following pages with the given headers', () => {
+      mockFetch();
+      return fetchFollowingPages(firstPage, headers).then(() => {
+        expect(global.fetch.callCount).to.equal(2);
+        expect(global.fetch.calls[0].args).to.deep.equal(['page-2', { headers }]);
+        expect(global.fetch.calls[1].args).to.deep.equal(['page-3', { headers }]);
+      });
+    });
+
+    it('returns the results of all the pages', () => {
+      mockFetch();
+      return fetchFollowingPages(firstPage, headers).then((result) => {
+        expect(result).to.deep.equal({
+          count: 3,
+          next: null,
+          results: [{ id: 1 }, { id: 2 }, { id: 3 }],
+        });
+      });
+    });
+
+    it('rejects with the status if a page can not be fetched', () => {
+      mockFetch('page-3');
+      return fetchFollowingPages(firstPage, headers).then(
+        () => { throw new Error('Expected a rejection'); },
+        (status) => {
+          expect(status).to.equal(500);
+          expect(global.fetch.callCount).to.equal(2);
+        }
+      );
+    });
+  });
+
   describe('getErrorTypeDescriptor', () => {
     const actionType = 'SOME_GET_ERROR';
 
@@ -390,5 +453,60 @@ describe('Utils: apiUtils', () => {
         expect(actual).to.deep.equal(expected);
       });
     });
+
+    describe('the payload function', () => {
+      const mockAction = {
+        [CALL_API]: {
+          headers: () => ({}),
+          types: [{ type: 'SOME_GET_REQUEST' }],
+        },
+      };
+
+      function getResponse(json) {
+        return {
+          headers: { get: () => 'application/json' },
+          json: () => Promise.resolve(json),
+        };
+      }
+
+      afterEach(() => {
+        simple.restore();
+      });
+
+      it('fetches the following pages if the response is paginated', () => {
+        simple.mock(global, 'fetch').resolveWith({
+          json: () => Promise.resolve({ next: null, results: [{ id: 2 }] }),
+          ok: true,
+        });
+        const typeDescriptor = getSuccessTypeDescriptor(actionType, { paginated: true });
+        const response = getResponse({ next: 'page-2', results: [{ id: 1 }] });
+        return typeDescriptor.payload(mockAction, {}, response).then((payload) => {
+          expect(payload.results).to.deep.equal([{ id: 1 }, { id: 2 }]);
+        });
+      });
+
+      it('marks the payload incomplete if a following page can not be fetched', () => {
+        simple.mock(global, 'fetch').resolveWith({ ok: false, status: 500 });
+        const typeDescriptor = getSuccessTypeDescriptor(actionType, { paginated: true });
+        const response = getResponse({ next: 'page-2', results: [{ id: 1 }] });
+        return typeDescriptor.payload(mockAction, {}, response).then((payload) => {
+          expect(payload).to.deep.equal({
+            incomplete: true,
+            next: 'page-2',
+            results: [{ id: 1 }],
+          });
+        });
+      });
+
+      it('does not fetch the following pages otherwise', () => {
+        simple.mock(global, 'fetch');
+        const typeDescriptor = getSuccessTypeDescriptor(actionType);
+        const response = getResponse({ next: 'page-2', results: [{ id: 1 }] });
+        return typeDescriptor.payload(mockAction, {}, response).then((payload) => {
+          expect(payload.results).to.deep.equal([{ id: 1 }]);
+          expect(global.fetch.callCount).to.equal(0);
+        });
+      });
+    });
   });
 });
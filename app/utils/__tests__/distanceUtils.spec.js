@@ -0,0 +1,41 @@
+import { expect } from 'chai';
+
+import { formatDistance, getDistance, getUnitCoordinates } from 'utils/distanceUtils';
+
+describe('Utils: distanceUtils', () => {
+  describe('getDistance', () => {
+    it('returns 0 for the same point', () => {
+      const point = { lat: 60.17, lon: 24.94 };
+      expect(getDistance(point, point)).to.equal(0);
+    });
+
+    it('returns the distance between the points in meters', () => {
+      const helsinki = { lat: 60.1699, lon: 24.9384 };
+      const espoo = { lat: 60.2055, lon: 24.6559 };
+      const distance = getDistance(helsinki, espoo);
+      expect(distance).to.be.within(16000, 16300);
+    });
+  });
+
+  describe('formatDistance', () => {
+    it('returns distances under a kilometer in meters', () => {
+      expect(formatDistance(347)).to.equal('350 m');
+    });
+
+    it('returns longer distances in kilometers', () => {
+      expect(formatDistance(1234)).to.equal('1.2 km');
+    });
+  });
+
+  describe('getUnitCoordinates', () => {
+    it('returns the latitude and longitude of the unit location', () => {
+      const unit = { location: { coordinates: [24.94, 60.17], type: 'Point' } };
+      expect(getUnitCoordinates(unit)).to.deep.equal({ lat: 60.17, lon: 24.94 });
+    });
+
+    it('returns null if the unit has no location', () => {
+      expect(getUnitCoordinates({ location: null })).to.be.null;
+      expect(getUnitCoordinates(undefined)).to.be.null;
+    });
+  });
+});
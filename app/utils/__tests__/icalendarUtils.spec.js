@@ -0,0 +1,108 @@
+import { expect } from 'chai';
+
+import {
+  getICalendar,
+  getICalendarDataUrl,
+  getICalendarFileName,
+} from 'utils/icalendarUtils';
+
+describe('Utils: icalendarUtils', () => {
+  const reservation = {
+    accessCode: '1234',
+    begin: '2017-04-19T09:00:00+03:00',
+    end: '2017-04-19T10:30:00+03:00',
+    resource: 'r-1',
+    state: 'confirmed',
+    url: 'http://api.hel.fi/respa/v1/reservation/1/',
+  };
+  const resources = { 'r-1': { id: 'r-1', name: 'Meeting room; small', unit: 'u-1' } };
+  const units = {
+    'u-1': {
+      addressZip: '00100',
+      id: 'u-1',
+      municipality: 'helsinki',
+      name: 'Library',
+      streetAddress: 'Street 1',
+    },
+  };
+
+  describe('getICalendar', () => {
+    function getLines(reservations, options) {
+      return getICalendar(reservations, options).split('\r\n');
+    }
+
+    it('returns a calendar with CRLF line endings', () => {
+      const icalendar = getICalendar([]);
+      expect(icalendar).to.equal([
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//City of Helsinki//Varaamo//EN',
+        'CALSCALE:GREGORIAN',
+        'END:VCALENDAR',
+        '',
+      ].join('\r\n'));
+    });
+
+    it('returns an event for each reservation', () => {
+      const lines = getLines([reservation, { ...reservation, url: 'other' }]);
+      expect(lines.filter(line => line === 'BEGIN:VEVENT')).to.have.length(2);
+      expect(lines).to.contain(`UID:${reservation.url}`);
+      expect(lines).to.contain('UID:other');
+    });
+
+    it('returns the times of the reservation in UTC', () => {
+      const lines = getLines([reservation]);
+      expect(lines).to.contain('DTSTART:20170419T060000Z');
+      expect(lines).to.contain('DTEND:20170419T073000Z');
+      expect(lines.some(line => /^DTSTAMP:\d{8}T\d{6}Z$/.test(line))).to.be.true;
+    });
+
+    it('returns the resource name as summary and the unit address as location', () => {
+      const lines = getLines([reservation], { resources, units });
+      expect(lines).to.contain('SUMMARY:Meeting room\\; small');
+      expect(lines).to.contain(
+        'LOCATION:Meeting room\\; small\\, Library\\, Street 1\\, 00100 Helsinki'
+      );
+    });
+
+    it('returns the access code in the description', () => {
+      const lines = getLines([reservation], { accessCodeText: 'PIN code' });
+      expect(lines).to.contain('DESCRIPTION:PIN code 1234');
+    });
+
+    it('does not return a description if there is no access code', () => {
+      const lines = getLines([{ ...reservation, accessCode: null }]);
+      expect(lines.some(line => line.startsWith('DESCRIPTION'))).to.be.false;
+    });
+
+    it('returns the status of the reservation', () => {
+      expect(getLines([reservation])).to.contain('STATUS:CONFIRMED');
+      expect(getLines([{ ...reservation, state: 'requested' }])).to.contain('STATUS:TENTATIVE');
+      expect(getLines([{ ...reservation, state: 'cancelled' }])).to.contain('STATUS:CANCELLED');
+    });
+
+    it('folds lines longer than 75 octets', () => {
+      const longName = 'ä'.repeat(50);
+      const lines = getLines([reservation], { resources: { 'r-1': { name: longName } } });
+      const index = lines.indexOf(`SUMMARY:${'ä'.repeat(33)}`);
+
+      expect(index).to.not.equal(-1);
+      expect(lines[index + 1]).to.equal(` ${'ä'.repeat(17)}`);
+    });
+  });
+
+  describe('getICalendarDataUrl', () => {
+    it('returns the calendar as an url encoded data url', () => {
+      expect(getICalendarDataUrl('BEGIN:VCALENDAR\r\n')).to.equal(
+        'data:text/calendar;charset=utf-8,BEGIN%3AVCALENDAR%0D%0A'
+      );
+    });
+  });
+
+  describe('getICalendarFileName', () => {
+    it('returns a file name with the begin time of the reservation', () => {
+      const begin = '2017-04-19T09:00:00';
+      expect(getICalendarFileName({ begin })).to.equal('varaamo-2017-04-19-0900.ics');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { expect } from 'chai';
+
+import {
+  formatPrice,
+  getDurationInHours,
+  getHourlyPrices,
+  getPriceEstimate,
+} from 'utils/priceUtils';
+
+describe('Utils: priceUtils', () => {
+  const reservations = [
+    { begin: '2016-10-10T10:00:00+03:00', end: '2016-10-10T11:30:00+03:00' },
+    { begin: '2016-10-17T10:00:00+03:00', end: '2016-10-17T12:00:00+03:00' },
+  ];
+
+  describe('getHourlyPrices', () => {
+    it('returns null if the resource has no prices', () => {
+      expect(getHourlyPrices({})).to.be.null;
+      expect(getHourlyPrices({ maxPricePerHour: null, minPricePerHour: null })).to.be.null;
+    });
+
+    it('returns the min and max prices as numbers', () => {
+      const resource = { maxPricePerHour: '20.00', minPricePerHour: '10.00' };
+      expect(getHourlyPrices(resource)).to.deep.equal({ max: 20, min: 10 });
+    });
+
+    it('uses the only given price as both the min and max price', () => {
+      expect(getHourlyPrices({ maxPricePerHour: '15' })).to.deep.equal({ max: 15, min: 15 });
+      expect(getHourlyPrices({ minPricePerHour: '15' })).to.deep.equal({ max: 15, min: 15 });
+    });
+
+    it('returns zero prices for free resources', () => {
+      expect(getHourlyPrices({ minPricePerHour: '0' })).to.deep.equal({ max: 0, min: 0 });
+    });
+  });
+
+  describe('getDurationInHours', () => {
+    it('returns the duration of the reservation in hours', () => {
+      expect(getDurationInHours(reservations[0])).to.equal(1.5);
+    });
+  });
+
+  describe('getPriceEstimate', () => {
+    it('returns null if the price of the resource is not known', () => {
+      expect(getPriceEstimate({}, reservations)).to.be.null;
+    });
+
+    it('returns the price of each reservation and the total price', () => {
+      const resource = { maxPricePerHour: '20', minPricePerHour: '10' };
+      const estimate = getPriceEstimate(resource, reservations);
+
+      expect(estimate.items).to.deep.equal([
+        { ...reservations[0], hours: 1.5, max: 30, min: 15 },
+        { ...reservations[1], hours: 2, max: 40, min: 20 },
+      ]);
+      expect(estimate.hours).to.equal(3.5);
+      expect(estimate.min).to.equal(35);
+      expect(estimate.max).to.equal(70);
+      expect(estimate.isFree).to.equal(false);
+    });
+
+    it('rounds the prices to cents', () => {
+      const resource = { minPricePerHour: '10.15' };
+      const estimate = getPriceEstimate(resource, [reservations[0]]);
+      expect(estimate.min).to.equal(15.23);
+    });
+
+    it('marks the estimate of a free resource as free', () => {
+      const estimate = getPriceEstimate({ minPricePerHour: '0.00' }, reservations);
+      expect(estimate.isFree).to.equal(true);
+      expect(estimate.max).to.equal(0);
+    });
+  });
+
+  describe('formatPrice', () => {
+    it('returns a single price if min and max are the same', () => {
+      expect(formatPrice({ max: 30, min: 30 })).to.equal('30 €');
+    });
+
+    it('returns a range if min and max differ', () => {
+      expect(formatPrice({ max: 30.5, min: 15 })).to.equal('15 - 30.50 €');
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { expect } from 'chai';
+
+import { getPurposeIdsWithSubPurposes, getSubPurposes } from 'utils/purposeUtils';
+
+describe('Utils: purposeUtils', () => {
+  const purposes = {
+    'child-a': { id: 'child-a', name: 'A', parent: 'parent' },
+    'child-b': { id: 'child-b', name: 'B', parent: 'parent' },
+    grandchild: { id: 'grandchild', name: 'C', parent: 'child-b' },
+    other: { id: 'other', name: 'D', parent: null },
+    parent: { id: 'parent', name: 'E', parent: null },
+  };
+
+  describe('getSubPurposes', () => {
+    it('returns the purposes directly under the parent ordered by name', () => {
+      const subPurposes = getSubPurposes(purposes, 'parent');
+      expect(subPurposes).to.deep.equal([purposes['child-a'], purposes['child-b']]);
+    });
+
+    it('returns the top level purposes if parent is null', () => {
+      const subPurposes = getSubPurposes(purposes, null);
+      expect(subPurposes).to.deep.equal([purposes.other, purposes.parent]);
+    });
+  });
+
+  describe('getPurposeIdsWithSubPurposes', () => {
+    it('returns the ids and the ids of all purposes under them', () => {
+      const ids = getPurposeIdsWithSubPurposes(['parent', 'other'], purposes);
+      expect(ids).to.deep.equal(['parent', 'child-a', 'child-b', 'grandchild', 'other']);
+    });
+
+    it('returns each id only once', () => {
+      const ids = getPurposeIdsWithSubPurposes(['child-b', 'grandchild'], purposes);
+      expect(ids).to.deep.equal(['child-b', 'grandchild']);
+    });
+
+    it('returns the ids of unknown purposes as they are', () => {
+      expect(getPurposeIdsWithSubPurposes(['unknown'], {})).to.deep.equal(['unknown']);
+    });
+  });
+});
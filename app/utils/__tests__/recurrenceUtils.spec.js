@@ -0,0 +1,214 @@
+import { expect } from 'chai';
+import moment from 'moment';
+
+import {
+  formatRRule,
+  getRecurrenceDates,
+  getWeekdayOrdinal,
+  isLastWeekdayOfMonth,
+  parseRRule,
+} from 'utils/recurrenceUtils';
+
+describe('Utils: recurrenceUtils', () => {
+  describe('getRecurrenceDates', () => {
+    // 2017-04-18 is the third and not the last Tuesday of April.
+    const baseDate = '2017-04-18';
+
+    function getDates(rule, baseDateValue = baseDate, options = { count: 3 }) {
+      return getRecurrenceDates(rule, baseDateValue, options).map(
+        date => date.format('YYYY-MM-DD')
+      );
+    }
+
+    it('returns an empty array if frequency is not supported', () => {
+      expect(getDates({ frequency: '' })).to.deep.equal([]);
+    });
+
+    it('returns dates every interval days', () => {
+      const dates = getDates({ frequency: 'days', interval: 2 });
+      expect(dates).to.deep.equal(['2017-04-20', '2017-04-22', '2017-04-24']);
+    });
+
+    it('returns dates every week on the weekday of base date by default', () => {
+      const dates = getDates({ frequency: 'weeks' });
+      expect(dates).to.deep.equal(['2017-04-25', '2017-05-02', '2017-05-09']);
+    });
+
+    it('returns dates on the given weekdays after base date', () => {
+      const dates = getDates({ frequency: 'weeks', weekdays: [4, 2] }, baseDate, { count: 4 });
+      expect(dates).to.deep.equal(['2017-04-20', '2017-04-25', '2017-04-27', '2017-05-02']);
+    });
+
+    it('returns dates on the given weekdays every interval weeks', () => {
+      const dates = getDates({ frequency: 'weeks', interval: 2, weekdays: [1, 4] });
+      expect(dates).to.deep.equal(['2017-04-20', '2017-05-01', '2017-05-04']);
+    });
+
+    it('returns dates on the same day of month by default', () => {
+      const dates = getDates({ frequency: 'months' });
+      expect(dates).to.deep.equal(['2017-05-18', '2017-06-18', '2017-07-18']);
+    });
+
+    it('returns dates on the nth weekday of month', () => {
+      const dates = getDates({ frequency: 'months', monthlyMode: 'weekdayOfMonth' });
+      expect(dates).to.deep.equal(['2017-05-16', '2017-06-20', '2017-07-18']);
+    });
+
+    it('skips months that do not have the nth weekday', () => {
+      const rule = { frequency: 'months', monthlyMode: 'weekdayOfMonth' };
+      const dates = getDates(rule, '2017-05-30', { count: 2 });
+      expect(dates).to.deep.equal(['2017-08-29', '2017-10-31']);
+    });
+
+    it('skips months that do not have the day of month of base date', () => {
+      const dates = getDates({ frequency: 'months' }, '2017-01-31', { count: 3 });
+      expect(dates).to.deep.equal(['2017-03-31', '2017-05-31', '2017-07-31']);
+    });
+
+    it('returns dates on the last weekday of month', () => {
+      const rule = { frequency: 'months', monthlyMode: 'lastWeekdayOfMonth' };
+      const dates = getDates(rule, '2017-04-25', { count: 2 });
+      expect(dates).to.deep.equal(['2017-05-30', '2017-06-27']);
+    });
+
+    it('returns dates until the given date', () => {
+      const dates = getDates({ frequency: 'days' }, baseDate, { until: '2017-04-20' });
+      expect(dates).to.deep.equal(['2017-04-19', '2017-04-20']);
+    });
+
+    it('stops at the given date even if count is not reached', () => {
+      const options = { count: 10, until: '2017-05-01' };
+      const dates = getDates({ frequency: 'weeks' }, baseDate, options);
+      expect(dates).to.deep.equal(['2017-04-25']);
+    });
+  });
+
+  describe('getWeekdayOrdinal', () => {
+    it('returns the number of the weekday within the month', () => {
+      expect(getWeekdayOrdinal('2017-04-01')).to.equal(1);
+      expect(getWeekdayOrdinal('2017-04-18')).to.equal(3);
+      expect(getWeekdayOrdinal('2017-05-30')).to.equal(5);
+    });
+  });
+
+  describe('isLastWeekdayOfMonth', () => {
+    it('returns true if the same weekday does not occur later in the month', () => {
+      expect(isLastWeekdayOfMonth('2017-04-25')).to.be.true;
+    });
+
+    it('returns false if the same weekday occurs later in the month', () => {
+      expect(isLastWeekdayOfMonth('2017-04-18')).to.be.false;
+    });
+  });
+
+  describe('formatRRule', () => {
+    const baseTime = {
+      begin: '2017-04-18T15:00:00.000Z',
+      end: '2017-04-18T16:00:00.000Z',
+    };
+    const rule = {
+      exclusionDates: [],
+      frequency: 'weeks',
+      interval: 1,
+      monthlyMode: 'dayOfMonth',
+      numberOfOccurrences: 4,
+      weekdays: [],
+    };
+
+    it('returns an empty string if there is no base time', () => {
+      expect(formatRRule(rule, null)).to.equal('');
+    });
+
+    it('returns an empty string if there is no frequency', () => {
+      expect(formatRRule({ ...rule, frequency: '' }, baseTime)).to.equal('');
+    });
+
+    it('counts the base time as the first occurrence', () => {
+      expect(formatRRule(rule, baseTime)).to.equal('RRULE:FREQ=WEEKLY;COUNT=5');
+    });
+
+    it('includes interval and weekdays of weekly rules', () => {
+      const weeklyRule = { ...rule, interval: 2, weekdays: [4, 2] };
+      expect(formatRRule(weeklyRule, baseTime)).to.equal(
+        'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;COUNT=5'
+      );
+    });
+
+    it('includes the weekday of base time in monthly weekday rules', () => {
+      const monthlyRule = { ...rule, frequency: 'months', monthlyMode: 'weekdayOfMonth' };
+      expect(formatRRule(monthlyRule, baseTime)).to.equal(
+        'RRULE:FREQ=MONTHLY;BYDAY=3TU;COUNT=5'
+      );
+      expect(formatRRule({ ...monthlyRule, monthlyMode: 'lastWeekdayOfMonth' }, baseTime))
+        .to.equal('RRULE:FREQ=MONTHLY;BYDAY=-1TU;COUNT=5');
+    });
+
+    it('returns exclusion dates as an EXDATE line at the time of base time', () => {
+      const exclusionDates = ['2017-05-02', '2017-04-25'];
+      expect(formatRRule({ ...rule, exclusionDates }, baseTime)).to.equal(
+        'RRULE:FREQ=WEEKLY;COUNT=5\nEXDATE:20170425T150000Z,20170502T150000Z'
+      );
+    });
+  });
+
+  describe('parseRRule', () => {
+    it('parses frequency, interval and count', () => {
+      expect(parseRRule('RRULE:FREQ=DAILY;INTERVAL=3;COUNT=5')).to.deep.equal({
+        exclusionDates: [],
+        frequency: 'days',
+        interval: 3,
+        lastTime: null,
+        monthlyMode: 'dayOfMonth',
+        numberOfOccurrences: 4,
+        weekdays: [],
+      });
+    });
+
+    it('parses a rule without the RRULE prefix', () => {
+      expect(parseRRule('FREQ=MONTHLY;COUNT=2').frequency).to.equal('months');
+    });
+
+    it('parses until date as lastTime', () => {
+      const rule = parseRRule('RRULE:FREQ=WEEKLY;UNTIL=20170630T235959Z');
+      expect(rule.lastTime).to.equal('2017-06-30');
+      expect(rule.numberOfOccurrences).to.be.undefined;
+    });
+
+    it('parses weekdays of weekly rules', () => {
+      expect(parseRRule('RRULE:FREQ=WEEKLY;BYDAY=TU,TH;COUNT=10').weekdays).to.deep.equal([2, 4]);
+    });
+
+    it('parses weekday rules of monthly rules', () => {
+      expect(parseRRule('RRULE:FREQ=MONTHLY;BYDAY=3TU').monthlyMode).to.equal('weekdayOfMonth');
+      expect(parseRRule('RRULE:FREQ=MONTHLY;BYDAY=-1TU').monthlyMode).to.equal(
+        'lastWeekdayOfMonth'
+      );
+    });
+
+    it('parses exclusion dates', () => {
+      const text = 'RRULE:FREQ=WEEKLY\nEXDATE;VALUE=DATE:20170425,20170502\nEXDATE:20170509';
+      expect(parseRRule(text).exclusionDates).to.deep.equal([
+        '2017-04-25',
+        '2017-05-02',
+        '2017-05-09',
+      ]);
+    });
+
+    it('parses exclusion date-times as local dates', () => {
+      const exclusionTime = moment('2017-04-25T00:30:00').utc().format('YYYYMMDD[T]HHmmss[Z]');
+      const text = `RRULE:FREQ=WEEKLY\nEXDATE:${exclusionTime}`;
+      expect(parseRRule(text).exclusionDates).to.deep.equal(['2017-04-25']);
+    });
+
+    it('returns null for rules that cannot be expressed', () => {
+      expect(parseRRule('')).to.be.null;
+      expect(parseRRule('RRULE:FREQ=YEARLY')).to.be.null;
+      expect(parseRRule('RRULE:FREQ=WEEKLY;BYHOUR=10')).to.be.null;
+      expect(parseRRule('RRULE:FREQ=WEEKLY;BYDAY=2TU')).to.be.null;
+      expect(parseRRule('RRULE:FREQ=MONTHLY;BYDAY=TU,TH')).to.be.null;
+      expect(parseRRule('RRULE:FREQ=DAILY;INTERVAL=0')).to.be.null;
+      expect(parseRRule('RRULE:FREQ=DAILY\nEXDATE:tomorrow')).to.be.null;
+      expect(parseRRule('RRULE:FREQ=DAILY\nRRULE:FREQ=WEEKLY')).to.be.null;
+    });
+  });
+});
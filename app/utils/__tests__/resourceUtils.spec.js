@@ -5,13 +5,18 @@ import queryString from 'query-string';
 
 import constants from 'constants/AppConstants';
 import {
+  isAvailableBetween,
   isOpenNow,
   getAvailabilityDataForNow,
   getAvailabilityDataForWholeDay,
+  getFreePeriods,
   getHumanizedPeriod,
+  getNextAvailableSlot,
   getOpeningHours,
   getOpenReservations,
+  getReservationConflict,
   getResourcePageUrl,
+  getShiftedReservation,
   getTermsAndConditions,
   reservingIsRestricted,
 } from 'utils/resourceUtils';
@@ -447,6 +452,57 @@ describe('Utils: resourceUtils', () => {
     });
   });
 
+  describe('getFreePeriods', () => {
+    const resource = {
+      openingHours: [{
+        closes: '2017-04-19T20:00:00+03:00',
+        date: '2017-04-19',
+        opens: '2017-04-19T08:00:00+03:00',
+      }],
+      reservations: [
+        { begin: '2017-04-19T12:00:00+03:00', end: '2017-04-19T13:00:00+03:00' },
+        { begin: '2017-04-19T09:00:00+03:00', end: '2017-04-19T10:00:00+03:00' },
+        {
+          begin: '2017-04-19T15:00:00+03:00',
+          end: '2017-04-19T16:00:00+03:00',
+          state: 'cancelled',
+        },
+      ],
+    };
+
+    function getPeriods(begin, end) {
+      return getFreePeriods(resource, begin, end).map(period => ({
+        begin: period.begin.format('HH:mm'),
+        end: period.end.format('HH:mm'),
+      }));
+    }
+
+    it('returns the open times between the reservations', () => {
+      const periods = getPeriods('2017-04-19T00:00:00+03:00', '2017-04-20T00:00:00+03:00');
+      expect(periods).to.deep.equal([
+        { begin: '08:00', end: '09:00' },
+        { begin: '10:00', end: '12:00' },
+        { begin: '13:00', end: '20:00' },
+      ]);
+    });
+
+    it('returns only the times between begin and end', () => {
+      const periods = getPeriods('2017-04-19T09:30:00+03:00', '2017-04-19T14:00:00+03:00');
+      expect(periods).to.deep.equal([
+        { begin: '10:00', end: '12:00' },
+        { begin: '13:00', end: '14:00' },
+      ]);
+    });
+
+    it('returns an empty array if the resource is closed', () => {
+      const closedResource = { openingHours: [{ closes: null, opens: null }] };
+      const periods = getFreePeriods(
+        closedResource, '2017-04-19T00:00:00+03:00', '2017-04-20T00:00:00+03:00'
+      );
+      expect(periods).to.deep.equal([]);
+    });
+  });
+
   describe('getHumanizedPeriod', () => {
     it('returns an empty string if period is undefined', () => {
       const period = undefined;
@@ -470,6 +526,69 @@ describe('Utils: resourceUtils', () => {
     });
   });
 
+  describe('getNextAvailableSlot', () => {
+    const resource = {
+      minPeriod: '00:30:00',
+      openingHours: [
+        {
+          closes: '2017-04-19T20:00:00+03:00',
+          date: '2017-04-19',
+          opens: '2017-04-19T08:00:00+03:00',
+        },
+        {
+          closes: '2017-04-20T20:00:00+03:00',
+          date: '2017-04-20',
+          opens: '2017-04-20T08:00:00+03:00',
+        },
+      ],
+      reservations: [
+        { begin: '2017-04-19T08:00:00+03:00', end: '2017-04-19T19:00:00+03:00' },
+        { begin: '2017-04-20T09:00:00+03:00', end: '2017-04-20T10:00:00+03:00' },
+      ],
+    };
+    const begin = '2017-04-19T00:00:00+03:00';
+    const end = '2017-04-21T00:00:00+03:00';
+
+    function getSlot(duration) {
+      const slot = getNextAvailableSlot(resource, begin, end, duration);
+      return slot && { begin: slot.begin.toISOString(), end: slot.end.toISOString() };
+    }
+
+    beforeEach(() => {
+      MockDate.set('2017-04-18T12:00:00+03:00');
+    });
+
+    afterEach(() => {
+      MockDate.reset();
+    });
+
+    it('returns the earliest free time that is long enough', () => {
+      expect(getSlot(60)).to.deep.equal({
+        begin: moment('2017-04-19T19:00:00+03:00').toISOString(),
+        end: moment('2017-04-19T20:00:00+03:00').toISOString(),
+      });
+      expect(getSlot(120)).to.deep.equal({
+        begin: moment('2017-04-20T10:00:00+03:00').toISOString(),
+        end: moment('2017-04-20T12:00:00+03:00').toISOString(),
+      });
+    });
+
+    it('begins the time at the next time slot after the current time', () => {
+      MockDate.set('2017-04-20T10:10:00+03:00');
+      expect(getSlot(60).begin).to.equal(moment('2017-04-20T10:30:00+03:00').toISOString());
+    });
+
+    it('uses time slots of 30 minutes if the minimum period is zero', () => {
+      MockDate.set('2017-04-20T10:10:00+03:00');
+      const slot = getNextAvailableSlot({ ...resource, minPeriod: '00:00:00' }, begin, end, 60);
+      expect(slot.begin.toISOString()).to.equal(moment('2017-04-20T10:30:00+03:00').toISOString());
+    });
+
+    it('returns null if there is no long enough free time', () => {
+      expect(getSlot(12 * 60)).to.be.null;
+    });
+  });
+
   describe('getOpeningHours', () => {
     it('returns an empty object if given resource is undefined', () => {
       const resource = undefined;
@@ -542,6 +661,60 @@ describe('Utils: resourceUtils', () => {
     });
   });
 
+  describe('getReservationConflict', () => {
+    const resource = {
+      openingHours: [{
+        closes: '2017-04-19T18:00:00+03:00',
+        date: '2017-04-19',
+        opens: '2017-04-19T08:00:00+03:00',
+      }],
+      reservations: [
+        { begin: '2017-04-19T10:00:00+03:00', end: '2017-04-19T11:00:00+03:00' },
+        {
+          begin: '2017-04-19T12:00:00+03:00',
+          end: '2017-04-19T13:00:00+03:00',
+          state: 'cancelled',
+        },
+      ],
+      userPermissions: { isAdmin: false },
+    };
+
+    function getConflict(begin, end, extraResource) {
+      return getReservationConflict({ ...resource, ...extraResource }, { begin, end });
+    }
+
+    it('returns null if the reservation can be made', () => {
+      expect(getConflict('2017-04-19T11:00:00+03:00', '2017-04-19T12:00:00+03:00')).to.be.null;
+    });
+
+    it('returns "reserved" if the reservation overlaps an open reservation', () => {
+      expect(getConflict('2017-04-19T10:30:00+03:00', '2017-04-19T11:30:00+03:00'))
+        .to.equal('reserved');
+    });
+
+    it('ignores cancelled reservations', () => {
+      expect(getConflict('2017-04-19T12:00:00+03:00', '2017-04-19T13:00:00+03:00')).to.be.null;
+    });
+
+    it('returns "closed" if the reservation is outside opening hours', () => {
+      expect(getConflict('2017-04-19T17:30:00+03:00', '2017-04-19T18:30:00+03:00'))
+        .to.equal('closed');
+    });
+
+    it('returns "closed" if the resource is closed for the whole day', () => {
+      const openingHours = [{ closes: null, date: '2017-04-19', opens: null }];
+      expect(getConflict('2017-04-19T11:00:00+03:00', '2017-04-19T12:00:00+03:00', { openingHours }))
+        .to.equal('closed');
+    });
+
+    it('returns "reservingRestricted" if the reservation is after reservableBefore', () => {
+      const reservableBefore = '2017-04-18';
+      expect(
+        getConflict('2017-04-19T11:00:00+03:00', '2017-04-19T12:00:00+03:00', { reservableBefore })
+      ).to.equal('reservingRestricted');
+    });
+  });
+
   describe('getResourcePageUrl', () => {
     it('returns an empty string if resource is undefined', () => {
       const resource = undefined;
@@ -574,6 +747,14 @@ describe('Utils: resourceUtils', () => {
       expect(resourcePageUrl).to.equal(expected);
     });
 
+    it('returns the week view in the url', () => {
+      const resource = { id: 'some-id' };
+      expect(getResourcePageUrl(resource, '2015-10-10', undefined, undefined, 'week'))
+        .to.equal(`/resources/${resource.id}?date=2015-10-10&view=week`);
+      expect(getResourcePageUrl(resource, '2015-10-10', undefined, undefined, 'day'))
+        .to.equal(`/resources/${resource.id}?date=2015-10-10`);
+    });
+
     it('returns correct url if date is given in datetime format', () => {
       const resource = { id: 'some-id' };
       const date = '2015-10-10T08:00:00+03:00';
@@ -592,6 +773,63 @@ describe('Utils: resourceUtils', () => {
 
       expect(resourcePageUrl).to.equal(expected);
     });
+
+    it('returns correct url if date, time and end are given', () => {
+      const resource = { id: 'some-id' };
+      const date = '2015-10-10';
+      const time = '2015-10-10T08:00:00+03:00';
+      const end = '2015-10-10T10:00:00+03:00';
+      const resourcePageUrl = getResourcePageUrl(resource, date, time, end);
+      const expected = `/resources/${resource.id}?${queryString.stringify({ date, end, time })}`;
+
+      expect(resourcePageUrl).to.equal(expected);
+    });
+  });
+
+  describe('getShiftedReservation', () => {
+    const resource = {
+      minPeriod: '00:30:00',
+      openingHours: [{
+        closes: '2017-04-19T12:00:00+03:00',
+        date: '2017-04-19',
+        opens: '2017-04-19T08:00:00+03:00',
+      }],
+      reservations: [
+        { begin: '2017-04-19T09:00:00+03:00', end: '2017-04-19T10:30:00+03:00' },
+      ],
+    };
+
+    function getShifted(begin, end, extraResource) {
+      const shifted = getShiftedReservation({ ...resource, ...extraResource }, { begin, end });
+      return shifted && moment(shifted.begin).utcOffset(180).format('HH:mm');
+    }
+
+    it('returns the closest free time of the same day', () => {
+      expect(getShifted('2017-04-19T09:30:00+03:00', '2017-04-19T10:30:00+03:00'))
+        .to.equal('10:30');
+    });
+
+    it('prefers later times if earlier and later are equally close', () => {
+      expect(getShifted('2017-04-19T09:30:00+03:00', '2017-04-19T10:00:00+03:00'))
+        .to.equal('10:30');
+    });
+
+    it('moves reservations back inside opening hours', () => {
+      expect(getShifted('2017-04-19T11:30:00+03:00', '2017-04-19T12:30:00+03:00'))
+        .to.equal('11:00');
+    });
+
+    it('returns null if there is no free time on the same day', () => {
+      const openingHours = [{ closes: null, date: '2017-04-19', opens: null }];
+      expect(getShifted('2017-04-19T10:00:00+03:00', '2017-04-19T11:00:00+03:00', { openingHours }))
+        .to.be.null;
+    });
+
+    it('uses steps of 30 minutes if the resource has no minimum period', () => {
+      const minPeriod = '00:00:00';
+      expect(getShifted('2017-04-19T09:30:00+03:00', '2017-04-19T10:30:00+03:00', { minPeriod }))
+        .to.equal('10:30');
+    });
   });
 
   describe('getTermsAndConditions', () => {
@@ -638,6 +876,59 @@ describe('Utils: resourceUtils', () => {
     });
   });
 
+  describe('isAvailableBetween', () => {
+    const resource = {
+      openingHours: [{
+        closes: '2017-04-19T20:00:00+03:00',
+        date: '2017-04-19',
+        opens: '2017-04-19T08:00:00+03:00',
+      }],
+      reservations: [
+        { begin: '2017-04-19T17:30:00+03:00', end: '2017-04-19T18:00:00+03:00' },
+      ],
+    };
+
+    beforeEach(() => {
+      MockDate.set('2017-04-19T07:00:00+03:00');
+    });
+
+    afterEach(() => {
+      MockDate.reset();
+    });
+
+    it('returns true if there is a long enough free period', () => {
+      const begin = '2017-04-19T17:00:00+03:00';
+      const end = '2017-04-19T20:00:00+03:00';
+      expect(isAvailableBetween(resource, begin, end, 120)).to.be.true;
+    });
+
+    it('returns false if the free periods are too short', () => {
+      const begin = '2017-04-19T17:00:00+03:00';
+      const end = '2017-04-19T19:00:00+03:00';
+      expect(isAvailableBetween(resource, begin, end, 120)).to.be.false;
+    });
+
+    it('returns false if the resource is closed for some of the period', () => {
+      const begin = '2017-04-19T19:00:00+03:00';
+      const end = '2017-04-19T21:00:00+03:00';
+      expect(isAvailableBetween(resource, begin, end, 120)).to.be.false;
+    });
+
+    it('does not count time that has already passed', () => {
+      MockDate.set('2017-04-19T18:30:00+03:00');
+      const begin = '2017-04-19T18:00:00+03:00';
+      const end = '2017-04-19T20:00:00+03:00';
+      expect(isAvailableBetween(resource, begin, end, 120)).to.be.false;
+    });
+
+    it('returns false if reserving the date is restricted', () => {
+      const restrictedResource = Object.assign({}, resource, { reservableBefore: '2017-04-01' });
+      const begin = '2017-04-19T08:00:00+03:00';
+      const end = '2017-04-19T10:00:00+03:00';
+      expect(isAvailableBetween(restrictedResource, begin, end, 60)).to.be.false;
+    });
+  });
+
   describe('reservingIsRestricted', () => {
     describe('when no date is given', () => {
       const date = null;
@@ -1,12 +1,48 @@
 import { expect } from 'chai';
+import moment from 'moment';
 
 import {
+  getDateRangeTimeWindows,
   getFetchParamsFromFilters,
+  getPurposeFilterIds,
+  getSearchLocation,
+  getTimeWindow,
   pickSupportedFilters,
+  resourceMatchesFilters,
+  sortSearchResults,
 } from 'utils/searchUtils';
 import { getDateStartAndEndTimes } from 'utils/timeUtils';
 
 describe('Utils: searchUtils', () => {
+  describe('getDateRangeTimeWindows', () => {
+    function getLocalTimes(filters) {
+      return getDateRangeTimeWindows(filters).map(timeWindow => ({
+        begin: moment(timeWindow.begin).format('YYYY-MM-DD HH:mm'),
+        duration: timeWindow.duration,
+        end: moment(timeWindow.end).format('YYYY-MM-DD HH:mm'),
+      }));
+    }
+
+    it('returns null if days is not given', () => {
+      expect(getDateRangeTimeWindows({ date: '2017-04-19' })).to.be.null;
+    });
+
+    it('returns a time window for each day', () => {
+      const filters = { date: '2017-04-19', days: '2', endTime: '19:00', startTime: '17:00' };
+      expect(getLocalTimes(filters)).to.deep.equal([
+        { begin: '2017-04-19 17:00', duration: 120, end: '2017-04-19 19:00' },
+        { begin: '2017-04-20 17:00', duration: 120, end: '2017-04-20 19:00' },
+      ]);
+    });
+
+    it('uses the whole days and an hour long duration by default', () => {
+      const filters = { date: '2017-04-19', days: '1' };
+      expect(getLocalTimes(filters)).to.deep.equal([
+        { begin: '2017-04-19 00:00', duration: 60, end: '2017-04-20 00:00' },
+      ]);
+    });
+  });
+
   describe('getFetchParamsFromFilters', () => {
     const filters = {
       date: '2015-10-10',
@@ -35,10 +71,133 @@ describe('Utils: searchUtils', () => {
       expect(params.unsupported).to.not.exist;
     });
 
+    it('changes date and days to the start and end of the date range', () => {
+      const params = getFetchParamsFromFilters(Object.assign({}, filters, { days: '14' }));
+
+      expect(params.start).to.equal(getDateStartAndEndTimes('2015-10-10').start);
+      expect(params.end).to.equal(getDateStartAndEndTimes('2015-10-23').end);
+      expect(params.days).to.not.exist;
+    });
+
+    it('does not return the filters that are applied to the results', () => {
+      const params = getFetchParamsFromFilters(Object.assign({}, filters, {
+        equipment: 'projector',
+        freeOfCharge: 'true',
+        maxPrice: '20',
+        distance: '1000',
+        lat: '60.17',
+        lon: '24.94',
+        municipality: 'helsinki',
+        sort: 'name',
+        unit: 'some-unit',
+        view: 'list',
+      }));
+      expect(params.equipment).to.not.exist;
+      expect(params.freeOfCharge).to.not.exist;
+      expect(params.maxPrice).to.not.exist;
+      expect(params.municipality).to.not.exist;
+      expect(params.sort).to.not.exist;
+      expect(params.distance).to.not.exist;
+      expect(params.lat).to.not.exist;
+      expect(params.lon).to.not.exist;
+      expect(params.view).to.not.exist;
+      expect(params.unit).to.equal('some-unit');
+    });
+
+    it('does not return the time filters', () => {
+      const params = getFetchParamsFromFilters(
+        Object.assign({}, filters, { duration: '60', endTime: '19:00', startTime: '17:00' })
+      );
+      expect(params.duration).to.not.exist;
+      expect(params.endTime).to.not.exist;
+      expect(params.startTime).to.not.exist;
+    });
+
     it('returns purpose as empty string if filters.purpose is "all"', () => {
       const params = getFetchParamsFromFilters({ purpose: 'all' });
       expect(params.purpose).to.equal('');
     });
+
+    it('returns the purposes with their sub-purposes', () => {
+      const purposes = {
+        child: { id: 'child', parent: 'parent' },
+        other: { id: 'other', parent: null },
+        parent: { id: 'parent', parent: null },
+      };
+      const params = getFetchParamsFromFilters({ purpose: 'parent,other' }, purposes);
+      expect(params.purpose).to.equal('parent,child,other');
+    });
+  });
+
+  describe('getSearchLocation', () => {
+    it('returns the location of the lat and lon filters as numbers', () => {
+      expect(getSearchLocation({ lat: '60.17', lon: '24.94' })).to.deep.equal({
+        lat: 60.17,
+        lon: 24.94,
+      });
+    });
+
+    it('returns null without both coordinates', () => {
+      expect(getSearchLocation({ lat: '60.17', lon: '' })).to.be.null;
+      expect(getSearchLocation({})).to.be.null;
+    });
+  });
+
+  describe('getPurposeFilterIds', () => {
+    it('returns the ids in a comma separated purpose filter', () => {
+      expect(getPurposeFilterIds('purpose-1,purpose-2')).to.deep.equal(['purpose-1', 'purpose-2']);
+    });
+
+    it('returns an empty array for an empty filter or "all"', () => {
+      expect(getPurposeFilterIds('')).to.deep.equal([]);
+      expect(getPurposeFilterIds('all')).to.deep.equal([]);
+    });
+  });
+
+  describe('getTimeWindow', () => {
+    const date = '2017-04-19';
+
+    function getLocalTimeWindow(filters) {
+      const timeWindow = getTimeWindow(Object.assign({ date }, filters));
+      return timeWindow && {
+        begin: moment(timeWindow.begin).format('YYYY-MM-DD HH:mm'),
+        duration: timeWindow.duration,
+        end: moment(timeWindow.end).format('YYYY-MM-DD HH:mm'),
+      };
+    }
+
+    it('returns null if there are no time filters', () => {
+      expect(getTimeWindow({ date })).to.be.null;
+    });
+
+    it('returns the period between the times with its length as the duration', () => {
+      expect(getLocalTimeWindow({ endTime: '19:00', startTime: '17:00' })).to.deep.equal({
+        begin: '2017-04-19 17:00',
+        duration: 120,
+        end: '2017-04-19 19:00',
+      });
+    });
+
+    it('swaps the times if the end time is before the start time', () => {
+      expect(getLocalTimeWindow({ endTime: '17:00', startTime: '19:00' })).to.deep.equal({
+        begin: '2017-04-19 17:00',
+        duration: 120,
+        end: '2017-04-19 19:00',
+      });
+    });
+
+    it('returns the given duration', () => {
+      const filters = { duration: '30', endTime: '19:00', startTime: '17:00' };
+      expect(getLocalTimeWindow(filters).duration).to.equal(30);
+    });
+
+    it('uses the whole day if times are not given', () => {
+      expect(getLocalTimeWindow({ duration: '90' })).to.deep.equal({
+        begin: '2017-04-19 00:00',
+        duration: 90,
+        end: '2017-04-20 00:00',
+      });
+    });
   });
 
   describe('pickSupportedFilters', () => {
@@ -56,4 +215,123 @@ describe('Utils: searchUtils', () => {
       expect(pickSupportedFilters(filters)).to.deep.equal(expected);
     });
   });
+
+  describe('resourceMatchesFilters', () => {
+    const resource = {
+      equipment: [{ id: 'projector' }, { id: 'whiteboard' }],
+      maxPricePerHour: '25.00',
+      minPricePerHour: '15.00',
+    };
+    const unit = { municipality: 'Helsinki' };
+
+    function matches(filters, extraProps = {}) {
+      return resourceMatchesFilters(Object.assign({}, resource, extraProps), unit, filters);
+    }
+
+    it('returns true without filters', () => {
+      expect(matches({})).to.be.true;
+    });
+
+    it('returns true if the resource has all the equipment', () => {
+      expect(matches({ equipment: 'whiteboard,projector' })).to.be.true;
+    });
+
+    it('returns false if the resource does not have some of the equipment', () => {
+      expect(matches({ equipment: 'projector,piano' })).to.be.false;
+    });
+
+    it('compares the cheapest hourly price to the maximum price', () => {
+      expect(matches({ maxPrice: '15' })).to.be.true;
+      expect(matches({ maxPrice: '10' })).to.be.false;
+    });
+
+    it('returns true for free of charge only if the resource has no price', () => {
+      expect(matches({ freeOfCharge: 'true' })).to.be.false;
+      expect(matches({ freeOfCharge: 'true' }, { maxPricePerHour: null, minPricePerHour: null }))
+        .to.be.true;
+      expect(matches({ freeOfCharge: 'true' }, { maxPricePerHour: '0.00', minPricePerHour: null }))
+        .to.be.true;
+    });
+
+    it('compares the municipality of the unit case insensitively', () => {
+      expect(matches({ municipality: 'helsinki' })).to.be.true;
+      expect(matches({ municipality: 'espoo' })).to.be.false;
+    });
+
+    it('returns false for a municipality filter if the unit is not known', () => {
+      expect(resourceMatchesFilters(resource, undefined, { municipality: 'helsinki' })).to.be.false;
+    });
+  });
+
+  describe('sortSearchResults', () => {
+    const date = moment().add(1, 'day').format('YYYY-MM-DD');
+    const openingHours = [{ closes: `${date}T18:00:00`, date, opens: `${date}T08:00:00` }];
+    const distances = { a: 300, c: 100 };
+    const resources = {
+      a: {
+        id: 'a',
+        name: 'beta',
+        openingHours,
+        peopleCapacity: 10,
+        reservations: [{ begin: `${date}T08:00:00`, end: `${date}T12:00:00` }],
+      },
+      b: {
+        id: 'b',
+        minPricePerHour: '20.00',
+        name: 'Alpha',
+        openingHours,
+        peopleCapacity: 4,
+        reservations: [],
+      },
+      c: {
+        id: 'c',
+        maxPricePerHour: '10.00',
+        name: 'gamma',
+        openingHours: [],
+        reservations: [],
+      },
+    };
+    const ids = ['a', 'b', 'c'];
+
+    function sort(sortFilter, extraFilters = {}, availableSlots) {
+      const filters = Object.assign({ date, sort: sortFilter }, extraFilters);
+      return sortSearchResults(ids, resources, filters, availableSlots, distances);
+    }
+
+    it('returns the ids in the same order without a sort', () => {
+      expect(sort('')).to.deep.equal(ids);
+    });
+
+    it('sorts by name', () => {
+      expect(sort('name')).to.deep.equal(['b', 'a', 'c']);
+    });
+
+    it('sorts by capacity, resources without capacity last', () => {
+      expect(sort('capacity')).to.deep.equal(['b', 'a', 'c']);
+    });
+
+    it('sorts by the cheapest price', () => {
+      expect(sort('price')).to.deep.equal(['a', 'c', 'b']);
+    });
+
+    it('sorts by distance, resources without distance last', () => {
+      expect(sort('distance')).to.deep.equal(['c', 'a', 'b']);
+    });
+
+    it('sorts by distance without a sort when searching from a location', () => {
+      expect(sort('', { lat: '60.17', lon: '24.94' })).to.deep.equal(['c', 'a', 'b']);
+    });
+
+    it('sorts by the free time on the date', () => {
+      expect(sort('availability')).to.deep.equal(['b', 'a', 'c']);
+    });
+
+    it('sorts by the available times when searching within days', () => {
+      const availableSlots = {
+        a: { begin: `${date}T12:00:00`, end: `${date}T13:00:00` },
+        c: { begin: `${date}T10:00:00`, end: `${date}T11:00:00` },
+      };
+      expect(sort('availability', { days: '7' }, availableSlots)).to.deep.equal(['c', 'a', 'b']);
+    });
+  });
 });
@@ -0,0 +1,61 @@
+import { expect } from 'chai';
+import { actionTypes as persistActionTypes } from 'redux-localstorage';
+
+import {
+  createUserItemId,
+  getUserState,
+  handleUserStateActions,
+  setUserState,
+} from 'utils/userStateUtils';
+
+describe('Utils: userStateUtils', () => {
+  describe('createUserItemId', () => {
+    it('returns a string id', () => {
+      expect(createUserItemId()).to.be.a('string').and.not.be.empty;
+    });
+  });
+
+  describe('getUserState', () => {
+    it('returns the state of the user', () => {
+      expect(getUserState({ u1: ['a'] }, 'u1', [])).to.deep.equal(['a']);
+    });
+
+    it('returns the empty state if the user has no state', () => {
+      const emptyUserState = [];
+      expect(getUserState({ u1: ['a'] }, 'u2', emptyUserState)).to.equal(emptyUserState);
+    });
+  });
+
+  describe('setUserState', () => {
+    it('sets the state of the user', () => {
+      const state = { u1: ['a'] };
+      expect(setUserState(state, 'u2', ['b'])).to.deep.equal({ u1: ['a'], u2: ['b'] });
+    });
+
+    it('returns the state unchanged if there is no user', () => {
+      const state = { u1: ['a'] };
+      expect(setUserState(state, null, ['b'])).to.equal(state);
+    });
+  });
+
+  describe('handleUserStateActions', () => {
+    const reducer = handleUserStateActions('items', {
+      ADD_ITEM: (state, action) => setUserState(state, action.payload.userId, ['a']),
+    });
+
+    it('handles the given actions', () => {
+      const action = { type: 'ADD_ITEM', payload: { userId: 'u1' } };
+      expect(reducer(undefined, action)).to.deep.equal({ u1: ['a'] });
+    });
+
+    it('restores the persisted state of the slice', () => {
+      const action = { type: persistActionTypes.INIT, payload: { items: { u1: ['b'] } } };
+      expect(reducer({}, action)).to.deep.equal({ u1: ['b'] });
+    });
+
+    it('keeps the state if nothing is persisted', () => {
+      const state = { u1: ['a'] };
+      expect(reducer(state, { type: persistActionTypes.INIT, payload: null })).to.equal(state);
+    });
+  });
+});
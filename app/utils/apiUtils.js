@@ -76,10 +76,42 @@ function getSearchParamsString(params) {
   return parts.join('&');
 }
 
+function getHeaders(action, state) {
+  const headers = action[CALL_API].headers;
+  return typeof headers === 'function' ? headers(state) : headers;
+}
+
+// Fetches the following pages of a paginated response and adds their results to it. Rejects with
+// the status of the first page that can not be fetched.
+function fetchFollowingPages(json, headers) {
+  if (!json.next) {
+    return Promise.resolve(json);
+  }
+  return fetch(json.next, { headers })
+    .then(response => (response.ok ? response.json() : Promise.reject(response.status)))
+    .then(page => fetchFollowingPages(
+      Object.assign({}, page, { results: [...json.results, ...page.results] }),
+      headers
+    ));
+}
+
+// The following pages are fetched after redux-api-middleware has already chosen the success type,
+// so a failing page marks the payload incomplete instead of making the action an error. The
+// payload then only has the results of the first page.
 function getSuccessPayload(options) {
-  return (action, state, response) => (
-    getJSON(response).then(createTransformFunction(options.schema))
-  );
+  const transform = createTransformFunction(options.schema);
+  return (action, state, response) => {
+    const jsonPromise = getJSON(response);
+    if (!options.paginated) {
+      return jsonPromise.then(transform);
+    }
+    return jsonPromise.then(json => (
+      fetchFollowingPages(json, getHeaders(action, state)).then(
+        transform,
+        () => Object.assign({}, transform(json), { incomplete: true })
+      )
+    ));
+  };
 }
 
 function getSuccessTypeDescriptor(type, options = {}) {
@@ -102,6 +134,7 @@ function getSuccessTypeDescriptor(type, options = {}) {
 export {
   buildAPIUrl,
   createTransformFunction,
+  fetchFollowingPages,
   getErrorTypeDescriptor,
   getHeadersCreator,
   getRequestTypeDescriptor,
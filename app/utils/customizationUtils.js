@@ -1,6 +1,10 @@
 import constants from 'constants/AppConstants';
+import { canUseDOM } from 'utils/domUtils';
 
 function getCurrentCustomization() {
+  if (!canUseDOM) {
+    return null;
+  }
   const host = window.location.host;
   return constants.CUSTOMIZATIONS[host] || null;
 }
@@ -0,0 +1,38 @@
+const EARTH_RADIUS = 6371000;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Returns the distance in meters between two { lat, lon } points along the surface of the earth.
+function getDistance(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const a = (Math.sin(dLat / 2) ** 2) + (
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * (Math.sin(dLon / 2) ** 2)
+  );
+  return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function formatDistance(meters) {
+  if (meters < 1000) {
+    return `${Math.round(meters / 10) * 10} m`;
+  }
+  return `${(meters / 1000).toFixed(1)} km`;
+}
+
+// The location of a unit is a GeoJSON point, which has the longitude first.
+function getUnitCoordinates(unit) {
+  const location = unit && unit.location;
+  if (!location || !location.coordinates) {
+    return null;
+  }
+  const [lon, lat] = location.coordinates;
+  return { lat, lon };
+}
+
+export {
+  formatDistance,
+  getDistance,
+  getUnitCoordinates,
+};
@@ -1,3 +1,7 @@
+const canUseDOM = Boolean(
+  typeof window !== 'undefined' && window.document && window.document.createElement
+);
+
 function scrollTo(domElement) {
   if (!domElement) {
     return;
@@ -10,5 +14,6 @@ function scrollTo(domElement) {
 }
 
 export {
+  canUseDOM,
   scrollTo,
 };
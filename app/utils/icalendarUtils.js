@@ -0,0 +1,111 @@
+import upperFirst from 'lodash/upperFirst';
+import moment from 'moment';
+
+// iCalendar event statuses of the reservation states.
+const EVENT_STATUSES = {
+  cancelled: 'CANCELLED',
+  confirmed: 'CONFIRMED',
+  denied: 'CANCELLED',
+  requested: 'TENTATIVE',
+};
+
+function formatDateTime(time) {
+  return moment(time).utc().format('YYYYMMDD[T]HHmmss[Z]');
+}
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function getOctetLength(character) {
+  return unescape(encodeURIComponent(character)).length;
+}
+
+// Lines longer than 75 octets have to be folded, continuation lines start with a space.
+function foldLine(line) {
+  const lines = [];
+  let current = '';
+  let length = 0;
+  Array.from(line).forEach((character) => {
+    const characterLength = getOctetLength(character);
+    if (length + characterLength > 75) {
+      lines.push(current);
+      current = ' ';
+      length = 1;
+    }
+    current += character;
+    length += characterLength;
+  });
+  lines.push(current);
+  return lines.join('\r\n');
+}
+
+function getLocation(resource, unit) {
+  const parts = [
+    resource.name,
+    unit.name,
+    unit.streetAddress,
+    `${unit.addressZip || ''} ${upperFirst(unit.municipality)}`.trim(),
+  ];
+  return parts.filter(part => part).join(', ');
+}
+
+function getEventLines(reservation, resource, unit, accessCodeText) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${reservation.url}`,
+    `DTSTAMP:${formatDateTime(moment())}`,
+    `DTSTART:${formatDateTime(reservation.begin)}`,
+    `DTEND:${formatDateTime(reservation.end)}`,
+    `SUMMARY:${escapeText(resource.name || '')}`,
+  ];
+  const location = getLocation(resource, unit);
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  if (reservation.accessCode) {
+    lines.push(`DESCRIPTION:${escapeText(`${accessCodeText} ${reservation.accessCode}`)}`);
+  }
+  if (EVENT_STATUSES[reservation.state]) {
+    lines.push(`STATUS:${EVENT_STATUSES[reservation.state]}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Returns the reservations as an iCalendar (RFC 5545) document. Resources and units are objects
+// keyed by id, the same way they are in the data state.
+function getICalendar(reservations, { accessCodeText = '', resources = {}, units = {} } = {}) {
+  const eventLines = reservations.map((reservation) => {
+    const resource = resources[reservation.resource] || {};
+    const unit = units[resource.unit] || {};
+    return getEventLines(reservation, resource, unit, accessCodeText);
+  });
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//City of Helsinki//Varaamo//EN',
+    'CALSCALE:GREGORIAN',
+    ...[].concat(...eventLines),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+function getICalendarDataUrl(icalendar) {
+  return `data:text/calendar;charset=utf-8,${encodeURIComponent(icalendar)}`;
+}
+
+function getICalendarFileName(reservation) {
+  return `varaamo-${moment(reservation.begin).format('YYYY-MM-DD-HHmm')}.ics`;
+}
+
+export {
+  getICalendar,
+  getICalendarDataUrl,
+  getICalendarFileName,
+};
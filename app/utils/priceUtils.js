@@ -0,0 +1,72 @@
+import moment from 'moment';
+
+function isGiven(price) {
+  return price !== null && price !== undefined && price !== '';
+}
+
+function roundPrice(price) {
+  return Math.round(price * 100) / 100;
+}
+
+// Returns the { min, max } hourly price of the resource or null if the resource has no price.
+// A resource with only one of the prices costs the same for everyone.
+function getHourlyPrices({ maxPricePerHour, minPricePerHour }) {
+  const hasMin = isGiven(minPricePerHour);
+  const hasMax = isGiven(maxPricePerHour);
+  if (!hasMin && !hasMax) {
+    return null;
+  }
+  const min = Number(hasMin ? minPricePerHour : maxPricePerHour);
+  const max = Number(hasMax ? maxPricePerHour : minPricePerHour);
+  return { min: Math.min(min, max), max: Math.max(min, max) };
+}
+
+function getDurationInHours({ begin, end }) {
+  return moment(end).diff(moment(begin), 'minutes') / 60;
+}
+
+// Returns the estimated price of the reservations as line items and their total, or null if the
+// price of the resource is not known. The price is a range when the hourly price depends on the
+// reserver.
+function getPriceEstimate(resource, reservations) {
+  const hourlyPrices = getHourlyPrices(resource);
+  if (!hourlyPrices) {
+    return null;
+  }
+  const items = reservations.map((reservation) => {
+    const hours = getDurationInHours(reservation);
+    return {
+      begin: reservation.begin,
+      end: reservation.end,
+      hours,
+      max: roundPrice(hours * hourlyPrices.max),
+      min: roundPrice(hours * hourlyPrices.min),
+    };
+  });
+  const sum = key => roundPrice(items.reduce((total, item) => total + item[key], 0));
+  return {
+    hours: items.reduce((total, item) => total + item.hours, 0),
+    isFree: hourlyPrices.max === 0,
+    items,
+    max: sum('max'),
+    min: sum('min'),
+  };
+}
+
+function formatAmount(amount) {
+  return Number.isInteger(amount) ? String(amount) : amount.toFixed(2);
+}
+
+function formatPrice({ max, min }) {
+  if (min === max) {
+    return `${formatAmount(min)} €`;
+  }
+  return `${formatAmount(min)} - ${formatAmount(max)} €`;
+}
+
+export {
+  formatPrice,
+  getDurationInHours,
+  getHourlyPrices,
+  getPriceEstimate,
+};
@@ -0,0 +1,24 @@
+import sortBy from 'lodash/sortBy';
+import uniq from 'lodash/uniq';
+import values from 'lodash/values';
+
+function getSubPurposes(purposes, parentId) {
+  const subPurposes = values(purposes).filter(purpose => purpose.parent === parentId);
+  return sortBy(subPurposes, 'name');
+}
+
+// Returns the given purpose ids and the ids of all purposes under them in the purpose tree.
+function getPurposeIdsWithSubPurposes(purposeIds, purposes) {
+  const ids = [];
+  const addIds = (id) => {
+    ids.push(id);
+    getSubPurposes(purposes, id).forEach(purpose => addIds(purpose.id));
+  };
+  purposeIds.forEach(addIds);
+  return uniq(ids);
+}
+
+export {
+  getPurposeIdsWithSubPurposes,
+  getSubPurposes,
+};
@@ -0,0 +1,261 @@
+import findKey from 'lodash/findKey';
+import includes from 'lodash/includes';
+import sortBy from 'lodash/sortBy';
+import moment from 'moment';
+
+// Weekday codes of RFC 5545 in ISO weekday order, Monday being 1.
+const WEEKDAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const RRULE_FREQUENCIES = {
+  days: 'DAILY',
+  months: 'MONTHLY',
+  weeks: 'WEEKLY',
+};
+
+const SUPPORTED_RRULE_PARTS = ['BYDAY', 'COUNT', 'FREQ', 'INTERVAL', 'UNTIL', 'WKST'];
+
+function getWeekdayOrdinal(date) {
+  return Math.ceil(moment(date).date() / 7);
+}
+
+function isLastWeekdayOfMonth(date) {
+  const day = moment(date);
+  return day.clone().add(1, 'weeks').month() !== day.month();
+}
+
+function getNthWeekdayOfMonth(month, isoWeekday, ordinal) {
+  if (ordinal < 0) {
+    const lastDay = month.clone().endOf('month').startOf('day');
+    return lastDay.subtract(((lastDay.isoWeekday() - isoWeekday) + 7) % 7, 'days');
+  }
+  const firstDay = month.clone().startOf('month');
+  const offset = ((isoWeekday - firstDay.isoWeekday()) + 7) % 7;
+  const day = firstDay.add(offset + ((ordinal - 1) * 7), 'days');
+  return day.month() === month.month() ? day : null;
+}
+
+function getWeeklyDates(rule, baseDate, add) {
+  const weekdays = rule.weekdays.length ? sortBy(rule.weekdays) : [baseDate.isoWeekday()];
+  const weekStart = baseDate.clone().startOf('isoWeek');
+  for (let week = 0; ; week += rule.interval) {
+    for (let i = 0; i < weekdays.length; i += 1) {
+      const date = weekStart.clone().add(week, 'weeks').add(weekdays[i] - 1, 'days');
+      if (date.isAfter(baseDate) && !add(date)) {
+        return;
+      }
+    }
+  }
+}
+
+function getMonthlyDates(rule, baseDate, add) {
+  const ordinal = rule.monthlyMode === 'lastWeekdayOfMonth' ? -1 : getWeekdayOrdinal(baseDate);
+  for (let i = 1; ; i += 1) {
+    const months = i * rule.interval;
+    if (rule.monthlyMode === 'dayOfMonth') {
+      const date = baseDate.clone().add(months, 'months');
+      // Months without the day of base date are skipped instead of moving to their last day.
+      if (!add(date, date.date() !== baseDate.date())) {
+        return;
+      }
+    } else {
+      const month = baseDate.clone().startOf('month').add(months, 'months');
+      const date = getNthWeekdayOfMonth(month, baseDate.isoWeekday(), ordinal);
+      // Months without a fifth weekday are skipped but the loop still has to end.
+      if (!add(date || month.endOf('month').startOf('day'), !date)) {
+        return;
+      }
+    }
+  }
+}
+
+function getDailyDates(rule, baseDate, add) {
+  for (let i = 1; ; i += 1) {
+    if (!add(baseDate.clone().add(i * rule.interval, 'days'))) {
+      return;
+    }
+  }
+}
+
+// Returns the dates following baseDate that match the recurrence rule. The expansion stops when
+// count dates have been found or the dates would go past until, so at least one must be given.
+function getRecurrenceDates(rule, baseDate, { count = Infinity, until }) {
+  const dates = [];
+  const start = moment(baseDate).startOf('day');
+  const end = until ? moment(until).startOf('day') : null;
+  const fullRule = {
+    frequency: rule.frequency,
+    interval: rule.interval || 1,
+    monthlyMode: rule.monthlyMode || 'dayOfMonth',
+    weekdays: rule.weekdays || [],
+  };
+  const add = (date, skip = false) => {
+    if (dates.length >= count || (end && date.isAfter(end))) {
+      return false;
+    }
+    if (!skip) {
+      dates.push(date);
+    }
+    return dates.length < count;
+  };
+
+  if (fullRule.frequency === 'days') {
+    getDailyDates(fullRule, start, add);
+  } else if (fullRule.frequency === 'weeks') {
+    getWeeklyDates(fullRule, start, add);
+  } else if (fullRule.frequency === 'months') {
+    getMonthlyDates(fullRule, start, add);
+  }
+  return dates;
+}
+
+function parseRRuleDate(value) {
+  const date = moment(value.slice(0, 8), 'YYYYMMDD', true);
+  return date.isValid() ? date.format('YYYY-MM-DD') : null;
+}
+
+// Exclusion dates are written at the local time of DTSTART in UTC, like DTSTART itself.
+function formatExclusionDate(date, begin) {
+  const time = moment(begin);
+  return moment(date)
+    .hours(time.hours())
+    .minutes(time.minutes())
+    .seconds(time.seconds())
+    .utc()
+    .format('YYYYMMDD[T]HHmmss[Z]');
+}
+
+function parseExclusionDate(value) {
+  const time = moment.utc(value, 'YYYYMMDD[T]HHmmss[Z]', true);
+  return time.isValid() ? time.local().format('YYYY-MM-DD') : parseRRuleDate(value);
+}
+
+// Exports the rule as RRULE and EXDATE lines. COUNT includes the base time as RFC 5545 counts
+// DTSTART as the first occurrence.
+function formatRRule(rule, baseTime) {
+  if (!baseTime || !RRULE_FREQUENCIES[rule.frequency]) {
+    return '';
+  }
+  const parts = [`FREQ=${RRULE_FREQUENCIES[rule.frequency]}`];
+  if (rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.frequency === 'weeks' && rule.weekdays && rule.weekdays.length) {
+    const weekdays = sortBy(rule.weekdays).map(weekday => WEEKDAY_CODES[weekday - 1]);
+    parts.push(`BYDAY=${weekdays.join(',')}`);
+  }
+  if (rule.frequency === 'months' && rule.monthlyMode && rule.monthlyMode !== 'dayOfMonth') {
+    const begin = moment(baseTime.begin);
+    const ordinal = rule.monthlyMode === 'lastWeekdayOfMonth' ? -1 : getWeekdayOrdinal(begin);
+    parts.push(`BYDAY=${ordinal}${WEEKDAY_CODES[begin.isoWeekday() - 1]}`);
+  }
+  parts.push(`COUNT=${rule.numberOfOccurrences + 1}`);
+
+  const lines = [`RRULE:${parts.join(';')}`];
+  if (rule.exclusionDates && rule.exclusionDates.length) {
+    const dates = sortBy(rule.exclusionDates).map(
+      date => formatExclusionDate(date, baseTime.begin)
+    );
+    lines.push(`EXDATE:${dates.join(',')}`);
+  }
+  return lines.join('\n');
+}
+
+function parseRRuleParts(line) {
+  const parts = {};
+  line.replace(/^RRULE:/i, '').split(';').forEach((part) => {
+    const [key, value] = part.split('=');
+    parts[key.trim().toUpperCase()] = (value || '').trim().toUpperCase();
+  });
+  return parts;
+}
+
+function parseByDay(byDay, frequency) {
+  const days = byDay.split(',').map(day => day.match(/^([+-]?\d)?(MO|TU|WE|TH|FR|SA|SU)$/));
+  if (includes(days, null)) {
+    return null;
+  }
+  if (frequency === 'weeks') {
+    if (days.some(day => day[1])) {
+      return null;
+    }
+    return { weekdays: days.map(day => WEEKDAY_CODES.indexOf(day[2]) + 1) };
+  }
+  if (frequency === 'months' && days.length === 1 && days[0][1]) {
+    const ordinal = parseInt(days[0][1], 10);
+    if (ordinal === -1) {
+      return { monthlyMode: 'lastWeekdayOfMonth' };
+    }
+    return ordinal > 0 && ordinal < 6 ? { monthlyMode: 'weekdayOfMonth' } : null;
+  }
+  return null;
+}
+
+// Parses RRULE and EXDATE lines into rule fields of the recurringReservations state. Only the
+// rules the reservation controls can express are accepted, for others null is returned. Weekdays
+// of monthly rules are always taken from the base time.
+function parseRRule(text) {
+  const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(line => line);
+  const ruleLines = lines.filter(line => !/^EXDATE/i.test(line));
+  if (ruleLines.length !== 1) {
+    return null;
+  }
+  const parts = parseRRuleParts(ruleLines[0]);
+  const frequency = findKey(RRULE_FREQUENCIES, value => value === parts.FREQ);
+  if (!frequency || Object.keys(parts).some(key => !includes(SUPPORTED_RRULE_PARTS, key))) {
+    return null;
+  }
+
+  const rule = {
+    exclusionDates: [],
+    frequency,
+    interval: 1,
+    lastTime: null,
+    monthlyMode: 'dayOfMonth',
+    weekdays: [],
+  };
+  if (parts.INTERVAL) {
+    rule.interval = parseInt(parts.INTERVAL, 10);
+    if (!(rule.interval > 0)) {
+      return null;
+    }
+  }
+  if (parts.COUNT) {
+    const count = parseInt(parts.COUNT, 10);
+    if (!(count > 1)) {
+      return null;
+    }
+    rule.numberOfOccurrences = count - 1;
+  }
+  if (parts.UNTIL) {
+    rule.lastTime = parseRRuleDate(parts.UNTIL);
+    if (!rule.lastTime) {
+      return null;
+    }
+  }
+  if (parts.BYDAY) {
+    const byDay = parseByDay(parts.BYDAY, frequency);
+    if (!byDay) {
+      return null;
+    }
+    Object.assign(rule, byDay);
+  }
+
+  const exclusionLines = lines.filter(line => /^EXDATE/i.test(line));
+  for (let i = 0; i < exclusionLines.length; i += 1) {
+    const values = exclusionLines[i].slice(exclusionLines[i].indexOf(':') + 1).split(',');
+    const dates = values.map(value => parseExclusionDate(value.trim()));
+    if (includes(dates, null)) {
+      return null;
+    }
+    rule.exclusionDates.push(...dates);
+  }
+  return rule;
+}
+
+export {
+  formatRRule,
+  getRecurrenceDates,
+  getWeekdayOrdinal,
+  isLastWeekdayOfMonth,
+  parseRRule,
+};
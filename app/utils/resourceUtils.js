@@ -1,5 +1,8 @@
 import filter from 'lodash/filter';
+import find from 'lodash/find';
 import forEach from 'lodash/forEach';
+import some from 'lodash/some';
+import sortBy from 'lodash/sortBy';
 import moment from 'moment';
 import queryString from 'query-string';
 
@@ -84,6 +87,36 @@ function getAvailabilityDataForWholeDay(resource = {}, date = null) {
   };
 }
 
+// Returns the periods between begin and end when the resource is open and not reserved, as
+// { begin, end } moments. Resource must have the opening hours and reservations of the period.
+function getFreePeriods(resource, begin, end) {
+  const periods = [];
+  const reservations = sortBy(getOpenReservations(resource), reservation => (
+    moment(reservation.begin).valueOf()
+  ));
+  forEach(resource.openingHours, ({ closes, opens }) => {
+    if (!opens || !closes) {
+      return;
+    }
+    let periodBegin = moment.max(moment(opens), moment(begin));
+    const periodEnd = moment.min(moment(closes), moment(end));
+    forEach(reservations, (reservation) => {
+      const reservationBegin = moment(reservation.begin);
+      const reservationEnd = moment(reservation.end);
+      if (reservationEnd.isAfter(periodBegin) && reservationBegin.isBefore(periodEnd)) {
+        if (reservationBegin.isAfter(periodBegin)) {
+          periods.push({ begin: periodBegin, end: reservationBegin });
+        }
+        periodBegin = moment.max(periodBegin, reservationEnd);
+      }
+    });
+    if (periodEnd.isAfter(periodBegin)) {
+      periods.push({ begin: periodBegin, end: periodEnd });
+    }
+  });
+  return periods;
+}
+
 function getHumanizedPeriod(period) {
   if (!period) {
     return '';
@@ -91,6 +124,34 @@ function getHumanizedPeriod(period) {
   return `${moment.duration(period).hours()} h`;
 }
 
+// Time slots are minimum periods of the resource long, or 30 minutes if it has no minimum period.
+function getTimeSlotStep(resource) {
+  const minPeriod = moment.duration(resource.minPeriod || '00:30:00');
+  return minPeriod.asMinutes() > 0 ? minPeriod : moment.duration(30, 'minutes');
+}
+
+// Returns the earliest time of duration minutes between begin and end when the resource can be
+// reserved, as { begin, end } moments, or null. The time begins at a time slot of the resource.
+// Resource must have the opening hours and reservations of the period.
+function getNextAvailableSlot(resource, begin, end, duration) {
+  const step = getTimeSlotStep(resource).asMinutes();
+  const earliestBegin = moment.max(moment(begin), moment());
+  const slots = getFreePeriods(resource, earliestBegin, end).map((period) => {
+    const dayStart = period.begin.clone().startOf('day');
+    const minutes = period.begin.diff(dayStart, 'minutes', true);
+    const slotBegin = dayStart.add(Math.ceil(minutes / step) * step, 'minutes');
+    return {
+      begin: slotBegin,
+      end: slotBegin.clone().add(duration, 'minutes'),
+      periodEnd: period.end,
+    };
+  });
+  const slot = find(slots, ({ begin: slotBegin, end: slotEnd, periodEnd }) => (
+    !slotEnd.isAfter(periodEnd) && !reservingIsRestricted(resource, slotBegin)
+  ));
+  return slot ? { begin: slot.begin, end: slot.end } : null;
+}
+
 function getOpeningHours(resource) {
   if (resource && resource.openingHours && resource.openingHours.length) {
     return {
@@ -108,14 +169,39 @@ function getOpenReservations(resource) {
   ));
 }
 
-function getResourcePageUrl(resource, date, time) {
+// Returns the reason why the reservation cannot be made or null if it can. Resource must have
+// the opening hours and reservations of the day of the reservation.
+function getReservationConflict(resource, reservation) {
+  const begin = moment(reservation.begin);
+  const end = moment(reservation.end);
+
+  if (reservingIsRestricted(resource, reservation.begin)) {
+    return 'reservingRestricted';
+  }
+  const isOpen = some(resource.openingHours, ({ closes, opens }) => (
+    opens && closes && !begin.isBefore(opens) && !end.isAfter(closes)
+  ));
+  if (!isOpen) {
+    return 'closed';
+  }
+  const isReserved = some(getOpenReservations(resource), other => (
+    begin.isBefore(other.end) && end.isAfter(other.begin)
+  ));
+  return isReserved ? 'reserved' : null;
+}
+
+// With both time and end the time slots between them are selected on the resource page. The view
+// is the view of the reservation calendar, "day" by default.
+function getResourcePageUrl(resource, date, time, end, view) {
   if (!resource || !resource.id) {
     return '';
   }
   const pathname = `/resources/${resource.id}`;
   const query = queryString.stringify({
     date: date ? date.split('T')[0] : undefined,
+    end,
     time,
+    view: view === 'week' ? view : undefined,
   });
   return query ? `${pathname}?${query}` : pathname;
 }
@@ -130,6 +216,50 @@ function getTermsAndConditions(resource = {}) {
   return `${specificTerms}${genericTerms}`;
 }
 
+// Returns the reservation moved to the closest free time of the same day or null if there is
+// no such time. Times are tried in steps of the minimum period of the resource, or of 30 minutes
+// if it has none. Only the day of the reservation is tried as the availability of the recurring
+// reservations is fetched for their days.
+function getShiftedReservation(resource, reservation) {
+  const begin = moment(reservation.begin);
+  const end = moment(reservation.end);
+  const step = getTimeSlotStep(resource);
+  const day = begin.format(constants.DATE_FORMAT);
+  const maxOffset = Math.ceil(moment.duration(1, 'day').asMinutes() / step.asMinutes());
+  const getShifted = offset => ({
+    begin: begin.clone().add(offset * step).toISOString(),
+    end: end.clone().add(offset * step).toISOString(),
+  });
+  const isSameDay = shifted => (
+    moment(shifted.begin).format(constants.DATE_FORMAT) === day &&
+    moment(shifted.end).isSameOrBefore(begin.clone().endOf('day'))
+  );
+
+  for (let i = 1; i <= maxOffset; i += 1) {
+    const candidates = [getShifted(i), getShifted(-i)].filter(isSameDay);
+    if (!candidates.length) {
+      return null;
+    }
+    const free = find(candidates, shifted => !getReservationConflict(resource, shifted));
+    if (free) {
+      return free;
+    }
+  }
+  return null;
+}
+
+// Returns whether the resource can be reserved for at least duration minutes between begin and
+// end. Resource must have the opening hours and reservations of the period.
+function isAvailableBetween(resource, begin, end, duration) {
+  if (reservingIsRestricted(resource, begin)) {
+    return false;
+  }
+  const earliestBegin = moment.max(moment(begin), moment());
+  return some(getFreePeriods(resource, earliestBegin, end), period => (
+    period.end.diff(period.begin, 'minutes') >= duration
+  ));
+}
+
 function reservingIsRestricted(resource, date) {
   if (!date) {
     return false;
@@ -143,13 +273,18 @@ function reservingIsRestricted(resource, date) {
 }
 
 export {
+  isAvailableBetween,
   isOpenNow,
   getAvailabilityDataForNow,
   getAvailabilityDataForWholeDay,
+  getFreePeriods,
   getHumanizedPeriod,
+  getNextAvailableSlot,
   getOpeningHours,
   getOpenReservations,
+  getReservationConflict,
   getResourcePageUrl,
+  getShiftedReservation,
   getTermsAndConditions,
   reservingIsRestricted,
 };
@@ -1,19 +1,74 @@
 import omit from 'lodash/omit';
 import pick from 'lodash/pick';
+import range from 'lodash/range';
+import sortBy from 'lodash/sortBy';
+import moment from 'moment';
 import queryString from 'query-string';
 
 import constants from 'constants/AppConstants';
-import { getDateStartAndEndTimes, getDateString } from 'utils/timeUtils';
+import { getPurposeIdsWithSubPurposes } from 'utils/purposeUtils';
+import { getFreePeriods } from 'utils/resourceUtils';
+import { addToDate, getDateStartAndEndTimes, getDateString } from 'utils/timeUtils';
 
-function getFetchParamsFromFilters(filters) {
+// The purpose filter is a comma separated list of purpose ids.
+function getPurposeFilterIds(purposeFilter) {
+  if (!purposeFilter || purposeFilter === 'all') {
+    return [];
+  }
+  return purposeFilter.split(',').filter(id => id);
+}
+
+// Resources of a purpose are searched for with the purposes under it too, so purposes are needed
+// to search with a parent purpose.
+function getFetchParamsFromFilters(filters, purposes = {}) {
+  const days = Number(filters.days);
+  let dateRange = getDateStartAndEndTimes(filters.date);
+  if (days && filters.date) {
+    const { end } = getDateStartAndEndTimes(addToDate(filters.date, days - 1));
+    dateRange = { end, start: dateRange.start };
+  }
+  const purposeIds = getPurposeIdsWithSubPurposes(getPurposeFilterIds(filters.purpose), purposes);
   const all = Object.assign(
     {},
     pickSupportedFilters(filters),
-    getDateStartAndEndTimes(filters.date),
-    { purpose: filters.purpose === 'all' ? '' : filters.purpose }
+    dateRange,
+    { purpose: purposeIds.join(',') }
   );
 
-  return omit(all, 'date');
+  // The time, equipment, municipality, price and distance filters are applied to the results,
+  // see getTimeWindow, resourceMatchesFilters and getSearchLocation.
+  return omit(all, [
+    'date',
+    'days',
+    'distance',
+    'duration',
+    'endTime',
+    'equipment',
+    'freeOfCharge',
+    'lat',
+    'lon',
+    'maxPrice',
+    'municipality',
+    'sort',
+    'startTime',
+    'view',
+  ]);
+}
+
+// Returns the time windows of getTimeWindow for each day of the search when the next available
+// time is searched for within a number of days, otherwise null. Without both times the duration
+// defaults to an hour.
+function getDateRangeTimeWindows(filters) {
+  const days = Number(filters.days);
+  if (!days) {
+    return null;
+  }
+  const defaultDuration = filters.startTime && filters.endTime ? '' : '60';
+  return range(days).map(index => getTimeWindow(Object.assign({}, filters, {
+    date: addToDate(filters.date, index),
+    duration: filters.duration || defaultDuration,
+    startTime: filters.startTime || '00:00',
+  })));
 }
 
 function getSearchPageUrl(filters = {}) {
@@ -28,12 +83,108 @@ function getSearchPageUrl(filters = {}) {
   return `/search?${query}`;
 }
 
+// Returns the period of the search date the resources need to be free in and the minimum length
+// of the free time in minutes, or null if no time filters are used. Without a duration the whole
+// period needs to be free. An end time before the start time is taken as the start of the period.
+function getTimeWindow(filters) {
+  const { date, duration, endTime, startTime } = filters;
+  if (!duration && !endTime && !startTime) {
+    return null;
+  }
+  const day = moment(date, constants.DATE_FORMAT);
+  const startMoment = startTime ? moment(`${date}T${startTime}`) : day.clone().startOf('day');
+  const endMoment = endTime ? moment(`${date}T${endTime}`) : day.clone().add(1, 'day').startOf('day');
+  const begin = moment.min(startMoment, endMoment);
+  const end = moment.max(startMoment, endMoment);
+  return {
+    begin: begin.format(),
+    duration: Number(duration) || end.diff(begin, 'minutes'),
+    end: end.format(),
+  };
+}
+
 function pickSupportedFilters(filters) {
   return pick(filters, Object.keys(constants.SUPPORTED_SEARCH_FILTERS));
 }
 
+// The cheapest hourly price of the resource, resources without a price are free of charge.
+function getPricePerHour(resource) {
+  return Number(resource.minPricePerHour || resource.maxPricePerHour || 0);
+}
+
+// Returns the minutes the resource is free on the date, not counting the past.
+function getFreeMinutesOfDate(resource, date) {
+  const begin = moment.max(moment(date, constants.DATE_FORMAT).startOf('day'), moment());
+  const end = moment(date, constants.DATE_FORMAT).add(1, 'day').startOf('day');
+  return getFreePeriods(resource, begin, end).reduce(
+    (total, period) => total + period.end.diff(period.begin, 'minutes'),
+    0
+  );
+}
+
+// Checks the filters the API does not support.
+function resourceMatchesFilters(resource, unit, filters) {
+  const { equipment, freeOfCharge, maxPrice, municipality } = filters;
+  const equipmentIds = (resource.equipment || []).map(item => String(item.id));
+  if (equipment && equipment.split(',').some(id => equipmentIds.indexOf(id) === -1)) {
+    return false;
+  }
+  const price = getPricePerHour(resource);
+  if (freeOfCharge === 'true' && price > 0) {
+    return false;
+  }
+  if (maxPrice && price > Number(maxPrice)) {
+    return false;
+  }
+  if (municipality && (!unit || (unit.municipality || '').toLowerCase() !== municipality)) {
+    return false;
+  }
+  return true;
+}
+
+// Returns the { lat, lon } location distances are searched from, or null.
+function getSearchLocation(filters) {
+  const lat = parseFloat(filters.lat);
+  const lon = parseFloat(filters.lon);
+  return isNaN(lat) || isNaN(lon) ? null : { lat, lon };
+}
+
+// Orders the results by the sort filter: by name, the smallest capacity, the lowest price, the
+// most free time on the search date or the earliest available time, or the shortest distance.
+// Without a sort the results are ordered by distance when searching from a location. Resources
+// without the sorted value are last.
+function sortSearchResults(resourceIds, resources, filters, availableSlots = {}, distances = {}) {
+  const getSortValues = {
+    availability: (resource) => {
+      const slot = availableSlots[resource.id];
+      if (filters.days) {
+        return slot ? moment(slot.begin).valueOf() : Infinity;
+      }
+      return -getFreeMinutesOfDate(resource, filters.date);
+    },
+    capacity: resource => resource.peopleCapacity || Infinity,
+    distance: resource => (
+      typeof distances[resource.id] === 'number' ? distances[resource.id] : Infinity
+    ),
+    name: resource => (resource.name || '').toLowerCase(),
+    price: getPricePerHour,
+  };
+  const sort = filters.sort || (getSearchLocation(filters) ? 'distance' : '');
+  const getSortValue = getSortValues[sort];
+  if (!getSortValue) {
+    return resourceIds;
+  }
+  return sortBy(resourceIds, id => (resources[id] ? getSortValue(resources[id]) : Infinity));
+}
+
 export {
+  getDateRangeTimeWindows,
   getFetchParamsFromFilters,
+  getPurposeFilterIds,
+  getSearchLocation,
   getSearchPageUrl,
+  getTimeWindow,
   pickSupportedFilters,
+  resourceMatchesFilters,
+  sortSearchResults,
 };
@@ -0,0 +1,37 @@
+import get from 'lodash/get';
+import { handleActions } from 'redux-actions';
+import { actionTypes as persistActionTypes } from 'redux-localstorage';
+
+// Helpers for the state slices that keep the data of each user by user id and are persisted to
+// localStorage by the persistState middleware.
+
+function createUserItemId() {
+  return Date.now().toString(36);
+}
+
+function getUserState(state, userId, emptyUserState) {
+  return state[userId] || emptyUserState;
+}
+
+function setUserState(state, userId, userState) {
+  if (!userId) {
+    return state;
+  }
+  return { ...state, [userId]: userState };
+}
+
+// Creates the reducer of the slice with the given key. The slice is restored from the persisted
+// state when the persistState middleware initializes.
+function handleUserStateActions(key, handlers) {
+  return handleActions({
+    ...handlers,
+    [persistActionTypes.INIT]: (state, action) => get(action.payload, key, state),
+  }, {});
+}
+
+export {
+  createUserItemId,
+  getUserState,
+  handleUserStateActions,
+  setUserState,
+};
@@ -7,6 +7,11 @@ const merge = require('webpack-merge');
 
 const common = require('./webpack.common');
 
+// The mock API of server/mock-api is served by the development server itself.
+const apiUrl = process.env.MOCK_API ?
+  `http://localhost:${process.env.PORT || 3000}/mock-api/v1` :
+  process.env.API_URL || 'https://api.hel.fi/respa-test/v1';
+
 module.exports = merge(common, {
   entry: [
     'babel-polyfill',
@@ -52,7 +57,7 @@ module.exports = merge(common, {
     new webpack.DefinePlugin({
       'process.env.NODE_ENV': JSON.stringify('development'),
       SETTINGS: {
-        API_URL: JSON.stringify(process.env.API_URL || 'https://api.hel.fi/respa-test/v1'),
+        API_URL: JSON.stringify(apiUrl),
         SHOW_TEST_SITE_MESSAGE: Boolean(process.env.SHOW_TEST_SITE_MESSAGE),
         TRACKING: Boolean(process.env.PIWIK_SITE_ID),
       },
@@ -52,9 +52,12 @@ class Html extends Component {
     const {
       appCssSrc,
       appScriptSrc,
+      content,
+      headLinks,
       initialState,
       isProduction,
       piwikSiteId,
+      title,
     } = this.props;
     const initialStateHtml = this.getInitialStateHtml(initialState);
 
@@ -66,10 +69,11 @@ class Html extends Component {
           <meta content="width=device-width, initial-scale=1" name="viewport" />
           <link href="https://overpass-30e2.kxcdn.com/overpass.css" rel="stylesheet" />
           {this.renderStylesLink(appCssSrc, isProduction)}
-          <title>Varaamo</title>
+          {headLinks}
+          <title>{title}</title>
         </head>
         <body>
-          <div id="root" />
+          <div dangerouslySetInnerHTML={{ __html: content }} id="root" />
           <script dangerouslySetInnerHTML={{ __html: initialStateHtml }} />
           <script src="https://cdn.polyfill.io/v2/polyfill.min.js?features=Intl.~locale.en-gb,Intl.~locale.fi,Intl.~locale.sv" />
           <script src={appScriptSrc} />
@@ -83,9 +87,17 @@ class Html extends Component {
 Html.propTypes = {
   appCssSrc: PropTypes.string.isRequired,
   appScriptSrc: PropTypes.string.isRequired,
+  content: PropTypes.string,
+  headLinks: PropTypes.node,
   initialState: PropTypes.object.isRequired,
   isProduction: PropTypes.bool.isRequired,
   piwikSiteId: PropTypes.string,
+  title: PropTypes.string,
+};
+
+Html.defaultProps = {
+  content: '',
+  title: 'Varaamo',
 };
 
 export default Html;
@@ -1,29 +1,20 @@
 import passport from 'passport';
-import { Strategy } from 'passport-helsinki';
 
-function configurePassport() {
-  const helsinkiStrategy = new Strategy(
-    {
-      clientID: process.env.CLIENT_ID,
-      clientSecret: process.env.CLIENT_SECRET,
-      callbackURL: process.env.LOGIN_CALLBACK_URL || '/login/helsinki/return',
-      proxy: Boolean(process.env.PROXY),
-    },
-    (accessToken, refreshToken, profile, cb) => {
-      helsinkiStrategy.getAPIToken(accessToken, process.env.TARGET_APP, (token) => {
-        const profileWithToken = Object.assign({}, profile, { token });
-        return cb(null, profileWithToken);
-      });
-    });
+import { decryptTokens, encryptTokens } from './sessionTokens';
 
-  passport.use(helsinkiStrategy);
+// The OAuth tokens of the user are only needed on the server for refreshing the API token, so
+// they are kept encrypted in the session.
+function configurePassport(provider, sessionSecret) {
+  passport.use(provider.strategy);
 
   passport.serializeUser((user, cb) => {
-    cb(null, user);
+    const { accessToken, refreshToken, ...sessionUser } = user;
+    const tokens = encryptTokens({ accessToken, refreshToken }, sessionSecret);
+    cb(null, { ...sessionUser, tokens });
   });
 
-  passport.deserializeUser((obj, cb) => {
-    cb(null, obj);
+  passport.deserializeUser(({ tokens, ...sessionUser }, cb) => {
+    cb(null, { ...sessionUser, ...decryptTokens(tokens, sessionSecret) });
   });
 
   return passport;
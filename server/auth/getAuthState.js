@@ -1,11 +1,17 @@
+import { getKioskResourceId } from './kiosk';
+
 function getAuthState(req) {
   const user = req.user;
+  const kioskResourceId = getKioskResourceId(req);
+  const auth = kioskResourceId ? { kioskResourceId } : {};
   if (user && user.token) {
-    return {
-      auth: { userId: user.id, token: user.token },
-    };
+    Object.assign(auth, {
+      expiresAt: user.tokenExpiresAt || null,
+      token: user.token,
+      userId: user.id,
+    });
   }
-  return {};
+  return Object.keys(auth).length ? { auth } : {};
 }
 
 export default getAuthState;
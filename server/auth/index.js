@@ -1,21 +1,31 @@
+import url from 'url';
+
 import bodyParser from 'body-parser';
 import cookieParser from 'cookie-parser';
 import cookieSession from 'cookie-session';
 import express from 'express';
 import nocache from 'nocache';
 
+import config from '../config';
 import configurePassport from './configurePassport';
 import getAuthState from './getAuthState';
+import createKioskRouter from './kiosk';
+import getProvider from './providers';
+import refreshToken from './refreshToken';
 
 const router = express.Router();  // eslint-disable-line new-cap
-const passport = configurePassport();
+const authConfig = config.auth;
 const maxSessionAge = 9 * 60 * 60 * 1000;  // 9 hours
+const sessionSecret = process.env.SESSION_SECRET;
+const provider = getProvider(authConfig, config.isProduction);
+const passport = configurePassport(provider, sessionSecret);
+const callbackPath = url.parse(authConfig[authConfig.provider].callbackURL).pathname;
 
 // Session handling
 router.use(cookieParser());
 router.use(bodyParser.urlencoded({ extended: true }));
 router.use(cookieSession({
-  secret: process.env.SESSION_SECRET,
+  secret: sessionSecret,
   maxAge: maxSessionAge,
 }));
 
@@ -23,6 +33,12 @@ router.use(cookieSession({
 // session.
 router.use(passport.initialize());
 router.use(passport.session());
+router.use(refreshToken(provider));
+router.use(createKioskRouter(provider, sessionSecret));
+
+if (provider.router) {
+  router.use(provider.router);
+}
 
 router.get('/auth', nocache(), (req, res) => {
   res.json(getAuthState(req));
@@ -33,11 +49,11 @@ router.get('/login',
     req.session.next = req.query.next; // eslint-disable-line no-param-reassign
     next();
   },
-  passport.authenticate('helsinki')
+  passport.authenticate(provider.name)
 );
 
-router.get('/login/helsinki/return',
-  passport.authenticate('helsinki', { failureRedirect: '/login' }),
+router.get(callbackPath,
+  passport.authenticate(provider.name, { failureRedirect: '/login' }),
   (req, res) => {
     if (req.session.next) {
       const redirectUrl = req.session.next;
@@ -50,8 +66,8 @@ router.get('/login/helsinki/return',
 
 router.get('/logout', (req, res) => {
   req.logOut();
-  const redirectUrl = req.query.next || 'https://varaamo.hel.fi';
-  res.redirect(`https://api.hel.fi/sso/logout/?next=${redirectUrl}`);
+  const redirectUrl = req.query.next || authConfig.logoutRedirectUrl;
+  res.redirect(provider.getLogoutUrl(redirectUrl));
 });
 
 export default router;
@@ -0,0 +1,122 @@
+import 'isomorphic-fetch';
+
+import bodyParser from 'body-parser';
+import express from 'express';
+import moment from 'moment';
+
+import { postReservation } from 'actions/reservationActions';
+import constants from 'constants/AppConstants';
+import { getMissingValues } from 'utils/reservationUtils';
+import createServerStore from '../createServerStore';
+import { createUserRefresher } from './refreshToken';
+import { decryptTokens, encryptTokens } from './sessionTokens';
+import { isTokenExpiring } from './tokens';
+
+const kioskSessionAge = 90 * 24 * 60 * 60 * 1000;  // 90 days
+
+function getKioskResourceId(req) {
+  const kiosk = req.session && req.session.kiosk;
+  return kiosk ? kiosk.resourceId : null;
+}
+
+// Only reservations of the lengths offered on the display are made for the kiosk resource.
+function getKioskReservation(resourceId, { begin, end } = {}) {
+  if (!begin || !end || !moment(begin).isValid()) {
+    return null;
+  }
+  const minutes = moment(end).diff(moment(begin), 'minutes');
+  if (constants.RESOURCE_DISPLAY_BOOKING_DURATIONS.indexOf(minutes) === -1) {
+    return null;
+  }
+  return Object.assign({}, getMissingValues({}), { begin, end, resource: resourceId });
+}
+
+// A resource display enabled as a kiosk can make reservations for its resource with the
+// credentials of the staff user who enabled it. The credentials stay encrypted in the session
+// of the display and are only used by the server.
+function createKioskRouter(provider, sessionSecret) {
+  const router = express.Router();  // eslint-disable-line new-cap
+  const refreshUser = createUserRefresher(provider);
+
+  // Resolves to null if the token has expired and can not be refreshed.
+  function getValidUser(user) {
+    if (!isTokenExpiring(user)) {
+      return Promise.resolve(user);
+    }
+    return refreshUser(user).catch(() => (isTokenExpiring(user, 0) ? null : user));
+  }
+
+  router.use((req, res, next) => {
+    if (req.session.kiosk) {
+      req.sessionOptions.maxAge = kioskSessionAge;  // eslint-disable-line no-param-reassign
+    }
+    next();
+  });
+
+  // The staff user is logged out, so the display can not be used for anything else.
+  router.get('/resources/:id/display/enable', (req, res) => {
+    const displayUrl = `/resources/${req.params.id}/display`;
+    if (!req.user || !req.user.token) {
+      res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      return;
+    }
+    /* eslint-disable no-param-reassign */
+    req.session.kiosk = {
+      resourceId: req.params.id,
+      user: encryptTokens(req.user, sessionSecret),
+    };
+    req.sessionOptions.maxAge = kioskSessionAge;
+    /* eslint-enable no-param-reassign */
+    req.logOut();
+    res.redirect(displayUrl);
+  });
+
+  router.get('/resources/:id/display/disable', (req, res) => {
+    req.session.kiosk = null;  // eslint-disable-line no-param-reassign
+    res.redirect(`/resources/${req.params.id}/display`);
+  });
+
+  router.post(constants.KIOSK_RESERVATION_URL, bodyParser.json(), (req, res, next) => {
+    const kiosk = req.session.kiosk;
+    const user = kiosk && decryptTokens(kiosk.user, sessionSecret);
+    if (!user) {
+      res.sendStatus(403);
+      return;
+    }
+    const reservation = getKioskReservation(kiosk.resourceId, req.body);
+    if (!reservation) {
+      res.sendStatus(400);
+      return;
+    }
+    getValidUser(user)
+      .then((validUser) => {
+        if (!validUser) {
+          res.sendStatus(401);
+          return null;
+        }
+        if (validUser !== user) {
+          req.session.kiosk = {  // eslint-disable-line no-param-reassign
+            ...kiosk,
+            user: encryptTokens(validUser, sessionSecret),
+          };
+        }
+        return createServerStore(validUser).dispatch(postReservation(reservation))
+          .then((action) => {
+            if (action.error) {
+              res.status(action.payload.status || 502).json(action.payload.response || {});
+            } else {
+              res.json(action.payload);
+            }
+          });
+      })
+      .catch(next);
+  });
+
+  return router;
+}
+
+export {
+  getKioskReservation,
+  getKioskResourceId,
+};
+export default createKioskRouter;
@@ -0,0 +1,181 @@
+import { expect } from 'chai';
+import defaults from 'lodash/defaults';
+import { CALL_API } from 'redux-api-middleware';
+import simple from 'simple-mock';
+
+import * as createServerStoreModule from '../createServerStore';
+import createKioskRouter, { getKioskReservation, getKioskResourceId } from './kiosk';
+import { decryptTokens, encryptTokens } from './sessionTokens';
+
+describe('server/auth/kiosk', () => {
+  const sessionSecret = 'secret';
+  const staffUser = {
+    accessToken: 'access-token',
+    id: 'u-1',
+    refreshToken: 'refresh-token',
+    token: 'staff-token',
+    tokenExpiresAt: null,
+  };
+  const begin = '2017-05-10T10:00:00+03:00';
+
+  function request(router, req) {
+    return new Promise((resolve, reject) => {
+      const res = {
+        json: (body) => {
+          res.body = body;
+          resolve(res);
+        },
+        redirect: (location) => {
+          res.location = location;
+          resolve(res);
+        },
+        sendStatus: (status) => {
+          res.statusCode = status;
+          resolve(res);
+        },
+        status: (status) => {
+          res.statusCode = status;
+          return res;
+        },
+      };
+      defaults(req, { headers: {}, method: 'GET', session: {}, sessionOptions: {} });
+      router.handle(req, res, error => reject(error || new Error('Not handled')));
+    });
+  }
+
+  describe('getKioskReservation', () => {
+    it('returns a reservation of the kiosk resource', () => {
+      const end = '2017-05-10T10:30:00+03:00';
+      const reservation = getKioskReservation('r-1', { begin, end, resource: 'r-2' });
+      expect(reservation).to.contain({ begin, end, resource: 'r-1' });
+    });
+
+    it('returns null for lengths which are not offered on the display', () => {
+      const end = '2017-05-10T18:00:00+03:00';
+      expect(getKioskReservation('r-1', { begin, end })).to.be.null;
+    });
+
+    it('returns null without the times', () => {
+      expect(getKioskReservation('r-1', {})).to.be.null;
+      expect(getKioskReservation('r-1')).to.be.null;
+    });
+  });
+
+  describe('getKioskResourceId', () => {
+    it('returns the resource of the kiosk in the session or null', () => {
+      expect(getKioskResourceId({ session: { kiosk: { resourceId: 'r-1' } } })).to.equal('r-1');
+      expect(getKioskResourceId({ session: {} })).to.be.null;
+      expect(getKioskResourceId({})).to.be.null;
+    });
+  });
+
+  describe('enabling', () => {
+    const url = '/resources/r-1/display/enable';
+
+    it('keeps the staff user encrypted in the session and logs them out', () => {
+      const router = createKioskRouter({}, sessionSecret);
+      const req = { logOut: simple.mock(), originalUrl: url, url, user: staffUser };
+      return request(router, req).then((res) => {
+        expect(res.location).to.equal('/resources/r-1/display');
+        expect(req.session.kiosk.resourceId).to.equal('r-1');
+        expect(req.session.kiosk.user).to.not.contain('staff-token');
+        expect(decryptTokens(req.session.kiosk.user, sessionSecret)).to.deep.equal(staffUser);
+        expect(req.logOut.callCount).to.equal(1);
+      });
+    });
+
+    it('asks the staff user to log in first', () => {
+      const router = createKioskRouter({}, sessionSecret);
+      return request(router, { originalUrl: url, url }).then((res) => {
+        expect(res.location).to.equal(`/login?next=${encodeURIComponent(url)}`);
+      });
+    });
+  });
+
+  describe('disabling', () => {
+    it('removes the kiosk from the session', () => {
+      const router = createKioskRouter({}, sessionSecret);
+      const session = { kiosk: { resourceId: 'r-1' } };
+      const req = { session, url: '/resources/r-1/display/disable' };
+      return request(router, req).then(() => {
+        expect(session.kiosk).to.be.null;
+      });
+    });
+  });
+
+  describe('making reservations', () => {
+    const body = { begin, end: '2017-05-10T11:00:00+03:00', resource: 'r-2' };
+    const successAction = { payload: { id: 'res-1', resource: 'r-1' } };
+    let dispatchMock;
+    let createServerStoreMock;
+
+    beforeEach(() => {
+      dispatchMock = simple.mock().resolveWith(successAction);
+      createServerStoreMock = simple.mock(createServerStoreModule, 'default')
+        .returnWith({ dispatch: dispatchMock });
+    });
+
+    afterEach(() => {
+      simple.restore();
+    });
+
+    function postReservation(router, kioskUser = staffUser) {
+      const session = {
+        kiosk: { resourceId: 'r-1', user: encryptTokens(kioskUser, sessionSecret) },
+      };
+      const req = { body, method: 'POST', session, url: '/kiosk/reservation' };
+      return request(router, req).then(res => ({ req, res }));
+    }
+
+    it('is forbidden without a kiosk', () => {
+      const router = createKioskRouter({}, sessionSecret);
+      const req = { body, method: 'POST', url: '/kiosk/reservation' };
+      return request(router, req).then((res) => {
+        expect(res.statusCode).to.equal(403);
+        expect(dispatchMock.callCount).to.equal(0);
+      });
+    });
+
+    it('posts a reservation of the kiosk resource with the token of the staff user', () => {
+      const router = createKioskRouter({}, sessionSecret);
+      return postReservation(router).then(({ res }) => {
+        expect(createServerStoreMock.lastCall.arg).to.deep.equal(staffUser);
+        const callAPI = dispatchMock.lastCall.arg[CALL_API];
+        expect(JSON.parse(callAPI.body)).to.contain({ begin, resource: 'r-1' });
+        expect(res.body).to.deep.equal(successAction.payload);
+      });
+    });
+
+    it('responds with the error of the API', () => {
+      const errorAction = { error: true, payload: { response: { detail: 'No' }, status: 400 } };
+      simple.restore(createServerStoreModule, 'default');
+      simple.mock(createServerStoreModule, 'default')
+        .returnWith({ dispatch: () => Promise.resolve(errorAction) });
+      const router = createKioskRouter({}, sessionSecret);
+      return postReservation(router).then(({ res }) => {
+        expect(res.statusCode).to.equal(400);
+        expect(res.body).to.deep.equal({ detail: 'No' });
+      });
+    });
+
+    it('refreshes an expiring token and keeps the refreshed user', () => {
+      const refreshedUser = { ...staffUser, token: 'new-token' };
+      const provider = { refreshUser: simple.mock().resolveWith(refreshedUser) };
+      const router = createKioskRouter(provider, sessionSecret);
+      const expiringUser = { ...staffUser, tokenExpiresAt: new Date().toISOString() };
+      return postReservation(router, expiringUser).then(({ req }) => {
+        expect(createServerStoreMock.lastCall.arg.token).to.equal('new-token');
+        expect(decryptTokens(req.session.kiosk.user, sessionSecret)).to.deep.equal(refreshedUser);
+      });
+    });
+
+    it('is unauthorized if an expired token can not be refreshed', () => {
+      const router = createKioskRouter({ name: 'test' }, sessionSecret);
+      const expiredUser = { ...staffUser, tokenExpiresAt: new Date(0).toISOString() };
+      return postReservation(router, expiredUser).then(({ res }) => {
+        expect(res.statusCode).to.equal(401);
+        expect(dispatchMock.callCount).to.equal(0);
+      });
+    });
+  });
+});
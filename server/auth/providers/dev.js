@@ -0,0 +1,72 @@
+import express from 'express';
+import Strategy from 'passport-strategy';
+
+import { createDevToken } from '../devToken';
+
+const formPath = '/login/dev';
+
+// A fake user for the test environment. Staff permissions can be given for a comma separated
+// list of unit ids.
+function createDevUser({ id, isStaff, units = '' }) {
+  const unitIds = units.split(',').map(unit => unit.trim()).filter(unit => unit);
+  const unitPermissions = {};
+  unitIds.forEach((unit) => {
+    unitPermissions[unit] = ['can_approve_reservation'];
+  });
+  return {
+    displayName: `Dev user ${id}`,
+    email: `${id}@example.com`,
+    id,
+    isStaff: Boolean(isStaff),
+    staffPerms: { unit: unitPermissions },
+    token: createDevToken({ id, isStaff: Boolean(isStaff), units: unitIds }),
+    tokenExpiresAt: null,
+  };
+}
+
+class DevStrategy extends Strategy {
+  constructor() {
+    super();
+    this.name = 'dev';
+  }
+
+  authenticate(req) {
+    if (!req.query.id) {
+      this.redirect(formPath);
+      return;
+    }
+    this.success(createDevUser(req.query));
+  }
+}
+
+function renderForm(callbackURL) {
+  return `<!DOCTYPE html>
+<html>
+  <head><title>Dev login</title></head>
+  <body>
+    <h1>Dev login</h1>
+    <form action="${callbackURL}" method="get">
+      <p><label>User id <input name="id" required value="dev-user"></label></p>
+      <p><label><input name="isStaff" type="checkbox" value="true"> Staff member</label></p>
+      <p><label>Staff permissions for units <input name="units" placeholder="unit-1,unit-2"></label></p>
+      <p><button type="submit">Log in</button></p>
+    </form>
+  </body>
+</html>`;
+}
+
+function createDevProvider(options) {
+  const router = express.Router();  // eslint-disable-line new-cap
+  router.get(formPath, (req, res) => {
+    res.send(renderForm(options.callbackURL));
+  });
+
+  return {
+    getLogoutUrl: redirectUrl => redirectUrl,
+    name: 'dev',
+    router,
+    strategy: new DevStrategy(),
+  };
+}
+
+export default createDevProvider;
@@ -0,0 +1,59 @@
+import pick from 'lodash/pick';
+import { Strategy } from 'passport-helsinki';
+
+import { createUser, refreshAccessToken } from '../tokens';
+
+function createHelsinkiProvider(options) {
+  const strategy = new Strategy(
+    {
+      clientID: options.clientID,
+      clientSecret: options.clientSecret,
+      callbackURL: options.callbackURL,
+      proxy: options.proxy,
+    },
+    (accessToken, refreshToken, profile, cb) => {
+      // The OAuth tokens are kept on the server for refreshing the API token later.
+      strategy.getAPIToken(accessToken, options.targetApp, token => (
+        cb(null, createUser(profile, { accessToken, refreshToken }, token))
+      ));
+    });
+
+  function getAPIToken(accessToken) {
+    return new Promise((resolve, reject) => {
+      strategy.getAPIToken(accessToken, options.targetApp, (token) => {
+        if (token) {
+          resolve(token);
+        } else {
+          reject(new Error('Could not get an API token.'));
+        }
+      });
+    });
+  }
+
+  // The access token is used for getting a new API token as long as it is accepted and the
+  // refresh token after that.
+  function refreshUser(user) {
+    const { accessToken, refreshToken } = user;
+    return getAPIToken(accessToken)
+      .then(token => createUser(user, { accessToken, refreshToken }, token))
+      .catch((error) => {
+        if (!refreshToken) {
+          throw error;
+        }
+        return refreshAccessToken(strategy, refreshToken).then(tokens => (
+          getAPIToken(tokens.accessToken).then(token => (
+            createUser(user, pick(tokens, ['accessToken', 'refreshToken']), token)
+          ))
+        ));
+      });
+  }
+
+  return {
+    getLogoutUrl: redirectUrl => `https://api.hel.fi/sso/logout/?next=${redirectUrl}`,
+    name: 'helsinki',
+    refreshUser,
+    strategy,
+  };
+}
+
+export default createHelsinkiProvider;
@@ -0,0 +1,24 @@
+import createDevProvider from './dev';
+import createHelsinkiProvider from './helsinki';
+import createOidcProvider from './oidc';
+import validateProvider from './validateProvider';
+
+const providerCreators = {
+  dev: createDevProvider,
+  helsinki: createHelsinkiProvider,
+  oidc: createOidcProvider,
+};
+
+// Returns the auth provider selected in the auth config. A provider has a passport strategy, a
+// function for the logout url and optionally a function for refreshing the token of a user and
+// a router for its own pages.
+function getProvider(authConfig, isProduction) {
+  const createProvider = providerCreators[authConfig.provider];
+  if (!createProvider) {
+    throw new Error(`Unknown auth provider "${authConfig.provider}".`);
+  }
+  validateProvider(authConfig.provider, isProduction);
+  return createProvider(authConfig[authConfig.provider]);
+}
+
+export default getProvider;
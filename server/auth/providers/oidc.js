@@ -0,0 +1,83 @@
+import OAuth2Strategy, { InternalOAuthError } from 'passport-oauth2';
+
+import { createUser, refreshAccessToken } from '../tokens';
+
+// A generic OpenID Connect provider. The user id is taken from the configured claim of the user
+// info and the API token from the configured field of the token response.
+function createOidcProvider(options) {
+  function getUser(claims, tokens, params) {
+    const token = options.tokenField === 'access_token' ?
+      tokens.accessToken :
+      params[options.tokenField];
+    if (!token) {
+      return null;
+    }
+    const profile = Object.assign({}, claims, {
+      displayName: claims.name,
+      id: claims[options.idClaim],
+    });
+    return createUser(profile, tokens, token);
+  }
+
+  const strategy = new OAuth2Strategy(
+    {
+      authorizationURL: options.authorizationURL,
+      callbackURL: options.callbackURL,
+      clientID: options.clientID,
+      clientSecret: options.clientSecret,
+      proxy: options.proxy,
+      scope: options.scope,
+      state: true,
+      tokenURL: options.tokenURL,
+    },
+    (accessToken, refreshToken, params, claims, cb) => {
+      const user = getUser(claims, { accessToken, refreshToken }, params);
+      cb(null, user || false);
+    });
+  /* eslint-disable no-underscore-dangle */
+  strategy.name = 'oidc';
+  strategy._oauth2.useAuthorizationHeaderforGET(true);
+  strategy.userProfile = (accessToken, done) => {
+    strategy._oauth2.get(options.userInfoURL, accessToken, (error, body) => {
+      if (error) {
+        done(new InternalOAuthError('Failed to fetch the user info.', error));
+        return;
+      }
+      try {
+        done(null, JSON.parse(body));
+      } catch (parseError) {
+        done(parseError);
+      }
+    });
+  };
+  /* eslint-enable no-underscore-dangle */
+
+  function refreshUser(user) {
+    if (!user.refreshToken) {
+      return Promise.reject(new Error('The user does not have a refresh token.'));
+    }
+    return refreshAccessToken(strategy, user.refreshToken).then(({ params, ...tokens }) => {
+      const refreshedUser = getUser(user, tokens, params);
+      if (!refreshedUser) {
+        throw new Error('The token response did not contain an API token.');
+      }
+      return refreshedUser;
+    });
+  }
+
+  function getLogoutUrl(redirectUrl) {
+    if (!options.endSessionURL) {
+      return redirectUrl;
+    }
+    return `${options.endSessionURL}?post_logout_redirect_uri=${encodeURIComponent(redirectUrl)}`;
+  }
+
+  return {
+    getLogoutUrl,
+    name: 'oidc',
+    refreshUser,
+    strategy,
+  };
+}
+
+export default createOidcProvider;
@@ -0,0 +1,11 @@
+// Providers which let anyone log in as any user. Like the mock API they are only for development.
+const developmentProviders = ['dev'];
+
+// Throws if the auth provider can not be used in the environment.
+function validateProvider(name, isProduction) {
+  if (isProduction && developmentProviders.indexOf(name) !== -1) {
+    throw new Error(`The auth provider "${name}" can not be used in production.`);
+  }
+}
+
+export default validateProvider;
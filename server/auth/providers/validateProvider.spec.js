@@ -0,0 +1,18 @@
+import { expect } from 'chai';
+
+import validateProvider from './validateProvider';
+
+describe('server/auth/providers/validateProvider', () => {
+  it('refuses the dev provider in production', () => {
+    expect(() => validateProvider('dev', true)).to.throw('can not be used in production');
+  });
+
+  it('allows the dev provider outside production', () => {
+    expect(() => validateProvider('dev', false)).to.not.throw();
+  });
+
+  it('allows the other providers in production', () => {
+    expect(() => validateProvider('helsinki', true)).to.not.throw();
+    expect(() => validateProvider('oidc', true)).to.not.throw();
+  });
+});
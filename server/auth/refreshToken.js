@@ -0,0 +1,63 @@
+import { isTokenExpiring } from './tokens';
+
+function login(req, user) {
+  return new Promise((resolve, reject) => {
+    req.login(user, error => (error ? reject(error) : resolve()));
+  });
+}
+
+// Returns a function which refreshes the user with the provider. The browser makes several
+// requests at once when the token is about to expire, so the requests with the same token share
+// one refresh.
+function createUserRefresher(provider) {
+  const pendingRefreshes = {};
+
+  return (user) => {
+    if (!provider.refreshUser) {
+      return Promise.reject(new Error(`Tokens of ${provider.name} can not be refreshed.`));
+    }
+    const key = user.token;
+    if (!pendingRefreshes[key]) {
+      const clear = () => {
+        delete pendingRefreshes[key];
+      };
+      pendingRefreshes[key] = provider.refreshUser(user).then(
+        (refreshedUser) => {
+          clear();
+          return refreshedUser;
+        },
+        (error) => {
+          clear();
+          throw error;
+        }
+      );
+    }
+    return pendingRefreshes[key];
+  };
+}
+
+// Refreshes the API token of the logged in user when it is about to expire. Saving the refreshed
+// user also renews the session, so the user stays logged in as long as the token can be refreshed.
+function refreshToken(provider) {
+  const refreshUser = createUserRefresher(provider);
+
+  return (req, res, next) => {
+    const user = req.user;
+    if (!user || !user.token || !isTokenExpiring(user)) {
+      next();
+      return;
+    }
+    refreshUser(user)
+      .then(refreshedUser => login(req, refreshedUser))
+      .catch(() => {
+        // Until the token has expired it can still be used, after that the user has to log in.
+        if (isTokenExpiring(user, 0)) {
+          req.logOut();
+        }
+      })
+      .then(() => next());
+  };
+}
+
+export { createUserRefresher };
+export default refreshToken;
@@ -0,0 +1,79 @@
+import { expect } from 'chai';
+import simple from 'simple-mock';
+
+import refreshToken, { createUserRefresher } from './refreshToken';
+
+describe('server/auth/refreshToken', () => {
+  const expiringUser = {
+    id: 'u-1',
+    token: 'old-token',
+    tokenExpiresAt: new Date(Date.now() + 1000).toISOString(),
+  };
+  const refreshedUser = { ...expiringUser, token: 'new-token', tokenExpiresAt: null };
+
+  function createProvider() {
+    let resolveRefresh;
+    const provider = {
+      name: 'test',
+      refreshUser: simple.mock().callFn(() => new Promise((resolve) => {
+        resolveRefresh = resolve;
+      })),
+    };
+    return { provider, resolve: () => resolveRefresh(refreshedUser) };
+  }
+
+  describe('createUserRefresher', () => {
+    it('shares one refresh between simultaneous refreshes of the same token', () => {
+      const { provider, resolve } = createProvider();
+      const refreshUser = createUserRefresher(provider);
+      const refreshes = [refreshUser(expiringUser), refreshUser(expiringUser)];
+      expect(provider.refreshUser.callCount).to.equal(1);
+      resolve();
+      return Promise.all(refreshes).then((users) => {
+        expect(users).to.deep.equal([refreshedUser, refreshedUser]);
+      });
+    });
+
+    it('refreshes again after the previous refresh has finished', () => {
+      const { provider, resolve } = createProvider();
+      const refreshUser = createUserRefresher(provider);
+      const refresh = refreshUser(expiringUser);
+      resolve();
+      return refresh.then(() => {
+        refreshUser(expiringUser);
+        expect(provider.refreshUser.callCount).to.equal(2);
+      });
+    });
+
+    it('rejects if the provider can not refresh tokens', () => {
+      const refreshUser = createUserRefresher({ name: 'test' });
+      return refreshUser(expiringUser).then(
+        () => { throw new Error('Expected a rejection'); },
+        error => expect(error.message).to.contain('can not be refreshed')
+      );
+    });
+  });
+
+  describe('middleware', () => {
+    it('saves the refreshed user of an expiring token', () => {
+      const { provider, resolve } = createProvider();
+      const req = { login: simple.mock().callbackWith(null), user: expiringUser };
+      const middleware = refreshToken(provider);
+      return new Promise((done) => {
+        middleware(req, {}, done);
+        resolve();
+      }).then(() => {
+        expect(req.login.lastCall.arg).to.equal(refreshedUser);
+      });
+    });
+
+    it('does nothing for users whose token is not expiring', () => {
+      const { provider } = createProvider();
+      const req = { user: { ...expiringUser, tokenExpiresAt: null } };
+      const next = simple.mock();
+      refreshToken(provider)(req, {}, next);
+      expect(next.callCount).to.equal(1);
+      expect(provider.refreshUser.callCount).to.equal(0);
+    });
+  });
+});
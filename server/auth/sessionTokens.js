@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+
+const algorithm = 'aes-256-gcm';
+
+function getKey(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+// Encrypts the OAuth tokens of a user for keeping them in the session. The session cookie is only
+// signed, so the client could read the tokens otherwise. Keeping them in the session instead of
+// the server memory lets them survive restarts and be shared by all the server instances.
+function encryptTokens(tokens, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(algorithm, getKey(secret), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+// Returns null if the tokens can not be decrypted, for example if the secret has changed.
+function decryptTokens(value, secret) {
+  try {
+    const [iv, authTag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(algorithm, getKey(secret), iv);
+    decipher.setAuthTag(authTag);
+    const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+    return JSON.parse(decrypted.toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+export {
+  decryptTokens,
+  encryptTokens,
+};
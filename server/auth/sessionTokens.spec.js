@@ -0,0 +1,29 @@
+import { expect } from 'chai';
+
+import { decryptTokens, encryptTokens } from './sessionTokens';
+
+describe('server/auth/sessionTokens', () => {
+  const secret = 'session-secret';
+  const tokens = { accessToken: 'access', refreshToken: 'refresh' };
+
+  it('decrypts the encrypted tokens', () => {
+    expect(decryptTokens(encryptTokens(tokens, secret), secret)).to.deep.equal(tokens);
+  });
+
+  it('does not keep the tokens readable', () => {
+    const encrypted = encryptTokens(tokens, secret);
+    expect(encrypted).to.not.contain('refresh');
+    expect(Buffer.from(encrypted.split('.')[2], 'base64').toString()).to.not.contain('refresh');
+  });
+
+  it('returns null with another secret', () => {
+    expect(decryptTokens(encryptTokens(tokens, secret), 'other-secret')).to.be.null;
+  });
+
+  it('returns null for tampered or missing values', () => {
+    const [iv, authTag] = encryptTokens(tokens, secret).split('.');
+    const tampered = [iv, authTag, Buffer.from('{}').toString('base64')].join('.');
+    expect(decryptTokens(tampered, secret)).to.be.null;
+    expect(decryptTokens(undefined, secret)).to.be.null;
+  });
+});
@@ -0,0 +1,52 @@
+import constants from 'constants/AppConstants';
+
+// Returns the expiry time of a JWT as an ISO string, or null if the token does not have one.
+function getTokenExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
+    return payload.exp ? new Date(payload.exp * 1000).toISOString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isTokenExpiring(user, margin = constants.AUTH_REFRESH_MARGIN) {
+  if (!user.tokenExpiresAt) {
+    return false;
+  }
+  return new Date(user.tokenExpiresAt).getTime() - margin < Date.now();
+}
+
+// Gets a new access token with the refresh token, the same way passport-oauth2 strategies get
+// the first one.
+function refreshAccessToken(strategy, refreshToken) {
+  return new Promise((resolve, reject) => {
+    const oauth2 = strategy._oauth2;  // eslint-disable-line no-underscore-dangle
+    oauth2.getOAuthAccessToken(
+      refreshToken,
+      { grant_type: 'refresh_token' },
+      (error, accessToken, newRefreshToken, params) => {
+        if (error || !accessToken) {
+          reject(error || new Error('Could not refresh the access token.'));
+        } else {
+          resolve({
+            accessToken,
+            params,
+            refreshToken: newRefreshToken || refreshToken,
+          });
+        }
+      }
+    );
+  });
+}
+
+function createUser(profile, tokens, token) {
+  return Object.assign({}, profile, tokens, { token, tokenExpiresAt: getTokenExpiry(token) });
+}
+
+export {
+  createUser,
+  getTokenExpiry,
+  isTokenExpiring,
+  refreshAccessToken,
+};
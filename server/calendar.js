@@ -0,0 +1,59 @@
+import 'isomorphic-fetch';
+
+import express from 'express';
+import sortBy from 'lodash/sortBy';
+import uniq from 'lodash/uniq';
+import values from 'lodash/values';
+import nocache from 'nocache';
+
+import { fetchReservations } from 'actions/reservationActions';
+import { fetchResource } from 'actions/resourceActions';
+import { fetchUnits } from 'actions/unitActions';
+import constants from 'constants/AppConstants';
+import { getICalendar } from 'utils/icalendarUtils';
+import createServerStore from './createServerStore';
+
+const router = express.Router();  // eslint-disable-line new-cap
+
+function isFailed(actions) {
+  return actions.some(action => action.error);
+}
+
+// The reservations of the logged in user as a downloadable iCalendar file. The session cookie is
+// used for authentication the same way as in the rest of the app, so calendar apps, which do not
+// send the cookie, can not subscribe to it.
+router.get(constants.RESERVATIONS_CALENDAR_URL, nocache(), (req, res, next) => {
+  if (!req.user || !req.user.token) {
+    res.sendStatus(401);
+    return;
+  }
+  const store = createServerStore(req.user);
+  const dispatchAll = actions => Promise.all(actions.map(action => store.dispatch(action)));
+
+  dispatchAll([fetchReservations({ isOwn: true }), fetchUnits()])
+    .then((actions) => {
+      if (isFailed(actions)) {
+        return actions;
+      }
+      // Only the resources of the reservations are needed for their locations.
+      const reservations = values(store.getState().data.reservations);
+      const resourceIds = uniq(reservations.map(reservation => reservation.resource));
+      return dispatchAll(resourceIds.map(id => fetchResource(id)));
+    })
+    .then((actions) => {
+      if (isFailed(actions)) {
+        res.sendStatus(502);
+        return;
+      }
+      const { data, intl } = store.getState();
+      const icalendar = getICalendar(sortBy(values(data.reservations), 'begin'), {
+        accessCodeText: intl.messages['ReservationAccessCode.defaultText'],
+        resources: data.resources,
+        units: data.units,
+      });
+      res.type('text/calendar; charset=utf-8').send(icalendar);
+    })
+    .catch(next);
+});
+
+export default router;
@@ -6,6 +6,11 @@ const isProduction = process.env.NODE_ENV === 'production';
 
 const defaultPort = isProduction ? 8080 : 3000;
 const port = process.env.PORT || defaultPort;
+const defaultApiUrl = isProduction ? 'https://api.hel.fi/respa/v1' : 'https://api.hel.fi/respa-test/v1';
+const apiUrl = process.env.API_URL || defaultApiUrl;
+const mockApiPath = '/mock-api/v1';
+const mockApi = Boolean(process.env.MOCK_API) && !isProduction;
+const oidcIssuer = process.env.OIDC_ISSUER || '';
 
 function getAssetHash(filePath) {
   if (!isProduction) return '';
@@ -29,8 +34,63 @@ module.exports = {
       '/app.js'
     ),
   },
+  assetsPublicPath: isProduction ? '/_assets/' : '/',
+  auth: {
+    // Name of the provider in server/auth/providers used for logging in. The dev provider is
+    // refused in production.
+    provider: process.env.AUTH_PROVIDER || 'helsinki',
+    logoutRedirectUrl: process.env.LOGOUT_REDIRECT_URL || 'https://varaamo.hel.fi',
+    helsinki: {
+      callbackURL: process.env.LOGIN_CALLBACK_URL || '/login/helsinki/return',
+      clientID: process.env.CLIENT_ID,
+      clientSecret: process.env.CLIENT_SECRET,
+      proxy: Boolean(process.env.PROXY),
+      targetApp: process.env.TARGET_APP,
+    },
+    oidc: {
+      // The endpoints default to the usual paths under the issuer.
+      authorizationURL: process.env.OIDC_AUTHORIZATION_URL || `${oidcIssuer}/authorize`,
+      callbackURL: process.env.LOGIN_CALLBACK_URL || '/login/oidc/return',
+      clientID: process.env.CLIENT_ID,
+      clientSecret: process.env.CLIENT_SECRET,
+      endSessionURL: process.env.OIDC_END_SESSION_URL,
+      // The claim of the user info used as the user id and the token response field used as the
+      // API token.
+      idClaim: process.env.OIDC_ID_CLAIM || 'sub',
+      issuer: oidcIssuer,
+      proxy: Boolean(process.env.PROXY),
+      scope: (process.env.OIDC_SCOPE || 'openid profile email').split(' '),
+      tokenField: process.env.OIDC_TOKEN_FIELD || 'id_token',
+      tokenURL: process.env.OIDC_TOKEN_URL || `${oidcIssuer}/token`,
+      userInfoURL: process.env.OIDC_USER_INFO_URL || `${oidcIssuer}/userinfo`,
+    },
+    dev: {
+      callbackURL: '/login/dev/return',
+    },
+  },
   isProduction,
+  // Serves the in-memory API of server/mock-api and uses it instead of the real one.
+  mockApi: {
+    enabled: mockApi,
+    path: mockApiPath,
+  },
   piwikSiteId: process.env.PIWIK_SITE_ID,
   port,
+  // Maximum time to wait for the API data of a page before rendering it anyway.
+  renderDataTimeout: Number(process.env.RENDER_DATA_TIMEOUT) || 5000,
+  // The same global settings webpack defines for the client bundle.
+  settings: {
+    API_URL: mockApi ? `http://localhost:${port}${mockApiPath}` : apiUrl,
+    SHOW_TEST_SITE_MESSAGE: Boolean(process.env.SHOW_TEST_SITE_MESSAGE),
+    TRACKING: Boolean(process.env.PIWIK_SITE_ID),
+  },
+  // Images are required by the app code, so they need to resolve to the same urls the
+  // webpack loaders in config/webpack.common.js produce.
+  webpackImageLoaders: {
+    gif: { inlineLimit: 100000, mimetype: 'image/gif' },
+    ico: { inlineLimit: 100000, mimetype: 'image/x-icon' },
+    jpg: {},
+    png: { inlineLimit: 100000, mimetype: 'image/png' },
+  },
   webpackStylesExtensions: ['css', 'less'],
 };
@@ -0,0 +1,40 @@
+import omit from 'lodash/omit';
+import { applyMiddleware, createStore } from 'redux';
+import { apiMiddleware } from 'redux-api-middleware';
+import thunk from 'redux-thunk';
+import Immutable from 'seamless-immutable';
+
+import constants from 'constants/AppConstants';
+import { initI18n } from 'i18n';
+import rootReducer from 'state/rootReducer';
+
+function getUserState(user) {
+  if (user && user.id && user.token) {
+    return {
+      auth: { expiresAt: user.tokenExpiresAt || null, token: user.token, userId: user.id },
+      data: {
+        users: {
+          // The OAuth tokens are only needed on the server.
+          [user.id]: omit(user, ['accessToken', 'refreshToken']),
+        },
+      },
+    };
+  }
+  return {};
+}
+
+function getKioskState(kioskResourceId) {
+  return kioskResourceId ? { auth: { kioskResourceId } } : {};
+}
+
+// Creates a store for a single request, authenticated as the user of the request if there is one.
+function createServerStore(user, { kioskResourceId, locale = constants.DEFAULT_LOCALE } = {}) {
+  const initialStoreState = createStore(rootReducer, {}).getState();
+  const initialIntlState = initI18n(locale);
+  const finalState = Immutable(initialStoreState).merge(
+    [getUserState(user), getKioskState(kioskResourceId), initialIntlState], { deep: true }
+  );
+  return createStore(rootReducer, finalState, applyMiddleware(thunk, apiMiddleware));
+}
+
+export default createServerStore;
@@ -2,6 +2,7 @@
 
 import path from 'path';
 
+import cookieParser from 'cookie-parser';
 import express from 'express';
 import morgan from 'morgan';
 import webpack from 'webpack';
@@ -9,8 +10,10 @@ import webpackMiddleware from 'webpack-dev-middleware';
 import webpackHotMiddleware from 'webpack-hot-middleware';
 
 import auth from './auth';
+import calendar from './calendar';
 import webpackConfig from '../config/webpack.development';
 import serverConfig from './config';
+import createMockApi from './mock-api';
 import render from './render';
 
 const app = express();
@@ -47,9 +50,17 @@ if (serverConfig.isProduction) {
 // Request logging
 app.use(morgan('combined'));
 
+if (serverConfig.mockApi.enabled) {
+  console.log('Serving the mock API...');
+  app.use(serverConfig.mockApi.path, createMockApi(serverConfig.settings.API_URL));
+}
+
 app.use('/', auth);
 
-app.get('*', render);
+app.use('/', calendar);
+
+// The locale is read from a cookie, see render.
+app.get('*', cookieParser(), render);
 
 app.listen(port, (error) => {
   if (error) {
@@ -0,0 +1,162 @@
+import includes from 'lodash/includes';
+import values from 'lodash/values';
+import moment from 'moment-timezone';
+
+const TIME_ZONE = 'Europe/Helsinki';
+
+// Reservations in these states do not reserve the resource.
+const INACTIVE_STATES = ['cancelled', 'denied'];
+
+function overlaps(a, b) {
+  return moment(a.begin).isBefore(b.end) && moment(a.end).isAfter(b.begin);
+}
+
+function getDuration(period) {
+  return period ? moment.duration(period).asMilliseconds() : null;
+}
+
+// Opening hours are given per weekday as [opens, closes] in local time, ISO weekday 1 being
+// Monday. Days without opening hours are closed.
+function getOpeningHoursOfDay(resource, date) {
+  const day = moment.tz(date, TIME_ZONE).startOf('day');
+  const hours = resource.weeklyOpeningHours[day.isoWeekday()];
+  const dateString = day.format('YYYY-MM-DD');
+  if (!hours) {
+    return { closes: null, date: dateString, opens: null };
+  }
+  const getTime = time => moment.tz(`${dateString}T${time}`, TIME_ZONE).format();
+  return { closes: getTime(hours[1]), date: dateString, opens: getTime(hours[0]) };
+}
+
+function getOpeningHours(resource, start, end) {
+  const days = [];
+  const day = moment.tz(start, TIME_ZONE).startOf('day');
+  const last = moment.tz(end || start, TIME_ZONE).startOf('day');
+  while (!day.isAfter(last)) {
+    days.push(getOpeningHoursOfDay(resource, day));
+    day.add(1, 'day');
+  }
+  return days;
+}
+
+// The urls of the reservations are made from baseUrl, the url the API is served at.
+function createDatabase(baseUrl) {
+  const data = {
+    favorites: {},
+    purposes: {},
+    reservations: {},
+    resources: {},
+    units: {},
+    users: {},
+  };
+  let nextReservationId = 1;
+
+  function isStaffOf(user, resource) {
+    return Boolean(user && user.isStaff && includes(user.units, resource.unit));
+  }
+
+  function getActiveReservations(resourceId, ignoredId) {
+    return values(data.reservations).filter(reservation => (
+      reservation.resource === resourceId &&
+      reservation.id !== ignoredId &&
+      !includes(INACTIVE_STATES, reservation.state)
+    ));
+  }
+
+  // Returns the reasons the reservation can not be made, the same rules as in the real API.
+  function getReservationErrors(reservation, ignoredId) {
+    const resource = data.resources[reservation.resource];
+    if (!resource) {
+      return ['Resource does not exist.'];
+    }
+    const begin = moment(reservation.begin);
+    const end = moment(reservation.end);
+    if (!begin.isValid() || !end.isValid() || !begin.isBefore(end)) {
+      return ['The reservation must end after it begins.'];
+    }
+    const errors = [];
+    if (begin.isBefore(moment())) {
+      errors.push('Past reservations can not be made.');
+    }
+    const openingHours = getOpeningHoursOfDay(resource, begin);
+    if (
+      !openingHours.opens ||
+      begin.isBefore(openingHours.opens) ||
+      end.isAfter(openingHours.closes)
+    ) {
+      errors.push('You must start and end the reservation during opening hours.');
+    }
+    const duration = end.diff(begin);
+    if (resource.minPeriod && duration < getDuration(resource.minPeriod)) {
+      errors.push(`The minimum reservation length is ${resource.minPeriod}.`);
+    }
+    if (resource.maxPeriod && duration > getDuration(resource.maxPeriod)) {
+      errors.push(`The maximum reservation length is ${resource.maxPeriod}.`);
+    }
+    const activeReservations = getActiveReservations(resource.id, ignoredId);
+    if (activeReservations.some(other => overlaps(other, reservation))) {
+      errors.push('The resource is already reserved for some of the period.');
+    }
+    return errors;
+  }
+
+  function serializeReservation(reservation, user) {
+    const isOwn = Boolean(user && reservation.user.id === user.id);
+    const resource = data.resources[reservation.resource];
+    if (isOwn || isStaffOf(user, resource)) {
+      return { ...reservation, isOwn };
+    }
+    // Others only see when the resource is reserved.
+    const { begin, end, id, needManualConfirmation, state, url } = reservation;
+    return { begin, end, id, isOwn, needManualConfirmation, resource: resource.id, state, url };
+  }
+
+  function serializeResource(resource, user, { end, start } = {}) {
+    const serialized = {
+      ...resource,
+      isFavorite: Boolean(user && includes(data.favorites[user.id], resource.id)),
+      openingHours: getOpeningHours(resource, start || moment(), end),
+      userPermissions: {
+        canMakeReservations: true,
+        isAdmin: isStaffOf(user, resource),
+      },
+    };
+    delete serialized.weeklyOpeningHours;
+    if (start && end) {
+      serialized.reservations = getActiveReservations(resource.id)
+        .filter(reservation => overlaps(reservation, { begin: start, end }))
+        .map(reservation => serializeReservation(reservation, user));
+    }
+    return serialized;
+  }
+
+  function addReservation(reservation, user) {
+    const id = String(nextReservationId);
+    nextReservationId += 1;
+    const resource = data.resources[reservation.resource];
+    const created = {
+      ...reservation,
+      id,
+      needManualConfirmation: resource.needManualConfirmation,
+      state: resource.needManualConfirmation ? 'requested' : 'confirmed',
+      url: `${baseUrl}/reservation/${id}/`,
+      user: { displayName: user.displayName || user.id, id: user.id },
+    };
+    if (resource.generatesAccessCodes && created.state === 'confirmed') {
+      created.accessCode = String(1000 + ((Number(id) * 7919) % 9000));
+    }
+    data.reservations[id] = created;
+    return created;
+  }
+
+  return {
+    addReservation,
+    data,
+    getReservationErrors,
+    isStaffOf,
+    serializeReservation,
+    serializeResource,
+  };
+}
+
+export default createDatabase;
@@ -0,0 +1,122 @@
+import { expect } from 'chai';
+import MockDate from 'mockdate';
+
+import createDatabase from './database';
+
+describe('server/mock-api/database', () => {
+  // A Monday at 9:00 in Helsinki.
+  const now = '2017-05-08T09:00:00+03:00';
+  const resource = {
+    id: 'r-1',
+    maxPeriod: '02:00:00',
+    minPeriod: '00:30:00',
+    unit: 'u-1',
+    weeklyOpeningHours: { 1: ['08:00:00', '16:00:00'] },
+  };
+  const user = { id: 'u-1' };
+  let database;
+
+  function getReservation(begin, end) {
+    return {
+      begin: `2017-05-08T${begin}:00+03:00`,
+      end: `2017-05-08T${end}:00+03:00`,
+      resource: resource.id,
+    };
+  }
+
+  beforeEach(() => {
+    MockDate.set(now);
+    database = createDatabase('https://api.example.com/v1');
+    database.data.resources[resource.id] = resource;
+  });
+
+  afterEach(() => {
+    MockDate.reset();
+  });
+
+  describe('getReservationErrors', () => {
+    it('returns no errors for a free period during the opening hours', () => {
+      expect(database.getReservationErrors(getReservation('10:00', '11:00'))).to.deep.equal([]);
+    });
+
+    it('returns an error if the resource does not exist', () => {
+      const reservation = { ...getReservation('10:00', '11:00'), resource: 'r-2' };
+      expect(database.getReservationErrors(reservation)).to.deep.equal([
+        'Resource does not exist.',
+      ]);
+    });
+
+    it('returns an error if the reservation does not end after it begins', () => {
+      expect(database.getReservationErrors(getReservation('11:00', '10:00'))).to.deep.equal([
+        'The reservation must end after it begins.',
+      ]);
+    });
+
+    it('returns an error for past reservations', () => {
+      expect(database.getReservationErrors(getReservation('08:00', '09:00'))).to.deep.equal([
+        'Past reservations can not be made.',
+      ]);
+    });
+
+    it('returns an error for reservations outside the opening hours', () => {
+      const error = 'You must start and end the reservation during opening hours.';
+      expect(database.getReservationErrors(getReservation('15:30', '16:30'))).to.deep.equal([
+        error,
+      ]);
+      const sundayReservation = {
+        begin: '2017-05-14T10:00:00+03:00',
+        end: '2017-05-14T11:00:00+03:00',
+        resource: resource.id,
+      };
+      expect(database.getReservationErrors(sundayReservation)).to.deep.equal([error]);
+    });
+
+    it('returns an error for reservations shorter than minPeriod', () => {
+      expect(database.getReservationErrors(getReservation('10:00', '10:15'))).to.deep.equal([
+        'The minimum reservation length is 00:30:00.',
+      ]);
+    });
+
+    it('returns an error for reservations longer than maxPeriod', () => {
+      expect(database.getReservationErrors(getReservation('10:00', '12:30'))).to.deep.equal([
+        'The maximum reservation length is 02:00:00.',
+      ]);
+    });
+
+    it('returns an error for reservations overlapping an active reservation', () => {
+      database.addReservation(getReservation('10:00', '11:00'), user);
+      expect(database.getReservationErrors(getReservation('10:30', '11:30'))).to.deep.equal([
+        'The resource is already reserved for some of the period.',
+      ]);
+      expect(database.getReservationErrors(getReservation('11:00', '12:00'))).to.deep.equal([]);
+    });
+
+    it('ignores cancelled reservations and the reservation with the ignored id', () => {
+      const cancelled = database.addReservation(getReservation('10:00', '11:00'), user);
+      database.data.reservations[cancelled.id].state = 'cancelled';
+      const other = database.addReservation(getReservation('12:00', '13:00'), user);
+
+      expect(database.getReservationErrors(getReservation('10:00', '11:00'))).to.deep.equal([]);
+      expect(database.getReservationErrors(getReservation('12:00', '13:00'), other.id))
+        .to.deep.equal([]);
+    });
+
+    it('returns all the errors of the reservation', () => {
+      expect(database.getReservationErrors(getReservation('07:00', '07:15'))).to.have.length(3);
+    });
+  });
+
+  describe('serializeReservation', () => {
+    it('returns only the times and the state to other users than the owner and the staff', () => {
+      const reservation = database.addReservation(
+        { ...getReservation('10:00', '11:00'), eventSubject: 'Secret' }, user
+      );
+      expect(database.serializeReservation(reservation, { id: 'u-2' })).to.not.have.property(
+        'eventSubject'
+      );
+      expect(database.serializeReservation(reservation, user).eventSubject).to.equal('Secret');
+      const staff = { id: 'u-3', isStaff: true, units: [resource.unit] };
+      expect(database.serializeReservation(reservation, staff).eventSubject).to.equal('Secret');
+    });
+  });
+});
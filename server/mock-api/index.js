@@ -0,0 +1,219 @@
+import bodyParser from 'body-parser';
+import express from 'express';
+import { camelizeKeys, decamelizeKeys } from 'humps';
+import includes from 'lodash/includes';
+import omit from 'lodash/omit';
+import sortBy from 'lodash/sortBy';
+import values from 'lodash/values';
+import moment from 'moment';
+import queryString from 'query-string';
+
+import { parseDevToken } from '../auth/devToken';
+import createDatabase from './database';
+import seedDatabase from './seed';
+
+// Fields of a reservation that can not be set by the client.
+const READ_ONLY_RESERVATION_FIELDS = [
+  'accessCode', 'id', 'isOwn', 'needManualConfirmation', 'state', 'url', 'user',
+];
+
+function send(res, data, status = 200) {
+  res.status(status).json(decamelizeKeys(data));
+}
+
+function sendError(res, status, detail) {
+  send(res, { detail }, status);
+}
+
+function isTrue(value) {
+  return value === true || value === 'true' || value === 'True';
+}
+
+// An in-memory version of the respa API with the endpoints the app uses. Users are identified
+// by the tokens of the dev login. baseUrl is the url the router is served at.
+function createMockApi(baseUrl) {
+  const router = express.Router();  // eslint-disable-line new-cap
+  const database = createDatabase(baseUrl);
+  const { data } = database;
+  seedDatabase(database);
+
+  function paginate(req, items) {
+    const pageSize = Number(req.query.pageSize) || 20;
+    const page = Number(req.query.page) || 1;
+    const getPageUrl = (number) => {
+      const query = queryString.stringify({ ...decamelizeKeys(req.query), page: number });
+      return `${baseUrl}${req.path}?${query}`;
+    };
+    return {
+      count: items.length,
+      next: page * pageSize < items.length ? getPageUrl(page + 1) : null,
+      previous: page > 1 ? getPageUrl(page - 1) : null,
+      results: items.slice((page - 1) * pageSize, page * pageSize),
+    };
+  }
+
+  function requireUser(req, res, next) {
+    if (!req.user) {
+      sendError(res, 401, 'Authentication credentials were not provided.');
+    } else {
+      next();
+    }
+  }
+
+  function findReservation(req, res, next) {
+    const reservation = data.reservations[req.params.id];
+    const resource = reservation && data.resources[reservation.resource];
+    if (!reservation) {
+      sendError(res, 404, 'Not found.');
+    } else if (reservation.user.id !== req.user.id && !database.isStaffOf(req.user, resource)) {
+      sendError(res, 403, 'You do not have permission to perform this action.');
+    } else {
+      req.reservation = reservation;  // eslint-disable-line no-param-reassign
+      next();
+    }
+  }
+
+  router.use(bodyParser.json());
+
+  router.use((req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const tokenUser = scheme === 'JWT' ? parseDevToken(token) : null;
+    /* eslint-disable no-param-reassign */
+    req.user = tokenUser && { ...tokenUser, displayName: `Dev user ${tokenUser.id}` };
+    req.query = camelizeKeys(req.query);
+    req.body = camelizeKeys(req.body);
+    /* eslint-enable no-param-reassign */
+    next();
+  });
+
+  router.get('/purpose/', (req, res) => {
+    send(res, paginate(req, values(data.purposes)));
+  });
+
+  router.get('/unit/', (req, res) => {
+    send(res, paginate(req, values(data.units)));
+  });
+
+  router.get('/user/:id/', requireUser, (req, res) => {
+    const user = req.user;
+    if (req.params.id !== user.id) {
+      sendError(res, 404, 'Not found.');
+      return;
+    }
+    const unitPermissions = {};
+    user.units.forEach((unit) => {
+      unitPermissions[unit] = ['can_approve_reservation'];
+    });
+    send(res, {
+      displayName: user.displayName,
+      email: `${user.id}@example.com`,
+      id: user.id,
+      isStaff: user.isStaff,
+      staffPerms: { unit: unitPermissions },
+      uuid: user.id,
+    });
+  });
+
+  router.get('/resource/', (req, res) => {
+    const { isFavorite, people, purpose, search, unit } = req.query;
+    const favorites = (req.user && data.favorites[req.user.id]) || [];
+    const purposes = purpose ? purpose.split(',') : null;
+    const resources = values(data.resources).filter(resource => (
+      (!search || resource.name.toLowerCase().indexOf(search.toLowerCase()) !== -1) &&
+      (!purposes || resource.purposes.some(id => includes(purposes, id))) &&
+      (!people || resource.peopleCapacity >= Number(people)) &&
+      (!unit || resource.unit === unit) &&
+      (!isTrue(isFavorite) || includes(favorites, resource.id))
+    ));
+    const serialized = resources.map(resource => (
+      database.serializeResource(resource, req.user, req.query)
+    ));
+    send(res, paginate(req, serialized));
+  });
+
+  router.get('/resource/:id/', (req, res) => {
+    const resource = data.resources[req.params.id];
+    if (!resource) {
+      sendError(res, 404, 'Not found.');
+      return;
+    }
+    send(res, database.serializeResource(resource, req.user, req.query));
+  });
+
+  router.post('/resource/:id/:action(favorite|unfavorite)/', requireUser, (req, res) => {
+    if (!data.resources[req.params.id]) {
+      sendError(res, 404, 'Not found.');
+      return;
+    }
+    const favorites = (data.favorites[req.user.id] || []).filter(id => id !== req.params.id);
+    data.favorites[req.user.id] = req.params.action === 'favorite' ?
+      [...favorites, req.params.id] :
+      favorites;
+    res.status(201).end();
+  });
+
+  router.get('/reservation/', (req, res) => {
+    const { canApprove, end, isOwn, resource, start, state } = req.query;
+    const user = req.user;
+    const states = state ? state.split(',') : null;
+    const reservations = values(data.reservations).filter(reservation => (
+      (!isTrue(isOwn) || Boolean(user && reservation.user.id === user.id)) &&
+      (!isTrue(canApprove) || (
+        reservation.needManualConfirmation &&
+        database.isStaffOf(user, data.resources[reservation.resource])
+      )) &&
+      (!resource || reservation.resource === resource) &&
+      (!states || includes(states, reservation.state)) &&
+      (!start || moment(reservation.end).isAfter(start)) &&
+      (!end || moment(reservation.begin).isBefore(end))
+    ));
+    const serialized = sortBy(reservations, 'begin').map(reservation => (
+      database.serializeReservation(reservation, user)
+    ));
+    send(res, paginate(req, serialized));
+  });
+
+  router.post('/reservation/', requireUser, (req, res) => {
+    const reservation = omit(req.body, READ_ONLY_RESERVATION_FIELDS);
+    const errors = database.getReservationErrors(reservation);
+    if (errors.length) {
+      send(res, { nonFieldErrors: errors }, 400);
+      return;
+    }
+    const created = database.addReservation(reservation, req.user);
+    send(res, database.serializeReservation(created, req.user), 201);
+  });
+
+  router.put('/reservation/:id/', requireUser, findReservation, (req, res) => {
+    const current = req.reservation;
+    const resource = data.resources[current.resource];
+    const changes = omit(req.body, READ_ONLY_RESERVATION_FIELDS);
+    const updated = { ...current, ...changes, resource: current.resource };
+    // Only the staff can confirm or deny preliminary reservations.
+    if (req.body.state && req.body.state !== current.state) {
+      if (!database.isStaffOf(req.user, resource) || current.state !== 'requested') {
+        sendError(res, 403, 'You do not have permission to change the state.');
+        return;
+      }
+      updated.state = req.body.state;
+    }
+    const errors = updated.state === 'denied' ?
+      [] :
+      database.getReservationErrors(updated, current.id);
+    if (errors.length) {
+      send(res, { nonFieldErrors: errors }, 400);
+      return;
+    }
+    data.reservations[current.id] = updated;
+    send(res, database.serializeReservation(updated, req.user));
+  });
+
+  router.delete('/reservation/:id/', requireUser, findReservation, (req, res) => {
+    data.reservations[req.reservation.id] = { ...req.reservation, state: 'cancelled' };
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+export default createMockApi;
@@ -0,0 +1,177 @@
+import 'isomorphic-fetch';
+
+import { expect } from 'chai';
+import express from 'express';
+import moment from 'moment-timezone';
+
+import { createDevToken } from '../auth/devToken';
+import createMockApi from './index';
+
+describe('server/mock-api', () => {
+  const owner = createDevToken({ id: 'owner', isStaff: false, units: [] });
+  const other = createDevToken({ id: 'other', isStaff: false, units: [] });
+  let baseUrl;
+  let resources;
+  let server;
+
+  function request(path, { body, method = 'GET', token } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers.Authorization = `JWT ${token}`;
+    }
+    const init = { headers, method };
+    if (body) {
+      init.body = JSON.stringify(body);
+    }
+    return fetch(`${baseUrl}${path}`, init).then(response => (
+      response.text().then(text => ({
+        json: text ? JSON.parse(text) : null,
+        status: response.status,
+      }))
+    ));
+  }
+
+  // An hour of the next week's Monday after the hours of the seeded reservations.
+  function getTimes(hour = 16) {
+    const begin = moment.tz('Europe/Helsinki').add(1, 'week').isoWeekday(1).startOf('day')
+      .hour(hour);
+    return { begin: begin.format(), end: begin.clone().add(1, 'hour').format() };
+  }
+
+  function findResource(name) {
+    return resources.filter(resource => resource.name === name)[0];
+  }
+
+  before((done) => {
+    const app = express();
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}/v1`;
+      app.use('/v1', createMockApi(baseUrl));
+      request('/resource/?page_size=100').then(({ json }) => {
+        resources = json.results;
+        done();
+      }, done);
+    });
+  });
+
+  after((done) => {
+    server.close(done);
+  });
+
+  describe('pagination', () => {
+    it('returns a page of results with the urls of the next and previous pages', () => (
+      request('/purpose/?page_size=2&page=2').then(({ json, status }) => {
+        expect(status).to.equal(200);
+        expect(json.count).to.equal(5);
+        expect(json.results).to.have.length(2);
+        expect(json.next).to.equal(`${baseUrl}/purpose/?page=3&page_size=2`);
+        expect(json.previous).to.equal(`${baseUrl}/purpose/?page=1&page_size=2`);
+      })
+    ));
+
+    it('does not return a next page url on the last page', () => (
+      request('/purpose/?page_size=2&page=3').then(({ json }) => {
+        expect(json.results).to.have.length(1);
+        expect(json.next).to.be.null;
+      })
+    ));
+  });
+
+  describe('reservations', () => {
+    it('can not be made without a user', () => {
+      const reservation = { ...getTimes(), resource: findResource('Study booth').id };
+      return request('/reservation/', { body: reservation, method: 'POST' }).then(({ status }) => {
+        expect(status).to.equal(401);
+      });
+    });
+
+    it('are made and returned to their owner', () => {
+      const resource = findResource('Study booth');
+      const reservation = { ...getTimes(), resource: resource.id };
+      return request('/reservation/', { body: reservation, method: 'POST', token: owner })
+        .then(({ json, status }) => {
+          expect(status).to.equal(201);
+          expect(json.state).to.equal('confirmed');
+          expect(json.is_own).to.be.true;
+          return request(`/reservation/?resource=${resource.id}&is_own=true`, { token: owner });
+        })
+        .then(({ json }) => {
+          expect(json.results.map(result => result.begin)).to.deep.equal([reservation.begin]);
+        });
+    });
+
+    it('are not made over another reservation', () => {
+      const reservation = { ...getTimes(17), resource: findResource('Meeting room Aurora').id };
+      const post = token => request('/reservation/', { body: reservation, method: 'POST', token });
+      return post(owner)
+        .then(() => post(other))
+        .then(({ json, status }) => {
+          expect(status).to.equal(400);
+          expect(json.non_field_errors).to.deep.equal([
+            'The resource is already reserved for some of the period.',
+          ]);
+        });
+    });
+
+    it('need a confirmation if the resource requires it, whatever state is given', () => {
+      const resource = findResource('Event hall');
+      const reservation = { ...getTimes(), resource: resource.id, state: 'confirmed' };
+      return request('/reservation/', { body: reservation, method: 'POST', token: owner })
+        .then(({ json }) => {
+          expect(json.state).to.equal('requested');
+        });
+    });
+
+    it('are confirmed only by the staff of the unit', () => {
+      const resource = findResource('Event hall');
+      const staff = createDevToken({ id: 'staff', isStaff: true, units: [resource.unit] });
+      const reservation = { ...getTimes(18), resource: resource.id };
+      let url;
+      const confirm = token => request(url.slice(baseUrl.length), {
+        body: { ...reservation, state: 'confirmed' },
+        method: 'PUT',
+        token,
+      });
+      return request('/reservation/', { body: reservation, method: 'POST', token: owner })
+        .then(({ json }) => {
+          url = json.url;
+          return confirm(owner);
+        })
+        .then(({ status }) => {
+          expect(status).to.equal(403);
+          return confirm(staff);
+        })
+        .then(({ json, status }) => {
+          expect(status).to.equal(200);
+          expect(json.state).to.equal('confirmed');
+        });
+    });
+
+    it('are changed and cancelled only by their owner', () => {
+      const reservation = { ...getTimes(18), resource: findResource('Music studio').id };
+      let path;
+      return request('/reservation/', { body: reservation, method: 'POST', token: owner })
+        .then(({ json }) => {
+          path = json.url.slice(baseUrl.length);
+          return request(path, { method: 'DELETE', token: other });
+        })
+        .then(({ status }) => {
+          expect(status).to.equal(403);
+          const changed = { ...reservation, ...getTimes(19) };
+          return request(path, { body: changed, method: 'PUT', token: owner });
+        })
+        .then(({ json, status }) => {
+          expect(status).to.equal(200);
+          expect(json.begin).to.equal(getTimes(19).begin);
+          return request(path, { method: 'DELETE', token: owner });
+        })
+        .then(({ status }) => {
+          expect(status).to.equal(204);
+          return request('/reservation/?state=cancelled', { token: owner });
+        })
+        .then(({ json }) => {
+          expect(json.results.map(result => result.url)).to.deep.equal([`${baseUrl}${path}`]);
+        });
+    });
+  });
+});
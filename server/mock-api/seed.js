@@ -0,0 +1,138 @@
+import moment from 'moment-timezone';
+
+import Image from 'utils/fixtures/Image';
+import Purpose from 'utils/fixtures/Purpose';
+import Resource from 'utils/fixtures/Resource';
+import Unit from 'utils/fixtures/Unit';
+
+const projector = { id: 'eq-projector', name: 'Projector' };
+const whiteboard = { id: 'eq-whiteboard', name: 'Whiteboard' };
+const soundSystem = { id: 'eq-sound-system', name: 'Sound system' };
+
+const weekdayHours = ['08:00:00', '20:00:00'];
+
+// Opening hours of each ISO weekday, Sunday is closed.
+const weeklyOpeningHours = {
+  1: weekdayHours,
+  2: weekdayHours,
+  3: weekdayHours,
+  4: weekdayHours,
+  5: weekdayHours,
+  6: ['10:00:00', '16:00:00'],
+};
+
+function seedUnits(data) {
+  const units = [
+    Unit.build({
+      addressZip: '00100',
+      location: { coordinates: [24.9384, 60.1699], type: 'Point' },
+      municipality: 'helsinki',
+      name: 'Central Library',
+      streetAddress: 'Library Street 1',
+    }),
+    Unit.build({
+      addressZip: '00500',
+      location: { coordinates: [24.9525, 60.1841], type: 'Point' },
+      municipality: 'helsinki',
+      name: 'Youth Centre',
+      streetAddress: 'Youth Road 5',
+    }),
+  ];
+  units.forEach((unit) => {
+    data.units[unit.id] = unit;  // eslint-disable-line no-param-reassign
+  });
+  return units;
+}
+
+function seedPurposes(data) {
+  const meetings = Purpose.build({ name: 'Meetings and working', parent: null });
+  const events = Purpose.build({ name: 'Events', parent: null });
+  const purposes = [
+    meetings,
+    events,
+    Purpose.build({ name: 'Meeting', parent: meetings.id }),
+    Purpose.build({ name: 'Working alone', parent: meetings.id }),
+    Purpose.build({ name: 'Party', parent: events.id }),
+  ];
+  purposes.forEach((purpose) => {
+    data.purposes[purpose.id] = purpose;  // eslint-disable-line no-param-reassign
+  });
+  return purposes;
+}
+
+function seedResources(data, units, purposes) {
+  const resources = [
+    Resource.build({
+      equipment: [projector, whiteboard],
+      generatesAccessCodes: true,
+      name: 'Meeting room Aurora',
+      peopleCapacity: 8,
+      purposes: [purposes[2].id],
+      unit: units[0].id,
+    }),
+    Resource.build({
+      name: 'Study booth',
+      peopleCapacity: 1,
+      purposes: [purposes[3].id],
+      unit: units[0].id,
+    }),
+    Resource.build({
+      equipment: [projector, soundSystem],
+      maxPeriod: '06:00:00',
+      maxPricePerHour: '40.00',
+      minPricePerHour: '25.00',
+      name: 'Event hall',
+      needManualConfirmation: true,
+      peopleCapacity: 60,
+      purposes: [purposes[4].id],
+      unit: units[1].id,
+    }),
+    Resource.build({
+      equipment: [soundSystem],
+      maxPricePerHour: '15.00',
+      minPricePerHour: '15.00',
+      name: 'Music studio',
+      peopleCapacity: 5,
+      purposes: [purposes[2].id, purposes[4].id],
+      unit: units[1].id,
+    }),
+  ];
+  resources.forEach((resource) => {
+    // eslint-disable-next-line no-param-reassign
+    data.resources[resource.id] = {
+      description: `${resource.name} for testing.`,
+      images: [Image.build({ caption: resource.name })],
+      maxPeriod: '04:00:00',
+      minPeriod: '00:30:00',
+      type: { id: 'type-room', name: 'Room' },
+      weeklyOpeningHours,
+      ...resource,
+    };
+  });
+  return resources;
+}
+
+// Adds some reservations of another user in the coming days, so that all resources are not
+// free all the time.
+function seedReservations(database, resources) {
+  const user = { displayName: 'Seed user', id: 'seed-user' };
+  resources.forEach((resource, index) => {
+    const day = moment.tz('Europe/Helsinki').add(index + 1, 'days').startOf('day');
+    if (day.isoWeekday() === 7) {
+      day.add(1, 'day');
+    }
+    const begin = day.clone().hour(10 + index);
+    const end = begin.clone().add(1, 'hour');
+    const reservation = { begin: begin.format(), end: end.format(), resource: resource.id };
+    database.addReservation(reservation, user);
+  });
+}
+
+function seedDatabase(database) {
+  const units = seedUnits(database.data);
+  const purposes = seedPurposes(database.data);
+  const resources = seedResources(database.data, units, purposes);
+  seedReservations(database, resources);
+}
+
+export default seedDatabase;
@@ -0,0 +1,32 @@
+// Makes the app code requirable on the server: compiles it with babel, ignores the styles and
+// resolves the images and the app modules the same way as webpack does for the client bundle.
+require('babel-core/register');
+
+const fs = require('fs');
+const Module = require('module');
+const path = require('path');
+
+const serverConfig = require('./config');
+
+// To ignore webpack custom loaders on server.
+serverConfig.webpackStylesExtensions.forEach((ext) => {
+  require.extensions[`.${ext}`] = () => {};
+});
+
+Object.keys(serverConfig.webpackImageLoaders).forEach((ext) => {
+  const { inlineLimit, mimetype } = serverConfig.webpackImageLoaders[ext];
+  require.extensions[`.${ext}`] = (assetModule, filename) => {
+    const content = fs.readFileSync(filename);
+    if (inlineLimit && content.length < inlineLimit) {
+      assetModule.exports = `data:${mimetype};base64,${content.toString('base64')}`; // eslint-disable-line no-param-reassign
+    } else {
+      assetModule.exports = `${serverConfig.assetsPublicPath}${path.basename(filename)}`; // eslint-disable-line no-param-reassign
+    }
+  };
+});
+
+// Resolve the app modules the same way as webpack does for the client bundle.
+process.env.NODE_PATH = path.resolve(__dirname, '../app');
+Module._initPaths(); // eslint-disable-line no-underscore-dangle
+
+global.SETTINGS = serverConfig.settings;
@@ -1,36 +1,119 @@
+import 'isomorphic-fetch';
+
+import includes from 'lodash/includes';
+import moment from 'moment';
 import React from 'react';
+import DocumentTitle from 'react-document-title';
 import ReactDOMServer from 'react-dom/server';
+import Helmet from 'react-helmet';
+import { Provider } from 'react-intl-redux';
+import { match, RouterContext } from 'react-router';
+import Immutable from 'seamless-immutable';
 
+import constants from 'constants/AppConstants';
+import getRoutes from 'routes';
+import { getKioskResourceId } from './auth/kiosk';
 import config from './config';
+import createServerStore from './createServerStore';
 import Html from './Html';
 
-function render(req, res) {
-  const user = req.user;
-  let initialState = {};
-  if (user && user.id && user.token) {
-    initialState = {
-      auth: { userId: user.id, token: user.token },
-      data: {
-        users: {
-          [user.id]: user,
-        },
-      },
-    };
+// The locale of Swedish is se in the app, see changeLocale.
+function getLocaleOfLanguage(language) {
+  return language === 'sv' ? 'se' : language;
+}
+
+// Returns the locale the user has chosen, see the localeCookie middleware, or else the best match
+// of the languages of their browser.
+function getLocale(req) {
+  const locales = constants.SUPPORTED_LANGUAGES.map(getLocaleOfLanguage);
+  const cookieLocale = req.cookies && req.cookies[constants.LOCALE_COOKIE];
+  if (includes(locales, cookieLocale)) {
+    return cookieLocale;
   }
+  const language = req.get('Accept-Language') &&
+    req.acceptsLanguages(...constants.SUPPORTED_LANGUAGES);
+  return language ? getLocaleOfLanguage(language) : constants.DEFAULT_LOCALE;
+}
+
+function fetchData(store, { components, location, params }) {
+  const requests = components
+    .filter(component => component && component.fetchData)
+    .map(component => component.fetchData(store, { location, params }));
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, config.renderDataTimeout);
+  });
+
+  return Promise.race([Promise.all(requests), timeout]).then(
+    () => clearTimeout(timer),
+    (error) => {
+      clearTimeout(timer);
+      throw error;
+    }
+  );
+}
 
+function getStatus({ routes }) {
+  return routes[routes.length - 1].path === '*' ? 404 : 200;
+}
+
+function getSerializableState(state) {
+  // The client loads the messages of the locale itself and redoes any request still running.
+  return Immutable(state)
+    .set('intl', { locale: state.intl.locale })
+    .setIn(['api', 'activeRequests'], {});
+}
+
+function renderPage(store, renderProps) {
+  // The locale of moment is global, so another request may have changed it during fetchData.
+  moment.locale(`varaamo-${store.getState().intl.locale}`);
+  const content = ReactDOMServer.renderToString(
+    <Provider store={store}>
+      <RouterContext {...renderProps} />
+    </Provider>
+  );
+  const title = DocumentTitle.rewind();
+  const head = Helmet.rewind();
   const htmlContent = ReactDOMServer.renderToStaticMarkup(
     <Html
       appCssSrc={config.assetsSources.appCss}
       appScriptSrc={config.assetsSources.appJs}
-      initialState={initialState}
+      content={content}
+      headLinks={head.link.toComponent()}
+      initialState={getSerializableState(store.getState())}
       isProduction={config.isProduction}
       piwikSiteId={config.piwikSiteId}
+      title={title}
     />
   );
-  const html = `<!DOCTYPE html>${htmlContent}`;
+  return `<!DOCTYPE html>${htmlContent}`;
+}
+
+function render(req, res, next) {
+  const store = createServerStore(req.user, {
+    kioskResourceId: getKioskResourceId(req),
+    locale: getLocale(req),
+  });
+  const routes = getRoutes(store);
 
-  // Send the rendered page back to the client
-  res.send(html);
+  match({ location: req.url, routes }, (error, redirectLocation, renderProps) => {
+    if (error) {
+      next(error);
+    } else if (redirectLocation) {
+      res.redirect(`${redirectLocation.pathname}${redirectLocation.search}`);
+    } else {
+      fetchData(store, renderProps)
+        .then(() => {
+          // Send the rendered page back to the client
+          res.status(getStatus(renderProps)).send(renderPage(store, renderProps));
+        })
+        .catch(next);
+    }
+  });
 }
 
+export {
+  fetchData,
+  getLocale,
+};
 export default render;
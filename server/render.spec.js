@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+import express from 'express';
+import simple from 'simple-mock';
+
+import render, { fetchData, getLocale } from './render';
+
+describe('server/render', () => {
+  function createRequest({ cookies = {}, headers = {}, url = '/' } = {}) {
+    const req = Object.create(express.request);
+    return Object.assign(req, { cookies, headers, url });
+  }
+
+  afterEach(() => {
+    simple.restore();
+  });
+
+  describe('getLocale', () => {
+    it('returns the locale in the locale cookie', () => {
+      const req = createRequest({ cookies: { locale: 'se' }, headers: { 'accept-language': 'en' } });
+      expect(getLocale(req)).to.equal('se');
+    });
+
+    it('returns the best supported language of the browser if there is no valid cookie', () => {
+      const headers = { 'accept-language': 'de, sv;q=0.8, en;q=0.5' };
+      expect(getLocale(createRequest({ headers }))).to.equal('se');
+      expect(getLocale(createRequest({ cookies: { locale: 'de' }, headers }))).to.equal('se');
+    });
+
+    it('returns the default locale otherwise', () => {
+      expect(getLocale(createRequest())).to.equal('fi');
+      expect(getLocale(createRequest({ headers: { 'accept-language': 'de' } }))).to.equal('fi');
+    });
+  });
+
+  describe('fetchData', () => {
+    function getRenderProps(fetchDataOfComponent) {
+      return { components: [{ fetchData: fetchDataOfComponent }, null], location: {}, params: {} };
+    }
+
+    it('clears the timeout when the data has been fetched', () => {
+      simple.mock(global, 'setTimeout').returnWith('timer');
+      const clearTimeoutMock = simple.mock(global, 'clearTimeout');
+      return fetchData({}, getRenderProps(() => Promise.resolve())).then(() => {
+        expect(clearTimeoutMock.lastCall.arg).to.equal('timer');
+      });
+    });
+
+    it('does not wait for the data after the timeout', () => {
+      simple.mock(global, 'setTimeout').callFn(resolve => resolve());
+      return fetchData({}, getRenderProps(() => new Promise(() => null)));
+    });
+  });
+
+  describe('render', () => {
+    function renderUrl(req) {
+      return new Promise((resolve, reject) => {
+        const res = {
+          send: (html) => {
+            res.html = html;
+            resolve(res);
+          },
+          status: (status) => {
+            res.statusCode = status;
+            return res;
+          },
+        };
+        render(req, res, reject);
+      });
+    }
+
+    it('renders the page in the locale of the user and passes it to the client', () => {
+      const req = createRequest({ cookies: { locale: 'en' }, url: '/about' });
+      return renderUrl(req).then(({ html, statusCode }) => {
+        expect(statusCode).to.equal(200);
+        expect(html).to.contain('Log in');
+        expect(html).to.not.contain('Kirjaudu sisään');
+        expect(html).to.contain('"intl":{"locale":"en"}');
+      });
+    });
+  });
+});
@@ -0,0 +1,2 @@
+// The server specs are run with mocha on node, see the test:server script.
+require('./register');